@@ -2,28 +2,25 @@
 
 /**
  * GHL MCP Manager CLI
- * Manage multiple GHL locations: add, remove, list, test, generate configs, rotate tokens.
+ * Manage multiple GHL locations: add, remove, list, test, generate configs, rotate tokens,
+ * report AI credit usage and validate the skill's config.json.
  * Credentials stored in ~/.ghl-mcp/locations.enc (AES-256-GCM encrypted).
  */
 
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
-import { join } from 'node:path';
-import { homedir } from 'node:os';
 import { createInterface } from 'node:readline';
-import { encrypt, decrypt } from './encryption.js';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadLocationStore, saveLocationStore } from '../shared/ghl-location-store.js';
 import { createMcpClient } from '../shared/ghl-mcp-client.js';
-
-const CONFIG_DIR = join(homedir(), '.ghl-mcp');
-const CONFIG_FILE = join(CONFIG_DIR, 'locations.enc');
+import { defaultMiddleware } from '../shared/ghl-middleware.js';
+import { McpError, McpProtocolVersionError } from '../shared/ghl-errors.js';
+import { MCP_PROTOCOL_VERSION } from '../shared/ghl-protocol.js';
+import { createCreditLedger, dayOf } from '../shared/ghl-credits.js';
+import { validateConfig } from '../shared/ghl-config.js';
 
 // ─── Helpers ────────────────────────────────────────────────
 
-function ensureConfigDir() {
-  if (!existsSync(CONFIG_DIR)) {
-    mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
-  }
-}
-
 function getPassword() {
   const pw = process.env.GHL_ENCRYPTION_PASSWORD;
   if (!pw) {
@@ -35,16 +32,11 @@ function getPassword() {
 }
 
 function loadLocations() {
-  ensureConfigDir();
-  if (!existsSync(CONFIG_FILE)) return {};
-  const encrypted = readFileSync(CONFIG_FILE, 'utf8');
-  return JSON.parse(decrypt(encrypted, getPassword()));
+  return loadLocationStore(getPassword());
 }
 
 function saveLocations(locations) {
-  ensureConfigDir();
-  const encrypted = encrypt(JSON.stringify(locations, null, 2), getPassword());
-  writeFileSync(CONFIG_FILE, encrypted, { mode: 0o600 });
+  saveLocationStore(locations, getPassword());
 }
 
 async function prompt(question) {
@@ -57,6 +49,40 @@ async function prompt(question) {
   });
 }
 
+/**
+ * Load the location named by argv[3], exiting with usage if missing.
+ * @param {string} usage
+ * @returns {object}
+ */
+function requireLocation(usage) {
+  const alias = process.argv[3];
+  if (!alias) {
+    console.error(`Usage: ${usage}`);
+    process.exit(1);
+  }
+
+  const loc = loadLocations()[alias];
+  if (!loc) {
+    console.error(`Location '${alias}' not found.`);
+    process.exit(1);
+  }
+  return loc;
+}
+
+/**
+ * Parse key=value CLI arguments into an object.
+ * @param {string[]} pairs
+ * @returns {object}
+ */
+function parseKeyValues(pairs) {
+  const out = {};
+  for (const pair of pairs) {
+    const eq = pair.indexOf('=');
+    if (eq > 0) out[pair.slice(0, eq)] = pair.slice(eq + 1);
+  }
+  return out;
+}
+
 function redactToken(token) {
   if (!token || token.length < 12) return '***';
   return token.slice(0, 6) + '...' + token.slice(-4);
@@ -141,18 +167,8 @@ function cmdList() {
 }
 
 async function cmdTest() {
-  const alias = process.argv[3];
-  if (!alias) {
-    console.error('Usage: ghl-manager test <alias>');
-    process.exit(1);
-  }
-
-  const locations = loadLocations();
-  const loc = locations[alias];
-  if (!loc) {
-    console.error(`Location '${alias}' not found.`);
-    process.exit(1);
-  }
+  const loc = requireLocation('ghl-manager test <alias>');
+  const alias = loc.alias;
 
   console.log(`🔌 Testing connection to '${alias}' (${loc.name})...\n`);
 
@@ -160,11 +176,13 @@ async function cmdTest() {
     const client = createMcpClient({
       token: loc.token,
       locationId: loc.locationId,
+      middleware: defaultMiddleware({ context: { location: alias } }),
     });
 
-    const { capabilities, serverInfo } = await client.initialize();
+    const { capabilities, serverInfo, protocolVersion } = await client.initialize();
     console.log('✅ Connected!');
     console.log(`   Server: ${serverInfo?.name || 'unknown'} v${serverInfo?.version || '?'}`);
+    console.log(`   Protocol: ${protocolVersion}${protocolVersion === MCP_PROTOCOL_VERSION ? '' : ` (older than ${MCP_PROTOCOL_VERSION}; compatibility mode)`}`);
 
     const tools = await client.listTools();
     const toolList = tools?.tools || [];
@@ -184,11 +202,95 @@ async function cmdTest() {
 
     await client.close();
   } catch (err) {
-    console.error(`❌ Connection failed: ${err.message}`);
+    console.error(`❌ Connection failed: ${describeConnectionError(err, alias)}`);
     process.exit(1);
   }
 }
 
+function describeConnectionError(err, alias) {
+  if (!(err instanceof McpError)) return err.message;
+  if (err instanceof McpProtocolVersionError) {
+    return `incompatible MCP protocol version. GHL speaks ${err.received.join(', ') || 'an unknown version'}; ` +
+      `this client supports ${err.supported.join(', ')}. Update ghl-mcp-integration to a release that supports it.`;
+  }
+  switch (err.category) {
+    case 'auth':
+      return `token rejected (HTTP ${err.status}). The PIT may be revoked or missing scopes — run: node ghl-manager.js rotate-token ${alias}`;
+    case 'rate_limit':
+      return 'rate limited by GHL (HTTP 429). Wait a few seconds and try again.';
+    case 'unavailable':
+      return `GHL MCP endpoint unavailable — ${err.message}`;
+    case 'timeout':
+      return `no response from GHL — ${err.message}`;
+    default:
+      return err.message;
+  }
+}
+
+async function cmdBrowse() {
+  const loc = requireLocation('ghl-manager browse <alias> [resource <uri> | prompt <name> [key=value...]]');
+  const [kind, target, ...rest] = process.argv.slice(4);
+
+  const client = createMcpClient({
+    token: loc.token,
+    locationId: loc.locationId,
+    middleware: defaultMiddleware({ context: { location: loc.alias } }),
+  });
+
+  try {
+    const { capabilities, serverInfo } = await client.initialize();
+
+    if (kind === 'resource' && target) {
+      const { contents } = await client.readResource(target);
+      for (const item of contents || []) {
+        console.log(`── ${item.uri} (${item.mimeType || 'unknown type'}) ──`);
+        console.log(item.text ?? `[binary, ${Buffer.from(item.blob || '', 'base64').length} bytes]`);
+      }
+    } else if (kind === 'prompt' && target) {
+      const prompt = await client.getPrompt(target, parseKeyValues(rest));
+      if (prompt.description) console.log(`${prompt.description}\n`);
+      for (const message of prompt.messages || []) {
+        const text = message.content?.type === 'text' ? message.content.text : `[${message.content?.type}]`;
+        console.log(`${message.role}: ${text}`);
+      }
+    } else if (kind) {
+      console.error(`Unknown browse target: ${kind}. Use 'resource <uri>' or 'prompt <name>'.`);
+      process.exitCode = 1;
+    } else {
+      console.log(`📚 ${loc.alias} (${loc.name}) — ${serverInfo?.name || 'unknown'} v${serverInfo?.version || '?'}\n`);
+
+      if (capabilities?.resources) {
+        console.log('Resources:');
+        for await (const r of client.iterateResources()) {
+          console.log(`  ${r.uri.padEnd(45)} ${r.name || ''}`);
+        }
+        console.log('\nResource templates:');
+        for await (const t of client.iterateResourceTemplates()) {
+          console.log(`  ${t.uriTemplate.padEnd(45)} ${t.name || ''}`);
+        }
+      } else {
+        console.log('Resources: not advertised by this server');
+      }
+
+      console.log('');
+      if (capabilities?.prompts) {
+        console.log('Prompts:');
+        for await (const p of client.iteratePrompts()) {
+          const args = (p.arguments || []).map(a => a.required ? a.name : `[${a.name}]`).join(' ');
+          console.log(`  ${p.name.padEnd(30)} ${args.padEnd(30)} ${p.description || ''}`);
+        }
+      } else {
+        console.log('Prompts: not advertised by this server');
+      }
+    }
+  } catch (err) {
+    console.error(`❌ Browse failed: ${describeConnectionError(err, loc.alias)}`);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
 function cmdGenerateConfig() {
   const locations = loadLocations();
   const entries = Object.values(locations);
@@ -200,6 +302,18 @@ function cmdGenerateConfig() {
 
   console.log('📝 Generating configuration files...\n');
 
+  // Behind the local gateway (gateway/ghl-gateway.js) tokens stay in the
+  // encrypted store: .mcp.json only points at localhost
+  if (process.argv.includes('--gateway')) {
+    const port = process.argv.find((a, i) => process.argv[i - 1] === '--port') || 3333;
+    const gatewayConfig = { mcpServers: { ghl: { type: 'http', url: `http://127.0.0.1:${port}/mcp` } } };
+    console.log('── .mcp.json ──');
+    console.log(JSON.stringify(gatewayConfig, null, 2));
+    console.log(`\nStart the gateway: GHL_ENCRYPTION_PASSWORD=... npm run gateway -- --port ${port}`);
+    console.log(`Tools are named <alias>__<tool>, e.g. ${entries[0].alias}__contacts_get-contacts`);
+    return;
+  }
+
   // .mcp.json for Claude Code
   const mcpConfig = { mcpServers: {} };
   for (const loc of entries) {
@@ -209,7 +323,7 @@ function cmdGenerateConfig() {
       headers: {
         Authorization: `Bearer \${GHL_PIT_${loc.alias.toUpperCase()}}`,
         locationId: `\${GHL_LOCATION_${loc.alias.toUpperCase()}}`,
-        'MCP-Protocol-Version': '2025-06-18',
+        'MCP-Protocol-Version': MCP_PROTOCOL_VERSION,
       },
     };
   }
@@ -271,6 +385,78 @@ async function cmdRotateToken() {
   console.log('   Remember to update .env files and VPS environment variables.');
 }
 
+function cmdUsage() {
+  const args = process.argv.slice(3);
+  const flag = (name) => args.find((a, i) => args[i - 1] === name);
+  const alias = args[0] && !args[0].startsWith('--') ? args[0] : undefined;
+  const days = Number(flag('--days') || 30);
+  const top = Number(flag('--top') || 10);
+
+  const ledger = createCreditLedger();
+  const since = dayOf(Date.now() - (days - 1) * 86_400_000);
+  const usage = ledger.usage({ since, location: alias });
+
+  console.log(`💳 AI credit usage since ${since} (${days} days)${alias ? ` — ${alias}` : ''}\n`);
+  if (usage.total === 0) {
+    console.log(`No tool calls recorded in ${ledger.fileFor('YYYY-MM')}`);
+    return;
+  }
+
+  console.log('Location'.padEnd(15) + 'Today'.padStart(10) + 'Month'.padStart(10) + `${days}d`.padStart(10));
+  console.log('─'.repeat(45));
+  for (const [location, credits] of usage.byLocation) {
+    console.log(
+      location.padEnd(15) +
+      String(ledger.used(location, 'day')).padStart(10) +
+      String(ledger.used(location, 'month')).padStart(10) +
+      String(credits).padStart(10)
+    );
+  }
+
+  const table = (title, rows) => {
+    console.log(`\n${title}`);
+    for (const [key, credits] of rows.slice(0, top)) {
+      const [location, name] = key.split(' ');
+      console.log(`  ${String(credits).padStart(8)}  ${location.padEnd(15)}${name}`);
+    }
+  };
+  table('Top tools:', usage.byTool);
+  table('Top callers:', usage.byCaller);
+
+  console.log('\nBy day:');
+  for (const [day, credits] of usage.byDay.slice(-top)) {
+    console.log(`  ${day}  ${String(credits).padStart(8)}`);
+  }
+}
+
+function cmdValidateConfig() {
+  const args = process.argv.slice(3);
+  const flag = (name) => args.find((a, i) => args[i - 1] === name);
+  const file = args[0] && !args[0].startsWith('--')
+    ? args[0]
+    : join(dirname(fileURLToPath(import.meta.url)), '..', 'openclaw-skill', 'config.json');
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`❌ Cannot read ${file}: ${err.code === 'ENOENT' ? 'not found' : err.message}`);
+    process.exit(1);
+  }
+
+  const { config: normalized, errors, warnings } = validateConfig(config, { location: flag('--location') });
+  for (const w of warnings) console.log(`⚠️  ${w.path} ${w.message}`);
+  if (errors.length > 0) {
+    console.error(`❌ ${file}: ${errors.length} problem${errors.length === 1 ? '' : 's'}`);
+    for (const e of errors) console.error(`   ${e.path} ${e.message}`);
+    process.exit(1);
+  }
+
+  const aliases = Object.keys(normalized.locations);
+  console.log(`✅ ${file} is valid (${aliases.length} location${aliases.length === 1 ? '' : 's'}: ${aliases.join(', ') || 'none'})`);
+  if (args.includes('--print')) console.log(JSON.stringify(normalized, null, 2));
+}
+
 function cmdHelp() {
   console.log(`
 GHL MCP Manager — Manage GoHighLevel locations for MCP integration
@@ -282,12 +468,21 @@ Commands:
   remove <alias>       Remove a location
   list                 Show all configured locations
   test <alias>         Test MCP connection to a location
+  browse <alias>       List MCP resources, resource templates and prompts
+    browse <alias> resource <uri>               Read a resource
+    browse <alias> prompt <name> [key=value...] Render a prompt
   generate-config      Generate .mcp.json, .env, and skill config
+    generate-config --gateway [--port 3333]     .mcp.json for the local gateway (no tokens)
   rotate-token <alias> Update a location's PIT token
+  usage [alias]        AI credit usage: totals, top tools and callers
+    usage main --days 7 --top 5                 One location, last 7 days, top 5 rows
+  validate-config [path] Check openclaw-skill/config.json against its schema
+    validate-config --location main --print     Require a location; print with defaults filled in
   help                 Show this help message
 
 Environment:
   GHL_ENCRYPTION_PASSWORD   Password for encrypting stored credentials
+  GHL_CREDIT_LEDGER         Credit ledger path, one file per month (default ~/.ghl-mcp/credits.jsonl)
 
 Config: ~/.ghl-mcp/locations.enc (AES-256-GCM encrypted)
 `);
@@ -301,8 +496,11 @@ switch (command) {
   case 'remove': await cmdRemove(); break;
   case 'list': cmdList(); break;
   case 'test': await cmdTest(); break;
+  case 'browse': await cmdBrowse(); break;
   case 'generate-config': cmdGenerateConfig(); break;
   case 'rotate-token': await cmdRotateToken(); break;
+  case 'usage': cmdUsage(); break;
+  case 'validate-config': cmdValidateConfig(); break;
   case 'help': case '--help': case '-h': cmdHelp(); break;
   default:
     console.error(`Unknown command: ${command}`);
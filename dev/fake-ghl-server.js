@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Fake GHL MCP Server
+ * Stateful stand-in for services.leadconnectorhq.com/mcp/ over real HTTP/SSE:
+ * the same tool names as GHL, backed by dev/fake-ghl-store.js, with optional
+ * latency, 429 and 5xx injection. Point GHL_MCP_URL at it to run the monitor,
+ * the CLI manager or the gateway on a laptop with no network.
+ *
+ *   node dev/fake-ghl-server.js                              # http://127.0.0.1:3434/mcp
+ *   node dev/fake-ghl-server.js --data /tmp/ghl.json         # persist changes
+ *   node dev/fake-ghl-server.js --latency 300 --rate-limit-rate 0.1 --error-rate 0.05
+ *   GHL_MCP_URL=http://127.0.0.1:3434/mcp node openclaw-skill/ghl_monitor.js
+ */
+
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { createMcpServer, createHttpHandler } from '../shared/ghl-mcp-server.js';
+import { createFakeStore, loadSeed, FakeToolError } from './fake-ghl-store.js';
+
+const DEFAULT_PORT = 3434;
+const DEFAULT_SEED = fileURLToPath(new URL('./fixtures/ghl-seed.json', import.meta.url));
+
+const SERVER_INFO = { name: 'ghl-fake', version: '1.0.0' };
+
+/** Tool descriptions, in the order GHL lists them. */
+const TOOL_DESCRIPTIONS = {
+  'contacts_get-contacts': 'Get contacts',
+  'contacts_get-contact': 'Get contact by ID',
+  'contacts_upsert-contact': 'Create or update contact',
+  'contacts_add-tags': 'Add tags to contact',
+  'contacts_remove-tags': 'Remove tags from contact',
+  'contacts_get-all-tasks': 'Get all tasks for contact',
+  'contacts_create-contact': 'Create contact',
+  'contacts_update-contact': 'Update contact',
+  'conversations_search-conversation': 'Search conversations',
+  'conversations_get-messages': 'Get messages',
+  'conversations_send-a-new-message': 'Send message',
+  'opportunities_search-opportunity': 'Search opportunities',
+  'opportunities_update-opportunity': 'Update opportunity',
+  'opportunities_get-pipelines': 'Get pipelines',
+  'opportunities_get-opportunity': 'Get opportunity',
+  'locations_get-location': 'Get location',
+  'locations_get-custom-fields': 'Get custom fields',
+  'calendars_get-calendar-events': 'Get calendar events',
+  'calendars_get-appointment-notes': 'Get appointment notes',
+  'payments_list-transactions': 'List transactions',
+  'payments_get-order-by-id': 'Get order by ID',
+  'emails_fetch-template': 'Fetch email template',
+  'emails_create-template': 'Create email template',
+  'social-media-posting_create-post': 'Create social post',
+  'social-media-posting_get-post': 'Get social post',
+  'social-media-posting_get-posts': 'Get social posts',
+  'social-media-posting_edit-post': 'Edit social post',
+  'social-media-posting_get-account': 'Get social account',
+  'social-media-posting_get-social-media-statistics': 'Get social stats',
+  'blogs_get-blogs': 'Get blogs',
+  'blogs_get-blog-post': 'Get blog post',
+  'blogs_create-blog-post': 'Create blog post',
+  'blogs_update-blog-post': 'Update blog post',
+  'blogs_check-url-slug-exists': 'Check blog URL slug',
+  'blogs_get-all-categories-by-location': 'Get blog categories',
+  'blogs_get-all-blog-authors-by-location': 'Get blog authors',
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function textResult(value, isError = false) {
+  return { content: [{ type: 'text', text: typeof value === 'string' ? value : JSON.stringify(value) }], ...(isError ? { isError } : {}) };
+}
+
+/**
+ * Create the fake server's request handler.
+ * @param {object} [options]
+ * @param {object} [options.store] - From createFakeStore (defaults to an empty store)
+ * @param {number} [options.latencyMs=0] - Delay added to every request after initialize
+ * @param {number} [options.rateLimitRate=0] - Share of requests (0..1) answered with 429
+ * @param {number} [options.errorRate=0] - Share of requests (0..1) answered with 503
+ * @param {number} [options.retryAfterSeconds=1] - Retry-After sent with injected 429s
+ * @param {Function} [options.random=Math.random] - Randomness source for fault injection
+ * @returns {{ handler: Function, store: object, stats: Function }} handler is a node:http listener
+ */
+function createFakeGhlServer(options = {}) {
+  const {
+    store = createFakeStore(),
+    latencyMs = 0,
+    rateLimitRate = 0,
+    errorRate = 0,
+    retryAfterSeconds = 1,
+    random = Math.random,
+  } = options;
+  const counts = { requests: 0, toolCalls: 0, rateLimited: 0, failed: 0 };
+
+  const mcp = createMcpServer({
+    serverInfo: SERVER_INFO,
+    capabilities: { tools: {} },
+    handlers: {
+      'tools/list': () => ({
+        tools: Object.entries(TOOL_DESCRIPTIONS).map(([name, description]) => ({
+          name,
+          description,
+          inputSchema: { type: 'object', properties: {} },
+        })),
+      }),
+      'tools/call': ({ name, arguments: args }) => {
+        counts.toolCalls++;
+        try {
+          return textResult(store.callTool(name, args || {}));
+        } catch (err) {
+          if (err instanceof FakeToolError) return textResult(`${err.message} (status code ${err.status})`, true);
+          throw err;
+        }
+      },
+    },
+  });
+  const mcpHandler = createHttpHandler(mcp, { sse: true });
+
+  function reject(res, status, message, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ statusCode: status, message }));
+  }
+
+  async function handler(req, res) {
+    counts.requests++;
+    if (req.method === 'POST' && !/^Bearer \S+/.test(req.headers.authorization || '')) {
+      reject(res, 401, 'Invalid Private Integration Token');
+      return;
+    }
+
+    // Faults hit established sessions only, so initialize always succeeds
+    if (req.headers['mcp-session-id'] && req.method === 'POST') {
+      if (latencyMs > 0) await delay(latencyMs);
+      if (random() < rateLimitRate) {
+        counts.rateLimited++;
+        reject(res, 429, 'Too many requests', { 'Retry-After': String(retryAfterSeconds) });
+        return;
+      }
+      if (random() < errorRate) {
+        counts.failed++;
+        reject(res, 503, 'Service temporarily unavailable');
+        return;
+      }
+    }
+
+    await mcpHandler(req, res);
+  }
+
+  return { handler, store, stats: () => ({ ...counts }) };
+}
+
+// ─── CLI Entry Point ────────────────────────────────────────
+if (process.argv[1] && process.argv[1].includes('fake-ghl-server')) {
+  const argv = process.argv.slice(2);
+  const flag = (name) => argv.find((a, i) => argv[i - 1] === name);
+  const port = Number(flag('--port') || DEFAULT_PORT);
+  const host = flag('--host') || '127.0.0.1';
+
+  const store = createFakeStore({ seed: loadSeed(flag('--seed') || DEFAULT_SEED), file: flag('--data') });
+  const fake = createFakeGhlServer({
+    store,
+    latencyMs: Number(flag('--latency') || 0),
+    rateLimitRate: Number(flag('--rate-limit-rate') || 0),
+    errorRate: Number(flag('--error-rate') || 0),
+  });
+
+  const http = createServer(fake.handler);
+  http.listen(port, host, () => {
+    const url = `http://${host}:${port}/mcp`;
+    console.log(`Fake GHL MCP server on ${url} (${store.data.contacts.length} contacts)`);
+    console.log(`  export GHL_MCP_URL=${url}`);
+  });
+
+  for (const sig of ['SIGINT', 'SIGTERM']) {
+    process.once(sig, () => {
+      console.log('Stopping fake GHL server', fake.stats());
+      http.closeAllConnections();
+      http.close(() => process.exit(0));
+    });
+  }
+}
+
+export { createFakeGhlServer, TOOL_DESCRIPTIONS };
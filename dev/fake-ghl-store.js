@@ -0,0 +1,376 @@
+/**
+ * Fake GHL data store
+ * In-memory (optionally JSON-file backed) location data with handlers for every
+ * GHL MCP tool, so writes round-trip: an upserted contact can be fetched, added
+ * tags show up, a moved opportunity lands in its new stage.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+
+const COLLECTIONS = [
+  'contacts', 'tasks', 'conversations', 'messages', 'pipelines', 'opportunities',
+  'customFields', 'calendarEvents', 'appointmentNotes', 'transactions', 'orders',
+  'emailTemplates', 'socialAccounts', 'socialPosts', 'blogs', 'blogPosts',
+  'blogCategories', 'blogAuthors',
+];
+
+/**
+ * Tool failure the fake server reports as an `isError` result. The status is
+ * appended as "status code NNN", which McpToolError turns into a category.
+ */
+class FakeToolError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} [status=400]
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FakeToolError';
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve relative timestamps in seed data: "@now", "@now-72h", "@now+30m", "@now-10d".
+ * Fixtures stay meaningful (stale leads stay stale) whenever they are loaded.
+ * @param {*} value
+ * @param {number} now
+ * @returns {*}
+ */
+function resolveSeedDates(value, now = Date.now()) {
+  if (Array.isArray(value)) return value.map(v => resolveSeedDates(v, now));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveSeedDates(v, now)]));
+  }
+  const match = typeof value === 'string' && value.match(/^@now(?:([+-]\d+)([mhd]))?$/);
+  if (!match) return value;
+  const unitMs = { m: 60_000, h: 3_600_000, d: 86_400_000 }[match[2]] || 0;
+  return new Date(now + Number(match[1] || 0) * unitMs).toISOString();
+}
+
+/**
+ * Load a seed fixture file (see dev/fixtures/ghl-seed.json).
+ * @param {string} path
+ * @returns {object}
+ */
+function loadSeed(path) {
+  return JSON.parse(readFileSync(path, 'utf8'));
+}
+
+/**
+ * Create a fake GHL store.
+ * @param {object} [options]
+ * @param {object} [options.seed] - Initial data: { location, contacts, tasks, ... };
+ *   "@now-72h"-style timestamps are resolved on load
+ * @param {string} [options.file] - JSON file to persist to; loaded instead of the seed
+ *   when it exists, rewritten after every change
+ * @returns {object} { tools, callTool, data, reset }
+ */
+function createFakeStore(options = {}) {
+  const { seed = {}, file } = options;
+  let data;
+
+  function reset() {
+    data = { location: { id: 'fake-location', name: 'Fake Location' }, ...resolveSeedDates(structuredClone(seed)) };
+    for (const name of COLLECTIONS) data[name] ||= [];
+  }
+
+  if (file && existsSync(file)) {
+    data = JSON.parse(readFileSync(file, 'utf8'));
+    for (const name of COLLECTIONS) data[name] ||= [];
+  } else {
+    reset();
+  }
+
+  function persist() {
+    if (file) writeFileSync(file, JSON.stringify(data, null, 2));
+  }
+
+  const now = () => new Date().toISOString();
+  const newId = (prefix) => `${prefix}_${randomUUID().slice(0, 8)}`;
+
+  function find(collection, id, label) {
+    const item = data[collection].find(x => x.id === id);
+    if (!item) throw new FakeToolError(`${label} ${id} not found`, 404);
+    return item;
+  }
+
+  function requireArgs(args, ...keys) {
+    for (const key of keys) {
+      if (args[key] === undefined || args[key] === '') throw new FakeToolError(`${key} is required`, 422);
+    }
+  }
+
+  /** Items after `startAfterId`, GHL contacts style. */
+  function pageAfter(items, cursorId, limit) {
+    const start = cursorId ? items.findIndex(x => x.id === cursorId) + 1 : 0;
+    const page = items.slice(start, start + limit);
+    const more = start + limit < items.length;
+    return { page, more, last: page[page.length - 1]?.id ?? null };
+  }
+
+  function matchesQuery(contact, query) {
+    if (!query) return true;
+    const q = String(query).toLowerCase();
+    return [contact.firstName, contact.lastName, contact.email, contact.phone, ...(contact.tags || [])]
+      .some(v => v && String(v).toLowerCase().includes(q));
+  }
+
+  function conversationFor(contactId) {
+    let conversation = data.conversations.find(c => c.contactId === contactId);
+    if (!conversation) {
+      conversation = { id: newId('conv'), contactId, dateAdded: now(), dateUpdated: now() };
+      data.conversations.push(conversation);
+    }
+    return conversation;
+  }
+
+  function saveContact(existing, fields) {
+    const { contactId, id, ...rest } = fields;
+    if (existing) {
+      Object.assign(existing, rest, { dateUpdated: now() });
+      return existing;
+    }
+    const contact = { id: newId('contact'), tags: [], ...rest, dateAdded: now(), dateUpdated: now(), lastActivity: now() };
+    data.contacts.push(contact);
+    return contact;
+  }
+
+  // ─── Tools ────────────────────────────────────────────────
+  // Each handler returns the JSON the real tool puts in its text content.
+
+  const tools = {
+    // Contacts
+    'contacts_get-contacts'({ query, limit = 20, startAfterId }) {
+      const matches = data.contacts.filter(c => matchesQuery(c, query));
+      const { page, more, last } = pageAfter(matches, startAfterId, Number(limit));
+      return { contacts: page, meta: { total: matches.length, startAfterId: last, nextPage: more } };
+    },
+    'contacts_get-contact'({ contactId }) {
+      requireArgs({ contactId }, 'contactId');
+      return { contact: find('contacts', contactId, 'Contact') };
+    },
+    'contacts_create-contact'(args) {
+      if (!args.email && !args.phone) throw new FakeToolError('email or phone is required', 422);
+      return { contact: saveContact(null, args) };
+    },
+    'contacts_update-contact'(args) {
+      requireArgs(args, 'contactId');
+      return { contact: saveContact(find('contacts', args.contactId, 'Contact'), args) };
+    },
+    'contacts_upsert-contact'(args) {
+      if (!args.email && !args.phone) throw new FakeToolError('email or phone is required', 422);
+      const existing = data.contacts.find(c =>
+        (args.email && c.email === args.email) || (args.phone && c.phone === args.phone));
+      return { new: !existing, contact: saveContact(existing, args) };
+    },
+    'contacts_add-tags'({ contactId, tags = [] }) {
+      const contact = find('contacts', contactId, 'Contact');
+      contact.tags = [...new Set([...(contact.tags || []), ...tags])];
+      return { tags: contact.tags };
+    },
+    'contacts_remove-tags'({ contactId, tags = [] }) {
+      const contact = find('contacts', contactId, 'Contact');
+      contact.tags = (contact.tags || []).filter(t => !tags.includes(t));
+      return { tags: contact.tags };
+    },
+    'contacts_get-all-tasks'({ contactId }) {
+      find('contacts', contactId, 'Contact');
+      return { tasks: data.tasks.filter(t => t.contactId === contactId) };
+    },
+
+    // Conversations
+    'conversations_search-conversation'({ contactId, limit = 20 }) {
+      const conversations = data.conversations.filter(c => !contactId || c.contactId === contactId);
+      return { conversations: conversations.slice(0, Number(limit)), total: conversations.length };
+    },
+    'conversations_get-messages'({ conversationId, limit = 20, lastMessageId }) {
+      find('conversations', conversationId, 'Conversation');
+      const messages = data.messages.filter(m => m.conversationId === conversationId);
+      const { page, more, last } = pageAfter(messages, lastMessageId, Number(limit));
+      return { messages: { messages: page, lastMessageId: last, nextPage: more } };
+    },
+    'conversations_send-a-new-message'({ contactId, type = 'SMS', message }) {
+      requireArgs({ contactId, message }, 'contactId', 'message');
+      const contact = find('contacts', contactId, 'Contact');
+      const conversation = conversationFor(contactId);
+      const sent = {
+        id: newId('msg'),
+        conversationId: conversation.id,
+        contactId,
+        type,
+        direction: 'outbound',
+        body: message,
+        dateAdded: now(),
+      };
+      data.messages.push(sent);
+      conversation.dateUpdated = sent.dateAdded;
+      contact.lastActivity = sent.dateAdded;
+      return { conversationId: conversation.id, messageId: sent.id };
+    },
+
+    // Opportunities & pipelines
+    'opportunities_get-pipelines'() {
+      return { pipelines: data.pipelines };
+    },
+    'opportunities_search-opportunity'({ pipelineId, pipelineStageId, status, contactId, page = 1, limit = 20 }) {
+      const matches = data.opportunities.filter(o =>
+        (!pipelineId || o.pipelineId === pipelineId) &&
+        (!pipelineStageId || o.pipelineStageId === pipelineStageId) &&
+        (!status || o.status === status) &&
+        (!contactId || o.contactId === contactId));
+      const size = Number(limit);
+      const start = (Number(page) - 1) * size;
+      const more = start + size < matches.length;
+      return {
+        opportunities: matches.slice(start, start + size),
+        meta: { total: matches.length, currentPage: Number(page), nextPage: more ? Number(page) + 1 : null },
+      };
+    },
+    'opportunities_get-opportunity'({ id, opportunityId }) {
+      return { opportunity: find('opportunities', id || opportunityId, 'Opportunity') };
+    },
+    'opportunities_update-opportunity'({ id, opportunityId, stageId, pipelineStageId, ...fields }) {
+      const opportunity = find('opportunities', id || opportunityId, 'Opportunity');
+      const nextStage = stageId || pipelineStageId;
+      if (nextStage && nextStage !== opportunity.pipelineStageId) {
+        const pipeline = data.pipelines.find(p => p.id === opportunity.pipelineId);
+        if (pipeline && !pipeline.stages?.some(s => s.id === nextStage)) {
+          throw new FakeToolError(`Stage ${nextStage} is not in pipeline ${pipeline.id}`, 422);
+        }
+        opportunity.pipelineStageId = nextStage;
+        opportunity.lastStageChangeAt = now();
+      }
+      Object.assign(opportunity, fields, { updatedAt: now() });
+      return { opportunity };
+    },
+
+    // Location
+    'locations_get-location'() {
+      return { location: data.location };
+    },
+    'locations_get-custom-fields'() {
+      return { customFields: data.customFields };
+    },
+
+    // Calendars
+    'calendars_get-calendar-events'({ calendarId, startTime, endTime }) {
+      const events = data.calendarEvents.filter(e =>
+        (!calendarId || e.calendarId === calendarId) &&
+        (!startTime || e.startTime >= startTime) &&
+        (!endTime || e.startTime <= endTime));
+      return { events };
+    },
+    'calendars_get-appointment-notes'({ appointmentId }) {
+      return { notes: data.appointmentNotes.filter(n => n.appointmentId === appointmentId) };
+    },
+
+    // Payments
+    'payments_list-transactions'({ limit = 20, offset = 0 }) {
+      const start = Number(offset);
+      return { data: data.transactions.slice(start, start + Number(limit)), totalCount: data.transactions.length };
+    },
+    'payments_get-order-by-id'({ orderId }) {
+      return find('orders', orderId, 'Order');
+    },
+
+    // Emails
+    'emails_fetch-template'() {
+      return { templates: data.emailTemplates };
+    },
+    'emails_create-template'({ title, html = '' }) {
+      requireArgs({ title }, 'title');
+      const template = { id: newId('tpl'), name: title, html, dateAdded: now() };
+      data.emailTemplates.push(template);
+      return { id: template.id, template };
+    },
+
+    // Social media
+    'social-media-posting_get-account'() {
+      return { accounts: data.socialAccounts };
+    },
+    'social-media-posting_get-posts'({ limit = 20 }) {
+      return { posts: data.socialPosts.slice(0, Number(limit)), count: data.socialPosts.length };
+    },
+    'social-media-posting_get-post'({ postId }) {
+      return { post: find('socialPosts', postId, 'Post') };
+    },
+    'social-media-posting_create-post'({ summary, accountIds = [], scheduleDate }) {
+      requireArgs({ summary }, 'summary');
+      const post = { id: newId('post'), summary, accountIds, scheduleDate, status: scheduleDate ? 'scheduled' : 'published', createdAt: now() };
+      data.socialPosts.push(post);
+      return { post };
+    },
+    'social-media-posting_edit-post'({ postId, ...fields }) {
+      const post = find('socialPosts', postId, 'Post');
+      Object.assign(post, fields, { updatedAt: now() });
+      return { post };
+    },
+    'social-media-posting_get-social-media-statistics'() {
+      return {
+        totalPosts: data.socialPosts.length,
+        published: data.socialPosts.filter(p => p.status === 'published').length,
+        scheduled: data.socialPosts.filter(p => p.status === 'scheduled').length,
+      };
+    },
+
+    // Blogs
+    'blogs_get-blogs'() {
+      return { data: data.blogs };
+    },
+    'blogs_get-blog-post'({ blogId, limit = 20, offset = 0 }) {
+      const posts = data.blogPosts.filter(p => !blogId || p.blogId === blogId);
+      return { blogs: posts.slice(Number(offset), Number(offset) + Number(limit)) };
+    },
+    'blogs_create-blog-post'({ blogId, title, urlSlug, ...fields }) {
+      requireArgs({ blogId, title }, 'blogId', 'title');
+      const slug = urlSlug || title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+      if (data.blogPosts.some(p => p.urlSlug === slug)) throw new FakeToolError(`URL slug ${slug} already exists`, 409);
+      const post = { id: newId('blogpost'), blogId, title, urlSlug: slug, ...fields, status: fields.status || 'DRAFT', createdAt: now() };
+      data.blogPosts.push(post);
+      return { data: post };
+    },
+    'blogs_update-blog-post'({ postId, ...fields }) {
+      const post = find('blogPosts', postId, 'Blog post');
+      Object.assign(post, fields, { updatedAt: now() });
+      return { data: post };
+    },
+    'blogs_check-url-slug-exists'({ urlSlug }) {
+      return { exists: data.blogPosts.some(p => p.urlSlug === urlSlug) };
+    },
+    'blogs_get-all-categories-by-location'() {
+      return { categories: data.blogCategories };
+    },
+    'blogs_get-all-blog-authors-by-location'() {
+      return { authors: data.blogAuthors };
+    },
+  };
+
+  /** Read-only tools: anything else persists the store after running. */
+  const READ_PREFIXES = ['_get-', '_search-', '_fetch-', '_list-', '_check-'];
+
+  /**
+   * Run a tool against the store.
+   * @param {string} name
+   * @param {object} [args]
+   * @returns {object} Tool output
+   * @throws {FakeToolError}
+   */
+  function callTool(name, args = {}) {
+    const tool = tools[name];
+    if (!tool) throw new FakeToolError(`Unknown tool ${name}`, 404);
+    const result = tool(args);
+    if (!READ_PREFIXES.some(p => name.includes(p))) persist();
+    return result;
+  }
+
+  return {
+    tools,
+    callTool,
+    reset: () => { reset(); persist(); },
+    get data() { return data; },
+  };
+}
+
+export { createFakeStore, loadSeed, resolveSeedDates, FakeToolError };
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+
+/**
+ * GHL MCP Gateway
+ * Local MCP server fronting every configured GHL sub-account. Each location's
+ * tools are exposed under alias-prefixed names (main__contacts_get-contacts);
+ * tokens stay in the gateway's config, never in .mcp.json on developer laptops.
+ *
+ *   node gateway/ghl-gateway.js                     # HTTP on 127.0.0.1:3333/mcp
+ *   node gateway/ghl-gateway.js --stdio             # stdio for a local MCP client
+ *   node gateway/ghl-gateway.js --config config.json --port 4000
+ *   node gateway/ghl-gateway.js --metrics-port 9464   # also serve Prometheus metrics
+ */
+
+import { createServer } from 'node:http';
+import { createMcpClient } from '../shared/ghl-mcp-client.js';
+import { defaultMiddleware, dryRun, metrics } from '../shared/ghl-middleware.js';
+import { metricsRegistry, startMetricsServer } from '../shared/ghl-metrics.js';
+import { createMcpServer, createHttpHandler, serveStdio, RpcError, RPC_ERRORS } from '../shared/ghl-mcp-server.js';
+import { createToolCache, log } from '../shared/ghl-utils.js';
+import { resolveSecret, configureSecrets, secretOptions } from '../shared/ghl-secrets.js';
+import { loadConfigFile } from '../shared/ghl-config.js';
+import { createLocationLimiter } from '../shared/ghl-limiter-store.js';
+import { createScheduler } from '../shared/ghl-scheduler.js';
+import { McpError, McpToolError } from '../shared/ghl-errors.js';
+import { createCreditLedger, locationBudget, parseBudget } from '../shared/ghl-credits.js';
+import { loadLocationStore } from '../shared/ghl-location-store.js';
+
+/** Separates the location alias from the upstream tool name. */
+const TOOL_SEPARATOR = '__';
+
+const DEFAULT_TOOLS_TTL_MS = 3_600_000;
+const DEFAULT_PORT = 3333;
+const DEFAULT_HOST = '127.0.0.1';
+
+const SERVER_INFO = { name: 'ghl-mcp-gateway', version: '1.0.0' };
+
+/**
+ * Text-only tools/call error result, as an MCP client expects tool failures.
+ * @param {string} text
+ */
+function errorResult(text) {
+  return { content: [{ type: 'text', text }], isError: true };
+}
+
+/**
+ * Create a gateway over a set of locations.
+ * @param {object} locations - Location configs keyed by alias (config.json `locations`
+ *   or the encrypted store); each may set url, command/args, protocol_version, credit_budget
+ *   (a deprecated daily_credit_budget becomes credit_budget.daily), dry_run and
+ *   rate_limit ({ max_per_window, window_ms, max_per_day, shared })
+ * @param {object} [options]
+ * @param {Function} [options.createClient] - (location, clientConfig) => MCP client
+ *   (defaults to createMcpClient; tests pass in-memory transports through it)
+ * @param {number} [options.toolsTtlMs=3600000] - How long a location's tools/list is cached
+ * @param {object} [options.ledger] - Credit ledger (see ghl-credits.js); calls are recorded
+ *   with caller 'gateway' and held to each location's `credit_budget`
+ * @param {object} [options.metrics=metricsRegistry] - Metrics registry requests are recorded in
+ * @returns {object} { server, listTools, callTool, stats, close }
+ */
+function createGateway(locations, options = {}) {
+  const {
+    createClient = (_loc, clientConfig) => createMcpClient(clientConfig),
+    toolsTtlMs = DEFAULT_TOOLS_TTL_MS,
+    ledger,
+    metrics: registry = metricsRegistry,
+  } = options;
+  const toolCache = createToolCache(toolsTtlMs);
+  const upstreams = new Map();
+
+  for (const [alias, loc] of Object.entries(locations)) {
+    if (alias.includes(TOOL_SEPARATOR)) {
+      throw new Error(`Location alias '${alias}' must not contain '${TOOL_SEPARATOR}'`);
+    }
+    const limiter = createLocationLimiter(alias, loc.rate_limit);
+    const scheduler = createScheduler(limiter, { concurrency: loc.rate_limit?.concurrency });
+    const client = createClient(loc, {
+      token: resolveSecret(loc.token),
+      locationId: resolveSecret(loc.locationId),
+      url: loc.url,
+      command: loc.command,
+      args: loc.args,
+      protocolVersion: loc.protocol_version,
+      middleware: [
+        metrics({ registry, context: { location: alias } }),
+        ...(loc.dry_run ? [dryRun()] : []),
+        ...defaultMiddleware({
+          scheduler,
+          priority: 'interactive',
+          context: { location: alias },
+          ledger,
+          caller: 'gateway',
+          budget: locationBudget(loc),
+        }),
+      ],
+      onNotification: (message) => {
+        if (message.method === 'notifications/tools/list_changed') toolCache.invalidate(alias);
+      },
+    });
+    upstreams.set(alias, {
+      alias,
+      name: loc.name || alias,
+      client,
+      limiter,
+      scheduler,
+      budget: parseBudget(locationBudget(loc)),
+    });
+  }
+
+  /**
+   * A location's upstream tools, from cache when fresh.
+   * @returns {Promise<object[]>}
+   */
+  async function locationTools(upstream) {
+    const cached = toolCache.get(upstream.alias);
+    if (cached) return cached;
+
+    await upstream.client.ensureInitialized();
+    const tools = [];
+    for await (const tool of upstream.client.iterateTools()) tools.push(tool);
+    toolCache.set(upstream.alias, tools);
+    return tools;
+  }
+
+  /**
+   * Every location's tools under alias-prefixed names. A location that cannot
+   * be reached is left out (and logged) rather than failing the whole list.
+   * @returns {Promise<{tools: object[]}>}
+   */
+  async function listTools() {
+    const tools = [];
+    for (const upstream of upstreams.values()) {
+      try {
+        for (const tool of await locationTools(upstream)) {
+          tools.push({
+            ...tool,
+            name: `${upstream.alias}${TOOL_SEPARATOR}${tool.name}`,
+            description: `[${upstream.name}] ${tool.description || ''}`.trim(),
+          });
+        }
+      } catch (err) {
+        log('warn', 'Gateway could not list tools', {
+          location: upstream.alias,
+          category: err.category,
+          error: err.message,
+        });
+      }
+    }
+    return { tools };
+  }
+
+  /**
+   * Route a prefixed tools/call to its location.
+   * @param {{name: string, arguments?: object}} params
+   * @returns {Promise<object>} tools/call result
+   */
+  async function callTool(params) {
+    const name = String(params.name || '');
+    const at = name.indexOf(TOOL_SEPARATOR);
+    const upstream = at > 0 ? upstreams.get(name.slice(0, at)) : undefined;
+    if (!upstream) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name} (expected <location>${TOOL_SEPARATOR}<tool>)`);
+    }
+
+    const toolName = name.slice(at + TOOL_SEPARATOR.length);
+    const tools = await locationTools(upstream);
+    if (!tools.some(t => t.name === toolName)) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    try {
+      return await upstream.client.callTool(toolName, params.arguments || {});
+    } catch (err) {
+      if (err instanceof McpToolError) return err.result;
+      // Already logged by the client's middleware
+      if (err instanceof McpError) {
+        return errorResult(`${err.category}: ${err.message}`);
+      }
+      throw err;
+    }
+  }
+
+  const server = createMcpServer({
+    serverInfo: SERVER_INFO,
+    capabilities: { tools: { listChanged: false } },
+    instructions: `Tools are prefixed with a GHL location alias: ${[...upstreams.keys()].join(', ')}.`,
+    handlers: {
+      'tools/list': () => listTools(),
+      'tools/call': (params) => callTool(params),
+    },
+  });
+
+  /**
+   * Per-location rate limiter, scheduler queue and credit usage. Credits are the
+   * ledger's totals for today and this month (every process), null without a ledger.
+   */
+  function stats() {
+    const out = {};
+    for (const upstream of upstreams.values()) {
+      out[upstream.alias] = {
+        rateLimiter: upstream.limiter.stats(),
+        scheduler: upstream.scheduler.stats(),
+        credits: ledger ? {
+          day: ledger.used(upstream.alias, 'day'),
+          month: ledger.used(upstream.alias, 'month'),
+          daily: upstream.budget.daily,
+          monthly: upstream.budget.monthly,
+        } : null,
+      };
+    }
+    return out;
+  }
+
+  async function close() {
+    await Promise.allSettled([...upstreams.values()].map(u => u.client.close()));
+  }
+
+  return { server, listTools, callTool, stats, close };
+}
+
+/**
+ * Load gateway locations from a config.json (`--config`), validated and with its
+ * `secrets` settings applied, or from the encrypted store.
+ * @param {string} [configPath]
+ * @returns {object} Locations keyed by alias
+ */
+function loadGatewayLocations(configPath) {
+  if (configPath) {
+    const config = loadConfigFile(configPath);
+    configureSecrets(secretOptions(config.secrets));
+    return config.locations;
+  }
+
+  const password = process.env.GHL_ENCRYPTION_PASSWORD;
+  if (!password) {
+    throw new Error('GHL_ENCRYPTION_PASSWORD is not set (or pass --config <config.json>)');
+  }
+  return loadLocationStore(password);
+}
+
+// ─── CLI Entry Point ────────────────────────────────────────
+if (process.argv[1] && process.argv[1].includes('ghl-gateway')) {
+  const argv = process.argv.slice(2);
+  const flag = (name) => argv.find((a, i) => argv[i - 1] === name);
+  const useStdio = argv.includes('--stdio');
+  const port = Number(flag('--port') || DEFAULT_PORT);
+  const host = flag('--host') || DEFAULT_HOST;
+  const metricsPort = flag('--metrics-port');
+
+  let gateway;
+  try {
+    const locations = loadGatewayLocations(flag('--config'));
+    if (Object.keys(locations).length === 0) throw new Error('No locations configured');
+    gateway = createGateway(locations, { ledger: createCreditLedger() });
+  } catch (err) {
+    console.error('Gateway error:', err.message);
+    process.exit(1);
+  }
+
+  // Logs go to stderr, so stdout stays clean for the stdio transport
+  let stopServing;
+  if (useStdio) {
+    const stdio = serveStdio(gateway.server);
+    stopServing = async () => stdio.close();
+    stdio.closed.then(() => gateway.close());
+    log('info', 'Gateway serving over stdio', { locations: Object.keys(gateway.stats()) });
+  } else {
+    const http = createServer(createHttpHandler(gateway.server));
+    http.listen(port, host, () => {
+      log('info', 'Gateway listening', { url: `http://${host}:${port}/mcp`, locations: Object.keys(gateway.stats()) });
+    });
+    stopServing = () => new Promise((resolve) => {
+      http.close(resolve);
+      http.closeAllConnections();
+    });
+  }
+
+  // Prometheus scrape endpoint, on the gateway's host
+  let metricsServer;
+  if (metricsPort) {
+    try {
+      metricsServer = await startMetricsServer({ port: Number(metricsPort), host });
+      log('info', 'Metrics listening', { url: metricsServer.url });
+    } catch (err) {
+      log('error', 'Metrics server failed to start', { port: metricsPort, error: err.message });
+    }
+  }
+
+  for (const sig of ['SIGINT', 'SIGTERM']) {
+    process.once(sig, async () => {
+      await metricsServer?.close();
+      await stopServing();
+      await gateway.close();
+      process.exit(0);
+    });
+  }
+}
+
+export { createGateway, loadGatewayLocations, TOOL_SEPARATOR };
@@ -3,30 +3,196 @@
  * High-level operations for contact management, pipeline moves, and messaging.
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { createMcpClient } from '../shared/ghl-mcp-client.js';
-import { createRateLimiter, withRetry, log, resolveEnvValue } from '../shared/ghl-utils.js';
+import { log, getLocationBreaker } from '../shared/ghl-utils.js';
+import { resolveSecret } from '../shared/ghl-secrets.js';
+import { getLocationScheduler } from '../shared/ghl-scheduler.js';
+import { defaultMiddleware, dryRun, cache, metrics, DEFAULT_CACHED_TOOLS } from '../shared/ghl-middleware.js';
+import { metricsRegistry } from '../shared/ghl-metrics.js';
+import { locationBudget } from '../shared/ghl-credits.js';
+import { createLocationCacheStore } from '../shared/ghl-cache-store.js';
+import { decodeToolResult } from '../shared/ghl-content.js';
+
+/** MCP log levels (RFC 5424) mapped onto our logger's levels. */
+const LOG_LEVELS = {
+  debug: 'debug',
+  info: 'info',
+  notice: 'info',
+  warning: 'warn',
+  error: 'error',
+  critical: 'error',
+  alert: 'error',
+  emergency: 'error',
+};
+
+/** The caller withCaller() names for the calls made inside it. */
+const callerScope = new AsyncLocalStorage();
+
+/**
+ * Build a location's response cache from its `cache` config.
+ * @param {string} alias
+ * @param {object|false} [config] - { tools: { <tool>: { ttl_ms, stale_ms } }, max_entries,
+ *   max_bytes, persist }; false turns caching off
+ * @returns {Function|null} cache middleware
+ */
+function createLocationCache(alias, config = {}) {
+  if (config === false) return null;
+  const configured = Object.entries(config.tools || {})
+    .map(([name, policy]) => [name, { ttlMs: policy.ttl_ms, staleMs: policy.stale_ms }]);
+  return cache({
+    tools: { ...DEFAULT_CACHED_TOOLS, ...Object.fromEntries(configured) },
+    maxEntries: config.max_entries,
+    maxBytes: config.max_bytes,
+    store: config.persist ? createLocationCacheStore(alias, { maxEntries: config.max_entries }) : undefined,
+  });
+}
 
 /**
  * Create an action client for a location config.
+ * A location normally talks to GHL over HTTP; set `url` to point it at another
+ * Streamable HTTP endpoint, or `command`/`args` to run a local MCP server over stdio.
+ * Every request goes through the default middleware (failure logging, retry, rate
+ * limiting); with `dry_run: true` in the location config, write tools are not sent.
+ * Requests queue in the location's process-wide scheduler; `rate_limit` ({ max_per_window,
+ * window_ms, max_per_day, shared, concurrency }) tunes it, and `shared: true` shares the
+ * limiter with every other process on the host.
+ * While GHL is failing, the location's circuit breaker fails calls fast with
+ * McpCircuitOpenError; `circuit_breaker` ({ failure_rate, min_requests, window_ms,
+ * cooldown_ms }) tunes it.
+ * List methods and slow-changing read-only tools (pipelines, location settings) are
+ * cached, and cached results are dropped after writes that may change them; `cache`
+ * ({ tools, max_entries, max_bytes, persist }) tunes it, `persist: true` keeps the cache
+ * on disk between runs and `cache: false` turns it off.
+ * Calls, latency, retries, rate-limit waits, cache hits and credits are recorded in
+ * a metrics registry (see shared/ghl-metrics.js), labelled with the location.
  * @param {object} locationConfig - Location config from config.json
+ * @param {object} [options]
+ * @param {object} [options.transport] - Custom MCP transport (e.g. in-memory for tests)
+ * @param {Function} [options.fetch] - fetch implementation for the HTTP transport
+ * @param {Function} [options.onProgress] - (toolName, { progress, total, message }) => void
+ *   for long-running tool calls that report progress
+ * @param {AbortSignal} [options.signal] - Cancels every call made through these actions
+ *   (in-flight calls are cancelled on the server, retries stop)
+ * @param {Function[]} [options.middleware] - Extra middleware (e.g. auditing), run before
+ *   the defaults (see shared/ghl-middleware.js)
+ * @param {object} [options.ledger] - Credit ledger (see shared/ghl-credits.js); tool calls are
+ *   recorded and held to the location's `credit_budget`
+ * @param {string} [options.caller='actions'] - Recorded in the ledger and capped by
+ *   `rate_limit.concurrency` (e.g. 'monitor')
+ * @param {'interactive'|'normal'|'bulk'} [options.priority='interactive'] - Scheduler priority;
+ *   the monitor's scans run as 'bulk'
+ * @param {object} [options.metrics=metricsRegistry] - Metrics registry
  * @returns {object} Action functions bound to this location
  */
-function createActions(locationConfig) {
-  const token = resolveEnvValue(locationConfig.token);
-  const locationId = resolveEnvValue(locationConfig.locationId);
-  const client = createMcpClient({ token, locationId });
-  const limiter = createRateLimiter();
+function createActions(locationConfig, options = {}) {
+  const token = resolveSecret(locationConfig.token);
+  const locationId = resolveSecret(locationConfig.locationId);
+  const scheduler = getLocationScheduler(locationConfig.alias, locationConfig.rate_limit);
+  const breaker = getLocationBreaker(locationConfig.alias, locationConfig.circuit_breaker);
+  const { signal } = options;
+  const context = { location: locationConfig.alias };
+  const responseCache = createLocationCache(locationConfig.alias, locationConfig.cache);
+  const client = createMcpClient({
+    token,
+    locationId,
+    url: locationConfig.url,
+    command: locationConfig.command,
+    args: locationConfig.args,
+    transport: options.transport,
+    fetch: options.fetch,
+    middleware: [
+      metrics({ registry: options.metrics || metricsRegistry, context }),
+      ...(locationConfig.dry_run ? [dryRun()] : []),
+      ...(options.middleware || []),
+      ...(responseCache ? [responseCache] : []),
+      ...defaultMiddleware({
+        scheduler,
+        breaker,
+        priority: options.priority || 'interactive',
+        context,
+        ledger: options.ledger,
+        caller: options.caller || 'actions',
+        budget: locationBudget(locationConfig),
+      }),
+    ],
+    validateArguments: Boolean(locationConfig.validate_arguments),
+    // The catalog is reloaded through the cache, which must not hand back the old list
+    onNotification: (message) => {
+      if (message.method === 'notifications/tools/list_changed') responseCache?.invalidateMethod('tools/list');
+    },
+    protocolVersion: locationConfig.protocol_version,
+    onLog: ({ level, logger, data }) => log(LOG_LEVELS[level] || 'info', 'MCP server log', {
+      ...context,
+      logger,
+      data,
+    }),
+  });
+
+  function progressFor(toolName) {
+    if (!options.onProgress) return undefined;
+    return (progress) => options.onProgress(toolName, progress);
+  }
+
+  /**
+   * Call a tool, returning the raw MCP result (retried and rate limited by the middleware).
+   * @param {string} toolName
+   * @param {object} [args]
+   * @param {object} [callOptions]
+   * @param {AbortSignal} [callOptions.signal] - Defaults to the actions' signal
+   */
+  function callRaw(toolName, args = {}, callOptions = {}) {
+    return client.callTool(toolName, args, {
+      onProgress: progressFor(toolName),
+      signal: callOptions.signal || signal,
+      caller: callerScope.getStore(),
+    });
+  }
+
+  /**
+   * Run fn with every tool call it makes through these actions recorded in the
+   * credit ledger under `caller` (e.g. 'monitor.stale_leads') instead of options.caller.
+   * The scheduler still caps them as options.caller.
+   * @param {string} caller
+   * @param {Function} fn
+   * @returns {Promise<*>} fn's result
+   */
+  function withCaller(caller, fn) {
+    return callerScope.run(caller, fn);
+  }
 
+  /**
+   * Call a tool and return its decoded data (see shared/ghl-content.js).
+   */
   async function call(toolName, args = {}) {
-    await limiter.acquire();
-    return withRetry(() => client.callTool(toolName, args));
+    return decodeToolResult(await callRaw(toolName, args), {
+      toolName,
+      preferStructured: client.features.structuredOutput,
+    });
+  }
+
+  /**
+   * Iterate a list-style tool across pages; each page is rate limited and retried.
+   * @param {string} toolName
+   * @param {object} [args]
+   * @param {object} [options] - See client.paginate (maxItems, pageSize, ...)
+   * @returns {AsyncGenerator<object>}
+   */
+  async function* paginate(toolName, args = {}, options = {}) {
+    await ensureInitialized();
+    yield* client.paginate(toolName, args, { signal, ...options, callTool: callRaw });
   }
 
+  // Concurrent calls (the monitor runs its checks at once) share one handshake, so
+  // one MCP session is opened and close() ends it
+  let initializing = null;
+
   async function ensureInitialized() {
-    if (!client.initialized) {
-      await client.initialize();
-      log('info', 'MCP client initialized', { location: locationConfig.alias });
-    }
+    if (client.initialized) return;
+    initializing ||= breaker.exec(() => client.ensureInitialized())
+      .then(() => log('info', 'MCP client initialized', context))
+      .finally(() => { initializing = null; });
+    await initializing;
   }
 
   // ─── Contact Operations ───────────────────────────────────
@@ -39,6 +205,11 @@ function createActions(locationConfig) {
     return call('contacts_get-contacts', args);
   }
 
+  function iterateContacts(query, options = {}) {
+    log('info', 'Iterating contacts', { query, maxItems: options.maxItems });
+    return paginate('contacts_get-contacts', { query }, options);
+  }
+
   async function getContactDetails(contactId) {
     await ensureInitialized();
     log('info', 'Getting contact details', { contactId });
@@ -89,10 +260,7 @@ function createActions(locationConfig) {
   async function getConversationHistory(contactId, options = {}) {
     await ensureInitialized();
     log('info', 'Getting conversation history', { contactId });
-    const convResult = await call('conversations_search-conversation', { contactId });
-    const conversations = convResult?.content?.[0]?.text
-      ? JSON.parse(convResult.content[0].text)
-      : convResult;
+    const conversations = await call('conversations_search-conversation', { contactId });
 
     if (conversations?.conversations?.length > 0) {
       const conversationId = conversations.conversations[0].id;
@@ -124,6 +292,11 @@ function createActions(locationConfig) {
     return call('opportunities_search-opportunity', options);
   }
 
+  function iterateOpportunities(filters = {}, options = {}) {
+    log('info', 'Iterating opportunities', { ...filters, maxItems: options.maxItems });
+    return paginate('opportunities_search-opportunity', filters, options);
+  }
+
   async function moveOpportunity(opportunityId, stageId, options = {}) {
     await ensureInitialized();
     log('info', 'Moving opportunity', { opportunityId, stageId });
@@ -136,22 +309,19 @@ function createActions(locationConfig) {
 
   async function getPipelineOverview(pipelineId) {
     await ensureInitialized();
-    const pipelines = await getPipelines();
-    const pipelinesData = pipelines?.content?.[0]?.text
-      ? JSON.parse(pipelines.content[0].text)
-      : pipelines;
+    const pipelinesData = await getPipelines();
 
     const pipeline = pipelinesData?.pipelines?.find(p => p.id === pipelineId) || pipelinesData?.pipelines?.[0];
     if (!pipeline) return { error: 'No pipeline found' };
 
-    const opps = await searchOpportunities({ pipelineId: pipeline.id });
-    const oppsData = opps?.content?.[0]?.text
-      ? JSON.parse(opps.content[0].text)
-      : opps;
+    const opportunities = [];
+    for await (const opp of iterateOpportunities({ pipelineId: pipeline.id })) {
+      opportunities.push(opp);
+    }
 
     const stages = {};
     for (const stage of (pipeline.stages || [])) {
-      const stageOpps = (oppsData?.opportunities || []).filter(o => o.pipelineStageId === stage.id);
+      const stageOpps = opportunities.filter(o => o.pipelineStageId === stage.id);
       stages[stage.name] = {
         id: stage.id,
         count: stageOpps.length,
@@ -162,7 +332,7 @@ function createActions(locationConfig) {
     return {
       pipeline: pipeline.name,
       pipelineId: pipeline.id,
-      totalOpportunities: oppsData?.opportunities?.length || 0,
+      totalOpportunities: opportunities.length,
       stages,
     };
   }
@@ -170,11 +340,13 @@ function createActions(locationConfig) {
   // ─── Lifecycle ────────────────────────────────────────────
 
   async function close() {
+    await responseCache?.settle();
     await client.close();
   }
 
   return {
     searchContacts,
+    iterateContacts,
     getContactDetails,
     upsertContact,
     tagContacts,
@@ -184,10 +356,16 @@ function createActions(locationConfig) {
     sendMessage,
     getPipelines,
     searchOpportunities,
+    iterateOpportunities,
     moveOpportunity,
     getPipelineOverview,
+    paginate,
+    withCaller,
     close,
-    get rateLimiterStats() { return limiter.stats(); },
+    get rateLimiterStats() { return scheduler.limiter.stats(); },
+    get schedulerStats() { return scheduler.stats(); },
+    get circuitStats() { return breaker.stats(); },
+    get cacheStats() { return responseCache?.stats() ?? null; },
   };
 }
 
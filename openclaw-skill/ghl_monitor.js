@@ -5,21 +5,46 @@
  */
 
 import { createActions } from './ghl_actions.js';
-import { log, timeAgo, resolveEnvValue } from '../shared/ghl-utils.js';
-import { readFileSync } from 'node:fs';
+import { log, timeAgo, configureLogger } from '../shared/ghl-utils.js';
+import { configureSecrets, secretOptions } from '../shared/ghl-secrets.js';
+import { McpCancelledError, McpCircuitOpenError } from '../shared/ghl-errors.js';
+import { createCreditLedger } from '../shared/ghl-credits.js';
+import { metricsRegistry, writeMetricsFile } from '../shared/ghl-metrics.js';
+import { loadConfigFile } from '../shared/ghl-config.js';
+import { getBusinessCalendar } from '../shared/ghl-business-time.js';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 /**
- * Load location config, resolving ENV: prefixed values.
+ * Load config.json, checked against its schema with defaults filled in (see
+ * shared/ghl-config.js); secret references in it are resolved when used.
  * @param {string} [configPath]
+ * @param {object} [options]
+ * @param {string} [options.location] - Alias that must be configured
  * @returns {object}
+ * @throws {ConfigError} When the config is invalid, listing every problem by path
  */
-function loadConfig(configPath) {
-  const path = configPath || join(__dirname, 'config.json');
-  return JSON.parse(readFileSync(path, 'utf8'));
+function loadConfig(configPath, options = {}) {
+  return loadConfigFile(configPath || join(__dirname, 'config.json'), options);
+}
+
+/**
+ * The business calendar a threshold is measured on, or null for wall-clock time.
+ * `thresholds.clock` picks 'wall' (default) or 'business' per threshold; business
+ * time follows the location's `business_hours`.
+ * @param {object} config - Location config
+ * @param {string} threshold - e.g. 'stale_lead_hours'
+ * @returns {object|null}
+ * @throws {Error} When business time is asked for without business_hours.timezone
+ */
+function calendarFor(config, threshold) {
+  if (config.thresholds?.clock?.[threshold] !== 'business') return null;
+  if (!config.business_hours?.timezone) {
+    throw new Error(`thresholds.clock.${threshold} is 'business' but business_hours.timezone is not set`);
+  }
+  return getBusinessCalendar(config.business_hours);
 }
 
 /**
@@ -27,26 +52,28 @@ function loadConfig(configPath) {
  */
 async function checkStaleLeads(actions, config) {
   const threshold = config.thresholds?.stale_lead_hours || 48;
-  const cutoff = new Date(Date.now() - threshold * 3600_000).toISOString();
+  const maxContacts = config.thresholds?.max_contacts_scanned || 5000;
+  const calendar = calendarFor(config, 'stale_lead_hours');
+  const cutoff = (calendar
+    ? calendar.subtract(Date.now(), threshold * 3600_000)
+    : new Date(Date.now() - threshold * 3600_000)).toISOString();
 
-  log('info', 'Checking stale leads', { threshold, cutoff });
+  log('info', 'Checking stale leads', { threshold, cutoff, maxContacts, clock: calendar ? 'business' : 'wall' });
 
-  const result = await actions.searchContacts('', { limit: 100 });
-  const contacts = parseContent(result);
-
-  const stale = (contacts?.contacts || []).filter(c => {
+  const stale = [];
+  for await (const c of actions.iterateContacts('', { maxItems: maxContacts })) {
     const lastActivity = c.lastActivity || c.dateUpdated || c.dateAdded;
-    return lastActivity && new Date(lastActivity) < new Date(cutoff);
-  });
+    if (lastActivity && new Date(lastActivity) < new Date(cutoff)) stale.push(c);
+  }
 
   return {
     check: 'stale_leads',
     count: stale.length,
-    threshold: `${threshold}h`,
+    threshold: `${threshold}h${calendar ? ' (business)' : ''}`,
     items: stale.slice(0, 10).map(c => ({
       id: c.id,
       name: `${c.firstName || ''} ${c.lastName || ''}`.trim() || c.email || c.phone,
-      lastActivity: timeAgo(c.lastActivity || c.dateUpdated || c.dateAdded),
+      lastActivity: timeAgo(c.lastActivity || c.dateUpdated || c.dateAdded, calendar),
       tags: c.tags || [],
     })),
     hasMore: stale.length > 10,
@@ -57,19 +84,18 @@ async function checkStaleLeads(actions, config) {
  * Check for missed follow-ups — overdue tasks.
  */
 async function checkMissedFollowups(actions, config) {
-  log('info', 'Checking missed follow-ups');
+  const calendar = calendarFor(config, 'missed_followups');
+  log('info', 'Checking missed follow-ups', { clock: calendar ? 'business' : 'wall' });
 
   // Get contacts then check tasks
-  const result = await actions.searchContacts('', { limit: 50 });
-  const contacts = parseContent(result);
+  const contacts = await actions.searchContacts('', { limit: 50 });
 
   const overdue = [];
   const now = new Date();
 
   for (const contact of (contacts?.contacts || []).slice(0, 20)) {
     try {
-      const tasks = await actions.getContactTasks(contact.id);
-      const tasksData = parseContent(tasks);
+      const tasksData = await actions.getContactTasks(contact.id);
 
       for (const task of (tasksData?.tasks || [])) {
         if (task.dueDate && new Date(task.dueDate) < now && !task.completed) {
@@ -77,12 +103,13 @@ async function checkMissedFollowups(actions, config) {
             contactId: contact.id,
             contactName: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
             taskTitle: task.title || task.body,
-            dueDate: timeAgo(task.dueDate),
+            dueDate: timeAgo(task.dueDate, calendar),
           });
         }
       }
-    } catch {
-      // Skip contacts with task fetch errors
+    } catch (err) {
+      // Skip contacts whose tasks can't be fetched; abort on auth/outage errors
+      if (!isContactScopedError(err)) throw err;
     }
   }
 
@@ -99,21 +126,19 @@ async function checkMissedFollowups(actions, config) {
  */
 async function checkPipelineBottlenecks(actions, config) {
   const stuckDays = config.thresholds?.stuck_opportunity_days || 7;
-  const cutoff = new Date(Date.now() - stuckDays * 86_400_000);
+  // In business time a day is an open day, so weekends and holidays don't count
+  const calendar = calendarFor(config, 'stuck_opportunity_days');
+  const cutoff = calendar ? calendar.subtractDays(Date.now(), stuckDays) : new Date(Date.now() - stuckDays * 86_400_000);
 
-  log('info', 'Checking pipeline bottlenecks', { stuckDays });
+  log('info', 'Checking pipeline bottlenecks', { stuckDays, clock: calendar ? 'business' : 'wall' });
 
-  const pipelinesResult = await actions.getPipelines();
-  const pipelinesData = parseContent(pipelinesResult);
+  const pipelinesData = await actions.getPipelines();
 
   const bottlenecks = [];
 
   for (const pipeline of (pipelinesData?.pipelines || []).slice(0, 3)) {
-    const oppsResult = await actions.searchOpportunities({ pipelineId: pipeline.id });
-    const oppsData = parseContent(oppsResult);
-
     const stageGroups = {};
-    for (const opp of (oppsData?.opportunities || [])) {
+    for await (const opp of actions.iterateOpportunities({ pipelineId: pipeline.id })) {
       const stageDate = opp.lastStageChangeAt || opp.updatedAt || opp.createdAt;
       if (stageDate && new Date(stageDate) < cutoff) {
         const stageName = pipeline.stages?.find(s => s.id === opp.pipelineStageId)?.name || opp.pipelineStageId;
@@ -122,7 +147,7 @@ async function checkPipelineBottlenecks(actions, config) {
           id: opp.id,
           name: opp.name || opp.contactName,
           value: opp.monetaryValue,
-          stuckSince: timeAgo(stageDate),
+          stageDate,
         });
       }
     }
@@ -134,7 +159,8 @@ async function checkPipelineBottlenecks(actions, config) {
           stage,
           count: opps.length,
           totalValue: opps.reduce((sum, o) => sum + (o.value || 0), 0),
-          items: opps.slice(0, 5),
+          // Only the items shown get an age: business time is costly to count
+          items: opps.slice(0, 5).map(({ stageDate, ...item }) => ({ ...item, stuckSince: timeAgo(stageDate, calendar) })),
         });
       }
     }
@@ -143,7 +169,7 @@ async function checkPipelineBottlenecks(actions, config) {
   return {
     check: 'pipeline_bottlenecks',
     count: bottlenecks.reduce((sum, b) => sum + b.count, 0),
-    threshold: `${stuckDays}d`,
+    threshold: `${stuckDays}d${calendar ? ' (business)' : ''}`,
     bottlenecks,
   };
 }
@@ -153,20 +179,21 @@ async function checkPipelineBottlenecks(actions, config) {
  */
 async function checkSlowResponses(actions, config) {
   const thresholdMin = config.thresholds?.slow_response_minutes || 30;
+  const calendar = calendarFor(config, 'slow_response_minutes');
+  const label = `${thresholdMin}m${calendar ? ' (business)' : ''}`;
 
-  log('info', 'Checking slow responses', { thresholdMin });
+  log('info', 'Checking slow responses', { thresholdMin, clock: calendar ? 'business' : 'wall' });
 
-  const result = await actions.searchContacts('', { limit: 30 });
-  const contacts = parseContent(result);
+  const contacts = await actions.searchContacts('', { limit: 30 });
 
   const slow = [];
 
   for (const contact of (contacts?.contacts || []).slice(0, 15)) {
     try {
-      const history = await actions.getConversationHistory(contact.id, { limit: 5 });
-      const messages = parseContent(history);
+      const messages = await actions.getConversationHistory(contact.id, { limit: 5 });
 
-      const msgList = messages?.messages || [];
+      // GHL nests the list as { messages: { messages: [...], lastMessageId } }
+      const msgList = Array.isArray(messages?.messages) ? messages.messages : messages?.messages?.messages || [];
       if (msgList.length < 2) continue;
 
       // Find first inbound and first outbound
@@ -175,57 +202,83 @@ async function checkSlowResponses(actions, config) {
         new Date(m.dateAdded) > new Date(firstInbound.dateAdded));
 
       if (firstInbound && firstOutbound) {
-        const responseMs = new Date(firstOutbound.dateAdded) - new Date(firstInbound.dateAdded);
+        const responseMs = calendar
+          ? calendar.between(firstInbound.dateAdded, firstOutbound.dateAdded)
+          : new Date(firstOutbound.dateAdded) - new Date(firstInbound.dateAdded);
         const responseMin = responseMs / 60_000;
         if (responseMin > thresholdMin) {
           slow.push({
             contactId: contact.id,
             contactName: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
             responseTime: `${Math.round(responseMin)}m`,
-            threshold: `${thresholdMin}m`,
+            threshold: label,
           });
         }
       }
-    } catch {
-      // Skip
+    } catch (err) {
+      if (!isContactScopedError(err)) throw err;
     }
   }
 
   return {
     check: 'slow_responses',
     count: slow.length,
-    threshold: `${thresholdMin}m`,
+    threshold: label,
     items: slow.slice(0, 10),
   };
 }
 
 /**
  * Run all monitoring checks and return a formatted summary.
+ * @param {object} config - Full config.json
+ * @param {string} [locationAlias]
+ * @param {object} [options] - Passed to createActions (e.g. transport, signal, metrics)
+ * @param {AbortSignal} [options.signal] - Cancel the run; in-flight calls are cancelled,
+ *   the session is closed and McpCancelledError is thrown instead of a partial summary
+ * When the location's circuit breaker opens during the run, the remaining checks fail
+ * fast and `results.unavailable` ({ error, retryInMs }) is set.
+ * Each check runs in a span (`monitor.<check>`) recorded in the metrics registry.
  */
-async function runAllChecks(config, locationAlias = 'main') {
+async function runAllChecks(config, locationAlias = 'main', options = {}) {
   const locationConfig = config.locations?.[locationAlias];
   if (!locationConfig) throw new Error(`Location '${locationAlias}' not found in config`);
 
-  const actions = createActions(locationConfig);
+  const actions = createActions(locationConfig, options);
+  const registry = options.metrics || metricsRegistry;
+  // Each check's calls are recorded in the credit ledger as '<caller>.<check>'
+  const caller = options.caller || 'monitor';
+  const traced = (check, run) => registry.withSpan(`monitor.${check}`, { location: locationAlias },
+    () => actions.withCaller(`${caller}.${check}`, () => run(actions, locationConfig)));
 
   try {
     const [stale, followups, bottlenecks, responses] = await Promise.allSettled([
-      checkStaleLeads(actions, locationConfig),
-      checkMissedFollowups(actions, locationConfig),
-      checkPipelineBottlenecks(actions, locationConfig),
-      checkSlowResponses(actions, locationConfig),
+      traced('stale_leads', checkStaleLeads),
+      traced('missed_followups', checkMissedFollowups),
+      traced('pipeline_bottlenecks', checkPipelineBottlenecks),
+      traced('slow_responses', checkSlowResponses),
     ]);
 
+    if (options.signal?.aborted) throw new McpCancelledError('monitor run', options.signal.reason);
+
+    const settle = (check, outcome) => outcome.status === 'fulfilled'
+      ? outcome.value
+      : { check, error: outcome.reason?.message, category: outcome.reason?.category };
+
+    const outage = [stale, followups, bottlenecks, responses]
+      .map(outcome => outcome.reason)
+      .find(reason => reason instanceof McpCircuitOpenError);
+
     const results = {
       timestamp: new Date().toISOString(),
       location: locationConfig.name,
       checks: {
-        staleLeads: stale.status === 'fulfilled' ? stale.value : { check: 'stale_leads', error: stale.reason?.message },
-        missedFollowups: followups.status === 'fulfilled' ? followups.value : { check: 'missed_followups', error: followups.reason?.message },
-        pipelineBottlenecks: bottlenecks.status === 'fulfilled' ? bottlenecks.value : { check: 'pipeline_bottlenecks', error: bottlenecks.reason?.message },
-        slowResponses: responses.status === 'fulfilled' ? responses.value : { check: 'slow_responses', error: responses.reason?.message },
+        staleLeads: settle('stale_leads', stale),
+        missedFollowups: settle('missed_followups', followups),
+        pipelineBottlenecks: settle('pipeline_bottlenecks', bottlenecks),
+        slowResponses: settle('slow_responses', responses),
       },
     };
+    if (outage) results.unavailable = { error: outage.message, retryInMs: outage.retryInMs };
 
     results.summary = formatSummary(results);
     return results;
@@ -236,12 +289,14 @@ async function runAllChecks(config, locationAlias = 'main') {
 
 /**
  * Format check results into a human-readable summary for Telegram.
+ * While GHL is unavailable, the failed checks are reported as one line.
  */
 function formatSummary(results) {
-  const { checks } = results;
+  const { checks, unavailable } = results;
   const lines = [`📊 GHL Monitor — ${results.location}`, `🕐 ${new Date(results.timestamp).toLocaleString()}`, ''];
 
   const add = (emoji, label, check) => {
+    if (check.error && unavailable) return;
     if (check.error) {
       lines.push(`${emoji} ${label}: ⚠️ Error — ${check.error}`);
     } else if (check.count === 0) {
@@ -256,43 +311,78 @@ function formatSummary(results) {
   add('🔴', 'Pipeline Bottlenecks', checks.pipelineBottlenecks);
   add('⏱️', 'Slow Responses', checks.slowResponses);
 
+  if (unavailable) {
+    const skipped = Object.values(checks).filter(c => c.error).length;
+    const retryIn = Math.ceil((unavailable.retryInMs || 0) / 1000);
+    lines.push(`🚫 GHL unavailable — ${skipped} check${skipped === 1 ? '' : 's'} skipped, next try in ${retryIn}s`);
+  }
+
   const totalIssues = Object.values(checks).reduce((sum, c) => sum + (c.count || 0), 0);
   lines.push('');
-  lines.push(totalIssues === 0 ? '✅ All clear — no issues detected.' : `⚠️ ${totalIssues} total issues need attention.`);
+  if (totalIssues > 0) lines.push(`⚠️ ${totalIssues} total issues need attention.`);
+  else if (!unavailable) lines.push('✅ All clear — no issues detected.');
 
   return lines.join('\n');
 }
 
 /**
- * Parse MCP content response — handles both direct JSON and MCP text content format.
+ * Whether a per-contact failure only affects that contact (bad data, tool error)
+ * rather than the whole run (auth, rate limit, outage).
  */
-function parseContent(result) {
-  if (!result) return {};
-  if (result.content?.[0]?.text) {
-    try { return JSON.parse(result.content[0].text); } catch { return result; }
-  }
-  return result;
+function isContactScopedError(err) {
+  return err?.category === 'tool' || err?.category === 'invalid_arguments';
 }
 
 // ─── CLI Entry Point ────────────────────────────────────────
 if (process.argv[1] && process.argv[1].includes('ghl_monitor')) {
   const dryRun = process.argv.includes('--dry-run');
   const alias = process.argv.find((a, i) => process.argv[i - 1] === '--location') || 'main';
+  const configPath = process.argv.find((a, i) => process.argv[i - 1] === '--config');
 
   if (dryRun) {
     console.log('🔍 Dry run — would run all checks for location:', alias);
     console.log('Checks: stale_leads, missed_followups, pipeline_bottlenecks, slow_responses');
-    console.log('Config path:', join(__dirname, 'config.json'));
+    console.log('Config path:', configPath || join(__dirname, 'config.json'));
     process.exit(0);
   }
 
+  // Cron and OpenClaw stop runs with SIGTERM; cancel in-flight calls and close the session
+  const controller = new AbortController();
+  const exitCodes = { SIGINT: 130, SIGTERM: 143 };
+  let stoppedBy = null;
+  for (const sig of Object.keys(exitCodes)) {
+    process.once(sig, () => {
+      stoppedBy = sig;
+      controller.abort(`received ${sig}`);
+    });
+  }
+
   try {
-    const config = loadConfig();
-    const results = await runAllChecks(config, alias);
+    const config = loadConfig(configPath, { location: alias });
+    // config.json `logging`: { level, redact_fields } (custom fields holding PII)
+    configureLogger({ level: config.logging?.level, fields: config.logging?.redact_fields });
+    configureSecrets(secretOptions(config.secrets));
+    const results = await runAllChecks(config, alias, {
+      signal: controller.signal,
+      ledger: createCreditLedger(),
+      caller: 'monitor',
+      priority: 'bulk',
+    });
     console.log(results.summary);
     console.log('\n--- Raw Results ---');
     console.log(JSON.stringify(results.checks, null, 2));
+    // For node_exporter's textfile collector (e.g. /var/lib/node_exporter/textfile/ghl.prom)
+    const metricsFile = process.env.GHL_METRICS_TEXTFILE || config.metrics?.textfile;
+    if (metricsFile) {
+      metricsRegistry.gauge('ghl_monitor_last_run_timestamp_seconds', 'When the monitor last finished a run')
+        .set({ location: alias }, Math.floor(Date.now() / 1000));
+      writeMetricsFile(metricsFile);
+    }
   } catch (err) {
+    if (err instanceof McpCancelledError) {
+      console.error('Monitor cancelled:', err.reason);
+      process.exit(exitCodes[stoppedBy] || 1);
+    }
     console.error('Monitor error:', err.message);
     process.exit(1);
   }
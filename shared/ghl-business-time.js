@@ -0,0 +1,243 @@
+/**
+ * Business-time arithmetic for a location's timezone, opening hours and holidays.
+ * A lead that arrives Friday at 6 PM has waited no business time by Sunday
+ * morning; a reply at 2 AM to a message from 1 AM took no business minutes.
+ *
+ * Calendars use IANA time zones through Intl (zero deps). Days are walked in the
+ * location's local calendar, so DST changes shorten or lengthen a day's hours
+ * the way they do on the wall clock.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** Monday to Friday, 9 to 5. */
+const DEFAULT_HOURS = { mon: '09:00-17:00', tue: '09:00-17:00', wed: '09:00-17:00', thu: '09:00-17:00', fri: '09:00-17:00' };
+
+const DAY_MS = 86_400_000;
+const WEEK_MS = 7 * DAY_MS;
+
+const formatters = new Map();
+
+function formatterFor(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * @param {string} timezone
+ * @returns {boolean} Whether Intl knows the IANA time zone
+ */
+function isValidTimezone(timezone) {
+  try {
+    formatterFor(timezone);
+    return true;
+  } catch {
+    formatters.delete(timezone);
+    return false;
+  }
+}
+
+/**
+ * Local wall-clock fields of an instant in a time zone.
+ * @param {number} ms
+ * @param {string} timezone
+ * @returns {object} { year, month, day, hour, minute, second }
+ */
+function zonedParts(ms, timezone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timezone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/** Offset of a time zone from UTC at an instant, in ms. */
+function offsetAt(ms, timezone) {
+  const p = zonedParts(ms, timezone);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * The instant a local wall-clock time occurs in a time zone. A time repeated by
+ * a DST change resolves to its first occurrence; a time skipped by one resolves
+ * to the instant after the gap.
+ * @param {number} civilMs - The local time as if it were UTC (Date.UTC(...))
+ * @param {string} timezone
+ * @returns {number}
+ */
+function zonedToInstant(civilMs, timezone) {
+  // Offsets a day either side cover any change near this time
+  const candidates = [offsetAt(civilMs - DAY_MS, timezone), offsetAt(civilMs + DAY_MS, timezone)].map(o => civilMs - o);
+  const valid = candidates.filter(ms => ms + offsetAt(ms, timezone) === civilMs);
+  return valid.length > 0 ? Math.min(...valid) : Math.max(...candidates);
+}
+
+/** "HH:MM-HH:MM" as [openMinutes, closeMinutes]; null for a closed day. */
+function parseHours(range, day) {
+  if (range === null || range === undefined || range === '') return null;
+  const match = String(range).match(/^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]|24):([0-5]\d)$/);
+  if (!match) throw new Error(`Invalid business hours for ${day}: '${range}' (expected HH:MM-HH:MM)`);
+  const open = Number(match[1]) * 60 + Number(match[2]);
+  const close = Number(match[3]) * 60 + Number(match[4]);
+  if (close <= open || close > 24 * 60) throw new Error(`Invalid business hours for ${day}: '${range}' closes before it opens`);
+  return [open, close];
+}
+
+/**
+ * Create a business calendar.
+ * @param {object} [options] - A location's `business_hours` config
+ * @param {string} [options.timezone='UTC'] - IANA time zone, e.g. 'America/New_York'
+ * @param {object} [options.hours] - Weekday ('mon'..'sun') to 'HH:MM-HH:MM'; missing or
+ *   null days are closed (default Monday to Friday, 09:00-17:00)
+ * @param {string[]} [options.holidays=[]] - Closed dates: 'YYYY-MM-DD' once, 'MM-DD' every year
+ * @returns {object} { isOpen, between, subtract, subtractDays, timezone }
+ */
+function createBusinessCalendar(options = {}) {
+  const { timezone = 'UTC', hours = DEFAULT_HOURS, holidays = [] } = options;
+  if (!isValidTimezone(timezone)) throw new Error(`Unknown time zone '${timezone}'`);
+
+  const unknown = Object.keys(hours).filter(day => !WEEKDAYS.includes(day));
+  if (unknown.length > 0) throw new Error(`Unknown weekday in business hours: ${unknown.join(', ')} (use ${WEEKDAYS.join(', ')})`);
+  const week = WEEKDAYS.map(day => parseHours(hours[day], day));
+  if (week.every(h => h === null)) throw new Error('Business hours must open on at least one weekday');
+  const closedDates = new Set(holidays);
+  const weekOpenMs = week.reduce((sum, range) => sum + (range ? (range[1] - range[0]) * 60_000 : 0), 0);
+
+  /** Local date (as a UTC midnight) of an instant. */
+  function civilDay(ms) {
+    const p = zonedParts(ms, timezone);
+    return Date.UTC(p.year, p.month - 1, p.day);
+  }
+
+  /** Opening interval [open, close) of a local day, as instants; null when closed. */
+  function openInterval(day) {
+    const iso = new Date(day).toISOString().slice(0, 10);
+    if (closedDates.has(iso) || closedDates.has(iso.slice(5))) return null;
+    const range = week[new Date(day).getUTCDay()];
+    if (!range) return null;
+    return [zonedToInstant(day + range[0] * 60_000, timezone), zonedToInstant(day + range[1] * 60_000, timezone)];
+  }
+
+  /**
+   * Whether the week from a local day holds exactly weekOpenMs of business time:
+   * no holiday in it and no UTC offset change (checked a day either side).
+   */
+  function isPlainWeek(day) {
+    for (let d = day; d < day + WEEK_MS; d += DAY_MS) {
+      const iso = new Date(d).toISOString().slice(0, 10);
+      if (closedDates.has(iso) || closedDates.has(iso.slice(5))) return false;
+    }
+    return offsetAt(day - DAY_MS, timezone) === offsetAt(day + WEEK_MS + DAY_MS, timezone);
+  }
+
+  /**
+   * @param {Date|string|number} date
+   * @returns {boolean} Whether the location is open at that instant
+   */
+  function isOpen(date) {
+    const ms = new Date(date).getTime();
+    const interval = openInterval(civilDay(ms));
+    return Boolean(interval) && ms >= interval[0] && ms < interval[1];
+  }
+
+  /**
+   * Business time from start to end (negative when end is earlier).
+   * @param {Date|string|number} start
+   * @param {Date|string|number} end
+   * @returns {number} ms
+   */
+  function between(start, end) {
+    const from = new Date(start).getTime();
+    const to = new Date(end).getTime();
+    if (to < from) return -between(end, start);
+
+    let total = 0;
+    const first = civilDay(from);
+    const last = civilDay(to);
+    for (let day = first; day <= last;) {
+      // Whole weeks between the first and last day count without walking their days
+      if (day > first && day + WEEK_MS <= last && isPlainWeek(day)) {
+        total += weekOpenMs;
+        day += WEEK_MS;
+        continue;
+      }
+      const interval = openInterval(day);
+      if (interval) total += Math.max(0, Math.min(to, interval[1]) - Math.max(from, interval[0]));
+      day += DAY_MS;
+    }
+    return total;
+  }
+
+  /**
+   * The latest instant that lies `ms` of business time before end.
+   * @param {Date|string|number} end
+   * @param {number} ms
+   * @returns {Date}
+   */
+  function subtract(end, ms) {
+    const to = new Date(end).getTime();
+    let remaining = ms;
+    for (let day = civilDay(to); ; day -= DAY_MS) {
+      const interval = openInterval(day);
+      if (!interval) continue;
+      const close = Math.min(to, interval[1]);
+      const available = close - interval[0];
+      if (available <= 0) continue;
+      if (available >= remaining) return new Date(close - remaining);
+      remaining -= available;
+    }
+  }
+
+  /**
+   * The same local time of day, `days` business days (open days) before end.
+   * @param {Date|string|number} end
+   * @param {number} days
+   * @returns {Date}
+   */
+  function subtractDays(end, days) {
+    const to = new Date(end).getTime();
+    const today = civilDay(to);
+    const timeOfDay = to - zonedToInstant(today, timezone);
+    let day = today;
+    for (let counted = 0; counted < days;) {
+      day -= DAY_MS;
+      if (openInterval(day)) counted++;
+    }
+    return new Date(zonedToInstant(day, timezone) + timeOfDay);
+  }
+
+  return { isOpen, between, subtract, subtractDays, timezone };
+}
+
+// One calendar per business_hours config in this process
+const calendars = new Map();
+
+/**
+ * The calendar for a location's `business_hours` config, created once per process.
+ * @param {object} [config] - { timezone, hours, holidays }
+ * @returns {object} Business calendar
+ */
+function getBusinessCalendar(config = {}) {
+  const key = JSON.stringify(config);
+  if (!calendars.has(key)) calendars.set(key, createBusinessCalendar(config));
+  return calendars.get(key);
+}
+
+export {
+  createBusinessCalendar,
+  getBusinessCalendar,
+  isValidTimezone,
+  DEFAULT_HOURS,
+  WEEKDAYS,
+};
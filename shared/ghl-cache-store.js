@@ -0,0 +1,105 @@
+/**
+ * Response cache entries shared across processes.
+ * A cron run that fetched the pipelines leaves them on disk for the next run
+ * (and for the agent session running next to it) until they expire.
+ *
+ * Entries live in one JSON file per location, updated under the same lock as
+ * the shared rate limiter state (see ghl-limiter-store.js). The file holds GHL
+ * data, so it is created readable by the owner only.
+ */
+
+import { statSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+import { createFileLimiterStore } from './ghl-limiter-store.js';
+
+const DEFAULT_CACHE_DIR = join(homedir(), '.ghl-mcp', 'cache');
+
+/**
+ * Cache store backed by a JSON file (see createToolCache in ghl-utils.js).
+ * @param {string} file - Cache file; its directory is created on first write
+ * @param {object} [options]
+ * @param {number} [options.maxEntries=1000] - Entries kept on disk (newest first)
+ * @param {number} [options.staleLockMs] - See createFileLimiterStore
+ * @returns {object} { get, set, delete, clear, file }
+ */
+function createFileCacheStore(file, options = {}) {
+  const { maxEntries = 1000, ...lockOptions } = options;
+  const state = createFileLimiterStore(file, lockOptions);
+  let snapshot = {};
+  let version = null;
+
+  /** The file's entries, parsed again only when it changed. */
+  function read() {
+    let current;
+    try {
+      const { mtimeMs, size } = statSync(file);
+      current = `${mtimeMs}:${size}`;
+    } catch {
+      return {};
+    }
+    if (current !== version) {
+      snapshot = state.read();
+      version = current;
+    }
+    return snapshot;
+  }
+
+  /** Drop expired entries, then the oldest beyond maxEntries. */
+  function prune(entries) {
+    const now = Date.now();
+    const kept = Object.entries(entries)
+      .filter(([, entry]) => now - entry.ts <= entry.ttlMs + entry.staleMs)
+      .sort(([, a], [, b]) => b.ts - a.ts);
+    for (const key of Object.keys(entries)) delete entries[key];
+    for (const [key, entry] of kept.slice(0, maxEntries)) entries[key] = entry;
+  }
+
+  return {
+    /**
+     * @param {string} key
+     * @returns {object|undefined} { value, ts, ttlMs, staleMs }
+     */
+    get: (key) => read()[key],
+
+    /**
+     * @param {string} key
+     * @param {object} entry - { value, ts, ttlMs, staleMs }
+     * @returns {Promise<void>}
+     */
+    set: (key, entry) => state.update((entries) => {
+      entries[key] = entry;
+      prune(entries);
+    }),
+
+    /**
+     * @param {Function} match - (key) => boolean
+     * @returns {Promise<void>}
+     */
+    delete: (match) => state.update((entries) => {
+      for (const key of Object.keys(entries)) {
+        if (match(key)) delete entries[key];
+      }
+    }),
+
+    /** @returns {Promise<void>} */
+    clear: () => state.update((entries) => {
+      for (const key of Object.keys(entries)) delete entries[key];
+    }),
+
+    file,
+  };
+}
+
+/**
+ * A location's cache file: $GHL_CACHE_DIR (default ~/.ghl-mcp/cache)/<alias>.json.
+ * @param {string} alias
+ * @param {object} [options] - See createFileCacheStore
+ * @returns {object} Cache store
+ */
+function createLocationCacheStore(alias, options = {}) {
+  const dir = process.env.GHL_CACHE_DIR || DEFAULT_CACHE_DIR;
+  return createFileCacheStore(join(dir, `${alias.replace(/[^\w.-]/g, '_')}.json`), options);
+}
+
+export { createFileCacheStore, createLocationCacheStore, DEFAULT_CACHE_DIR };
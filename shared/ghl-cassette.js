@@ -0,0 +1,270 @@
+/**
+ * Record/replay of MCP traffic.
+ * A recording transport wraps any transport and writes each JSON-RPC request
+ * with its response (or error) to a cassette file, redacted by default. A replay
+ * transport serves a cassette back, so a misbehaving run from the VPS can be
+ * reproduced offline and in tests.
+ *
+ * Cassette format:
+ *   { version: 1, recordedAt, redacted, entries: [{ request, response } | { request, error } | { request }] }
+ */
+
+import { readFileSync, writeFileSync, renameSync } from 'node:fs';
+import { redact } from './ghl-redact.js';
+import {
+  McpCancelledError,
+  McpConnectionError,
+  McpHttpError,
+  McpTimeoutError,
+  McpReplayError,
+} from './ghl-errors.js';
+
+const CASSETTE_VERSION = 1;
+
+/** Matched on method alone in 'request' mode: their params describe the client, not the call. */
+const METHOD_ONLY = new Set(['initialize', 'ping']);
+
+/**
+ * @param {string} file
+ * @returns {object} Cassette
+ */
+function loadCassette(file) {
+  const cassette = JSON.parse(readFileSync(file, 'utf8'));
+  if (cassette.version !== CASSETTE_VERSION || !Array.isArray(cassette.entries)) {
+    throw new Error(`${file} is not a version ${CASSETTE_VERSION} MCP cassette`);
+  }
+  return cassette;
+}
+
+/**
+ * Write a cassette readable by its owner only (it may hold unredacted traffic).
+ * @param {string} file
+ * @param {object} cassette
+ */
+function saveCassette(file, cassette) {
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify(cassette, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tmpFile, file);
+}
+
+/**
+ * Plain-object form of a transport error, enough to rebuild it on replay.
+ * @param {Error} err
+ */
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.status !== undefined ? { status: err.status, headers: err.headers, body: err.body } : {}),
+    ...(err.timeoutMs !== undefined ? { timeoutMs: err.timeoutMs } : {}),
+  };
+}
+
+/**
+ * @param {object} error - From serializeError
+ * @param {string} method
+ * @returns {Error}
+ */
+function deserializeError(error, method) {
+  switch (error.name) {
+    case 'McpHttpError': return new McpHttpError(error.status, { headers: error.headers, body: error.body });
+    case 'McpTimeoutError': return new McpTimeoutError(method, error.timeoutMs);
+    default: return new McpConnectionError(method, new Error(error.message));
+  }
+}
+
+/**
+ * JSON with object keys sorted, so argument order does not affect matching.
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  const sort = (v) => {
+    if (Array.isArray(v)) return v.map(sort);
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(Object.keys(v).sort().map(k => [k, sort(v[k])]));
+    }
+    return v;
+  };
+  return JSON.stringify(sort(value));
+}
+
+/**
+ * Wrap a transport so every request/response pair is written to a cassette.
+ * Entries keep the order requests were sent in, whatever order responses arrive.
+ * Responses to server requests are not recorded, nor are calls the caller cancelled.
+ * The file is written by close() or flush(), and at process exit if neither ran
+ * after the last entry.
+ * @param {object} inner - Transport to record
+ * @param {object} [options]
+ * @param {string} [options.file] - Cassette path
+ * @param {boolean} [options.redact=true] - Redact tokens and PII (see ghl-redact.js)
+ * @returns {object} Transport; `cassette` holds what was recorded so far
+ */
+function createRecordingTransport(inner, options = {}) {
+  const { file, redact: shouldRedact = true } = options;
+  const cassette = {
+    version: CASSETTE_VERSION,
+    recordedAt: new Date().toISOString(),
+    redacted: shouldRedact,
+    entries: [],
+  };
+
+  // One slot per sent request, filled when it settles (cancelled calls leave a hole)
+  const slots = [];
+  let unsaved = false;
+
+  function record(slot, entry) {
+    slots[slot] = shouldRedact ? redact(entry) : structuredClone(entry);
+    cassette.entries = slots.filter(Boolean);
+    if (file && !unsaved) {
+      unsaved = true;
+      process.on('exit', flush);
+    }
+  }
+
+  /** Write what was recorded since the last flush. */
+  function flush() {
+    if (!unsaved) return;
+    unsaved = false;
+    process.off('exit', flush);
+    saveCassette(file, cassette);
+  }
+
+  function entryFor(message, response) {
+    return response === undefined ? { request: message } : { request: message, response };
+  }
+
+  async function recordSend(send, message) {
+    if (message.method === undefined) return send();
+    const slot = slots.length++;
+    try {
+      const response = await send();
+      record(slot, entryFor(message, response));
+      return response;
+    } catch (err) {
+      if (!(err instanceof McpCancelledError)) record(slot, { request: message, error: serializeError(err) });
+      throw err;
+    }
+  }
+
+  const transport = {
+    send: (message, sendOptions) => recordSend(() => inner.send(message, sendOptions), message),
+
+    async sendBatch(messages, sendOptions) {
+      const recorded = messages.filter(m => m.method !== undefined).map(m => [m, slots.length++]);
+      try {
+        const responses = await inner.sendBatch(messages, sendOptions);
+        for (const [message, slot] of recorded) record(slot, entryFor(message, responses[messages.indexOf(message)]));
+        return responses;
+      } catch (err) {
+        if (!(err instanceof McpCancelledError)) {
+          for (const [message, slot] of recorded) record(slot, { request: message, error: serializeError(err) });
+        }
+        throw err;
+      }
+    },
+
+    listen: () => inner.listen?.(),
+    resetSession: () => inner.resetSession(),
+    setProtocolVersion: (version) => inner.setProtocolVersion?.(version),
+    async close() {
+      try {
+        await inner.close();
+      } finally {
+        flush();
+      }
+    },
+    flush,
+
+    get onmessage() { return inner.onmessage; },
+    set onmessage(fn) { inner.onmessage = fn; },
+    get onerror() { return inner.onerror; },
+    set onerror(fn) { inner.onerror = fn; },
+    get sessionId() { return inner.sessionId; },
+    get cassette() { return cassette; },
+  };
+  if (!inner.sendBatch) delete transport.sendBatch;
+
+  return transport;
+}
+
+/**
+ * Transport that answers from a cassette instead of a server. Notifications are
+ * accepted and dropped; response ids are rewritten to the live request's id.
+ * @param {object} cassette - From loadCassette (or a recording transport's `cassette`)
+ * @param {object} [options]
+ * @param {'sequence'|'request'} [options.match='sequence'] - 'sequence' serves
+ *   responses in recorded order (and checks the method); 'request' serves the
+ *   first unused entry with the same method and params (initialize/ping by method)
+ * @returns {object} Transport; `remaining` counts entries not yet served
+ */
+function createReplayTransport(cassette, options = {}) {
+  const { match = 'sequence' } = options;
+  const entries = cassette.entries.filter(e => e.request?.method !== undefined && e.request.id !== undefined);
+  const used = new Set();
+  let next = 0;
+
+  /**
+   * Match key of a request. Live requests are redacted the same way the
+   * cassette was before comparing; recorded ones already are.
+   */
+  function requestKey(message, live = false) {
+    if (METHOD_ONLY.has(message.method)) return message.method;
+    const { _meta, ...params } = message.params || {};
+    return `${message.method} ${canonicalJson(live && cassette.redacted ? redact(params) : params)}`;
+  }
+
+  function findEntry(message) {
+    if (match === 'request') {
+      const key = requestKey(message, true);
+      const index = entries.findIndex((e, i) => !used.has(i) && requestKey(e.request) === key);
+      if (index === -1) throw new McpReplayError(message.method, `no unused entry matches ${key}`);
+      return index;
+    }
+
+    while (used.has(next)) next++;
+    const entry = entries[next];
+    if (!entry) throw new McpReplayError(message.method, `cassette exhausted after ${entries.length} requests`);
+    if (entry.request.method !== message.method) {
+      throw new McpReplayError(message.method, `expected ${entry.request.method} at entry ${next}`);
+    }
+    return next;
+  }
+
+  function replay(message) {
+    if (message.method === undefined || message.id === undefined) return undefined;
+
+    const index = findEntry(message);
+    used.add(index);
+    const entry = entries[index];
+    if (entry.error) throw deserializeError(entry.error, message.method);
+    return { ...structuredClone(entry.response), id: message.id };
+  }
+
+  return {
+    async send(message, sendOptions = {}) {
+      if (sendOptions.signal?.aborted) throw new McpCancelledError(message.method, sendOptions.signal.reason);
+      return replay(message);
+    },
+    async sendBatch(messages) {
+      return messages.map(replay);
+    },
+    onmessage: null,
+    onerror: null,
+    listen() {},
+    resetSession() {},
+    setProtocolVersion() {},
+    async close() {},
+    get sessionId() { return 'replay'; },
+    get remaining() { return entries.length - used.size; },
+  };
+}
+
+export {
+  createRecordingTransport,
+  createReplayTransport,
+  loadCassette,
+  saveCassette,
+  CASSETTE_VERSION,
+};
@@ -0,0 +1,281 @@
+/**
+ * Schema for the OpenClaw skill's config.json (see openclaw-skill/config.example.json).
+ * The config is checked when it is loaded, so a typo in a threshold or a missing
+ * location fails at once with the exact path instead of midway through a run.
+ * Loading also fills in defaults and warns about deprecated keys.
+ */
+
+import { readFileSync } from 'node:fs';
+import { validateSchema, applyDefaults } from './ghl-schema.js';
+import { log, LOG_LEVELS } from './ghl-utils.js';
+import { createBusinessCalendar, WEEKDAYS } from './ghl-business-time.js';
+
+const TIME_OF_DAY = '^([01]\\d|2[0-3]):[0-5]\\d$';
+const COUNT = { type: 'integer', minimum: 0 };
+const POSITIVE = { type: 'integer', minimum: 1 };
+const SHARE = { type: 'number', minimum: 0, maximum: 1 };
+const CLOCK = { enum: ['wall', 'business'] };
+
+const BUSINESS_HOURS_SCHEMA = {
+  type: 'object',
+  properties: {
+    timezone: { type: 'string' },
+    hours: {
+      type: 'object',
+      properties: Object.fromEntries(WEEKDAYS.map(day => [day, {
+        type: ['string', 'null'],
+        pattern: '^([01]\\d|2[0-3]):[0-5]\\d-([01]\\d|2[0-3]|24):[0-5]\\d$',
+      }])),
+    },
+    holidays: { type: 'array', items: { type: 'string', pattern: '^(\\d{4}-)?\\d{2}-\\d{2}$' } },
+  },
+};
+
+const PIPELINE_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    stages: { type: 'object', additionalProperties: { type: 'string' } },
+  },
+};
+
+const LOCATION_SCHEMA = {
+  type: 'object',
+  required: ['token', 'locationId'],
+  properties: {
+    name: { type: 'string' },
+    alias: { type: 'string', pattern: '^[\\w.-]+$' },
+    token: { type: 'string' },
+    locationId: { type: 'string' },
+    url: { type: 'string' },
+    command: { type: 'string' },
+    args: { type: 'array', items: { type: 'string' } },
+    protocol_version: { type: 'string' },
+    dry_run: { type: 'boolean', default: false },
+    validate_arguments: { type: 'boolean', default: false },
+    pipelines: { type: 'object', additionalProperties: PIPELINE_SCHEMA },
+    customFields: { type: 'object', additionalProperties: { type: 'string' } },
+    tags: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+    thresholds: {
+      type: 'object',
+      default: {},
+      properties: {
+        stale_lead_hours: { type: 'number', minimum: 1, default: 48 },
+        stuck_opportunity_days: { type: 'number', minimum: 1, default: 7 },
+        slow_response_minutes: { type: 'number', minimum: 1, default: 30 },
+        max_contacts_scanned: { ...POSITIVE, default: 5000 },
+        clock: {
+          type: 'object',
+          properties: {
+            stale_lead_hours: CLOCK,
+            stuck_opportunity_days: CLOCK,
+            slow_response_minutes: CLOCK,
+            missed_followups: CLOCK,
+          },
+        },
+      },
+    },
+    business_hours: BUSINESS_HOURS_SCHEMA,
+    rate_limit: {
+      type: 'object',
+      properties: {
+        max_per_window: POSITIVE,
+        window_ms: POSITIVE,
+        max_per_day: POSITIVE,
+        shared: { type: 'boolean' },
+        concurrency: { type: 'object', additionalProperties: POSITIVE },
+      },
+    },
+    circuit_breaker: {
+      type: 'object',
+      properties: {
+        failure_rate: SHARE,
+        min_requests: POSITIVE,
+        window_ms: POSITIVE,
+        cooldown_ms: POSITIVE,
+      },
+    },
+    cache: {
+      type: ['object', 'boolean'],
+      properties: {
+        tools: {
+          type: 'object',
+          additionalProperties: { type: 'object', properties: { ttl_ms: COUNT, stale_ms: COUNT } },
+        },
+        max_entries: POSITIVE,
+        max_bytes: POSITIVE,
+        persist: { type: 'boolean' },
+      },
+    },
+    credit_budget: {
+      type: 'object',
+      properties: {
+        daily: COUNT,
+        monthly: COUNT,
+        warn_at: SHARE,
+        stop_at: { type: 'number', minimum: 0 },
+      },
+    },
+    daily_credit_budget: { ...COUNT, deprecated: 'use credit_budget.daily, which every process shares' },
+  },
+};
+
+/** The config.json shape; `deprecated` marks keys that still work but should go. */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['locations'],
+  properties: {
+    locations: { type: 'object', additionalProperties: LOCATION_SCHEMA },
+    monitoring: {
+      type: 'object',
+      properties: {
+        stale_lead_check_interval: { type: 'string', pattern: '^\\d+[smhd]$', default: '30m' },
+        digest_times: { type: 'array', items: { type: 'string', pattern: TIME_OF_DAY } },
+        weekly_report_day: {
+          enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+        },
+        weekly_report_time: { type: 'string', pattern: TIME_OF_DAY },
+        morning_digest_time: { type: 'string', pattern: TIME_OF_DAY },
+      },
+    },
+    notifications: {
+      type: 'object',
+      properties: {
+        channel: { type: 'string' },
+        urgent_threshold: { ...COUNT, default: 5 },
+      },
+    },
+    logging: {
+      type: 'object',
+      properties: {
+        level: { enum: Object.keys(LOG_LEVELS) },
+        redact_fields: { type: 'array', items: { type: 'string' } },
+      },
+    },
+    secrets: {
+      type: 'object',
+      properties: {
+        env_file: { type: 'string' },
+        store_file: { type: 'string' },
+        cache_ttl_ms: COUNT,
+        command_timeout_ms: POSITIVE,
+      },
+    },
+    metrics: {
+      type: 'object',
+      properties: {
+        textfile: { type: 'string' },
+      },
+    },
+  },
+};
+
+/**
+ * config.json failed validation.
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} source - File path, or 'config'
+   * @param {Array<{path: string, message: string}>} errors
+   */
+  constructor(source, errors) {
+    super(`Invalid ${source}:\n${errors.map(e => `  ${e.path} ${e.message}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.source = source;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Deprecated keys present in a value, with their replacement hint.
+ * @returns {Array<{path: string, message: string}>}
+ */
+function findDeprecated(schema, value, path = '') {
+  if (!schema || !value || typeof value !== 'object' || Array.isArray(value)) return [];
+  const found = [];
+  for (const [key, item] of Object.entries(value)) {
+    const child = schema.properties?.[key] || (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null);
+    const at = path ? `${path}.${key}` : key;
+    if (child?.deprecated) found.push({ path: at, message: `is deprecated: ${child.deprecated}` });
+    found.push(...findDeprecated(child, item, at));
+  }
+  return found;
+}
+
+/**
+ * Check a parsed config.json and fill in defaults (thresholds, and each location's
+ * `alias` and `name` from its key).
+ * @param {object} config
+ * @param {object} [options]
+ * @param {string} [options.location] - Alias that must be configured (e.g. the monitor's --location)
+ * @returns {{config: object|null, errors: Array, warnings: Array}} config is null when there are errors
+ */
+function validateConfig(config, options = {}) {
+  const errors = validateSchema(CONFIG_SCHEMA, config);
+  if (options.location && config?.locations && typeof config.locations === 'object' && !config.locations[options.location]) {
+    const known = Object.keys(config.locations);
+    errors.push({
+      path: `locations.${options.location}`,
+      message: `is required${known.length ? ` (configured: ${known.join(', ')})` : ''}`,
+    });
+  }
+  for (const [key, loc] of Object.entries(config?.locations || {})) {
+    if (loc?.alias !== undefined && loc.alias !== key) {
+      errors.push({ path: `locations.${key}.alias`, message: `must match its key '${key}', got ${JSON.stringify(loc.alias)}` });
+    }
+    // A business clock measured in an assumed UTC would shift every cutoff by hours
+    const clocks = Object.entries(loc?.thresholds?.clock || {}).filter(([, clock]) => clock === 'business');
+    if (clocks.length > 0 && !loc.business_hours?.timezone) {
+      errors.push({
+        path: `locations.${key}.thresholds.clock`,
+        message: `uses business time for ${clocks.map(([name]) => name).join(', ')} but business_hours.timezone is not set`,
+      });
+    }
+    // What the schema can't see: unknown time zones, ranges that close before they open, no open day
+    const hoursPath = `locations.${key}.business_hours`;
+    if (loc?.business_hours && !errors.some(e => e.path.startsWith(hoursPath))) {
+      try {
+        createBusinessCalendar(loc.business_hours);
+      } catch (err) {
+        errors.push({ path: hoursPath, message: err.message });
+      }
+    }
+  }
+  const warnings = findDeprecated(CONFIG_SCHEMA, config);
+  if (errors.length > 0) return { config: null, errors, warnings };
+
+  const normalized = applyDefaults(CONFIG_SCHEMA, config);
+  for (const [key, loc] of Object.entries(normalized.locations)) {
+    loc.alias ??= key;
+    loc.name ??= key;
+  }
+  return { config: normalized, errors, warnings };
+}
+
+/**
+ * Read, validate and normalize a config.json, logging deprecation warnings.
+ * @param {string} file
+ * @param {object} [options] - See validateConfig
+ * @returns {object} The normalized config
+ * @throws {ConfigError} When the file is not valid JSON or does not match the schema
+ */
+function loadConfigFile(file, options = {}) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ConfigError(file, [{ path: '(root)', message: err.code === 'ENOENT' ? 'not found' : err.message }]);
+  }
+  const result = validateConfig(config, options);
+  for (const warning of result.warnings) log('warn', 'Deprecated config key', { file, key: warning.path, hint: warning.message });
+  if (result.errors.length > 0) throw new ConfigError(file, result.errors);
+  return result.config;
+}
+
+export {
+  CONFIG_SCHEMA,
+  ConfigError,
+  validateConfig,
+  loadConfigFile,
+};
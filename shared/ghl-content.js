@@ -0,0 +1,117 @@
+/**
+ * Unified decoding of MCP tools/call results.
+ * Prefers structuredContent, merges multi-part text content, collects
+ * image/audio/resource parts, and turns isError results into McpToolError.
+ */
+
+import { McpToolError } from './ghl-errors.js';
+
+function tryParseJson(text) {
+  try { return JSON.parse(text); } catch { return undefined; }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge JSON values decoded from separate text parts.
+ * Arrays are concatenated; objects are merged key by key, concatenating
+ * array-valued keys (e.g. two `contacts` pages split across parts).
+ * @param {Array<*>} values
+ * @returns {*}
+ */
+function mergeParts(values) {
+  if (values.every(Array.isArray)) return values.flat();
+  if (!values.every(isPlainObject)) return { parts: values };
+
+  const merged = {};
+  for (const value of values) {
+    for (const [key, v] of Object.entries(value)) {
+      merged[key] = Array.isArray(merged[key]) && Array.isArray(v) ? merged[key].concat(v) : v;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Decode the text parts of a result into data.
+ * @param {string[]} texts
+ * @returns {*}
+ */
+function decodeText(texts) {
+  if (texts.length === 0) return {};
+
+  const joined = texts.join('');
+  const whole = tryParseJson(joined);
+  if (whole !== undefined) return whole;
+
+  const values = texts.map(tryParseJson);
+  if (texts.length > 1 && values.every(v => v !== undefined)) return mergeParts(values);
+
+  return { text: texts.join('\n') };
+}
+
+/**
+ * Decode a tools/call result.
+ * Results that are not MCP-shaped (no content/structuredContent) are returned as data unchanged.
+ * @param {object} result - tools/call result
+ * @param {object} [options]
+ * @param {string} [options.toolName] - Used in McpToolError for isError results
+ * @param {boolean} [options.preferStructured=true] - Use structuredContent when present
+ * @returns {{ data: *, text: string, media: object[], resources: object[] }}
+ * @throws {McpToolError} When the result has isError set
+ */
+function decodeContent(result, options = {}) {
+  const { toolName = 'unknown', preferStructured = true } = options;
+  const decoded = { data: {}, text: '', media: [], resources: [] };
+  if (!result) return decoded;
+
+  if (result.isError) throw new McpToolError(toolName, result);
+
+  const hasContent = Array.isArray(result.content);
+  if (!hasContent && result.structuredContent === undefined) {
+    decoded.data = result;
+    return decoded;
+  }
+
+  const texts = [];
+  for (const part of result.content || []) {
+    switch (part.type) {
+      case 'text':
+        texts.push(part.text ?? '');
+        break;
+      case 'image':
+      case 'audio':
+        decoded.media.push({ type: part.type, mimeType: part.mimeType, data: part.data });
+        break;
+      case 'resource':
+        decoded.resources.push(part.resource);
+        break;
+      case 'resource_link':
+        decoded.resources.push({ uri: part.uri, name: part.name, mimeType: part.mimeType });
+        break;
+      default:
+        break;
+    }
+  }
+
+  decoded.text = texts.join('\n');
+  decoded.data = preferStructured && result.structuredContent !== undefined
+    ? result.structuredContent
+    : decodeText(texts);
+
+  return decoded;
+}
+
+/**
+ * Decode a tools/call result straight to its data.
+ * @param {object} result
+ * @param {object} [options] - See decodeContent
+ * @returns {*}
+ */
+function decodeToolResult(result, options = {}) {
+  return decodeContent(result, options).data;
+}
+
+export { decodeContent, decodeToolResult };
@@ -0,0 +1,310 @@
+/**
+ * GHL AI Credit Ledger
+ * Every tools/call costs one GHL AI credit. The ledger appends one JSON line per
+ * call (location, tool, caller) to a file per month, ~/.ghl-mcp/credits-YYYY-MM.jsonl,
+ * shared by every process on the machine, and checks daily and monthly budgets
+ * against it so a runaway cron job is stopped long before the month's credits
+ * are gone. Budgets only read the current month's file; reports read the months
+ * they cover.
+ *
+ * Days and months are UTC.
+ */
+
+import { appendFileSync, closeSync, existsSync, mkdirSync, openSync, readFileSync, readSync, readdirSync, renameSync, rmSync, statSync } from 'node:fs';
+import { basename, dirname, extname, join } from 'node:path';
+import { homedir } from 'node:os';
+import { randomBytes } from 'node:crypto';
+import { createFileLock } from './ghl-limiter-store.js';
+
+const DEFAULT_LEDGER_FILE = join(homedir(), '.ghl-mcp', 'credits.jsonl');
+
+/** Share of a budget at which calls start logging warnings. */
+const DEFAULT_WARN_AT = 0.8;
+
+/**
+ * @param {Date|string} date
+ * @returns {string} UTC day, YYYY-MM-DD
+ */
+function dayOf(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Normalize a location's `credit_budget` config.
+ * @param {object} [budget] - { daily, monthly, warn_at, stop_at }; limits of 0 or
+ *   less (or unset) mean unlimited; warn_at and stop_at are shares of each limit
+ * @returns {{ daily: number|null, monthly: number|null, warnAt: number, stopAt: number }}
+ */
+function parseBudget(budget = {}) {
+  const limit = (value) => (Number(value) > 0 ? Number(value) : null);
+  return {
+    daily: limit(budget.daily),
+    monthly: limit(budget.monthly),
+    warnAt: Number(budget.warn_at ?? DEFAULT_WARN_AT),
+    stopAt: Number(budget.stop_at ?? 1),
+  };
+}
+
+/**
+ * A location's `credit_budget`, with the deprecated `daily_credit_budget` moved
+ * into `daily` unless credit_budget sets one.
+ * @param {object} [location] - Location config
+ * @returns {object|undefined} credit_budget config
+ */
+function locationBudget(location = {}) {
+  const { credit_budget: budget, daily_credit_budget: legacy } = location;
+  if (legacy === undefined || budget?.daily !== undefined) return budget;
+  return { ...budget, daily: legacy };
+}
+
+/**
+ * Count entries by a key, most used first.
+ * @param {object[]} entries
+ * @param {Function} keyOf
+ * @returns {Array<[string, number]>}
+ */
+function rank(entries, keyOf) {
+  const counts = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    counts.set(key, (counts.get(key) || 0) + (entry.credits || 1));
+  }
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Parse JSONL text; a torn or hand-edited line costs one entry, not the ledger.
+ * @param {string[]} lines
+ * @returns {object[]}
+ */
+function parseEntries(lines) {
+  return lines.filter(line => line.trim()).flatMap((line) => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Create a ledger over monthly JSONL files. Appends from other processes are picked
+ * up on the next read, so budgets hold across the monitor, the gateway and agents.
+ * @param {object} [options]
+ * @param {string} [options.file] - Ledger path; months are kept next to it as
+ *   <name>-YYYY-MM<ext> (defaults to $GHL_CREDIT_LEDGER, then ~/.ghl-mcp/credits.jsonl)
+ * @param {Function} [options.now] - () => Date, for tests
+ * @returns {object} { record, charge, used, check, entries, usage, fileFor, file }
+ */
+function createCreditLedger(options = {}) {
+  const { file = process.env.GHL_CREDIT_LEDGER || DEFAULT_LEDGER_FILE, now = () => new Date() } = options;
+  const ext = extname(file);
+  const stem = basename(file, ext);
+  const lock = createFileLock(`${file}.lock`);
+
+  // The current month's location → day → credits, kept up to date by tailing its file
+  let month = null;
+  let totals = new Map();
+  let offset = 0;
+  let partial = '';
+  let migrated = false;
+
+  /**
+   * @param {string} yearMonth - YYYY-MM
+   * @returns {string} That month's file
+   */
+  function fileFor(yearMonth) {
+    return join(dirname(file), `${stem}-${yearMonth}${ext}`);
+  }
+
+  /**
+   * Split a single-file ledger from before monthly files into months. Renaming it
+   * first makes sure only one process moves its entries.
+   */
+  function migrateLegacy() {
+    if (migrated) return;
+    migrated = true;
+    if (!existsSync(file)) return;
+    const claimed = `${file}.${randomBytes(6).toString('hex')}.migrating`;
+    try {
+      renameSync(file, claimed);
+    } catch {
+      // Another process is moving it
+      return;
+    }
+    const byMonth = new Map();
+    for (const line of readFileSync(claimed, 'utf8').split('\n')) {
+      const [entry] = parseEntries([line]);
+      if (!entry?.ts) continue;
+      const key = dayOf(entry.ts).slice(0, 7);
+      byMonth.set(key, (byMonth.get(key) || '') + line + '\n');
+    }
+    for (const [key, lines] of byMonth) appendFileSync(fileFor(key), lines, { mode: 0o600 });
+    rmSync(claimed, { force: true });
+  }
+
+  function add(entry) {
+    if (!entry?.location || !entry.ts) return;
+    const days = totals.get(entry.location) || new Map();
+    const day = dayOf(entry.ts);
+    days.set(day, (days.get(day) || 0) + (entry.credits || 1));
+    totals.set(entry.location, days);
+  }
+
+  function parseLines(text) {
+    const lines = (partial + text).split('\n');
+    partial = lines.pop();
+    return parseEntries(lines);
+  }
+
+  /** Read whatever was appended to this month's file since the last read. */
+  function refresh() {
+    migrateLegacy();
+    const current = dayOf(now()).slice(0, 7);
+    if (current !== month) {
+      month = current;
+      totals = new Map();
+      offset = 0;
+      partial = '';
+    }
+    const monthFile = fileFor(month);
+    if (!existsSync(monthFile)) return;
+    const { size } = statSync(monthFile);
+    if (size < offset) {
+      // Truncated or replaced: start over
+      totals = new Map();
+      offset = 0;
+      partial = '';
+    }
+    if (size === offset) return;
+
+    const buffer = Buffer.alloc(size - offset);
+    const fd = openSync(monthFile, 'r');
+    try {
+      readSync(fd, buffer, 0, buffer.length, offset);
+    } finally {
+      closeSync(fd);
+    }
+    offset = size;
+    for (const entry of parseLines(buffer.toString('utf8'))) add(entry);
+  }
+
+  /**
+   * Record credits spent by a tool call.
+   * @param {object} call
+   * @param {string} call.location - Location alias
+   * @param {string} call.tool
+   * @param {string} [call.caller='unknown'] - What made the call (monitor, actions, gateway, cli, ...)
+   * @param {number} [call.credits=1] - Negative to refund a charge for a call GHL never answered
+   */
+  function record({ location, tool, caller = 'unknown', credits = 1 }) {
+    const ts = now().toISOString();
+    const entry = { ts, location, tool, caller, credits };
+    mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+    migrateLegacy();
+    appendFileSync(fileFor(ts.slice(0, 7)), JSON.stringify(entry) + '\n', { mode: 0o600 });
+    refresh();
+  }
+
+  /**
+   * Credits a location has used in the current day or month.
+   * @param {string} location
+   * @param {'day'|'month'} [period='day']
+   * @returns {number}
+   */
+  function used(location, period = 'day') {
+    refresh();
+    const today = dayOf(now());
+    const prefix = period === 'month' ? today.slice(0, 7) : today;
+    let sum = 0;
+    for (const [day, credits] of totals.get(location) || []) {
+      if (day.startsWith(prefix)) sum += credits;
+    }
+    return sum;
+  }
+
+  /**
+   * Check a location against its budget before spending `credits` more.
+   * @param {string} location
+   * @param {object} [budget] - The location's `credit_budget` config (see parseBudget)
+   * @param {number} [credits=1]
+   * @returns {{ status: 'ok'|'warn'|'stop', period?: string, used?: number, limit?: number }}
+   *   The most severe period; 'stop' means the call must not be made
+   */
+  function check(location, budget, credits = 1) {
+    const { daily, monthly, warnAt, stopAt } = parseBudget(budget);
+    let worst = { status: 'ok' };
+    for (const [period, limit] of [['day', daily], ['month', monthly]]) {
+      if (!limit) continue;
+      const spent = used(location, period);
+      const after = spent + credits;
+      const status = after > limit * stopAt ? 'stop' : after >= limit * warnAt ? 'warn' : 'ok';
+      if (status === 'stop' || (status === 'warn' && worst.status === 'ok')) {
+        worst = { status, period, used: spent, limit };
+      }
+    }
+    return worst;
+  }
+
+  /**
+   * Check the budget and record the call in one step, under a lock shared by every
+   * process, so two processes can't both spend the last credit.
+   * @param {object} call - See record()
+   * @param {object} [budget] - See check()
+   * @returns {Promise<object>} check()'s result; nothing is recorded on 'stop'
+   */
+  function charge(call, budget) {
+    mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+    return lock.withLock(() => {
+      const result = check(call.location, budget, call.credits ?? 1);
+      if (result.status !== 'stop') record(call);
+      return result;
+    });
+  }
+
+  /**
+   * Ledger entries, oldest first. Only the months from `since` on are read.
+   * @param {object} [filter]
+   * @param {string} [filter.since] - First day to include (YYYY-MM-DD)
+   * @param {string} [filter.location]
+   * @returns {object[]}
+   */
+  function entries(filter = {}) {
+    migrateLegacy();
+    let names;
+    try {
+      names = readdirSync(dirname(file));
+    } catch {
+      return [];
+    }
+    const months = names
+      .filter(name => name.startsWith(`${stem}-`) && name.endsWith(ext))
+      .map(name => name.slice(stem.length + 1, name.length - ext.length))
+      .filter(m => /^\d{4}-\d{2}$/.test(m) && (!filter.since || m >= filter.since.slice(0, 7)))
+      .sort();
+    const all = months.flatMap(m => parseEntries(readFileSync(fileFor(m), 'utf8').split('\n')));
+    return all.filter(e => (!filter.since || dayOf(e.ts) >= filter.since)
+      && (!filter.location || e.location === filter.location));
+  }
+
+  /**
+   * Usage summary for a report.
+   * @param {object} [filter] - See entries()
+   * @returns {{ total: number, byLocation: Array, byTool: Array, byCaller: Array, byDay: Array }}
+   *   Each by* list holds [key, credits] pairs, most used first (byDay is in date order)
+   */
+  function usage(filter = {}) {
+    const list = entries(filter);
+    return {
+      total: list.reduce((sum, e) => sum + (e.credits || 1), 0),
+      byLocation: rank(list, e => e.location),
+      byTool: rank(list, e => `${e.location} ${e.tool}`),
+      byCaller: rank(list, e => `${e.location} ${e.caller || 'unknown'}`),
+      byDay: rank(list, e => dayOf(e.ts)).sort((a, b) => a[0].localeCompare(b[0])),
+    };
+  }
+
+  return { record, charge, used, check, entries, usage, fileFor, file };
+}
+
+export { createCreditLedger, parseBudget, locationBudget, dayOf, DEFAULT_LEDGER_FILE };
@@ -0,0 +1,327 @@
+/**
+ * Error classes for MCP transport, JSON-RPC and tool-execution failures.
+ * Every error exposes `category` and `retryable` so callers can tell bad
+ * arguments from an outage from a revoked token without parsing messages.
+ *
+ * Categories:
+ *   auth              — token invalid/revoked or missing scopes (401/403)
+ *   rate_limit        — GHL rate limit hit (429)
+ *   unavailable       — GHL down or unreachable (5xx, network failure)
+ *   timeout           — no response within the request timeout
+ *   cancelled         — the caller aborted the request (AbortSignal)
+ *   invalid_arguments — the server rejected the request or tool arguments
+ *   session_expired   — the Mcp-Session-Id is no longer known to the server
+ *   tool              — the tool ran but reported a failure (isError)
+ *   unsupported       — the server did not advertise the capability used, or
+ *                       speaks no protocol version this client supports
+ *   replay            — a replayed cassette has no response for the request
+ *   budget            — the location's AI credit budget is spent (see ghl-credits.js)
+ *   protocol          — unexpected JSON-RPC/HTTP response
+ */
+
+import { formatSchemaErrors } from './ghl-schema.js';
+import { parseRetryAfter } from './ghl-rate-headers.js';
+
+/**
+ * Map an HTTP status code to an error category.
+ * @param {number} status
+ * @returns {string}
+ */
+function categorizeStatus(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limit';
+  if (status >= 500 && status < 600) return 'unavailable';
+  if (status === 400 || status === 422) return 'invalid_arguments';
+  return 'protocol';
+}
+
+class McpError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [options]
+   * @param {Error} [options.cause]
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+  }
+
+  get category() { return 'protocol'; }
+  get retryable() { return false; }
+}
+
+/**
+ * Non-2xx HTTP response from the MCP endpoint.
+ */
+class McpHttpError extends McpError {
+  /**
+   * @param {number} status
+   * @param {object} [details]
+   * @param {object} [details.headers] - Response headers (lower-cased keys)
+   * @param {string} [details.body] - Response body text
+   * @param {string|null} [details.sessionId] - Mcp-Session-Id sent with the request
+   */
+  constructor(status, { headers = {}, body = '', sessionId = null } = {}) {
+    super(`MCP HTTP ${status}: ${body}`);
+    this.status = status;
+    this.headers = headers;
+    this.body = body;
+    this.sessionId = sessionId;
+  }
+
+  /** How long the server asked us to wait (Retry-After), in ms; undefined if it did not say. */
+  get retryAfterMs() { return parseRetryAfter(this.headers['retry-after']); }
+
+  /** Per the Streamable HTTP spec, a 404 on a request carrying a session id means the session is gone. */
+  get sessionExpired() { return this.status === 404 && Boolean(this.sessionId); }
+
+  get category() { return this.sessionExpired ? 'session_expired' : categorizeStatus(this.status); }
+  get retryable() { return this.status === 429 || (this.status >= 500 && this.status < 600); }
+}
+
+/**
+ * JSON-RPC error object returned by the server.
+ */
+class McpRpcError extends McpError {
+  /**
+   * @param {string} method - JSON-RPC method that failed
+   * @param {object} error - JSON-RPC error ({ code, message, data })
+   * @param {string} [toolName] - Tool name for tools/call
+   */
+  constructor(method, error = {}, toolName) {
+    super(`MCP ${method} error${toolName ? ` (${toolName})` : ''}: ${JSON.stringify(error)}`);
+    this.method = method;
+    this.toolName = toolName;
+    this.code = error.code;
+    this.data = error.data;
+    this.rpcMessage = error.message;
+  }
+
+  get category() {
+    if (this.code === -32602) return 'invalid_arguments';
+    if (this.code === -32603) return 'unavailable';
+    return 'protocol';
+  }
+}
+
+/**
+ * Request did not complete within its timeout.
+ */
+class McpTimeoutError extends McpError {
+  /**
+   * @param {string} method
+   * @param {number} timeoutMs
+   */
+  constructor(method, timeoutMs) {
+    super(`MCP ${method} timed out after ${timeoutMs}ms`);
+    this.method = method;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get category() { return 'timeout'; }
+  get retryable() { return true; }
+}
+
+/**
+ * Request was aborted by the caller's AbortSignal.
+ */
+class McpCancelledError extends McpError {
+  /**
+   * @param {string} method
+   * @param {*} [reason] - signal.reason (string or Error)
+   */
+  constructor(method, reason) {
+    const text = typeof reason === 'string' ? reason : reason?.message;
+    super(`MCP ${method} cancelled${text ? `: ${text}` : ''}`);
+    this.method = method;
+    this.reason = text || null;
+  }
+
+  get category() { return 'cancelled'; }
+}
+
+/**
+ * Network-level failure reaching the MCP endpoint (DNS, refused, reset).
+ */
+class McpConnectionError extends McpError {
+  /**
+   * @param {string} method
+   * @param {Error} cause
+   */
+  constructor(method, cause) {
+    super(`MCP ${method} connection failed: ${cause?.cause?.message || cause?.message}`, { cause });
+    this.method = method;
+  }
+
+  get category() { return 'unavailable'; }
+  get retryable() { return true; }
+}
+
+/**
+ * Tool executed but returned `isError: true`.
+ * GHL surfaces upstream API failures here, often as "status code NNN" text,
+ * which is used to refine the category.
+ */
+class McpToolError extends McpError {
+  /**
+   * @param {string} toolName
+   * @param {object} result - The tools/call result with isError set
+   */
+  constructor(toolName, result = {}) {
+    const text = (result.content || [])
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+    super(`Tool ${toolName} failed: ${text || 'unknown error'}`);
+    this.toolName = toolName;
+    this.result = result;
+    this.content = result.content || [];
+    const status = parseInt(text.match(/status(?: code)?:? (\d{3})/i)?.[1]);
+    this.status = Number.isNaN(status) ? null : status;
+  }
+
+  get category() {
+    if (!this.status) return 'tool';
+    const category = categorizeStatus(this.status);
+    return category === 'protocol' ? 'tool' : category;
+  }
+
+  get retryable() { return this.category === 'rate_limit' || this.category === 'unavailable'; }
+}
+
+/**
+ * Tool arguments failed local validation against the tool's inputSchema.
+ * Raised before any network call, so no AI credit is spent.
+ */
+class McpValidationError extends McpError {
+  /**
+   * @param {string} toolName
+   * @param {Array<{path: string, message: string}>} errors
+   */
+  constructor(toolName, errors) {
+    super(`Invalid arguments for ${toolName}: ${formatSchemaErrors(errors)}`);
+    this.toolName = toolName;
+    this.errors = errors;
+  }
+
+  get category() { return 'invalid_arguments'; }
+}
+
+/**
+ * The server did not advertise a capability (resources, prompts, ...) in initialize.
+ */
+class McpCapabilityError extends McpError {
+  /**
+   * @param {string} capability
+   * @param {string} [serverName]
+   */
+  constructor(capability, serverName) {
+    super(`MCP server${serverName ? ` ${serverName}` : ''} does not support ${capability}`);
+    this.capability = capability;
+  }
+
+  get category() { return 'unsupported'; }
+}
+
+/**
+ * The server answered initialize with a protocol version this client does not speak.
+ */
+class McpProtocolVersionError extends McpError {
+  /**
+   * @param {string} requested - Version offered in initialize
+   * @param {string|string[]|undefined} received - Server's version, or its supported list
+   * @param {string[]} supported - Versions this client speaks
+   */
+  constructor(requested, received, supported) {
+    const theirs = [].concat(received ?? []);
+    super(`MCP protocol version mismatch: server speaks ${theirs.join(', ') || 'no version'}, ` +
+      `client supports ${supported.join(', ')} (offered ${requested})`);
+    this.requested = requested;
+    this.received = theirs;
+    this.supported = supported;
+  }
+
+  get category() { return 'unsupported'; }
+}
+
+/**
+ * Replay mode found no recorded response for a request (see ghl-cassette.js).
+ */
+class McpReplayError extends McpError {
+  /**
+   * @param {string} method
+   * @param {string} detail - Why nothing matched
+   */
+  constructor(method, detail) {
+    super(`MCP ${method} not in cassette: ${detail}`);
+    this.method = method;
+  }
+
+  get category() { return 'replay'; }
+}
+
+/**
+ * A tool call refused before sending because the location's credit budget is spent.
+ */
+class McpBudgetError extends McpError {
+  /**
+   * @param {string} location - Location alias
+   * @param {'day'|'month'} period
+   * @param {number} used - Credits used this period
+   * @param {number} limit - Credits allowed this period
+   */
+  constructor(location, period, used, limit) {
+    super(`AI credit budget for location '${location}' is spent: ${used}/${limit} this ${period}`);
+    this.location = location;
+    this.period = period;
+    this.used = used;
+    this.limit = limit;
+  }
+
+  get category() { return 'budget'; }
+}
+
+/**
+ * A request refused without sending because the location's circuit breaker is
+ * open: recent requests to GHL mostly failed (see createCircuitBreaker).
+ */
+class McpCircuitOpenError extends McpError {
+  /**
+   * @param {string} name - Breaker name (location alias)
+   * @param {number} retryInMs - Time until the breaker lets a probe request through
+   */
+  constructor(name, retryInMs) {
+    super(`GHL unavailable for '${name}': circuit open after repeated failures, next try in ${Math.ceil(retryInMs / 1000)}s`);
+    this.location = name;
+    this.retryInMs = retryInMs;
+  }
+
+  get category() { return 'unavailable'; }
+}
+
+/**
+ * Whether an error is worth retrying (429, 5xx, timeouts, network failures).
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isRetryableError(err) {
+  return err instanceof McpError && err.retryable;
+}
+
+export {
+  McpError,
+  McpHttpError,
+  McpRpcError,
+  McpTimeoutError,
+  McpCancelledError,
+  McpConnectionError,
+  McpToolError,
+  McpValidationError,
+  McpCapabilityError,
+  McpProtocolVersionError,
+  McpReplayError,
+  McpBudgetError,
+  McpCircuitOpenError,
+  isRetryableError,
+  categorizeStatus,
+};
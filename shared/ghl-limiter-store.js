@@ -0,0 +1,172 @@
+/**
+ * Rate limiter state shared across processes.
+ * Cron runs, agent sessions and the gateway on one host each build their own
+ * limiter; pointed at the same file store they draw from one window and one
+ * daily quota per location, and the daily count survives restarts.
+ *
+ * The state file is updated under a lock file created with O_EXCL that holds
+ * its owner's token; a lock left behind by a crashed process is broken once it
+ * is older than `staleLockMs`.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync, renameSync, statSync, rmSync, linkSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { homedir } from 'node:os';
+import { randomBytes } from 'node:crypto';
+import { createRateLimiter } from './ghl-utils.js';
+
+const DEFAULT_STATE_DIR = join(homedir(), '.ghl-mcp', 'rate-limits');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Remove a lock file only while it holds `token`. The lock is first renamed to a
+ * name of our own, so another process can't swap it between the check and the
+ * removal; a lock that turns out to be someone else's is put back.
+ * @param {string} lockFile
+ * @param {string} token
+ * @returns {boolean} Whether the lock was removed
+ */
+function removeLockIf(lockFile, token) {
+  const aside = `${lockFile}.${randomBytes(6).toString('hex')}`;
+  try {
+    renameSync(lockFile, aside);
+  } catch {
+    // Already released or broken by someone else
+    return false;
+  }
+  let held = null;
+  try {
+    held = readFileSync(aside, 'utf8');
+  } catch {
+    // Unreadable: treat as someone else's
+  }
+  if (held !== token) {
+    try {
+      linkSync(aside, lockFile);
+    } catch {
+      // Taken again meanwhile; the newer lock stands
+    }
+  }
+  rmSync(aside, { force: true });
+  return held === token;
+}
+
+/**
+ * Cross-process lock on a file (`<file>.lock`).
+ * @param {string} lockFile
+ * @param {object} [options]
+ * @param {number} [options.staleLockMs=5000] - Break locks older than this
+ * @param {number} [options.retryMs=5] - Wait between attempts to take the lock
+ * @returns {object} { acquire, release, withLock }
+ */
+function createFileLock(lockFile, options = {}) {
+  const { staleLockMs = 5000, retryMs = 5 } = options;
+
+  /** @returns {Promise<string>} Token to release the lock with */
+  async function acquire() {
+    mkdirSync(dirname(lockFile), { recursive: true, mode: 0o700 });
+    const token = `${process.pid}.${randomBytes(8).toString('hex')}`;
+    for (;;) {
+      try {
+        writeFileSync(lockFile, token, { flag: 'wx', mode: 0o600 });
+        return token;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      try {
+        if (Date.now() - statSync(lockFile).mtimeMs > staleLockMs) {
+          removeLockIf(lockFile, readFileSync(lockFile, 'utf8'));
+          continue;
+        }
+      } catch {
+        // Released between our attempt and the stat: try again right away
+        continue;
+      }
+      await sleep(retryMs);
+    }
+  }
+
+  /**
+   * Release the lock if it is still ours (it may have been broken as stale).
+   * @param {string} token - From acquire
+   */
+  function release(token) {
+    removeLockIf(lockFile, token);
+  }
+
+  /**
+   * Run fn while holding the lock.
+   * @param {Function} fn - Sync or async
+   * @returns {Promise<*>} fn's result
+   */
+  async function withLock(fn) {
+    const token = await acquire();
+    try {
+      return await fn();
+    } finally {
+      release(token);
+    }
+  }
+
+  return { acquire, release, withLock };
+}
+
+/**
+ * Limiter store backed by a JSON file (see createMemoryLimiterStore in ghl-utils.js).
+ * @param {string} file - State file; its directory is created on first update
+ * @param {object} [options]
+ * @param {number} [options.staleLockMs=5000] - Break locks older than this
+ * @param {number} [options.retryMs=5] - Wait between attempts to take the lock
+ * @returns {object} { read, update, file }
+ */
+function createFileLimiterStore(file, options = {}) {
+  const lock = createFileLock(`${file}.lock`, options);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+
+  function read() {
+    try {
+      return JSON.parse(readFileSync(file, 'utf8'));
+    } catch {
+      // Missing or unreadable: start from empty counters
+      return {};
+    }
+  }
+
+  /**
+   * Run fn on the state while holding the lock, then persist it.
+   * @param {Function} fn - (state) => result; mutates state
+   * @returns {Promise<*>} fn's result
+   */
+  function update(fn) {
+    return lock.withLock(() => {
+      const state = read();
+      const result = fn(state);
+      writeFileSync(tmpFile, JSON.stringify(state), { mode: 0o600 });
+      renameSync(tmpFile, file);
+      return result;
+    });
+  }
+
+  return { read, update, file };
+}
+
+/**
+ * Build a location's limiter from its `rate_limit` config.
+ * @param {string} alias - Location alias; names the shared state file
+ * @param {object} [config] - { max_per_window, window_ms, max_per_day, shared }; with
+ *   `shared: true` the counters live in $GHL_RATE_LIMIT_DIR (default
+ *   ~/.ghl-mcp/rate-limits)/<alias>.json and are shared by every process on the host
+ * @returns {object} Limiter from createRateLimiter
+ */
+function createLocationLimiter(alias, config = {}) {
+  const dir = process.env.GHL_RATE_LIMIT_DIR || DEFAULT_STATE_DIR;
+  return createRateLimiter({
+    maxPerWindow: config.max_per_window,
+    windowMs: config.window_ms,
+    maxPerDay: config.max_per_day,
+    store: config.shared ? createFileLimiterStore(join(dir, `${alias.replace(/[^\w.-]/g, '_')}.json`)) : undefined,
+  });
+}
+
+export { createFileLimiterStore, createFileLock, createLocationLimiter, DEFAULT_STATE_DIR };
@@ -0,0 +1,44 @@
+/**
+ * Encrypted location store (~/.ghl-mcp/locations.enc).
+ * Shared by the CLI manager, the local gateway and STORE: secret references.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { homedir } from 'node:os';
+import { encrypt, decrypt } from './ghl-encryption.js';
+
+const CONFIG_DIR = join(homedir(), '.ghl-mcp');
+const CONFIG_FILE = join(CONFIG_DIR, 'locations.enc');
+
+function ensureConfigDir(dir = CONFIG_DIR) {
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true, mode: 0o700 });
+  }
+}
+
+/**
+ * Decrypt the stored locations.
+ * @param {string} password - GHL_ENCRYPTION_PASSWORD
+ * @param {string} [file] - Store path (defaults to ~/.ghl-mcp/locations.enc)
+ * @returns {object} Locations keyed by alias ({} when the store does not exist)
+ */
+function loadLocationStore(password, file = CONFIG_FILE) {
+  if (!existsSync(file)) return {};
+  const encrypted = readFileSync(file, 'utf8');
+  return JSON.parse(decrypt(encrypted, password));
+}
+
+/**
+ * Encrypt and write the locations.
+ * @param {object} locations - Locations keyed by alias
+ * @param {string} password - GHL_ENCRYPTION_PASSWORD
+ * @param {string} [file] - Store path (defaults to ~/.ghl-mcp/locations.enc)
+ */
+function saveLocationStore(locations, password, file = CONFIG_FILE) {
+  ensureConfigDir(dirname(file));
+  const encrypted = encrypt(JSON.stringify(locations, null, 2), password);
+  writeFileSync(file, encrypted, { mode: 0o600 });
+}
+
+export { loadLocationStore, saveLocationStore, CONFIG_DIR, CONFIG_FILE };
@@ -1,242 +1,826 @@
 /**
- * GHL MCP HTTP Streamable Client
- * Zero-dependency MCP client using native fetch() for GoHighLevel's MCP endpoint.
- * Implements JSON-RPC 2.0 over HTTP Streamable Transport (MCP 2025-06-18).
+ * GHL MCP Client
+ * Zero-dependency MCP client for GoHighLevel's MCP endpoint.
+ * Implements JSON-RPC 2.0 (MCP 2025-06-18, negotiating down to older versions —
+ * see ghl-protocol.js) over a pluggable transport: Streamable HTTP by default,
+ * or stdio / in-memory (see ghl-transports.js).
  */
 
-const MCP_PROTOCOL_VERSION = '2025-06-18';
-const DEFAULT_TIMEOUT_MS = 30_000;
-const GHL_MCP_ENDPOINT = 'https://services.leadconnectorhq.com/mcp/';
+import {
+  McpError,
+  McpHttpError,
+  McpRpcError,
+  McpTimeoutError,
+  McpCancelledError,
+  McpToolError,
+  McpValidationError,
+  McpCapabilityError,
+  McpProtocolVersionError,
+} from './ghl-errors.js';
+import { validateSchema } from './ghl-schema.js';
+import { decodeToolResult } from './ghl-content.js';
+import {
+  createHttpTransport,
+  createStdioTransport,
+  parseSSEResponse,
+  GHL_MCP_ENDPOINT,
+  DEFAULT_TIMEOUT_MS,
+} from './ghl-transports.js';
+import { createRecordingTransport, createReplayTransport, loadCassette } from './ghl-cassette.js';
+import { composeMiddleware } from './ghl-middleware.js';
+import {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  MCP_PROTOCOL_VERSION,
+  isSupportedProtocolVersion,
+  protocolFeatures,
+  pickProtocolVersion,
+} from './ghl-protocol.js';
+
 
 let _requestId = 0;
 function nextId() { return ++_requestId; }
 
 /**
- * Parse an SSE (text/event-stream) response body into JSON-RPC messages.
- * @param {ReadableStream} body
- * @returns {Promise<object[]>}
+ * Pagination conventions for GHL list-style tools.
+ * - style: how the next page is requested ('page', 'offset' or 'startAfterId')
+ * - itemsKey: where the page items live in the decoded result
+ * - cursorParam: argument carrying the cursor for 'startAfterId' style
  */
-async function parseSSEResponse(body) {
-  const reader = body.getReader();
-  const decoder = new TextDecoder();
-  let buffer = '';
-  const messages = [];
-
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    buffer += decoder.decode(value, { stream: true });
-
-    const lines = buffer.split('\n');
-    buffer = lines.pop() || '';
-
-    let currentData = '';
-    for (const line of lines) {
-      if (line.startsWith('data: ')) {
-        currentData += line.slice(6);
-      } else if (line === '' && currentData) {
-        try {
-          messages.push(JSON.parse(currentData));
-        } catch { /* skip malformed */ }
-        currentData = '';
-      }
-    }
-  }
+const PAGINATED_TOOLS = {
+  'contacts_get-contacts': { style: 'startAfterId', itemsKey: 'contacts', cursorParam: 'startAfterId', pageSize: 100 },
+  'opportunities_search-opportunity': { style: 'page', itemsKey: 'opportunities', pageSize: 100 },
+  'conversations_get-messages': { style: 'startAfterId', itemsKey: 'messages', cursorParam: 'lastMessageId', pageSize: 100 },
+};
 
-  // Flush remaining
-  if (buffer.startsWith('data: ')) {
-    try {
-      messages.push(JSON.parse(buffer.slice(6)));
-    } catch { /* skip */ }
-  }
+/**
+ * Build the arguments for the next page, or null when the last page was reached.
+ * Each style receives the previous args, the page container (holding items and
+ * meta), the page items and the pagination spec.
+ */
+const PAGE_STYLES = {
+  page(args, container, items) {
+    const meta = container.meta || {};
+    if (meta.nextPage === null) return null;
+    return { ...args, page: meta.nextPage || (args.page || 1) + 1 };
+  },
+  offset(args, container, items) {
+    return { ...args, offset: (args.offset || 0) + items.length };
+  },
+  startAfterId(args, container, items, spec) {
+    const meta = container.meta || container;
+    if (meta.nextPage === false) return null;
+    const cursor = meta[spec.cursorParam] || items[items.length - 1]?.id;
+    if (!cursor || cursor === args[spec.cursorParam]) return null;
+    const next = { ...args, [spec.cursorParam]: cursor };
+    if (meta.startAfter) next.startAfter = meta.startAfter;
+    return next;
+  },
+};
 
-  return messages;
+/**
+ * Locate the page items and their container in a decoded list result.
+ * Handles both flat ({ contacts: [...] }) and nested ({ messages: { messages: [...] } }) shapes.
+ * @param {object} data
+ * @param {string} itemsKey
+ * @returns {{ items: object[], container: object }}
+ */
+function extractPage(data, itemsKey) {
+  const value = data?.[itemsKey];
+  if (Array.isArray(value)) return { items: value, container: data };
+  if (Array.isArray(value?.[itemsKey])) return { items: value[itemsKey], container: value };
+  return { items: [], container: data || {} };
 }
 
 /**
- * Send a JSON-RPC request to the MCP endpoint.
- * @param {string} url - MCP endpoint URL
- * @param {object} headers - Authorization headers
- * @param {object} request - JSON-RPC request body
- * @param {string|null} sessionId - Mcp-Session-Id from prior initialize
- * @param {number} timeoutMs - Request timeout
- * @returns {Promise<{result: object, sessionId: string|null}>}
+ * The result of a JSON-RPC response. Error responses throw McpRpcError, and a
+ * tools/call result with isError throws McpToolError; this is the one place that
+ * happens, so middleware sees failed tool calls (to retry and log them) and batches
+ * report them the same way.
+ * @param {string} method
+ * @param {object} response
+ * @param {string} [toolName]
+ * @returns {object|undefined}
  */
-async function sendJsonRpc(url, headers, request, sessionId = null, timeoutMs = DEFAULT_TIMEOUT_MS) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-
-  const reqHeaders = {
-    'Content-Type': 'application/json',
-    'Accept': 'application/json, text/event-stream',
-    'MCP-Protocol-Version': MCP_PROTOCOL_VERSION,
-    ...headers,
-  };
-  if (sessionId) {
-    reqHeaders['Mcp-Session-Id'] = sessionId;
-  }
-
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: reqHeaders,
-      body: JSON.stringify(request),
-      signal: controller.signal,
-    });
-
-    if (!response.ok) {
-      const text = await response.text().catch(() => '');
-      throw new Error(`MCP HTTP ${response.status}: ${text}`);
-    }
-
-    const newSessionId = response.headers.get('mcp-session-id') || sessionId;
-    const contentType = response.headers.get('content-type') || '';
-
-    let result;
-    if (contentType.includes('text/event-stream')) {
-      const messages = await parseSSEResponse(response.body);
-      // Return the last JSON-RPC response (notifications may precede it)
-      result = messages.filter(m => m.id === request.id).pop() || messages.pop() || {};
-    } else {
-      result = await response.json();
-    }
-
-    return { result, sessionId: newSessionId };
-  } finally {
-    clearTimeout(timer);
-  }
+function resultOf(method, response, toolName) {
+  if (response?.error) throw new McpRpcError(method, response.error, toolName);
+  if (method === 'tools/call' && response?.result?.isError) throw new McpToolError(toolName, response.result);
+  return response?.result;
 }
 
 /**
  * Create an MCP client for a GHL location.
  * @param {object} config
- * @param {string} config.token - GHL Private Integration Token (PIT)
- * @param {string} config.locationId - GHL Location ID
- * @param {string} [config.url] - MCP endpoint URL (defaults to GHL)
+ * @param {string} [config.token] - GHL Private Integration Token (PIT); required for HTTP
+ * @param {string} [config.locationId] - GHL Location ID; required for HTTP
+ * @param {string} [config.url] - MCP endpoint URL (defaults to $GHL_MCP_URL, then GHL; point
+ *   GHL_MCP_URL at dev/fake-ghl-server.js to run everything offline)
  * @param {number} [config.timeoutMs] - Request timeout in ms
- * @returns {object} Client with initialize, listTools, callTool, close methods
+ * @param {Function} [config.fetch] - fetch implementation for the HTTP transport
+ * @param {string} [config.command] - Run a local MCP server over stdio instead of HTTP
+ * @param {string[]} [config.args] - Arguments for config.command
+ * @param {object} [config.transport] - Custom transport (see ghl-transports.js); overrides url/command
+ * @param {object} [config.rateLimiter] - Limiter from createRateLimiter(); acquired before every request
+ * @param {Function[]} [config.middleware=[]] - Ordered middleware around every request after
+ *   initialize (see ghl-middleware.js); with middleware, callTools sends calls one by one
+ * @param {boolean} [config.validateArguments=false] - Validate callTool arguments against the
+ *   cached tool catalog's inputSchema before sending (throws McpValidationError)
+ * @param {boolean} [config.listen=false] - Open the transport's stream for server-initiated
+ *   messages after initialize (HTTP GET stream)
+ * @param {Function} [config.onLog] - Receives notifications/message params not tied to a callTool onLog
+ * @param {Function} [config.onNotification] - Receives every server notification
+ * @param {Array<{uri: string, name?: string}>} [config.roots] - Answer roots/list with these
+ * @param {object} [config.requestHandlers] - Handlers for server requests, keyed by method
+ *   (e.g. 'elicitation/create'); (params) => result. ping is answered by default.
+ * @param {string} [config.protocolVersion] - Version to offer in initialize (defaults to the
+ *   newest supported); the server may answer with any supported version
+ * @param {string} [config.record] - Record traffic to this cassette file, redacted
+ *   (defaults to $GHL_MCP_RECORD; see ghl-cassette.js)
+ * @param {string} [config.replay] - Answer from this cassette file instead of a server
+ *   (defaults to $GHL_MCP_REPLAY); no token is needed
+ * @param {'sequence'|'request'} [config.replayMatch='sequence'] - How replayed responses are
+ *   matched to requests (defaults to $GHL_MCP_REPLAY_MATCH)
+ * @returns {object} Client with initialize, tools, resources, prompts, pagination and close methods
  */
 function createMcpClient(config) {
   const {
     token,
     locationId,
-    url = GHL_MCP_ENDPOINT,
+    url = process.env.GHL_MCP_URL || GHL_MCP_ENDPOINT,
     timeoutMs = DEFAULT_TIMEOUT_MS,
+    command,
+    args,
+    rateLimiter = null,
+    middleware = [],
+    validateArguments = false,
+    listen = false,
+    onLog,
+    onNotification,
+    roots,
+    protocolVersion: offeredVersion = MCP_PROTOCOL_VERSION,
+    record = process.env.GHL_MCP_RECORD,
+    replay = process.env.GHL_MCP_REPLAY,
+    replayMatch = process.env.GHL_MCP_REPLAY_MATCH || 'sequence',
   } = config;
 
-  if (!token) throw new Error('GHL token is required');
-  if (!locationId) throw new Error('GHL locationId is required');
+  if (!isSupportedProtocolVersion(offeredVersion)) {
+    throw new Error(`Unsupported MCP protocol version ${offeredVersion}; supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`);
+  }
 
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'locationId': locationId,
-  };
+  let transport = config.transport;
+  if (!transport && replay) {
+    transport = createReplayTransport(loadCassette(replay), { match: replayMatch });
+  }
+  if (!transport && command) {
+    transport = createStdioTransport({ command, args, timeoutMs });
+  }
+  if (!transport) {
+    if (!token) throw new Error('GHL token is required');
+    if (!locationId) throw new Error('GHL locationId is required');
+
+    transport = createHttpTransport({
+      url,
+      timeoutMs,
+      fetch: config.fetch,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'locationId': locationId,
+      },
+    });
+  }
+  if (record && !replay) {
+    transport = createRecordingTransport(transport, { file: record });
+  }
 
-  let sessionId = null;
   let initialized = false;
+  let initializing = null;
   let serverCapabilities = null;
   let serverInfo = null;
+  let protocolVersion = null;
+  let toolCatalog = null;
+  let loadingCatalog = null;
+  const progressHandlers = new Map();
+  const requestHandlers = new Map(Object.entries({
+    'ping': () => ({}),
+    ...(roots ? { 'roots/list': () => ({ roots }) } : {}),
+    ...config.requestHandlers,
+  }));
+
+  transport.onmessage = (message) => handleMessage(message);
+
+  /**
+   * Client capabilities follow the server requests we can answer under a protocol version.
+   * @param {string} version
+   */
+  function clientCapabilities(version) {
+    const capabilities = {};
+    if (requestHandlers.has('roots/list')) capabilities.roots = { listChanged: false };
+    if (requestHandlers.has('elicitation/create') && protocolFeatures(version).elicitation) {
+      capabilities.elicitation = {};
+    }
+    if (requestHandlers.has('sampling/createMessage')) capabilities.sampling = {};
+    return capabilities;
+  }
 
-  async function initialize() {
-    const request = {
+  function sendInitialize(version) {
+    transport.resetSession();
+    transport.setProtocolVersion?.(version);
+    return transport.send({
       jsonrpc: '2.0',
       id: nextId(),
       method: 'initialize',
       params: {
-        protocolVersion: MCP_PROTOCOL_VERSION,
-        capabilities: {},
+        protocolVersion: version,
+        capabilities: clientCapabilities(version),
         clientInfo: {
           name: 'ghl-mcp-client',
           version: '1.0.0',
         },
       },
-    };
+    }, { timeoutMs });
+  }
+
+  /**
+   * Run the initialize handshake and negotiate the protocol version.
+   * A server that rejects the offered version with its `supported` list gets one
+   * more handshake with the newest version both sides speak; a server answering
+   * with a version we do not speak is disconnected with McpProtocolVersionError.
+   */
+  async function initialize() {
+    let offered = offeredVersion;
+    let response = await sendInitialize(offered);
+
+    const serverSupported = response?.error?.data?.supported;
+    if (response?.error && Array.isArray(serverSupported)) {
+      const fallback = pickProtocolVersion(serverSupported);
+      if (!fallback || fallback === offered) {
+        throw new McpProtocolVersionError(offered, serverSupported, SUPPORTED_PROTOCOL_VERSIONS);
+      }
+      offered = fallback;
+      response = await sendInitialize(offered);
+    }
 
-    const resp = await sendJsonRpc(url, headers, request, null, timeoutMs);
-    sessionId = resp.sessionId;
+    if (response?.error) {
+      throw new McpRpcError('initialize', response.error);
+    }
 
-    if (resp.result.error) {
-      throw new Error(`MCP initialize error: ${JSON.stringify(resp.result.error)}`);
+    const negotiated = response?.result?.protocolVersion;
+    if (!isSupportedProtocolVersion(negotiated)) {
+      await transport.close().catch(() => {});
+      throw new McpProtocolVersionError(offered, negotiated, SUPPORTED_PROTOCOL_VERSIONS);
     }
 
-    serverCapabilities = resp.result.result?.capabilities || {};
-    serverInfo = resp.result.result?.serverInfo || {};
+    protocolVersion = negotiated;
+    transport.setProtocolVersion?.(negotiated);
+    serverCapabilities = response.result.capabilities || {};
+    serverInfo = response.result.serverInfo || {};
     initialized = true;
 
     // Send initialized notification
-    const notification = {
+    await transport.send({
       jsonrpc: '2.0',
       method: 'notifications/initialized',
       params: {},
-    };
-    await sendJsonRpc(url, headers, notification, sessionId, timeoutMs).catch(() => {});
+    }, { timeoutMs }).catch(() => {});
 
-    return { capabilities: serverCapabilities, serverInfo };
+    if (listen) transport.listen?.();
+
+    return { capabilities: serverCapabilities, serverInfo, protocolVersion };
   }
 
-  async function listTools(cursor = undefined) {
-    if (!initialized) await initialize();
+  /**
+   * Initialize once, sharing the in-flight handshake between concurrent callers.
+   */
+  async function ensureInitialized() {
+    if (initialized) return;
+    if (!initializing) {
+      initializing = initialize().finally(() => { initializing = null; });
+    }
+    await initializing;
+  }
 
-    const request = {
+  /**
+   * Re-run the initialize handshake after the server dropped our session.
+   * Concurrent requests that saw the same expired session share one handshake.
+   * @param {string} expiredSessionId
+   */
+  async function reinitialize(expiredSessionId) {
+    if (transport.sessionId === expiredSessionId) {
+      initialized = false;
+    }
+    await ensureInitialized();
+  }
+
+  // ─── Server → client messages ─────────────────────────────
+
+  /**
+   * Route a message the server sent us: notifications to their callbacks,
+   * requests to requestHandlers.
+   * @param {object} message
+   * @param {object} [context] - Per-request callbacks when the message arrived on that request's stream
+   * @param {Function} [context.onLog]
+   */
+  function handleMessage(message, context = {}) {
+    if (message.method === undefined) return;
+    if (message.id !== undefined) {
+      answerServerRequest(message);
+      return;
+    }
+
+    const params = message.params || {};
+    if (message.method === 'notifications/progress') {
+      progressHandlers.get(params.progressToken)?.(params);
+    } else if (message.method === 'notifications/message') {
+      (context.onLog || onLog)?.(params);
+    } else if (message.method === 'notifications/tools/list_changed') {
+      toolCatalog = null;
+    }
+    onNotification?.(message);
+  }
+
+  /**
+   * Answer a server request (ping, roots/list, elicitation/create, ...) with the
+   * registered handler's result, or a JSON-RPC error.
+   * @param {object} message
+   */
+  async function answerServerRequest(message) {
+    const handler = requestHandlers.get(message.method);
+    let reply;
+    if (!handler) {
+      reply = { error: { code: -32601, message: `Method not found: ${message.method}` } };
+    } else {
+      try {
+        reply = { result: (await handler(message.params || {})) ?? {} };
+      } catch (err) {
+        reply = { error: { code: -32603, message: err.message } };
+      }
+    }
+    await transport.send({ jsonrpc: '2.0', id: message.id, ...reply }, { timeoutMs }).catch(() => {});
+  }
+
+  /**
+   * Register (or with null, remove) the handler for a server request method.
+   * Capabilities are announced at initialize, so register before the first call.
+   * @param {string} method - e.g. 'elicitation/create'
+   * @param {Function|null} handler - (params) => result | Promise<result>
+   */
+  function setRequestHandler(method, handler) {
+    if (handler) requestHandlers.set(method, handler);
+    else requestHandlers.delete(method);
+  }
+
+  // ─── Requests ─────────────────────────────────────────────
+
+  function throwIfCancelled(method, signal) {
+    if (signal?.aborted) throw new McpCancelledError(method, signal.reason);
+  }
+
+  /**
+   * Tell the server to stop working on a request we gave up on (abort or timeout).
+   * Fire-and-forget: the server may already have finished.
+   * @param {number} requestId
+   * @param {Error} err - McpCancelledError or McpTimeoutError
+   */
+  function notifyCancelled(requestId, err) {
+    transport.send({
       jsonrpc: '2.0',
-      id: nextId(),
-      method: 'tools/list',
-      params: cursor ? { cursor } : {},
+      method: 'notifications/cancelled',
+      params: { requestId, reason: err.reason || err.message },
+    }, { timeoutMs }).catch(() => {});
+  }
+
+  /**
+   * The innermost step of the middleware chain: send one request, replaying
+   * it once on a fresh session if the old one expired.
+   */
+  async function exchange(ctx) {
+    const { method, params, toolName, signal, timeoutMs: requestTimeoutMs, onLog: requestOnLog } = ctx;
+    const send = async () => {
+      const id = nextId();
+      try {
+        return await transport.send({ jsonrpc: '2.0', id, method, params }, {
+          timeoutMs: requestTimeoutMs,
+          signal,
+          onMessage: (message) => handleMessage(message, { onLog: requestOnLog }),
+          onHeaders: (headers) => { ctx.responseHeaders = headers; },
+        });
+      } catch (err) {
+        if (err instanceof McpCancelledError || err instanceof McpTimeoutError) notifyCancelled(id, err);
+        throw err;
+      }
     };
 
-    const resp = await sendJsonRpc(url, headers, request, sessionId, timeoutMs);
-    sessionId = resp.sessionId || sessionId;
+    let response;
+    try {
+      response = await send();
+    } catch (err) {
+      if (!(err instanceof McpHttpError && err.sessionExpired)) throw err;
+      await reinitialize(err.sessionId);
+      response = await send();
+    }
+
+    return resultOf(method, response, toolName);
+  }
+
+  const runChain = composeMiddleware(middleware, exchange);
+
+  /**
+   * Send a request on the current session through the middleware chain. When the
+   * server answers 404 for our Mcp-Session-Id (session expired or terminated),
+   * re-initialize and replay the request once.
+   * @param {string} method
+   * @param {object} params
+   * @param {object} [options]
+   * @param {string} [options.toolName] - Tool name, included in RPC errors for tools/call
+   * @param {Function} [options.onLog] - Receives log messages sent on this request's stream
+   * @param {AbortSignal} [options.signal] - Abort the request (throws McpCancelledError)
+   * @param {number} [options.timeoutMs] - Override the client's request timeout
+   * @param {string} [options.caller] - What made the request, as ctx.caller for middleware
+   * @returns {Promise<object>} JSON-RPC result
+   */
+  async function request(method, params, options = {}) {
+    const { toolName, onLog: requestOnLog, signal, timeoutMs: requestTimeoutMs = timeoutMs, caller } = options;
+    throwIfCancelled(method, signal);
+    await ensureInitialized();
+    if (rateLimiter) await rateLimiter.acquire();
+    throwIfCancelled(method, signal);
+
+    return runChain({
+      method,
+      params,
+      toolName,
+      signal,
+      timeoutMs: requestTimeoutMs,
+      onLog: requestOnLog,
+      caller,
+      state: {},
+    });
+  }
+
+  async function listTools(cursor = undefined) {
+    const result = await request('tools/list', cursor ? { cursor } : {});
+    return result || { tools: [] };
+  }
 
-    if (resp.result.error) {
-      throw new Error(`MCP tools/list error: ${JSON.stringify(resp.result.error)}`);
+  /**
+   * Load every tool (all tools/list pages) into the catalog cache.
+   * @returns {Promise<Map<string, object>>}
+   */
+  async function refreshToolCatalog() {
+    const catalog = new Map();
+    for await (const tool of iterateTools()) catalog.set(tool.name, tool);
+    toolCatalog = catalog;
+    return catalog;
+  }
+
+  /**
+   * Look up a tool definition, loading the catalog on first use.
+   * @param {string} name
+   * @returns {Promise<object|undefined>}
+   */
+  async function getTool(name) {
+    if (!toolCatalog) {
+      if (!loadingCatalog) {
+        loadingCatalog = refreshToolCatalog().finally(() => { loadingCatalog = null; });
+      }
+      await loadingCatalog;
     }
+    return toolCatalog.get(name);
+  }
 
-    return resp.result.result || { tools: [] };
+  /**
+   * Validate tool arguments against the tool's inputSchema.
+   * @param {string} name
+   * @param {object} args
+   * @throws {McpValidationError}
+   */
+  async function validateToolArguments(name, args) {
+    const tool = await getTool(name);
+    if (!tool) {
+      throw new McpValidationError(name, [{ path: name, message: 'is not a tool on this server' }]);
+    }
+    const errors = validateSchema(tool.inputSchema, args);
+    if (errors.length > 0) throw new McpValidationError(name, errors);
   }
 
-  async function callTool(name, args = {}) {
-    if (!initialized) await initialize();
+  /**
+   * Call a tool.
+   * @param {string} name
+   * @param {object} [args]
+   * @param {object} [options]
+   * @param {Function} [options.onProgress] - ({ progress, total, message }) => void; sends a progressToken
+   * @param {Function} [options.onLog] - ({ level, logger, data }) => void for log messages sent
+   *   while the call runs (HTTP SSE); other log messages go to config.onLog
+   * @param {AbortSignal} [options.signal] - Abort the call; the server gets notifications/cancelled
+   * @param {number} [options.timeoutMs] - Override the client's request timeout for this call
+   * @param {string} [options.caller] - What made the call (e.g. 'monitor.stale_leads'); the
+   *   credits middleware records it in place of its own caller
+   * @returns {Promise<object>} tools/call result
+   */
+  async function callTool(name, args = {}, options = {}) {
+    const { onProgress, onLog: callOnLog, signal, timeoutMs: callTimeoutMs, caller } = options;
+    if (validateArguments) await validateToolArguments(name, args);
+
+    const params = { name, arguments: args };
+    let progressToken;
+    if (onProgress) {
+      progressToken = `progress-${nextId()}`;
+      params._meta = { progressToken };
+      progressHandlers.set(progressToken, onProgress);
+    }
 
-    const request = {
-      jsonrpc: '2.0',
-      id: nextId(),
-      method: 'tools/call',
-      params: { name, arguments: args },
+    let result;
+    try {
+      result = await request('tools/call', params, {
+        toolName: name,
+        onLog: callOnLog,
+        signal,
+        timeoutMs: callTimeoutMs,
+        caller,
+      });
+    } finally {
+      if (progressToken) progressHandlers.delete(progressToken);
+    }
+    return result || {};
+  }
+
+  /**
+   * Call several tools. Under a protocol version with JSON-RPC batching (2025-03-26)
+   * and a transport that can send batches, the calls go out as one request;
+   * otherwise they run concurrently. Each call still counts against the rate limiter.
+   * @param {Array<{name: string, arguments?: object}>} calls
+   * @param {object} [options] - signal, timeoutMs (as for callTool)
+   * @returns {Promise<Array<{status: 'fulfilled', value: object}|{status: 'rejected', reason: Error}>>}
+   *   One outcome per call, in order
+   */
+  async function callTools(calls, options = {}) {
+    await ensureInitialized();
+    if (!protocolFeatures(protocolVersion).batching || !transport.sendBatch || middleware.length > 0) {
+      return Promise.allSettled(calls.map(c => callTool(c.name, c.arguments, options)));
+    }
+
+    const { signal, timeoutMs: batchTimeoutMs = timeoutMs } = options;
+    const outcomes = new Array(calls.length);
+    const queued = [];
+    for (const [index, c] of calls.entries()) {
+      try {
+        if (validateArguments) await validateToolArguments(c.name, c.arguments || {});
+        queued.push({ index, name: c.name, params: { name: c.name, arguments: c.arguments || {} } });
+      } catch (err) {
+        outcomes[index] = { status: 'rejected', reason: err };
+      }
+    }
+    if (queued.length === 0) return outcomes;
+
+    const sendBatch = async () => {
+      throwIfCancelled('batch', signal);
+      if (rateLimiter) for (let i = 0; i < queued.length; i++) await rateLimiter.acquire();
+      const messages = queued.map(q => ({ jsonrpc: '2.0', id: nextId(), method: 'tools/call', params: q.params }));
+      try {
+        return await transport.sendBatch(messages, {
+          timeoutMs: batchTimeoutMs,
+          signal,
+          onMessage: (message) => handleMessage(message),
+        });
+      } catch (err) {
+        if (err instanceof McpCancelledError || err instanceof McpTimeoutError) {
+          for (const m of messages) notifyCancelled(m.id, err);
+        }
+        throw err;
+      }
     };
 
-    const resp = await sendJsonRpc(url, headers, request, sessionId, timeoutMs);
-    sessionId = resp.sessionId || sessionId;
+    let responses;
+    try {
+      try {
+        responses = await sendBatch();
+      } catch (err) {
+        if (!(err instanceof McpHttpError && err.sessionExpired)) throw err;
+        await reinitialize(err.sessionId);
+        responses = await sendBatch();
+      }
+    } catch (err) {
+      for (const q of queued) outcomes[q.index] = { status: 'rejected', reason: err };
+      return outcomes;
+    }
 
-    if (resp.result.error) {
-      throw new Error(`MCP tools/call error (${name}): ${JSON.stringify(resp.result.error)}`);
+    queued.forEach((q, i) => {
+      const response = responses[i];
+      try {
+        if (!response) throw new McpError(`MCP batch returned no response for ${q.name}`);
+        outcomes[q.index] = { status: 'fulfilled', value: resultOf('tools/call', response, q.name) || {} };
+      } catch (reason) {
+        outcomes[q.index] = { status: 'rejected', reason };
+      }
+    });
+    return outcomes;
+  }
+
+  /**
+   * Iterate every item of a cursor-paginated MCP list method, following nextCursor.
+   * @param {Function} listPage - (cursor) => Promise<page>
+   * @param {string} key - Page key holding the items (tools, resources, prompts, ...)
+   * @param {object} [options]
+   * @param {number} [options.maxItems] - Stop after this many items
+   * @returns {AsyncGenerator<object>}
+   */
+  async function* iterateList(listPage, key, options = {}) {
+    const { maxItems = Infinity } = options;
+    let cursor;
+    let count = 0;
+
+    do {
+      const page = await listPage(cursor);
+      for (const item of page[key] || []) {
+        if (count >= maxItems) return;
+        count++;
+        yield item;
+      }
+      cursor = page.nextCursor;
+    } while (cursor && count < maxItems);
+  }
+
+  /**
+   * Iterate every tool across all tools/list pages.
+   * @param {object} [options]
+   * @param {number} [options.maxItems] - Stop after this many tools
+   * @returns {AsyncGenerator<object>}
+   */
+  function iterateTools(options = {}) {
+    return iterateList(listTools, 'tools', options);
+  }
+
+  /**
+   * Iterate the items of a list-style tool across pages.
+   * Known GHL tools (PAGINATED_TOOLS) need no options; other tools must pass
+   * itemsKey and style.
+   * @param {string} toolName
+   * @param {object} [args] - Tool arguments for the first page
+   * @param {object} [options]
+   * @param {number} [options.maxItems] - Stop after this many items
+   * @param {number} [options.pageSize] - Items requested per page (sent as `limit`)
+   * @param {string} [options.itemsKey] - Result key holding the page items
+   * @param {'page'|'offset'|'startAfterId'} [options.style] - Pagination convention
+   * @param {string} [options.cursorParam] - Cursor argument for 'startAfterId' style
+   * @param {Function} [options.callTool] - Replacement for callTool (e.g. with retries)
+   * @param {AbortSignal} [options.signal] - Passed to every page's call
+   * @returns {AsyncGenerator<object>}
+   */
+  async function* paginate(toolName, args = {}, options = {}) {
+    const spec = { ...PAGINATED_TOOLS[toolName], ...options };
+    if (!spec.itemsKey || !PAGE_STYLES[spec.style]) {
+      throw new Error(`No pagination convention for ${toolName}; pass itemsKey and style`);
     }
 
-    return resp.result.result || {};
+    const { maxItems = Infinity, callTool: call = callTool, signal } = options;
+    const pageSize = args.limit || spec.pageSize || 100;
+    let pageArgs = { ...args, limit: pageSize };
+    let count = 0;
+
+    while (pageArgs) {
+      const data = decodeToolResult(await call(toolName, pageArgs, { signal }), {
+        toolName,
+        preferStructured: protocolFeatures(protocolVersion).structuredOutput,
+      });
+      const { items, container } = extractPage(data, spec.itemsKey);
+
+      for (const item of items) {
+        if (count >= maxItems) return;
+        count++;
+        yield item;
+      }
+
+      if (count >= maxItems || items.length === 0 || items.length < pageSize) return;
+      pageArgs = PAGE_STYLES[spec.style](pageArgs, container, items, spec);
+    }
+  }
+
+  // ─── Resources & Prompts ──────────────────────────────────
+
+  /**
+   * Throw unless the server advertised a capability during initialize.
+   * @param {'resources'|'prompts'|'logging'} capability
+   */
+  async function requireCapability(capability) {
+    await ensureInitialized();
+    if (!serverCapabilities?.[capability]) {
+      throw new McpCapabilityError(capability, serverInfo?.name);
+    }
+  }
+
+  async function listResources(cursor = undefined) {
+    await requireCapability('resources');
+    const result = await request('resources/list', cursor ? { cursor } : {});
+    return result || { resources: [] };
   }
 
+  async function listResourceTemplates(cursor = undefined) {
+    await requireCapability('resources');
+    const result = await request('resources/templates/list', cursor ? { cursor } : {});
+    return result || { resourceTemplates: [] };
+  }
+
+  /**
+   * Read a resource by URI.
+   * @param {string} uri
+   * @returns {Promise<{contents: Array<{uri: string, mimeType?: string, text?: string, blob?: string}>}>}
+   */
+  async function readResource(uri) {
+    await requireCapability('resources');
+    const result = await request('resources/read', { uri });
+    return result || { contents: [] };
+  }
+
+  async function listPrompts(cursor = undefined) {
+    await requireCapability('prompts');
+    const result = await request('prompts/list', cursor ? { cursor } : {});
+    return result || { prompts: [] };
+  }
+
+  /**
+   * Get a prompt rendered with arguments.
+   * @param {string} name
+   * @param {object} [args] - Prompt arguments (string values)
+   * @returns {Promise<{description?: string, messages: object[]}>}
+   */
+  async function getPrompt(name, args = {}) {
+    await requireCapability('prompts');
+    const result = await request('prompts/get', { name, arguments: args });
+    return result || { messages: [] };
+  }
+
+  function iterateResources(options = {}) {
+    return iterateList(listResources, 'resources', options);
+  }
+
+  function iterateResourceTemplates(options = {}) {
+    return iterateList(listResourceTemplates, 'resourceTemplates', options);
+  }
+
+  function iteratePrompts(options = {}) {
+    return iterateList(listPrompts, 'prompts', options);
+  }
+
+  /**
+   * Ask the server to send log messages at or above a level (notifications/message).
+   * @param {'debug'|'info'|'notice'|'warning'|'error'|'critical'|'alert'|'emergency'} level
+   */
+  async function setLogLevel(level) {
+    await requireCapability('logging');
+    await request('logging/setLevel', { level });
+  }
+
+  // ─── Lifecycle ────────────────────────────────────────────
+
+  /**
+   * Close the transport (HTTP: DELETE the session; stdio: stop the server) and reset local state.
+   */
   async function close() {
-    sessionId = null;
+    await transport.close();
     initialized = false;
     serverCapabilities = null;
     serverInfo = null;
+    protocolVersion = null;
+    toolCatalog = null;
   }
 
   return {
     initialize,
+    ensureInitialized,
     listTools,
+    iterateTools,
     callTool,
+    callTools,
+    paginate,
+    getTool,
+    refreshToolCatalog,
+    validateToolArguments,
+    listResources,
+    listResourceTemplates,
+    readResource,
+    iterateResources,
+    iterateResourceTemplates,
+    listPrompts,
+    getPrompt,
+    iteratePrompts,
+    setLogLevel,
+    setRequestHandler,
     close,
-    get sessionId() { return sessionId; },
+    get transport() { return transport; },
+    get sessionId() { return transport.sessionId ?? null; },
     get initialized() { return initialized; },
     get serverCapabilities() { return serverCapabilities; },
     get serverInfo() { return serverInfo; },
+    get protocolVersion() { return protocolVersion; },
+    /** Version-specific behavior of the negotiated protocol (see ghl-protocol.js). */
+    get features() { return protocolFeatures(protocolVersion); },
   };
 }
 
 export {
   createMcpClient,
-  sendJsonRpc,
   parseSSEResponse,
+  PAGINATED_TOOLS,
   GHL_MCP_ENDPOINT,
   MCP_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
 };
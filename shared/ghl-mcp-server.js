@@ -0,0 +1,335 @@
+/**
+ * GHL MCP Server
+ * Zero-dependency MCP server core: dispatches JSON-RPC messages to method
+ * handlers, and serves them over Streamable HTTP (node:http) or stdio.
+ * Used by the local gateway (gateway/ghl-gateway.js).
+ */
+
+import { randomUUID } from 'node:crypto';
+import { createInterface } from 'node:readline';
+import { McpError } from './ghl-errors.js';
+import { SUPPORTED_PROTOCOL_VERSIONS, MCP_PROTOCOL_VERSION } from './ghl-protocol.js';
+
+/** JSON-RPC error codes. */
+const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+};
+
+/**
+ * Error a handler can throw to answer with a specific JSON-RPC error.
+ */
+class RpcError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code (see RPC_ERRORS)
+   * @param {string} message
+   * @param {*} [data]
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Map a handler failure to a JSON-RPC error object.
+ * @param {Error} err
+ * @returns {{code: number, message: string, data?: *}}
+ */
+function toRpcError(err) {
+  if (err instanceof RpcError) {
+    return { code: err.code, message: err.message, ...(err.data !== undefined ? { data: err.data } : {}) };
+  }
+  if (err instanceof McpError && err.category === 'invalid_arguments') {
+    return { code: RPC_ERRORS.INVALID_PARAMS, message: err.message };
+  }
+  return { code: RPC_ERRORS.INTERNAL_ERROR, message: err.message };
+}
+
+/**
+ * Create an MCP server.
+ * @param {object} options
+ * @param {{name: string, version: string}} options.serverInfo
+ * @param {object} [options.capabilities] - Advertised in initialize (default: tools)
+ * @param {string} [options.instructions] - Optional initialize instructions for the model
+ * @param {object} options.handlers - Method handlers, e.g. { 'tools/list': (params, context) => result }.
+ *   Notification handlers are called for their side effects; initialize and ping are built in.
+ * @returns {{ handle: Function }} handle(message, context) resolves to the response
+ *   (an array for batches), or undefined when nothing needs answering
+ */
+function createMcpServer(options) {
+  const { serverInfo, capabilities = { tools: {} }, instructions, handlers = {} } = options;
+
+  const builtins = {
+    initialize(params) {
+      const requested = params.protocolVersion;
+      return {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSION,
+        capabilities,
+        serverInfo,
+        ...(instructions ? { instructions } : {}),
+      };
+    },
+    ping: () => ({}),
+  };
+
+  async function handleOne(message, context) {
+    if (!message || message.jsonrpc !== '2.0' || typeof message !== 'object') {
+      return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: RPC_ERRORS.INVALID_REQUEST, message: 'Invalid JSON-RPC message' } };
+    }
+
+    // Responses to server requests: nothing to do, we never send any
+    if (message.method === undefined) return undefined;
+
+    const handler = handlers[message.method] || builtins[message.method];
+    if (message.id === undefined) {
+      if (handler) await Promise.resolve(handler(message.params || {}, context)).catch(() => {});
+      return undefined;
+    }
+
+    if (!handler) {
+      return { jsonrpc: '2.0', id: message.id, error: { code: RPC_ERRORS.METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } };
+    }
+
+    try {
+      const result = await handler(message.params || {}, context);
+      return { jsonrpc: '2.0', id: message.id, result: result ?? {} };
+    } catch (err) {
+      return { jsonrpc: '2.0', id: message.id, error: toRpcError(err) };
+    }
+  }
+
+  /**
+   * Handle one message or a batch.
+   * @param {object|object[]} message
+   * @param {object} [context] - Passed to handlers (e.g. { sessionId })
+   * @returns {Promise<object|object[]|undefined>}
+   */
+  async function handle(message, context = {}) {
+    if (Array.isArray(message)) {
+      const responses = (await Promise.all(message.map(m => handleOne(m, context)))).filter(Boolean);
+      return responses.length > 0 ? responses : undefined;
+    }
+    return handleOne(message, context);
+  }
+
+  return { handle };
+}
+
+// ─── Streamable HTTP ────────────────────────────────────────
+
+/**
+ * Read a request body as text.
+ * @param {import('node:http').IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<string>}
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Whether a browser Origin is allowed to call the server. Requests without an
+ * Origin (CLI tools, Claude Code) are always allowed; browsers only from localhost,
+ * which blocks DNS-rebinding attacks against a server bound to 127.0.0.1.
+ * @param {string|undefined} origin
+ * @returns {boolean}
+ */
+function isAllowedOrigin(origin) {
+  if (!origin) return true;
+  try {
+    const { hostname } = new URL(origin);
+    return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create a node:http request handler serving an MCP server over Streamable HTTP.
+ * POST carries JSON-RPC (JSON responses, 202 for notifications), initialize
+ * issues an Mcp-Session-Id, DELETE ends a session and GET returns 405 (no
+ * server-initiated stream). Clients that exit without DELETE leave their session
+ * behind, so sessions also end after sessionIdleMs without a request, and the
+ * least recently used one ends when a new session would exceed maxSessions.
+ * @param {object} server - From createMcpServer
+ * @param {object} [options]
+ * @param {string} [options.path='/mcp'] - Endpoint path
+ * @param {number} [options.maxBodyBytes=1048576]
+ * @param {boolean} [options.sse=false] - Answer as an SSE stream (one event per
+ *   response) when the client accepts text/event-stream, as GHL does
+ * @param {number} [options.sessionIdleMs=3600000] - End sessions idle this long
+ * @param {number} [options.maxSessions=1000] - Sessions kept at once
+ * @returns {Function} (req, res) => Promise<void>; `.sessionCount()` reports open sessions
+ */
+function createHttpHandler(server, options = {}) {
+  const {
+    path = '/mcp',
+    maxBodyBytes = 1_048_576,
+    sse = false,
+    sessionIdleMs = 3_600_000,
+    maxSessions = 1000,
+  } = options;
+  // Session id to last request time, least recently used first
+  const sessions = new Map();
+  let eventId = 0;
+
+  /** Record a request on a session, moving it to the back of the LRU order. */
+  function touch(sessionId) {
+    sessions.delete(sessionId);
+    sessions.set(sessionId, Date.now());
+  }
+
+  function evictIdle() {
+    const cutoff = Date.now() - sessionIdleMs;
+    for (const [sessionId, lastSeen] of sessions) {
+      if (lastSeen > cutoff) break;
+      sessions.delete(sessionId);
+    }
+  }
+
+  async function handlePost(req, res) {
+    let message;
+    try {
+      message = JSON.parse(await readBody(req, maxBodyBytes));
+    } catch (err) {
+      sendJson(res, 400, { jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: err.message } });
+      return;
+    }
+
+    const messages = Array.isArray(message) ? message : [message];
+    const isInitialize = messages.some(m => m?.method === 'initialize');
+    let sessionId = req.headers['mcp-session-id'];
+    evictIdle();
+
+    if (isInitialize) {
+      sessionId = randomUUID();
+      if (sessions.size >= maxSessions) sessions.delete(sessions.keys().next().value);
+      touch(sessionId);
+    } else if (!sessionId) {
+      sendJson(res, 400, { jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.INVALID_REQUEST, message: 'Missing Mcp-Session-Id header' } });
+      return;
+    } else if (!sessions.has(sessionId)) {
+      sendJson(res, 404, { jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.INVALID_REQUEST, message: 'Session not found' } });
+      return;
+    } else {
+      touch(sessionId);
+    }
+
+    const response = await server.handle(message, { sessionId });
+    if (response === undefined) {
+      res.writeHead(202, { 'Mcp-Session-Id': sessionId });
+      res.end();
+      return;
+    }
+    if (sse && String(req.headers.accept || '').includes('text/event-stream')) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Mcp-Session-Id': sessionId });
+      for (const item of Array.isArray(response) ? response : [response]) {
+        res.write(`id: ${++eventId}\nevent: message\ndata: ${JSON.stringify(item)}\n\n`);
+      }
+      res.end();
+      return;
+    }
+    sendJson(res, 200, response, { 'Mcp-Session-Id': sessionId });
+  }
+
+  async function handler(req, res) {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== path) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+      if (!isAllowedOrigin(req.headers.origin)) {
+        sendJson(res, 403, { error: 'Origin not allowed' });
+        return;
+      }
+
+      switch (req.method) {
+        case 'POST':
+          await handlePost(req, res);
+          break;
+        case 'DELETE': {
+          const sessionId = req.headers['mcp-session-id'];
+          const known = sessions.delete(sessionId);
+          res.writeHead(known ? 200 : 404);
+          res.end();
+          break;
+        }
+        default:
+          res.writeHead(405, { 'Allow': 'POST, DELETE' });
+          res.end();
+      }
+    } catch (err) {
+      if (!res.headersSent) sendJson(res, 500, { error: err.message });
+      else res.end();
+    }
+  }
+  handler.sessionCount = () => sessions.size;
+  return handler;
+}
+
+// ─── Stdio ──────────────────────────────────────────────────
+
+/**
+ * Serve an MCP server over newline-delimited JSON-RPC (stdin/stdout by default).
+ * Nothing but protocol messages may be written to the output stream.
+ * @param {object} server - From createMcpServer
+ * @param {object} [options]
+ * @param {import('node:stream').Readable} [options.input=process.stdin]
+ * @param {import('node:stream').Writable} [options.output=process.stdout]
+ * @returns {{ close: Function, closed: Promise<void> }} closed resolves when input ends
+ */
+function serveStdio(server, options = {}) {
+  const { input = process.stdin, output = process.stdout } = options;
+  const lines = createInterface({ input });
+  const write = (message) => output.write(JSON.stringify(message) + '\n');
+
+  lines.on('line', async (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      write({ jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.PARSE_ERROR, message: err.message } });
+      return;
+    }
+    const response = await server.handle(message, { sessionId: 'stdio' });
+    if (response !== undefined) write(response);
+  });
+
+  const closed = new Promise(resolve => lines.once('close', resolve));
+  return { close: () => lines.close(), closed };
+}
+
+export {
+  createMcpServer,
+  createHttpHandler,
+  serveStdio,
+  RpcError,
+  RPC_ERRORS,
+};
@@ -0,0 +1,267 @@
+/**
+ * Metrics and lightweight tracing.
+ * Counters, gauges and histograms with labels, kept in memory and exposed in
+ * Prometheus text format (an HTTP endpoint, or a file for node_exporter's
+ * textfile collector) and as a JSON snapshot. Spans time units of work such
+ * as a monitor check.
+ *
+ * Names follow Prometheus conventions: `_total` for counters, `_seconds` for
+ * durations.
+ */
+
+import { createServer } from 'node:http';
+import { writeFileSync, renameSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+/** Default histogram buckets, in seconds. */
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}` : '';
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxSpans=200] - Finished spans kept for snapshot()
+ * @returns {object} { counter, gauge, histogram, startSpan, withSpan, snapshot, toPrometheus, reset }
+ */
+function createMetricsRegistry(options = {}) {
+  const { maxSpans = 200 } = options;
+  const metrics = new Map();
+  let spans = [];
+
+  /** Get or create a metric; the first registration's help text and type win. */
+  function define(name, type, help, extra = {}) {
+    const existing = metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) throw new Error(`Metric ${name} is already a ${existing.type}`);
+      return existing;
+    }
+    const metric = { name, type, help, series: new Map(), ...extra };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  function series(metric, labels, init) {
+    const key = labelKey(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels: { ...labels }, ...init() });
+    return metric.series.get(key);
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @returns {object} { inc(labels, n=1) }
+   */
+  function counter(name, help) {
+    const metric = define(name, 'counter', help);
+    return {
+      inc(labels = {}, n = 1) {
+        series(metric, labels, () => ({ value: 0 })).value += n;
+      },
+    };
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @returns {object} { set(labels, value) }
+   */
+  function gauge(name, help) {
+    const metric = define(name, 'gauge', help);
+    return {
+      set(labels = {}, value = 0) {
+        series(metric, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {object} [histogramOptions]
+   * @param {number[]} [histogramOptions.buckets=DEFAULT_BUCKETS] - Upper bounds
+   * @returns {object} { observe(labels, value) }
+   */
+  function histogram(name, help, histogramOptions = {}) {
+    const { buckets = DEFAULT_BUCKETS } = histogramOptions;
+    const metric = define(name, 'histogram', help, { buckets: [...buckets].sort((a, b) => a - b) });
+    return {
+      observe(labels = {}, value = 0) {
+        const s = series(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+        metric.buckets.forEach((le, i) => {
+          if (value <= le) s.counts[i]++;
+        });
+        s.sum += value;
+        s.count++;
+      },
+    };
+  }
+
+  const spanDuration = histogram('ghl_span_duration_seconds', 'Duration of traced units of work (monitor checks, ...)');
+
+  /**
+   * Start a span; end() records its duration and keeps it for snapshot().
+   * @param {string} name - e.g. 'monitor.stale_leads'
+   * @param {object} [attributes] - e.g. { location, runId }
+   * @returns {object} { end(err?) } — end returns the finished span
+   */
+  function startSpan(name, attributes = {}) {
+    const start = Date.now();
+    let finished = null;
+    return {
+      end(err) {
+        if (finished) return finished;
+        const durationMs = Date.now() - start;
+        finished = {
+          name,
+          attributes,
+          startTime: new Date(start).toISOString(),
+          durationMs,
+          status: err ? 'error' : 'ok',
+          ...(err ? { error: err.message, category: err.category } : {}),
+        };
+        spanDuration.observe({ span: name, location: attributes.location, status: finished.status }, durationMs / 1000);
+        spans.push(finished);
+        if (spans.length > maxSpans) spans = spans.slice(-maxSpans);
+        return finished;
+      },
+    };
+  }
+
+  /**
+   * Run fn inside a span.
+   * @param {string} name
+   * @param {object} attributes
+   * @param {Function} fn - () => Promise
+   * @returns {Promise<*>} fn's result
+   */
+  async function withSpan(name, attributes, fn) {
+    const span = startSpan(name, attributes);
+    try {
+      const result = await fn();
+      span.end();
+      return result;
+    } catch (err) {
+      span.end(err);
+      throw err;
+    }
+  }
+
+  /**
+   * @returns {object} { counters, gauges, histograms, spans }: each metric name maps to
+   *   its series ({ labels, value } or { labels, count, sum, buckets: { le: count } })
+   */
+  function snapshot() {
+    const out = { counters: {}, gauges: {}, histograms: {}, spans: structuredClone(spans) };
+    for (const metric of metrics.values()) {
+      const list = [...metric.series.values()];
+      if (metric.type === 'histogram') {
+        out.histograms[metric.name] = list.map(s => ({
+          labels: { ...s.labels },
+          count: s.count,
+          sum: s.sum,
+          buckets: Object.fromEntries(metric.buckets.map((le, i) => [le, s.counts[i]])),
+        }));
+      } else {
+        out[`${metric.type}s`][metric.name] = list.map(s => ({ labels: { ...s.labels }, value: s.value }));
+      }
+    }
+    return out;
+  }
+
+  /** @returns {string} Every metric in Prometheus text exposition format */
+  function toPrometheus() {
+    const lines = [];
+    for (const metric of metrics.values()) {
+      if (metric.series.size === 0) continue;
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      for (const s of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(s.labels)} ${s.value}`);
+          continue;
+        }
+        metric.buckets.forEach((le, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+    }
+    return lines.length ? `${lines.join('\n')}\n` : '';
+  }
+
+  /** Clear every series and span; metric definitions stay. */
+  function reset() {
+    for (const metric of metrics.values()) metric.series.clear();
+    spans = [];
+  }
+
+  return { counter, gauge, histogram, startSpan, withSpan, snapshot, toPrometheus, reset };
+}
+
+/** The registry the client, actions, monitor and gateway record into. */
+const metricsRegistry = createMetricsRegistry();
+
+/**
+ * Serve a registry over HTTP: GET /metrics (Prometheus text) and GET /metrics.json
+ * (snapshot). Listens on localhost unless told otherwise.
+ * @param {object} [options]
+ * @param {number} [options.port=9464]
+ * @param {string} [options.host='127.0.0.1']
+ * @param {object} [options.registry=metricsRegistry]
+ * @returns {Promise<{server: object, url: string, close: Function}>}
+ */
+function startMetricsServer(options = {}) {
+  const { port = 9464, host = '127.0.0.1', registry = metricsRegistry } = options;
+  const server = createServer((req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    if (req.method !== 'GET') {
+      res.writeHead(405, { Allow: 'GET' }).end();
+    } else if (path === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }).end(registry.toPrometheus());
+    } else if (path === '/metrics.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(registry.snapshot()));
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      resolve({
+        server,
+        url: `http://${host}:${address.port}/metrics`,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * Write a registry to a .prom file for node_exporter's textfile collector
+ * (written to a temp file and renamed, so the collector never reads half a file).
+ * @param {string} file
+ * @param {object} [registry=metricsRegistry]
+ */
+function writeMetricsFile(file, registry = metricsRegistry) {
+  mkdirSync(dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  writeFileSync(tmp, registry.toPrometheus());
+  renameSync(tmp, file);
+}
+
+export {
+  createMetricsRegistry,
+  metricsRegistry,
+  startMetricsServer,
+  writeMetricsFile,
+  DEFAULT_BUCKETS,
+};
@@ -0,0 +1,513 @@
+/**
+ * GHL MCP Client Middleware
+ * Ordered interceptors around every JSON-RPC request the client sends after
+ * initialize (see createMcpClient's `middleware` option).
+ *
+ * A middleware is `async (ctx, next) => result`:
+ *   ctx  — { method, params, toolName, signal, timeoutMs, onLog, state, responseHeaders };
+ *          `state` is free-form and shared along the chain for one request;
+ *          `responseHeaders` holds the last HTTP response's headers once next() settles
+ *   next — runs the rest of the chain and the exchange, resolving to the JSON-RPC
+ *          result; may be called again (retry) or not at all (cache, dry run)
+ * The first middleware is the outermost. RPC errors and tool results with
+ * isError arrive as thrown McpRpcError / McpToolError.
+ *
+ * Keys the built-in middleware leave in ctx.state (read by metrics):
+ *   cached  — the result came from the cache
+ *   retries — attempts retried
+ *   waitMs  — time spent waiting for the rate limiter or scheduler
+ *   credits — AI credits recorded in the ledger
+ */
+
+import { createRateLimiter, createToolCache, withRetry, log } from './ghl-utils.js';
+import { McpCancelledError, McpBudgetError, McpToolError, McpRpcError } from './ghl-errors.js';
+import { redact as redactValue } from './ghl-redact.js';
+
+/** List methods whose results are cached by default. */
+const DEFAULT_CACHED_METHODS = ['tools/list', 'resources/list', 'resources/templates/list', 'prompts/list'];
+
+/**
+ * Read-only GHL tools whose results rarely change, with how long they are cached
+ * (`ttlMs`) and then served stale while refreshed (`staleMs`).
+ */
+const DEFAULT_CACHED_TOOLS = {
+  'opportunities_get-pipelines': { ttlMs: 3_600_000, staleMs: 86_400_000 },
+  'locations_get-location': { ttlMs: 3_600_000, staleMs: 86_400_000 },
+  'locations_get-custom-fields': { ttlMs: 3_600_000, staleMs: 86_400_000 },
+};
+
+/**
+ * Cached tools a write tool makes out of date, where narrower than its whole
+ * domain (moving an opportunity leaves the pipelines as they were).
+ */
+const DEFAULT_INVALIDATIONS = {
+  'opportunities_update-opportunity': ['opportunities_search-opportunity', 'opportunities_get-opportunity'],
+};
+
+/** GHL tools that only read: get, search, list, fetch and check. */
+const READ_ONLY_TOOL = /_(get|search|list|fetch|check)-/;
+
+/**
+ * @param {string} toolName
+ * @returns {boolean} Whether a GHL tool only reads data
+ */
+function isReadOnlyTool(toolName) {
+  return READ_ONLY_TOOL.test(toolName || '');
+}
+
+/**
+ * Chain middleware around an exchange function.
+ * @param {Function[]} middleware
+ * @param {Function} exchange - (ctx) => Promise<result>, the innermost step
+ * @returns {Function} (ctx) => Promise<result>
+ */
+function composeMiddleware(middleware, exchange) {
+  return function run(ctx) {
+    const dispatch = async (i) => {
+      if (i === middleware.length) return exchange(ctx);
+      return middleware[i](ctx, () => dispatch(i + 1));
+    };
+    return dispatch(0);
+  };
+}
+
+/** Add the time since `started` to the request's rate-limit wait. */
+function addWait(ctx, started) {
+  ctx.state.waitMs = (ctx.state.waitMs || 0) + Date.now() - started;
+}
+
+/**
+ * Run next() and report the server's rate-limit headers (Retry-After,
+ * X-RateLimit-*) from its response or HTTP error to the limiter.
+ * @param {object} limiter
+ * @param {object} ctx
+ * @param {Function} next
+ * @returns {Promise<*>}
+ */
+async function observed(limiter, ctx, next) {
+  ctx.responseHeaders = undefined;
+  try {
+    const result = await next();
+    await limiter.observe?.(ctx.responseHeaders);
+    return result;
+  } catch (err) {
+    await limiter.observe?.(err.headers || ctx.responseHeaders);
+    throw err;
+  }
+}
+
+/**
+ * The request metrics metrics() records into a registry.
+ * @param {object} registry
+ * @returns {Function} (labels, state, ms, err) => void
+ */
+function createRequestRecorder(registry) {
+  const requests = registry.counter('ghl_mcp_requests_total', 'MCP requests by location, method, tool and outcome');
+  const duration = registry.histogram('ghl_mcp_request_duration_seconds', 'MCP request latency, retries and waits included');
+  const retries = registry.counter('ghl_mcp_retries_total', 'Attempts retried after a retryable failure');
+  const waits = registry.histogram('ghl_rate_limit_wait_seconds', 'Time requests waited for the rate limiter or scheduler');
+  const cacheHits = registry.counter('ghl_mcp_cache_hits_total', 'Requests answered from the response cache');
+  const credits = registry.counter('ghl_ai_credits_total', 'AI credits spent on tool calls');
+
+  return (labels, state, ms, err) => {
+    const outcome = err instanceof McpCancelledError ? 'cancelled' : err ? 'error' : 'ok';
+    requests.inc({ ...labels, status: outcome, category: err?.category || '' });
+    duration.observe(labels, ms / 1000);
+    if (state.retries) retries.inc(labels, state.retries);
+    if (state.waitMs !== undefined) waits.observe(labels, state.waitMs / 1000);
+    if (state.cached) cacheHits.inc(labels);
+    if (state.credits) credits.inc(labels, state.credits);
+  };
+}
+
+// ─── Built-in middleware ────────────────────────────────────
+
+/**
+ * Acquire a rate limiter slot before each attempt, and slow down or pause
+ * as the server's rate-limit headers ask.
+ * @param {object} [limiter] - From createRateLimiter (defaults to GHL's limits)
+ * @returns {Function} Middleware; `.limiter` exposes the limiter
+ */
+function rateLimit(limiter = createRateLimiter()) {
+  const middleware = async (ctx, next) => {
+    const started = Date.now();
+    await limiter.acquire();
+    addWait(ctx, started);
+    return observed(limiter, ctx, next);
+  };
+  middleware.limiter = limiter;
+  return middleware;
+}
+
+/**
+ * Wait for a scheduler slot before each attempt (see ghl-scheduler.js): like
+ * rateLimit, but queued by priority and capped per caller.
+ * @param {object} scheduler - From createScheduler or getLocationScheduler
+ * @param {object} [options]
+ * @param {'interactive'|'normal'|'bulk'} [options.priority='normal']
+ * @param {string} [options.caller]
+ * @returns {Function} Middleware; `.scheduler` exposes the scheduler
+ */
+function schedule(scheduler, options = {}) {
+  const { priority, caller } = options;
+  const middleware = (ctx, next) => {
+    const started = Date.now();
+    return scheduler.schedule(() => {
+      addWait(ctx, started);
+      return observed(scheduler.limiter, ctx, next);
+    }, { priority, caller, signal: ctx.signal });
+  };
+  middleware.scheduler = scheduler;
+  return middleware;
+}
+
+/**
+ * Fail fast while a circuit breaker is open (see createCircuitBreaker).
+ * Place after retry so every attempt counts and an open circuit stops the retries.
+ * @param {object} breaker - From createCircuitBreaker or getLocationBreaker
+ * @returns {Function} Middleware; `.breaker` exposes the breaker
+ */
+function circuitBreaker(breaker) {
+  const middleware = (ctx, next) => breaker.exec(next);
+  middleware.breaker = breaker;
+  return middleware;
+}
+
+/**
+ * Retry retryable failures (429, 5xx, timeouts, network) with backoff, or
+ * after the server's Retry-After when it sends one.
+ * Place before rateLimit so every attempt is rate limited.
+ * @param {object} [options] - withRetry options (maxRetries, baseDelayMs, shouldRetry, maxRetryAfterMs, onRetry)
+ * @returns {Function} Middleware
+ */
+function retry(options = {}) {
+  return (ctx, next) => withRetry(next, {
+    ...options,
+    signal: ctx.signal,
+    onRetry: (...args) => {
+      ctx.state.retries = (ctx.state.retries || 0) + 1;
+      options.onRetry?.(...args);
+    },
+  });
+}
+
+/**
+ * Cache results of list methods and of chosen read-only tools, and drop cached
+ * tool results once a write tool may have changed them: by default every cached
+ * tool of the same domain (`contacts_add-tags` drops `contacts_*`).
+ * A stale entry (past ttlMs, within staleMs) is returned at once and refreshed
+ * in the background (stale-while-revalidate).
+ * @param {object} [options]
+ * @param {number} [options.ttlMs=300000] - Default time a result is fresh
+ * @param {number} [options.staleMs=0] - Default time a result is served stale after that
+ * @param {string[]} [options.methods] - Methods to cache (default: tools, resources and prompts lists)
+ * @param {string[]|object} [options.tools=[]] - Tools whose tools/call results are cached
+ *   (e.g. 'opportunities_get-pipelines'), or a map of tool name to { ttlMs, staleMs }
+ * @param {object} [options.invalidates] - Map of write tool to the tools (or domain
+ *   prefixes like 'contacts_') whose cached results it drops
+ * @param {number} [options.maxEntries] - See createToolCache
+ * @param {number} [options.maxBytes] - See createToolCache
+ * @param {object} [options.store] - Persistent store (see ghl-cache-store.js)
+ * @param {Function} [options.logger=log]
+ * @returns {Function} Middleware; `.clear()` empties the cache, `.invalidateMethod(method)`
+ *   drops one method's results (e.g. 'tools/list' on notifications/tools/list_changed),
+ *   `.stats()` reports hits, `.settle()` waits for background refreshes and store writes
+ */
+function cache(options = {}) {
+  const {
+    ttlMs = 300_000,
+    staleMs = 0,
+    methods = DEFAULT_CACHED_METHODS,
+    tools = [],
+    invalidates = DEFAULT_INVALIDATIONS,
+    maxEntries,
+    maxBytes,
+    store,
+    logger = log,
+  } = options;
+  const policies = Array.isArray(tools) ? Object.fromEntries(tools.map(name => [name, {}])) : tools;
+  const entries = createToolCache({ ttlMs, staleMs, maxEntries, maxBytes, store });
+  const refreshing = new Map();
+
+  // Tool results are keyed by tool name first, so invalidation can match on it
+  function keyOf(ctx) {
+    const { _meta, ...params } = ctx.params || {};
+    if (ctx.method === 'tools/call') return `tools/call ${ctx.toolName} ${JSON.stringify(params.arguments || {})}`;
+    return `${ctx.method} ${JSON.stringify(params)}`;
+  }
+
+  function invalidateAfter(toolName) {
+    const targets = invalidates[toolName] || [`${toolName.split('_')[0]}_`];
+    entries.invalidate((key) => {
+      const [method, tool] = key.split(' ');
+      return method === 'tools/call' && targets.some(t => (t.endsWith('_') ? tool.startsWith(t) : tool === t));
+    });
+  }
+
+  function refresh(key, ctx, next, policy) {
+    if (refreshing.has(key)) return;
+    const done = next()
+      .then(result => entries.set(key, result, policy))
+      .catch(err => logger('warn', 'Cache refresh failed', { method: ctx.method, tool: ctx.toolName, error: err.message }))
+      .finally(() => refreshing.delete(key));
+    refreshing.set(key, done);
+  }
+
+  const middleware = async (ctx, next) => {
+    if (ctx.method === 'tools/call' && !isReadOnlyTool(ctx.toolName)) {
+      try {
+        return await next();
+      } finally {
+        invalidateAfter(ctx.toolName);
+      }
+    }
+
+    const policy = ctx.method === 'tools/call' ? policies[ctx.toolName] : methods.includes(ctx.method) && {};
+    if (!policy) return next();
+
+    const key = keyOf(ctx);
+    const hit = entries.lookup(key);
+    if (hit) {
+      ctx.state.cached = true;
+      if (hit.stale) refresh(key, ctx, next, policy);
+      return hit.value;
+    }
+    const result = await next();
+    entries.set(key, result, policy);
+    return result;
+  };
+  middleware.clear = () => entries.clear();
+  middleware.invalidateMethod = (method) => entries.invalidate(key => key.startsWith(`${method} `));
+  middleware.stats = () => entries.stats();
+  middleware.settle = async () => {
+    await Promise.all(refreshing.values());
+    await entries.flush();
+  };
+  return middleware;
+}
+
+/**
+ * Log failed requests (and optionally successful ones) with their duration.
+ * Cancellations are the caller's doing and are not logged.
+ * @param {object} [options]
+ * @param {Function} [options.logger=log] - (level, msg, data) => void
+ * @param {string|null} [options.successLevel=null] - Level for successful requests; null skips them
+ * @param {object} [options.context] - Extra fields on every entry (e.g. { location })
+ * @returns {Function} Middleware
+ */
+function logging(options = {}) {
+  const { logger = log, successLevel = null, context = {} } = options;
+
+  return async (ctx, next) => {
+    const started = Date.now();
+    const fields = () => ({
+      ...context,
+      method: ctx.method,
+      ...(ctx.toolName ? { tool: ctx.toolName } : {}),
+      ms: Date.now() - started,
+    });
+    try {
+      const result = await next();
+      if (successLevel) logger(successLevel, 'MCP request', { ...fields(), ...(ctx.state.cached ? { cached: true } : {}) });
+      return result;
+    } catch (err) {
+      if (!(err instanceof McpCancelledError)) {
+        logger('error', ctx.toolName ? 'Tool call failed' : 'MCP request failed', {
+          ...fields(),
+          category: err.category,
+          status: err.status,
+        });
+      }
+      throw err;
+    }
+  };
+}
+
+/**
+ * Count requests, failures and latency per method and per tool. Given a registry
+ * (see ghl-metrics.js), also record them as Prometheus metrics together with what
+ * the rest of the chain left in ctx.state: retries, rate-limit waits, cache hits
+ * and credits. Place first so it sees every request, cache hits included.
+ * @param {object} [options]
+ * @param {object} [options.registry] - Metrics registry (e.g. metricsRegistry)
+ * @param {object} [options.context] - Labels on every metric (e.g. { location })
+ * @returns {Function} Middleware; `.snapshot()` returns { methods, tools }, `.reset()` clears
+ */
+function metrics(options = {}) {
+  const { registry, context = {} } = options;
+  const recorder = registry && createRequestRecorder(registry);
+  let methods = {};
+  let tools = {};
+
+  function track(table, key, ms, err) {
+    const entry = table[key] ||= { calls: 0, errors: 0, totalMs: 0, maxMs: 0, errorsByCategory: {} };
+    entry.calls++;
+    entry.totalMs += ms;
+    entry.maxMs = Math.max(entry.maxMs, ms);
+    if (err) {
+      entry.errors++;
+      const category = err.category || 'unknown';
+      entry.errorsByCategory[category] = (entry.errorsByCategory[category] || 0) + 1;
+    }
+  }
+
+  const middleware = async (ctx, next) => {
+    const started = Date.now();
+    let error = null;
+    try {
+      return await next();
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      const ms = Date.now() - started;
+      track(methods, ctx.method, ms, error);
+      if (ctx.toolName) track(tools, ctx.toolName, ms, error);
+      recorder?.({ ...context, method: ctx.method, tool: ctx.toolName || '' }, ctx.state, ms, error);
+    }
+  };
+  middleware.snapshot = () => structuredClone({ methods, tools });
+  middleware.reset = () => {
+    methods = {};
+    tools = {};
+  };
+  return middleware;
+}
+
+/**
+ * Redact PII from results before the caller sees them, e.g. for agents or
+ * log sinks that must not receive contact details (see ghl-redact.js).
+ * @param {object} [options]
+ * @param {string[]} [options.methods] - Methods whose results are redacted
+ *   (default: tools/call, resources/read, prompts/get)
+ * @param {Function} [options.redact] - (value) => redacted value
+ * @returns {Function} Middleware
+ */
+function redaction(options = {}) {
+  const { methods = ['tools/call', 'resources/read', 'prompts/get'], redact = redactValue } = options;
+  return async (ctx, next) => {
+    const result = await next();
+    return methods.includes(ctx.method) ? redact(result) : result;
+  };
+}
+
+/**
+ * Skip tool calls that would change data, answering with a description of the
+ * call instead. Reads still go to the server.
+ * @param {object} [options]
+ * @param {Function} [options.isWrite] - (toolName) => boolean (default: not a get/search/list/fetch/check tool)
+ * @param {Function} [options.logger=log]
+ * @returns {Function} Middleware
+ */
+function dryRun(options = {}) {
+  const { isWrite = (name) => !isReadOnlyTool(name), logger = log } = options;
+  return async (ctx, next) => {
+    if (ctx.method !== 'tools/call' || !isWrite(ctx.toolName)) return next();
+
+    const args = ctx.params?.arguments || {};
+    logger('info', 'Dry run: tool call skipped', { tool: ctx.toolName });
+    return {
+      content: [{ type: 'text', text: JSON.stringify({ dryRun: true, tool: ctx.toolName, arguments: args }) }],
+    };
+  };
+}
+
+/**
+ * Record each tool call in a credit ledger and enforce the location's budget:
+ * a warning is logged once a period passes `warn_at`, and calls past `stop_at`
+ * throw McpBudgetError without being sent. Place last so retries are counted.
+ * The credit is charged together with the budget check, under the ledger's lock,
+ * and refunded when the server never answered; error results still cost it.
+ * @param {object} options
+ * @param {object} options.ledger - From createCreditLedger (see ghl-credits.js)
+ * @param {string} options.location - Location alias
+ * @param {string} [options.caller='unknown'] - Recorded with every call (monitor, actions, gateway, ...)
+ *   unless the call names its own (ctx.caller, e.g. 'monitor.stale_leads')
+ * @param {object} [options.budget] - The location's `credit_budget` ({ daily, monthly, warn_at, stop_at })
+ * @param {Function} [options.logger=log]
+ * @returns {Function} Middleware
+ */
+function credits(options) {
+  const { ledger, location, caller: defaultCaller = 'unknown', budget, logger = log } = options;
+  const warned = new Set();
+
+  return async (ctx, next) => {
+    if (ctx.method !== 'tools/call') return next();
+
+    const caller = ctx.caller || defaultCaller;
+    const call = { location, tool: ctx.toolName, caller };
+    const check = await ledger.charge(call, budget);
+    if (check.status === 'stop') {
+      logger('error', 'Credit budget spent; tool call refused', { location, tool: ctx.toolName, caller, ...check });
+      throw new McpBudgetError(location, check.period, check.used, check.limit);
+    }
+    const warnKey = `${check.period} ${new Date().toISOString().slice(0, check.period === 'month' ? 7 : 10)}`;
+    if (check.status === 'warn' && !warned.has(warnKey)) {
+      warned.add(warnKey);
+      logger('warn', 'Credit budget nearly spent', { location, caller, period: check.period, used: check.used, limit: check.limit });
+    }
+
+    try {
+      const result = await next();
+      ctx.state.credits = (ctx.state.credits || 0) + 1;
+      return result;
+    } catch (err) {
+      if (err instanceof McpToolError || err instanceof McpRpcError) {
+        ctx.state.credits = (ctx.state.credits || 0) + 1;
+      } else {
+        // A failed refund must not hide why the call failed
+        try {
+          ledger.record({ ...call, credits: -1 });
+        } catch (refundErr) {
+          logger('warn', 'Credit refund failed', { location, tool: ctx.toolName, caller, error: refundErr.message });
+        }
+      }
+      throw err;
+    }
+  };
+}
+
+/**
+ * The chain every entry point uses: log failures, retry, fail fast while a given
+ * circuit breaker is open, rate limit (or schedule) and, given a ledger, count credits.
+ * @param {object} [options]
+ * @param {object} [options.limiter] - Rate limiter (defaults to a new one with GHL's limits)
+ * @param {object} [options.scheduler] - Scheduler to queue through instead of the bare limiter
+ * @param {'interactive'|'normal'|'bulk'} [options.priority] - Scheduler priority
+ * @param {object} [options.retry] - withRetry options
+ * @param {object} [options.breaker] - Circuit breaker (e.g. getLocationBreaker)
+ * @param {object} [options.context] - Logged with every failure (e.g. { location })
+ * @param {object} [options.ledger] - Credit ledger; the location is context.location
+ * @param {string} [options.caller] - Recorded in the ledger, and capped by the scheduler
+ * @param {object} [options.budget] - The location's `credit_budget`
+ * @returns {Function[]}
+ */
+function defaultMiddleware(options = {}) {
+  const { scheduler, priority, ledger, caller, budget, context = {} } = options;
+  return [
+    logging({ context }),
+    retry(options.retry),
+    ...(options.breaker ? [circuitBreaker(options.breaker)] : []),
+    scheduler ? schedule(scheduler, { priority, caller }) : rateLimit(options.limiter),
+    ...(ledger ? [credits({ ledger, location: context.location, caller, budget })] : []),
+  ];
+}
+
+export {
+  composeMiddleware,
+  defaultMiddleware,
+  rateLimit,
+  schedule,
+  retry,
+  circuitBreaker,
+  cache,
+  credits,
+  logging,
+  metrics,
+  redaction,
+  dryRun,
+  isReadOnlyTool,
+  DEFAULT_CACHED_METHODS,
+  DEFAULT_CACHED_TOOLS,
+  DEFAULT_INVALIDATIONS,
+};
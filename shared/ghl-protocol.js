@@ -0,0 +1,63 @@
+/**
+ * MCP protocol versions this client speaks, and what each one allows.
+ * The client offers the newest version in initialize, accepts any listed version
+ * in the server's answer, and gates version-specific behavior on its features.
+ */
+
+/** Newest first; the first entry is offered by default. */
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const MCP_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+/**
+ * Per-version behavior:
+ * - batching: JSON-RPC batch requests (added in 2025-03-26, removed in 2025-06-18)
+ * - structuredOutput: tools/call results may carry structuredContent
+ * - elicitation: servers may send elicitation/create
+ * - protocolHeader: HTTP requests carry MCP-Protocol-Version
+ */
+const PROTOCOL_FEATURES = {
+  '2025-06-18': { batching: false, structuredOutput: true, elicitation: true, protocolHeader: true },
+  '2025-03-26': { batching: true, structuredOutput: false, elicitation: false, protocolHeader: false },
+  '2024-11-05': { batching: false, structuredOutput: false, elicitation: false, protocolHeader: false },
+};
+
+/**
+ * @param {string} version
+ * @returns {boolean}
+ */
+function isSupportedProtocolVersion(version) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(version);
+}
+
+/**
+ * Features of a protocol version (all off for unknown versions).
+ * @param {string} version
+ * @returns {{batching: boolean, structuredOutput: boolean, elicitation: boolean, protocolHeader: boolean}}
+ */
+function protocolFeatures(version) {
+  return PROTOCOL_FEATURES[version] || {
+    batching: false,
+    structuredOutput: false,
+    elicitation: false,
+    protocolHeader: false,
+  };
+}
+
+/**
+ * Pick the newest version both sides support, e.g. from the `supported` list a
+ * server returns when it rejects the offered version.
+ * @param {string[]} serverVersions
+ * @returns {string|null}
+ */
+function pickProtocolVersion(serverVersions = []) {
+  return SUPPORTED_PROTOCOL_VERSIONS.find(v => serverVersions.includes(v)) || null;
+}
+
+export {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  MCP_PROTOCOL_VERSION,
+  PROTOCOL_FEATURES,
+  isSupportedProtocolVersion,
+  protocolFeatures,
+  pickProtocolVersion,
+};
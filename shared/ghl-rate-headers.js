@@ -0,0 +1,54 @@
+/**
+ * Rate-limit response headers.
+ * GHL's API reports its quota in X-RateLimit-* headers (per-interval and
+ * daily); 429s may carry Retry-After. The IETF RateLimit-* names are read too.
+ */
+
+/**
+ * Parse a Retry-After value: delay in seconds, or an HTTP date.
+ * @param {string|number|undefined} value
+ * @param {number} [now=Date.now()]
+ * @returns {number|undefined} Milliseconds to wait (never negative)
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - now);
+}
+
+/**
+ * Read the rate-limit state a server reported in its response headers.
+ * @param {object} [headers] - Response headers (lower-cased keys, as on McpHttpError)
+ * @param {number} [now=Date.now()]
+ * @returns {object|null} Any of { retryAfterMs, limit, remaining, resetMs, dailyLimit,
+ *   dailyRemaining }; null when the response carried none
+ */
+function parseRateLimitHeaders(headers = {}, now = Date.now()) {
+  const number = (...names) => {
+    for (const name of names) {
+      const value = Number(headers[name]);
+      if (headers[name] !== undefined && headers[name] !== '' && Number.isFinite(value)) return value;
+    }
+    return undefined;
+  };
+
+  // X-RateLimit-Reset is either seconds from now or a Unix timestamp
+  const reset = number('x-ratelimit-reset', 'ratelimit-reset');
+  const resetMs = number('x-ratelimit-interval-milliseconds')
+    ?? (reset === undefined ? undefined : Math.max(0, reset > 1e9 ? reset * 1000 - now : reset * 1000));
+
+  const info = {
+    retryAfterMs: parseRetryAfter(headers['retry-after'], now),
+    limit: number('x-ratelimit-max', 'x-ratelimit-limit', 'ratelimit-limit'),
+    remaining: number('x-ratelimit-remaining', 'ratelimit-remaining'),
+    resetMs,
+    dailyLimit: number('x-ratelimit-limit-daily'),
+    dailyRemaining: number('x-ratelimit-daily-remaining'),
+  };
+  const present = Object.entries(info).filter(([, value]) => value !== undefined);
+  return present.length > 0 ? Object.fromEntries(present) : null;
+}
+
+export { parseRetryAfter, parseRateLimitHeaders };
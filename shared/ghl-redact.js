@@ -0,0 +1,122 @@
+/**
+ * Redaction of secrets and PII in MCP traffic (cassettes, bug reports) and logs.
+ * Replacements are deterministic — the same email always becomes the same
+ * placeholder — so redacted requests can still be matched against each other,
+ * and placeholders keep their shape (an email stays an email) so schema
+ * validation and decoders behave as they did on the real data.
+ */
+
+import { createHash } from 'node:crypto';
+
+/** Keys whose values are secrets: dropped entirely (progressToken is just a counter). */
+const SECRET_KEY = /^(?!progressToken$).*(token|authorization|password|secret|api[_-]?key|cookie)/i;
+
+/** Keys whose values identify a person, and how to replace them. */
+const PII_KEYS = {
+  email: 'email',
+  phone: 'phone',
+  firstName: 'name',
+  lastName: 'name',
+  fullName: 'name',
+  contactName: 'name',
+  address1: 'text',
+  city: 'text',
+  postalCode: 'text',
+  dateOfBirth: 'text',
+  body: 'text',
+  message: 'text',
+};
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+// E.164 or (555) 555-5555; a leading + or parentheses keeps dates and ids out
+const PHONE_PATTERN = /\+\d[\d\s().-]{6,16}\d|\(\d{3}\)\s?\d{3}[\s.-]\d{4}/g;
+const BEARER_PATTERN = /Bearer\s+[A-Za-z0-9._~+/=-]+/g;
+const PIT_PATTERN = /\bpit-[A-Za-z0-9-]{8,}\b/g;
+
+// Secret values resolved from config (see ghl-secrets.js), masked wherever they appear
+const knownSecrets = new Set();
+
+/**
+ * Mask a secret value in all redacted text from now on, whatever its shape.
+ * @param {string} value
+ */
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= 4) knownSecrets.add(value);
+}
+
+function hash(value) {
+  return createHash('sha256').update(String(value).toLowerCase()).digest('hex').slice(0, 8);
+}
+
+const PLACEHOLDERS = {
+  email: (v) => `redacted-${hash(v)}@example.invalid`,
+  phone: (v) => `+1555${parseInt(hash(v), 16).toString().padStart(7, '0').slice(-7)}`,
+  name: (v) => `Name-${hash(v)}`,
+  text: (v) => `[redacted:${hash(v)}]`,
+};
+
+/**
+ * Redact secrets and PII inside free text.
+ * @param {string} text
+ * @param {Array<[RegExp, string|Function]>} [patterns=[]] - Extra replacements, applied last
+ * @returns {string}
+ */
+function redactText(text, patterns = []) {
+  let out = text;
+  for (const secret of knownSecrets) out = out.split(secret).join('[redacted]');
+  out = out
+    .replace(BEARER_PATTERN, 'Bearer [redacted]')
+    .replace(PIT_PATTERN, '[redacted]')
+    .replace(EMAIL_PATTERN, PLACEHOLDERS.email)
+    .replace(PHONE_PATTERN, PLACEHOLDERS.phone);
+  for (const [pattern, replacement] of patterns) out = out.replace(pattern, replacement);
+  return out;
+}
+
+/**
+ * Deep-copy a value with secrets and PII replaced. Strings holding JSON (tool
+ * result text) are parsed, redacted and re-serialized.
+ * @param {*} value
+ * @param {object} [options]
+ * @param {object} [options.keys] - Extra PII keys: { fieldName: 'email'|'phone'|'name'|'text' }
+ * @param {string[]} [options.fields] - Extra keys redacted as text; also matched against GHL
+ *   custom field entries ({ id | key | fieldKey, value }), whose value is then redacted
+ * @param {Array<[RegExp, string|Function]>} [options.patterns] - Extra text replacements
+ * @returns {*}
+ */
+function redact(value, options = {}) {
+  const { fields = [], patterns = [] } = options;
+  const piiKeys = { ...PII_KEYS, ...Object.fromEntries(fields.map(f => [f, 'text'])), ...options.keys };
+  const isChosenField = (entry) => 'value' in entry &&
+    [entry.id, entry.key, entry.fieldKey].some(name => name !== undefined && fields.includes(name));
+
+  function walk(v, key, parent) {
+    if (key !== undefined && SECRET_KEY.test(key) && typeof v !== 'object') return '[redacted]';
+    if (key === 'value' && parent && isChosenField(parent) && v !== null && v !== '') return PLACEHOLDERS.text(JSON.stringify(v));
+
+    if (Array.isArray(v)) return v.map(item => walk(item, key));
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(Object.entries(v).map(([k, item]) => [k, walk(item, k, v)]));
+    }
+    if (typeof v !== 'string') return v;
+
+    // JSON-RPC error messages are diagnostics, not message bodies
+    const isRpcError = typeof parent?.code === 'number';
+    const kind = piiKeys[key];
+    if (kind && v && !isRpcError) return PLACEHOLDERS[kind](v);
+
+    const trimmed = v.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        return JSON.stringify(walk(JSON.parse(trimmed)));
+      } catch {
+        // Not JSON: fall through to text redaction
+      }
+    }
+    return redactText(v, patterns);
+  }
+
+  return walk(value);
+}
+
+export { redact, redactText, registerSecret };
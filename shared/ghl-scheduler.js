@@ -0,0 +1,160 @@
+/**
+ * Priority-aware request scheduler in front of a rate limiter.
+ * Waiting requests form one queue per location: when the limiter frees a slot
+ * it goes to the highest priority class, first come first served within a
+ * class, so an agent answering a user is not stuck behind a bulk monitor scan.
+ * Callers (monitor, actions, gateway, ...) can be capped to a number of
+ * requests in flight.
+ */
+
+import { McpCancelledError } from './ghl-errors.js';
+import { createLocationLimiter } from './ghl-limiter-store.js';
+
+/** Priority classes, most urgent first. */
+const PRIORITIES = ['interactive', 'normal', 'bulk'];
+
+/**
+ * @param {object} limiter - From createRateLimiter
+ * @param {object} [options]
+ * @param {object} [options.concurrency] - Max requests in flight per caller, e.g. { monitor: 2 }
+ * @returns {object} { schedule, stats, limiter }
+ */
+function createScheduler(limiter, options = {}) {
+  const { concurrency = {} } = options;
+  const queue = [];
+  const inFlight = new Map();
+  const waits = { count: 0, totalMs: 0, maxMs: 0 };
+  let pumping = false;
+
+  const running = (caller) => inFlight.get(caller) || 0;
+  const eligible = (waiter) => running(waiter.caller) < (concurrency[waiter.caller] ?? Infinity);
+
+  /** Most urgent waiter whose caller is under its cap; the queue is in arrival order, so ties go to the oldest. */
+  function next() {
+    let best = null;
+    for (const waiter of queue) {
+      if (eligible(waiter) && (!best || waiter.rank < best.rank)) best = waiter;
+    }
+    return best;
+  }
+
+  function remove(waiter) {
+    queue.splice(queue.indexOf(waiter), 1);
+    waiter.signal?.removeEventListener('abort', waiter.onAbort);
+  }
+
+  /** Hand out slots one at a time, so waiters are served in order. */
+  async function pump() {
+    if (pumping) return;
+    pumping = true;
+    try {
+      while (next()) {
+        try {
+          await limiter.acquire();
+        } catch (err) {
+          const waiter = next();
+          if (waiter) {
+            remove(waiter);
+            waiter.reject(err);
+          }
+          continue;
+        }
+        // Chosen after the wait: a more urgent request may have arrived meanwhile
+        const waiter = next();
+        if (!waiter) continue;
+        remove(waiter);
+        const waitedMs = Date.now() - waiter.enqueuedAt;
+        waits.count++;
+        waits.totalMs += waitedMs;
+        waits.maxMs = Math.max(waits.maxMs, waitedMs);
+        inFlight.set(waiter.caller, running(waiter.caller) + 1);
+        waiter.resolve();
+      }
+    } finally {
+      pumping = false;
+    }
+  }
+
+  function release(caller) {
+    inFlight.set(caller, running(caller) - 1);
+    if (queue.length > 0) pump();
+  }
+
+  /**
+   * Run fn once the limiter grants a slot and the caller is under its cap.
+   * @param {Function} fn - () => Promise
+   * @param {object} [options]
+   * @param {'interactive'|'normal'|'bulk'} [options.priority='normal']
+   * @param {string} [options.caller='default']
+   * @param {AbortSignal} [options.signal] - Leave the queue without running fn
+   * @returns {Promise<*>} fn's result
+   */
+  async function schedule(fn, options = {}) {
+    const { priority = 'normal', caller = 'default', signal } = options;
+    const rank = PRIORITIES.indexOf(priority);
+    if (rank === -1) throw new Error(`Unknown priority '${priority}'; use one of ${PRIORITIES.join(', ')}`);
+    if (signal?.aborted) throw new McpCancelledError('scheduled request', signal.reason);
+
+    await new Promise((resolve, reject) => {
+      const waiter = { rank, priority, caller, signal, enqueuedAt: Date.now(), resolve, reject };
+      waiter.onAbort = () => {
+        remove(waiter);
+        reject(new McpCancelledError('scheduled request', signal.reason));
+      };
+      signal?.addEventListener('abort', waiter.onAbort, { once: true });
+      queue.push(waiter);
+      pump();
+    });
+
+    try {
+      return await fn();
+    } finally {
+      release(caller);
+    }
+  }
+
+  /**
+   * @returns {object} Queue depth per priority, requests in flight per caller and
+   *   time spent waiting, plus the limiter's own stats
+   */
+  function stats() {
+    const queued = Object.fromEntries(PRIORITIES.map(p => [p, 0]));
+    for (const waiter of queue) queued[waiter.priority]++;
+    return {
+      queueDepth: queue.length,
+      queued,
+      inFlight: Object.fromEntries([...inFlight].filter(([, n]) => n > 0)),
+      waits: {
+        count: waits.count,
+        avgMs: waits.count ? Math.round(waits.totalMs / waits.count) : 0,
+        maxMs: waits.maxMs,
+      },
+      limiter: limiter.stats(),
+    };
+  }
+
+  return { schedule, stats, limiter };
+}
+
+// One scheduler per location and config in this process, so every actions
+// instance and the monitor share a queue
+const locationSchedulers = new Map();
+
+/**
+ * The process-wide scheduler for a location.
+ * @param {string} alias
+ * @param {object} [config] - The location's `rate_limit` config (see createLocationLimiter),
+ *   plus `concurrency` caps per caller
+ * @returns {object} Scheduler
+ */
+function getLocationScheduler(alias, config = {}) {
+  const key = `${alias}\n${JSON.stringify(config)}`;
+  if (!locationSchedulers.has(key)) {
+    locationSchedulers.set(key, createScheduler(createLocationLimiter(alias, config), {
+      concurrency: config.concurrency,
+    }));
+  }
+  return locationSchedulers.get(key);
+}
+
+export { createScheduler, getLocationScheduler, PRIORITIES };
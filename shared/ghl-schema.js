@@ -0,0 +1,201 @@
+/**
+ * Zero-dependency JSON Schema subset validator.
+ * Used to check tool arguments against a tool's inputSchema before spending
+ * an MCP call (each call = 1 GHL AI credit), and config.json at load time.
+ *
+ * Supported keywords: type, required, enum, properties, additionalProperties,
+ * items, format (date-time, date, email), minimum, maximum, pattern; `default`
+ * is applied by applyDefaults.
+ */
+
+const FORMATS = {
+  'date-time': (v) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(v) && !Number.isNaN(Date.parse(v)),
+  'date': (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+  'email': (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+};
+
+/**
+ * JSON type name of a value, distinguishing integer, array and null.
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Levenshtein distance, used to suggest the intended property for a typo.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Find the declared property closest to an unknown one (e.g. contactID → contactId).
+ * @param {string} name
+ * @param {string[]} known
+ * @returns {string|undefined}
+ */
+function suggestProperty(name, known) {
+  const lower = name.toLowerCase();
+  const exact = known.find(k => k.toLowerCase() === lower);
+  if (exact) return exact;
+  let best;
+  let bestDistance = 3;
+  for (const k of known) {
+    const d = editDistance(lower, k.toLowerCase());
+    if (d < bestDistance) { best = k; bestDistance = d; }
+  }
+  return best;
+}
+
+/** Test a schema pattern; a pattern JavaScript cannot compile is not enforced. */
+function matchesPattern(pattern, value) {
+  try {
+    return new RegExp(pattern, 'u').test(value);
+  } catch {
+    return true;
+  }
+}
+
+function joinPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+/**
+ * Validate a value against a JSON Schema subset.
+ * Unknown object properties are rejected when the schema declares properties and
+ * does not set additionalProperties — GHL schemas omit it, and catching typos
+ * like `contactID` is the point of validating locally.
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path] - Path prefix for error messages
+ * @returns {Array<{path: string, message: string}>} Empty when valid
+ */
+function validateSchema(schema, value, path = '') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+  const at = path || '(root)';
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: at, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}` });
+  }
+
+  if (schema.format && typeof value === 'string' && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    errors.push({ path: at, message: `must be a valid ${schema.format}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'string' && schema.pattern && !matchesPattern(schema.pattern, value)) {
+    errors.push({ path: at, message: `must match ${schema.pattern}, got ${JSON.stringify(value)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}, got ${value}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}, got ${value}` });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const known = Object.keys(properties);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    }
+
+    for (const [key, propValue] of Object.entries(value)) {
+      if (propValue === undefined) continue;
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], propValue, joinPath(path, key)));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propValue, joinPath(path, key)));
+      } else if (schema.additionalProperties === false || (schema.additionalProperties === undefined && known.length > 0)) {
+        const suggestion = suggestProperty(key, known);
+        errors.push({
+          path: joinPath(path, key),
+          message: `is not a known property${suggestion ? ` (did you mean '${suggestion}'?)` : ''}`,
+        });
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, joinPath(path, i))));
+  }
+
+  return errors;
+}
+
+/**
+ * Copy a value with schema defaults filled in: a missing property whose schema
+ * has a `default` gets a copy of it, and nested objects and arrays are filled too.
+ * Run validateSchema first; values of the wrong type are copied as they are.
+ * @param {object} schema
+ * @param {*} value
+ * @returns {*}
+ */
+function applyDefaults(schema, value) {
+  if (!schema || typeof schema !== 'object') return value;
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const extra = typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null;
+    const out = {};
+    for (const [key, propValue] of Object.entries(value)) {
+      out[key] = applyDefaults(properties[key] || extra, propValue);
+    }
+    for (const [key, propSchema] of Object.entries(properties)) {
+      if (out[key] === undefined && propSchema.default !== undefined) {
+        out[key] = applyDefaults(propSchema, structuredClone(propSchema.default));
+      }
+    }
+    return out;
+  }
+
+  if (Array.isArray(value) && schema.items) return value.map(item => applyDefaults(schema.items, item));
+  return value;
+}
+
+/**
+ * Format validation errors as one line per problem.
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {string}
+ */
+function formatSchemaErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
+
+export { validateSchema, applyDefaults, formatSchemaErrors };
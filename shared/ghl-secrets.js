@@ -0,0 +1,224 @@
+/**
+ * Secret references in config values.
+ * A config value such as a location's `token` may say where the secret lives
+ * instead of holding it:
+ *
+ *   ENV:GHL_PIT_MAIN         — environment variable, else the configured .env file
+ *   FILE:/run/secrets/ghl    — file contents (Docker secrets); a relative path is read
+ *                              from $CREDENTIALS_DIRECTORY (systemd LoadCredential=)
+ *   STORE:main.token         — a field of a location in the encrypted store
+ *                              ~/.ghl-mcp/locations.enc (needs GHL_ENCRYPTION_PASSWORD)
+ *   CMD:pass show ghl/main   — stdout of a secret helper command
+ *
+ * Any other value is used as is. Resolved secrets are cached for a while and
+ * registered with the redactor, so they are masked in logs and cassettes; errors
+ * name the reference, never the value.
+ */
+
+import { readFileSync } from 'node:fs';
+import { execSync } from 'node:child_process';
+import { isAbsolute, join } from 'node:path';
+import { registerSecret } from './ghl-redact.js';
+import { loadLocationStore, CONFIG_FILE } from './ghl-location-store.js';
+
+const REFERENCE = /^([A-Z][A-Z0-9_]*):(.*)$/s;
+
+/**
+ * Parse .env file contents: KEY=value lines, `#` comments, an optional `export`
+ * prefix, and single- or double-quoted values (\n escapes in double quotes).
+ * @param {string} text
+ * @returns {object} Variables by name
+ */
+function parseDotEnv(text) {
+  const vars = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) continue;
+    const [, key, raw] = match;
+    const quote = raw[0];
+    if ((quote === '"' || quote === "'") && raw.endsWith(quote) && raw.length > 1) {
+      const inner = raw.slice(1, -1);
+      vars[key] = quote === '"' ? inner.replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1') : inner;
+    } else {
+      vars[key] = raw.replace(/\s+#.*$/, '');
+    }
+  }
+  return vars;
+}
+
+/**
+ * @param {string} file
+ * @returns {object} The file's variables
+ */
+function loadDotEnv(file) {
+  try {
+    return parseDotEnv(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read .env file ${file}: ${err.code || err.message}`);
+  }
+}
+
+/**
+ * Create a resolver for secret references.
+ * @param {object} [options]
+ * @param {object} [options.env=process.env] - Environment to read ENV: references and
+ *   GHL_ENCRYPTION_PASSWORD / CREDENTIALS_DIRECTORY from
+ * @param {string} [options.envFile] - .env file read when a variable is not in env
+ *   (defaults to $GHL_ENV_FILE)
+ * @param {string} [options.storeFile] - Encrypted location store (defaults to ~/.ghl-mcp/locations.enc)
+ * @param {string} [options.password] - Store password (defaults to $GHL_ENCRYPTION_PASSWORD)
+ * @param {number} [options.cacheTtlMs=300000] - How long a resolved secret is reused
+ * @param {number} [options.commandTimeoutMs=10000] - Time a CMD: helper may take
+ * @returns {object} { resolve, register, clear }
+ */
+function createSecretResolver(options = {}) {
+  const {
+    env = process.env,
+    envFile = env.GHL_ENV_FILE,
+    storeFile = CONFIG_FILE,
+    password = env.GHL_ENCRYPTION_PASSWORD,
+    cacheTtlMs = 300_000,
+    commandTimeoutMs = 10_000,
+  } = options;
+  const cache = new Map();
+  let dotEnv = null;
+  let store = null;
+
+  function fromEnv(name) {
+    if (env[name]) return env[name];
+    if (envFile) {
+      dotEnv ||= loadDotEnv(envFile);
+      if (dotEnv[name]) return dotEnv[name];
+    }
+    throw new Error(`Environment variable ${name} not set`);
+  }
+
+  function fromFile(path) {
+    const file = isAbsolute(path) || !env.CREDENTIALS_DIRECTORY ? path : join(env.CREDENTIALS_DIRECTORY, path);
+    try {
+      return readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+    } catch (err) {
+      throw new Error(`Cannot read secret file ${file}: ${err.code || err.message}`);
+    }
+  }
+
+  function fromStore(path) {
+    const dot = path.lastIndexOf('.');
+    if (dot <= 0) throw new Error(`STORE reference must be <alias>.<field>, got '${path}'`);
+    if (!password) throw new Error(`GHL_ENCRYPTION_PASSWORD is not set (needed for STORE:${path})`);
+    const [alias, field] = [path.slice(0, dot), path.slice(dot + 1)];
+
+    // Decrypting is slow (PBKDF2), so one store read serves every reference for a while
+    if (!store || Date.now() > store.expires) {
+      try {
+        store = { locations: loadLocationStore(password, storeFile), expires: Date.now() + cacheTtlMs };
+      } catch {
+        throw new Error(`Cannot decrypt location store ${storeFile} (wrong GHL_ENCRYPTION_PASSWORD?)`);
+      }
+    }
+    const location = store.locations[alias];
+    if (!location) throw new Error(`Location '${alias}' not found in ${storeFile}`);
+    if (location[field] === undefined || location[field] === '') throw new Error(`Location '${alias}' has no ${field} in ${storeFile}`);
+    return String(location[field]);
+  }
+
+  function fromCommand(command) {
+    try {
+      return execSync(command, {
+        encoding: 'utf8',
+        env,
+        timeout: commandTimeoutMs,
+        stdio: ['ignore', 'pipe', 'pipe'],
+      }).replace(/\r?\n$/, '');
+    } catch (err) {
+      const reason = err.signal ? `killed by ${err.signal}` : `exit ${err.status}: ${String(err.stderr || '').trim().slice(0, 200)}`;
+      throw new Error(`Secret command failed (${reason})`);
+    }
+  }
+
+  const resolvers = { ENV: fromEnv, FILE: fromFile, STORE: fromStore, CMD: fromCommand };
+
+  /**
+   * Resolve a config value; values that are not references are returned unchanged.
+   * @param {*} value
+   * @returns {*} The secret, or value
+   */
+  function resolve(value) {
+    if (typeof value !== 'string') return value;
+    const match = value.match(REFERENCE);
+    if (!match || !resolvers[match[1]]) return value;
+
+    const cached = cache.get(value);
+    if (cached && Date.now() < cached.expires) return cached.secret;
+
+    const [, prefix, ref] = match;
+    const secret = resolvers[prefix](ref);
+    if (!secret) throw new Error(`Secret ${value} resolved to an empty value`);
+    registerSecret(secret);
+    cache.set(value, { secret, expires: Date.now() + cacheTtlMs });
+    return secret;
+  }
+
+  /**
+   * Add a source, e.g. register('VAULT', (path) => readVault(path)) for VAULT:path.
+   * @param {string} prefix - Upper-case prefix before the colon
+   * @param {Function} fn - (reference) => string, synchronous
+   */
+  function register(prefix, fn) {
+    if (!REFERENCE.test(`${prefix}:`)) throw new Error(`Invalid secret prefix '${prefix}'`);
+    resolvers[prefix] = fn;
+  }
+
+  /** Forget cached secrets, the .env file and the decrypted store. */
+  function clear() {
+    cache.clear();
+    dotEnv = null;
+    store = null;
+  }
+
+  return { resolve, register, clear };
+}
+
+/**
+ * Resolver options from config.json `secrets`.
+ * @param {object} [config] - { env_file, store_file, cache_ttl_ms, command_timeout_ms }
+ * @returns {object} createSecretResolver options
+ */
+function secretOptions(config = {}) {
+  return {
+    envFile: config.env_file,
+    storeFile: config.store_file,
+    cacheTtlMs: config.cache_ttl_ms,
+    commandTimeoutMs: config.command_timeout_ms,
+  };
+}
+
+let secretResolver = createSecretResolver();
+
+/**
+ * Replace the process-wide resolver used by resolveSecret (e.g. from config.json `secrets`).
+ * @param {object} [options] - See createSecretResolver
+ * @returns {object} The new resolver
+ */
+function configureSecrets(options = {}) {
+  secretResolver = createSecretResolver(options);
+  return secretResolver;
+}
+
+/**
+ * Resolve a config value with the process-wide resolver.
+ * @param {*} value - e.g. 'ENV:GHL_PIT_MAIN', 'STORE:main.token' or a literal
+ * @returns {*}
+ */
+function resolveSecret(value) {
+  return secretResolver.resolve(value);
+}
+
+export {
+  createSecretResolver,
+  configureSecrets,
+  resolveSecret,
+  secretOptions,
+  parseDotEnv,
+  loadDotEnv,
+};
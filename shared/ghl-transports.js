@@ -0,0 +1,727 @@
+/**
+ * MCP transports.
+ * A transport moves JSON-RPC messages between the client and a server:
+ *
+ *   send(message, options?) → Promise<object|undefined>
+ *     Requests (method + id) resolve with the matching response message;
+ *     notifications and responses resolve once delivered.
+ *     options: { timeoutMs, signal, onMessage, onHeaders } — signal aborts the
+ *     request (McpCancelledError); onMessage receives messages the server sends
+ *     while answering this request (HTTP SSE only; others use onmessage);
+ *     onHeaders receives the HTTP response headers (HTTP only)
+ *   onmessage(message)        — set by the client; receives server-initiated messages
+ *   onerror(err)              — optional; background stream failures
+ *   listen()                  — optional; open a channel for server-initiated messages
+ *   sessionId                 — current session id (null when not session-based)
+ *   resetSession()            — forget the session before a fresh initialize
+ *   setProtocolVersion(v)     — optional; version to announce on later requests
+ *   sendBatch(messages, options?) → Promise<Array<object|undefined>>
+ *                               optional; one JSON-RPC batch, responses in request order
+ *   close() → Promise<void>   — terminate the session / stop the server process
+ *
+ * Built in: Streamable HTTP (GHL's endpoint), stdio (local MCP server process)
+ * and an in-memory linked pair for tests.
+ */
+
+import { spawn } from 'node:child_process';
+import { createInterface } from 'node:readline';
+import {
+  McpHttpError,
+  McpTimeoutError,
+  McpCancelledError,
+  McpConnectionError,
+} from './ghl-errors.js';
+import { MCP_PROTOCOL_VERSION, protocolFeatures } from './ghl-protocol.js';
+
+const DEFAULT_TIMEOUT_MS = 30_000;
+const DEFAULT_RECONNECT_DELAY_MS = 1000;
+const GHL_MCP_ENDPOINT = 'https://services.leadconnectorhq.com/mcp/';
+
+function isRequest(message) {
+  return message.method !== undefined && message.id !== undefined;
+}
+
+/**
+ * The MCP-Protocol-Version header for a version, or none when that version predates it.
+ * @param {string|null} protocolVersion
+ * @returns {object}
+ */
+function versionHeader(protocolVersion) {
+  return protocolVersion && protocolFeatures(protocolVersion).protocolHeader
+    ? { 'MCP-Protocol-Version': protocolVersion }
+    : {};
+}
+
+// ─── Streamable HTTP ────────────────────────────────────────
+
+/**
+ * Incremental SSE (text/event-stream) parser.
+ * Feed decoded text with push(); each complete event is passed to onEvent as
+ * { id, event, data }. Tracks the last event id and the server's retry hint so
+ * a dropped stream can be resumed with Last-Event-ID.
+ * @param {Function} onEvent - ({ id, event, data }) => void
+ * @param {object} [options]
+ * @param {string|null} [options.lastEventId] - Carry over from a previous connection
+ * @returns {{ push: Function, end: Function, lastEventId: string|null, retry: number|null }}
+ */
+function createSSEParser(onEvent, options = {}) {
+  let buffer = '';
+  let data = [];
+  let eventType = '';
+  let lastEventId = options.lastEventId ?? null;
+  let retry = null;
+
+  function dispatch() {
+    if (data.length > 0) {
+      onEvent({ id: lastEventId, event: eventType || 'message', data: data.join('\n') });
+    }
+    data = [];
+    eventType = '';
+  }
+
+  function processLine(line) {
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return; // comment / keep-alive
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') data.push(value);
+    else if (field === 'event') eventType = value;
+    else if (field === 'id' && !value.includes('\0')) lastEventId = value;
+    else if (field === 'retry' && /^\d+$/.test(value)) retry = Number(value);
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      // A trailing \r may be the first half of \r\n; wait for the next chunk
+      const cut = buffer.endsWith('\r') ? buffer.length - 1 : buffer.length;
+      const lines = buffer.slice(0, cut).split(/\r\n|\r|\n/);
+      buffer = lines.pop() + buffer.slice(cut);
+      for (const line of lines) processLine(line);
+    },
+
+    /** Flush a final event that was not followed by a blank line. */
+    end() {
+      if (buffer) processLine(buffer.replace(/\r$/, ''));
+      buffer = '';
+      dispatch();
+    },
+
+    get lastEventId() { return lastEventId; },
+    get retry() { return retry; },
+  };
+}
+
+/**
+ * Read a response body to the end, feeding it to an SSE parser.
+ * @param {ReadableStream} body
+ * @param {object} parser - From createSSEParser
+ */
+async function consumeEventStream(body, parser) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.push(decoder.decode(value, { stream: true }));
+  }
+  parser.push(decoder.decode());
+  parser.end();
+}
+
+/**
+ * Decode an SSE event's data as a JSON-RPC message, or undefined when it is not JSON.
+ * @param {{data: string}} event
+ * @returns {object|undefined}
+ */
+function eventMessage(event) {
+  try { return JSON.parse(event.data); } catch { return undefined; }
+}
+
+/**
+ * Parse an SSE (text/event-stream) response body into JSON-RPC messages.
+ * @param {ReadableStream} body
+ * @returns {Promise<object[]>}
+ */
+async function parseSSEResponse(body) {
+  const messages = [];
+  await consumeEventStream(body, createSSEParser((event) => {
+    const message = eventMessage(event);
+    if (message !== undefined) messages.push(message);
+  }));
+  return messages;
+}
+
+/**
+ * Wait before re-connecting a stream; resolves early when the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function delay(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Send a JSON-RPC message to the MCP endpoint.
+ * When the server answers with an SSE stream, every message on it other than the
+ * response (progress, logs, server requests) goes to options.onMessage as it
+ * arrives, and each event restarts the timeout. If the stream drops before the
+ * response, it is resumed with a GET carrying Last-Event-ID.
+ * An array is sent as one JSON-RPC batch; the result is then the responses in
+ * request order (undefined for notifications and missing responses).
+ * @param {string} url - MCP endpoint URL
+ * @param {object} headers - Authorization headers
+ * @param {object|object[]} request - JSON-RPC request, notification or response, or a batch
+ * @param {string|null} sessionId - Mcp-Session-Id from prior initialize
+ * @param {number} timeoutMs - Request timeout (idle time between stream events)
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+ * @param {Function} [options.onMessage] - Receives other messages from the response stream
+ * @param {AbortSignal} [options.signal] - Aborts the request with McpCancelledError
+ * @param {number} [options.reconnectDelayMs] - Wait before resuming when the server sent no retry hint
+ * @param {number} [options.maxResumeAttempts=3] - Give up resuming a dropped stream after this many GETs
+ * @param {string|null} [options.protocolVersion] - Negotiated version for the MCP-Protocol-Version header
+ * @returns {Promise<{result: object|object[]|undefined, sessionId: string|null, headers: object}>}
+ *   headers are the response headers (lower-cased keys)
+ */
+async function sendJsonRpc(url, headers, request, sessionId = null, timeoutMs = DEFAULT_TIMEOUT_MS, options = {}) {
+  const {
+    fetch: fetchImpl = globalThis.fetch,
+    onMessage,
+    signal,
+    reconnectDelayMs = DEFAULT_RECONNECT_DELAY_MS,
+    maxResumeAttempts = 3,
+    protocolVersion = MCP_PROTOCOL_VERSION,
+  } = options;
+  const batch = Array.isArray(request);
+  const expectedIds = (batch ? request : [request]).filter(isRequest).map(m => m.id);
+  const method = batch ? 'batch' : (request.method || 'response');
+  if (signal?.aborted) throw new McpCancelledError(method, signal.reason);
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  let timer;
+  const armTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), timeoutMs);
+  };
+  armTimer();
+
+  const reqHeaders = {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json, text/event-stream',
+    ...versionHeader(protocolVersion),
+    ...headers,
+  };
+  if (sessionId) {
+    reqHeaders['Mcp-Session-Id'] = sessionId;
+  }
+
+  const httpError = async (response, session) => new McpHttpError(response.status, {
+    headers: headersToObject(response.headers),
+    body: await response.text().catch(() => ''),
+    sessionId: session,
+  });
+
+  try {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: reqHeaders,
+      body: JSON.stringify(request),
+      signal: controller.signal,
+    });
+
+    if (!response.ok) throw await httpError(response, sessionId);
+
+    const newSessionId = response.headers.get('mcp-session-id') || sessionId;
+    const contentType = response.headers.get('content-type') || '';
+
+    const responses = new Map();
+    const inOrder = () => expectedIds.map(id => responses.get(id));
+
+    let result;
+    if (response.status === 202 || expectedIds.length === 0) {
+      // Notifications and responses are acknowledged without a body
+      result = undefined;
+    } else if (contentType.includes('text/event-stream')) {
+      const parser = createSSEParser((event) => {
+        armTimer();
+        const message = eventMessage(event);
+        if (message === undefined) return;
+        if (message.method === undefined && expectedIds.includes(message.id)) responses.set(message.id, message);
+        else onMessage?.(message);
+      });
+      await consumeEventStream(response.body, parser);
+
+      const waiting = () => responses.size < expectedIds.length;
+      for (let attempt = 0; waiting() && parser.lastEventId && attempt < maxResumeAttempts; attempt++) {
+        await delay(parser.retry ?? reconnectDelayMs, controller.signal);
+        armTimer();
+        const resumed = await fetchImpl(url, {
+          method: 'GET',
+          headers: {
+            'Accept': 'text/event-stream',
+            ...versionHeader(protocolVersion),
+            ...headers,
+            ...(newSessionId ? { 'Mcp-Session-Id': newSessionId } : {}),
+            'Last-Event-ID': parser.lastEventId,
+          },
+          signal: controller.signal,
+        });
+        if (!resumed.ok) throw await httpError(resumed, newSessionId);
+        await consumeEventStream(resumed.body, parser);
+      }
+      // A batch reports its missing responses per call; a lone request fails (and is retried)
+      if (!batch && waiting()) throw new Error('SSE stream ended without a response');
+      result = batch ? inOrder() : responses.get(request.id);
+    } else {
+      const body = await response.json();
+      if (batch) {
+        for (const message of [].concat(body)) responses.set(message?.id, message);
+        result = inOrder();
+      } else {
+        result = body;
+      }
+    }
+
+    return { result, sessionId: newSessionId, headers: headersToObject(response.headers) };
+  } catch (err) {
+    if (err instanceof McpHttpError) throw err;
+    if (signal?.aborted) throw new McpCancelledError(method, signal.reason);
+    if (controller.signal.aborted) throw new McpTimeoutError(method, timeoutMs);
+    throw new McpConnectionError(method, err);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Copy response headers into a plain object with lower-cased keys.
+ * @param {Headers|Map} headers
+ * @returns {object}
+ */
+function headersToObject(headers) {
+  const out = {};
+  for (const [key, value] of headers?.entries?.() || []) out[key.toLowerCase()] = value;
+  return out;
+}
+
+/**
+ * Explicitly terminate an MCP session (HTTP DELETE with Mcp-Session-Id).
+ * A 405 means the server does not allow client-initiated termination.
+ * @param {string} url - MCP endpoint URL
+ * @param {object} headers - Authorization headers
+ * @param {string} sessionId - Session to terminate
+ * @param {number} timeoutMs - Request timeout
+ * @param {object} [options]
+ * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+ * @param {string|null} [options.protocolVersion] - Negotiated version for the MCP-Protocol-Version header
+ * @returns {Promise<boolean>} true if the server acknowledged the termination
+ */
+async function terminateSession(url, headers, sessionId, timeoutMs = DEFAULT_TIMEOUT_MS, options = {}) {
+  const { fetch: fetchImpl = globalThis.fetch, protocolVersion = MCP_PROTOCOL_VERSION } = options;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetchImpl(url, {
+      method: 'DELETE',
+      headers: {
+        ...versionHeader(protocolVersion),
+        ...headers,
+        'Mcp-Session-Id': sessionId,
+      },
+      signal: controller.signal,
+    });
+    return response.ok;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Streamable HTTP transport (POST per message, optional Mcp-Session-Id).
+ * Messages the server sends on a request's SSE stream go to sendOptions.onMessage
+ * (or onmessage); listen() opens the GET stream for server-initiated messages.
+ * @param {object} options
+ * @param {string} [options.url] - MCP endpoint URL (defaults to GHL)
+ * @param {object} [options.headers] - Extra headers (Authorization, locationId)
+ * @param {number} [options.timeoutMs] - Default request timeout
+ * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+ * @param {number} [options.reconnectDelayMs] - Wait before re-opening a dropped stream
+ *   when the server sent no retry hint
+ * @returns {object} Transport
+ */
+function createHttpTransport(options = {}) {
+  const {
+    url = GHL_MCP_ENDPOINT,
+    headers = {},
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    reconnectDelayMs = DEFAULT_RECONNECT_DELAY_MS,
+  } = options;
+  // Resolve global fetch per call so a fetch installed later is still picked up
+  const fetchImpl = options.fetch || ((...args) => globalThis.fetch(...args));
+
+  let sessionId = null;
+  let protocolVersion = MCP_PROTOCOL_VERSION;
+  let listener = null;
+
+  function stopListening() {
+    listener?.abort();
+    listener = null;
+  }
+
+  /**
+   * Keep the GET stream open until aborted, re-connecting with Last-Event-ID when
+   * the server ends it. Stops when the server does not offer a stream (405) or fails.
+   * @param {AbortController} controller
+   */
+  async function runEventStream(controller) {
+    let lastEventId = null;
+    while (!controller.signal.aborted) {
+      try {
+        const response = await fetchImpl(url, {
+          method: 'GET',
+          headers: {
+            'Accept': 'text/event-stream',
+            ...versionHeader(protocolVersion),
+            ...headers,
+            ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+            ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+          },
+          signal: controller.signal,
+        });
+        if (response.status === 405) return;
+        if (!response.ok) {
+          throw new McpHttpError(response.status, {
+            headers: headersToObject(response.headers),
+            body: await response.text().catch(() => ''),
+            sessionId,
+          });
+        }
+
+        const parser = createSSEParser((event) => {
+          const message = eventMessage(event);
+          if (message !== undefined) transport.onmessage?.(message);
+        }, { lastEventId });
+        await consumeEventStream(response.body, parser);
+        lastEventId = parser.lastEventId;
+        await delay(parser.retry ?? reconnectDelayMs, controller.signal);
+      } catch (err) {
+        if (!controller.signal.aborted) transport.onerror?.(err);
+        return;
+      }
+    }
+  }
+
+  async function post(body, sendOptions) {
+    const resp = await sendJsonRpc(url, headers, body, sessionId, sendOptions.timeoutMs ?? timeoutMs, {
+      fetch: fetchImpl,
+      signal: sendOptions.signal,
+      protocolVersion,
+      reconnectDelayMs,
+      onMessage: sendOptions.onMessage || ((m) => transport.onmessage?.(m)),
+    });
+    sessionId = resp.sessionId || sessionId;
+    sendOptions.onHeaders?.(resp.headers);
+    return resp;
+  }
+
+  const transport = {
+    onmessage: null,
+    onerror: null,
+
+    async send(message, sendOptions = {}) {
+      const resp = await post(message, sendOptions);
+      return isRequest(message) ? resp.result : undefined;
+    },
+
+    /**
+     * Send several messages as one JSON-RPC batch (protocol 2025-03-26 only).
+     * @param {object[]} messages
+     * @param {object} [sendOptions] - As for send()
+     * @returns {Promise<Array<object|undefined>>} Responses in request order
+     */
+    async sendBatch(messages, sendOptions = {}) {
+      const resp = await post(messages, sendOptions);
+      return resp.result || [];
+    },
+
+    setProtocolVersion(version) {
+      protocolVersion = version;
+    },
+
+    /**
+     * Open the GET stream for server-initiated messages (no-op if already open).
+     * Call after initialize so the stream is bound to the session.
+     */
+    listen() {
+      if (listener) return;
+      const controller = new AbortController();
+      listener = controller;
+      runEventStream(controller).finally(() => {
+        if (listener === controller) listener = null;
+      });
+    },
+
+    resetSession() {
+      stopListening();
+      sessionId = null;
+      protocolVersion = MCP_PROTOCOL_VERSION;
+    },
+
+    async close() {
+      stopListening();
+      if (sessionId) {
+        await terminateSession(url, headers, sessionId, timeoutMs, { fetch: fetchImpl, protocolVersion }).catch(() => {});
+      }
+      sessionId = null;
+    },
+
+    get sessionId() { return sessionId; },
+  };
+
+  return transport;
+}
+
+// ─── Message-stream transports (stdio, in-memory) ───────────
+
+/**
+ * Request/response correlation for transports that carry a stream of messages.
+ * Outgoing requests wait for the response with the same id; incoming requests
+ * and notifications go to onmessage.
+ * @param {Function} write - (message) => void|Promise<void>
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Default request timeout
+ * @param {Function} [options.onClose] - Called once by close()
+ * @param {boolean} [options.reopen=false] - Accept sends again once close() has finished,
+ *   even after fail()
+ * @returns {object} Transport with an extra receive(message) and fail(err)
+ */
+function createStreamTransport(write, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, onClose, reopen = false } = options;
+  const pending = new Map();
+  let closedError = null;
+  let closing = null;
+
+  function settle(id) {
+    const entry = pending.get(id);
+    if (entry) {
+      clearTimeout(entry.timer);
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      pending.delete(id);
+    }
+    return entry;
+  }
+
+  const transport = {
+    onmessage: null,
+    sessionId: null,
+
+    async send(message, sendOptions = {}) {
+      if (closedError) throw new McpConnectionError(message.method || 'response', closedError);
+
+      if (!isRequest(message)) {
+        await write(message);
+        return undefined;
+      }
+
+      const { signal } = sendOptions;
+      if (signal?.aborted) throw new McpCancelledError(message.method, signal.reason);
+
+      const requestTimeoutMs = sendOptions.timeoutMs ?? timeoutMs;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          settle(message.id);
+          reject(new McpTimeoutError(message.method, requestTimeoutMs));
+        }, requestTimeoutMs);
+        const onAbort = () => {
+          settle(message.id);
+          reject(new McpCancelledError(message.method, signal.reason));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        pending.set(message.id, { resolve, reject, timer, signal, onAbort, method: message.method });
+
+        Promise.resolve()
+          .then(() => write(message))
+          .catch((err) => {
+            settle(message.id);
+            reject(new McpConnectionError(message.method, err));
+          });
+      });
+    },
+
+    /**
+     * Deliver an incoming message from the other side.
+     * @param {object} message
+     */
+    receive(message) {
+      if (message.method === undefined && message.id !== undefined) {
+        settle(message.id)?.resolve(message);
+        return;
+      }
+      transport.onmessage?.(message);
+    },
+
+    /**
+     * Reject every pending request and refuse further sends.
+     * @param {Error} err
+     */
+    fail(err) {
+      closedError = closedError || err;
+      for (const [id, entry] of pending) {
+        settle(id);
+        entry.reject(new McpConnectionError(entry.method, err));
+      }
+    },
+
+    resetSession() {},
+
+    async close() {
+      if (closedError && !reopen) return undefined;
+      if (closing) return closing;
+      transport.fail(new Error('Transport closed'));
+      closing = Promise.resolve(onClose?.()).finally(() => {
+        closing = null;
+        if (reopen) closedError = null;
+      });
+      return closing;
+    },
+  };
+
+  return transport;
+}
+
+/**
+ * Stdio transport: spawns a local MCP server and exchanges newline-delimited
+ * JSON-RPC over its stdin/stdout. The process starts on the first send, and
+ * again on the first send after close(). close() ends its stdin, then sends
+ * SIGTERM and finally SIGKILL, each after killTimeoutMs without an exit.
+ * @param {object} options
+ * @param {string} options.command - Executable (e.g. 'node')
+ * @param {string[]} [options.args] - Arguments
+ * @param {object} [options.env] - Extra environment variables
+ * @param {string} [options.cwd] - Working directory
+ * @param {number} [options.timeoutMs] - Default request timeout
+ * @param {'inherit'|'ignore'|'pipe'} [options.stderr='inherit'] - Server stderr handling
+ * @param {number} [options.killTimeoutMs=2000] - How long close() waits at each step
+ * @returns {object} Transport
+ */
+function createStdioTransport(options) {
+  const { command, args = [], env = {}, cwd, timeoutMs, stderr = 'inherit', killTimeoutMs = 2000 } = options;
+  if (!command) throw new Error('Stdio transport requires a command');
+
+  let child = null;
+
+  function start() {
+    const proc = spawn(command, args, {
+      cwd,
+      env: { ...process.env, ...env },
+      stdio: ['pipe', 'pipe', stderr],
+    });
+    child = proc;
+
+    const lines = createInterface({ input: proc.stdout });
+    // A process still stopping after close() no longer speaks for the transport
+    lines.on('line', (line) => {
+      if (child !== proc || !line.trim()) return;
+      let message;
+      try { message = JSON.parse(line); } catch { return; }
+      transport.receive(message);
+    });
+
+    proc.on('error', (err) => {
+      if (child === proc) transport.fail(err);
+    });
+    // EPIPE when the server closed its stdin; without a listener it would crash this process
+    proc.stdin.on('error', (err) => {
+      if (child === proc) transport.fail(err);
+    });
+    proc.on('exit', (code, signal) => {
+      if (child === proc) transport.fail(new Error(`MCP server process exited (${signal || `code ${code}`})`));
+    });
+  }
+
+  /** Stop the process: end its stdin, then SIGTERM, then SIGKILL. */
+  function stop() {
+    const proc = child;
+    child = null;
+    if (!proc || proc.pid === undefined || proc.exitCode !== null || proc.signalCode !== null) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timers = [
+        setTimeout(() => proc.kill('SIGTERM'), killTimeoutMs),
+        setTimeout(() => proc.kill('SIGKILL'), 2 * killTimeoutMs),
+        setTimeout(resolve, 3 * killTimeoutMs),
+      ];
+      proc.once('exit', () => {
+        timers.forEach(clearTimeout);
+        resolve();
+      });
+      proc.stdin.end();
+    });
+  }
+
+  const transport = createStreamTransport((message) => {
+    if (!child) start();
+    const { stdin } = child;
+    return new Promise((resolve, reject) => {
+      stdin.write(JSON.stringify(message) + '\n', (err) => (err ? reject(err) : resolve()));
+    });
+  }, { timeoutMs, onClose: stop, reopen: true });
+
+  return transport;
+}
+
+/**
+ * Create two linked in-memory transports: messages sent on one are received by
+ * the other. Use one side for the client and serve the other in tests.
+ * Messages are cloned so neither side can mutate the other's objects.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Default request timeout for both sides
+ * @returns {[object, object]} [clientTransport, serverTransport]
+ */
+function createInMemoryTransportPair(options = {}) {
+  let left = null;
+  let right = null;
+  const deliver = (target) => (message) => {
+    const copy = structuredClone(message);
+    queueMicrotask(() => target().receive(copy));
+  };
+
+  left = createStreamTransport(deliver(() => right), {
+    ...options,
+    onClose: () => right.close(),
+  });
+  right = createStreamTransport(deliver(() => left), {
+    ...options,
+    onClose: () => left.close(),
+  });
+
+  return [left, right];
+}
+
+export {
+  createHttpTransport,
+  createStdioTransport,
+  createInMemoryTransportPair,
+  createStreamTransport,
+  sendJsonRpc,
+  terminateSession,
+  parseSSEResponse,
+  createSSEParser,
+  GHL_MCP_ENDPOINT,
+  MCP_PROTOCOL_VERSION,
+  DEFAULT_TIMEOUT_MS,
+};
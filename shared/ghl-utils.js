@@ -1,42 +1,61 @@
 /**
  * Shared utilities for GHL MCP integration.
- * Rate limiting, caching, retries, and structured logging.
+ * Rate limiting, LRU caching, retries, circuit breaking, and structured logging.
  */
 
+import { randomUUID } from 'node:crypto';
+import { isRetryableError, McpCancelledError, McpCircuitOpenError } from './ghl-errors.js';
+import { parseRateLimitHeaders } from './ghl-rate-headers.js';
+import { redact } from './ghl-redact.js';
+import { metricsRegistry } from './ghl-metrics.js';
+import { resolveSecret } from './ghl-secrets.js';
+
+const circuitState = metricsRegistry.gauge('ghl_circuit_state', 'Circuit breaker state per location (0 closed, 1 half-open, 2 open)');
+
+/**
+ * In-memory limiter state, private to one process.
+ * A store keeps { windowStart, windowCount, dayStart, dayCount, pausedUntil, lastAcquiredAt,
+ * spacingMs, spreadUntil, server }: read() returns a snapshot, update(fn) runs fn on the
+ * state atomically and returns its result.
+ * See ghl-limiter-store.js for a store shared across processes.
+ * @returns {object} { read, update }
+ */
+function createMemoryLimiterStore() {
+  const state = {};
+  return {
+    read: () => ({ ...state }),
+    update: async (fn) => fn(state),
+  };
+}
+
 /**
  * Token-bucket rate limiter.
  * @param {object} opts
  * @param {number} [opts.maxPerWindow=100] - Max requests per window
  * @param {number} [opts.windowMs=10000] - Window size in ms
  * @param {number} [opts.maxPerDay=200000] - Max requests per day
- * @returns {object} { acquire, stats }
+ * @param {object} [opts.store] - Where the counters live (defaults to this process's memory)
+ * @returns {object} { acquire, observe, stats }
  */
 function createRateLimiter(opts = {}) {
   const {
     maxPerWindow = 100,
     windowMs = 10_000,
     maxPerDay = 200_000,
+    store = createMemoryLimiterStore(),
   } = opts;
 
-  let windowStart = Date.now();
-  let windowCount = 0;
-  let dayStart = Date.now();
-  let dayCount = 0;
-
-  function resetWindowIfNeeded() {
-    const now = Date.now();
-    if (now - windowStart >= windowMs) {
-      windowStart = now;
-      windowCount = 0;
+  /** Start a new window or day once the current one has passed. */
+  function roll(state, now) {
+    if (!(now - state.windowStart < windowMs)) {
+      state.windowStart = now;
+      state.windowCount = 0;
     }
-  }
-
-  function resetDayIfNeeded() {
-    const now = Date.now();
-    if (now - dayStart >= 86_400_000) {
-      dayStart = now;
-      dayCount = 0;
+    if (!(now - state.dayStart < 86_400_000)) {
+      state.dayStart = now;
+      state.dayCount = 0;
     }
+    return state;
   }
 
   /**
@@ -44,66 +63,226 @@ function createRateLimiter(opts = {}) {
    * @returns {Promise<void>}
    */
   async function acquire() {
-    resetDayIfNeeded();
-    if (dayCount >= maxPerDay) {
-      throw new Error(`Daily rate limit reached (${maxPerDay})`);
-    }
-
-    resetWindowIfNeeded();
-    if (windowCount >= maxPerWindow) {
-      const waitMs = windowMs - (Date.now() - windowStart) + 50;
+    for (;;) {
+      const waitMs = await store.update((state) => {
+        const now = Date.now();
+        if (state.pausedUntil > now) return state.pausedUntil - now;
+        if (state.spreadUntil > now && now - state.lastAcquiredAt < state.spacingMs) {
+          return state.lastAcquiredAt + state.spacingMs - now;
+        }
+        roll(state, now);
+        if (state.dayCount >= maxPerDay) return -1;
+        if (state.windowCount >= maxPerWindow) return windowMs - (now - state.windowStart) + 50;
+        state.windowCount++;
+        state.dayCount++;
+        state.lastAcquiredAt = now;
+        return 0;
+      });
+      if (waitMs === 0) return;
+      if (waitMs < 0) throw new Error(`Daily rate limit reached (${maxPerDay})`);
       await new Promise(resolve => setTimeout(resolve, waitMs));
-      resetWindowIfNeeded();
     }
+  }
 
-    windowCount++;
-    dayCount++;
+  /**
+   * Adjust to the quota a server reported in response headers: pause for
+   * Retry-After or until the window resets when none remain. While some remain
+   * and the server says when its window resets, the remaining requests are
+   * spread evenly until then; otherwise the local window never allows more
+   * than the server says are left.
+   * @param {object} headers - Response headers (lower-cased keys)
+   * @returns {Promise<void>}
+   */
+  async function observe(headers) {
+    const info = parseRateLimitHeaders(headers);
+    if (!info) return;
+    await store.update((state) => {
+      const now = Date.now();
+      roll(state, now);
+      let pauseMs = info.retryAfterMs;
+      if (info.remaining !== undefined && info.resetMs !== undefined) {
+        state.spreadUntil = 0;
+        if (info.remaining <= 0) {
+          // Wait out the server's window, then start a fresh local one
+          state.windowCount = maxPerWindow;
+          if (pauseMs === undefined) {
+            pauseMs = info.resetMs;
+            state.windowStart = now + pauseMs - windowMs;
+          }
+        } else if (info.resetMs > 0) {
+          state.spacingMs = info.resetMs / info.remaining;
+          state.spreadUntil = now + info.resetMs;
+        }
+      } else if (info.remaining !== undefined) {
+        state.windowCount = Math.max(state.windowCount, maxPerWindow - info.remaining);
+      }
+      if (info.dailyRemaining !== undefined) {
+        state.dayCount = Math.max(state.dayCount, maxPerDay - info.dailyRemaining);
+      }
+      if (pauseMs > 0) state.pausedUntil = Math.max(state.pausedUntil || 0, now + pauseMs);
+      state.server = { ...info, observedAt: now };
+    });
   }
 
+  /**
+   * @returns {object} Remaining requests this window and day (the server's figures
+   *   once it has reported them), pausedMs, and the last `server` report (or null)
+   */
   function stats() {
-    resetWindowIfNeeded();
-    resetDayIfNeeded();
+    const now = Date.now();
+    const state = roll(store.read(), now);
     return {
-      windowRemaining: maxPerWindow - windowCount,
-      dayRemaining: maxPerDay - dayCount,
-      dayCount,
+      windowRemaining: maxPerWindow - state.windowCount,
+      dayRemaining: maxPerDay - state.dayCount,
+      dayCount: state.dayCount,
+      pausedMs: Math.max(0, (state.pausedUntil || 0) - now),
+      server: state.server || null,
     };
   }
 
-  return { acquire, stats };
+  return { acquire, observe, stats };
 }
 
 /**
- * Simple TTL cache for MCP responses (e.g., tools/list).
- * @param {number} [ttlMs=3600000] - Cache TTL in ms (default 1 hour)
- * @returns {object} { get, set, invalidate, clear }
+ * LRU cache for MCP responses (e.g., tools/list, read-only tool results).
+ * Entries are fresh for ttlMs, then served as stale for staleMs more (see lookup)
+ * while the caller refreshes them. The least recently used entries are evicted
+ * beyond maxEntries or maxBytes (JSON size). With a store (see ghl-cache-store.js)
+ * entries are written through to it and misses are read from it, so the cache
+ * outlives the process.
+ * @param {number|object} [options] - ttlMs, or:
+ * @param {number} [options.ttlMs=3600000] - Default time an entry is fresh
+ * @param {number} [options.staleMs=0] - Default time an entry may be served stale after that
+ * @param {number} [options.maxEntries=1000]
+ * @param {number} [options.maxBytes=10000000]
+ * @param {object} [options.store] - Persistent store: { get(key), set(key, entry), delete(match), clear() }
+ * @returns {object} { get, lookup, set, invalidate, clear, stats, flush }
  */
-function createToolCache(ttlMs = 3_600_000) {
-  const store = new Map();
+function createToolCache(options = {}) {
+  const {
+    ttlMs = 3_600_000,
+    staleMs = 0,
+    maxEntries = 1000,
+    maxBytes = 10_000_000,
+    store = null,
+  } = typeof options === 'number' ? { ttlMs: options } : options;
+  const entries = new Map();
+  const pending = new Set();
+  // Matchers of store deletes still running; the store may hold those keys until they finish
+  const deleting = new Set();
+  const counts = { hits: 0, stale: 0, misses: 0 };
+  let bytes = 0;
 
-  function get(key) {
-    const entry = store.get(key);
-    if (!entry) return undefined;
-    if (Date.now() - entry.ts > ttlMs) {
-      store.delete(key);
+  const sizeOf = (value) => Buffer.byteLength(JSON.stringify(value ?? null));
+  const age = (entry) => Date.now() - entry.ts;
+  const expired = (entry) => age(entry) > entry.ttlMs + entry.staleMs;
+
+  /** Run a store write in the background; flush() waits for it. */
+  function persist(write) {
+    if (!store) return;
+    const done = Promise.resolve()
+      .then(write)
+      .catch(err => log('warn', 'Cache store write failed', { error: err.message }))
+      .finally(() => pending.delete(done));
+    pending.add(done);
+  }
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    bytes -= entry.bytes;
+    entries.delete(key);
+  }
+
+  function insert(key, entry) {
+    remove(key);
+    if (entry.bytes > maxBytes) return;
+    entries.set(key, entry);
+    bytes += entry.bytes;
+    // Map iteration is in insertion order, and every use re-inserts: oldest first
+    for (const oldest of entries.keys()) {
+      if (entries.size <= maxEntries && bytes <= maxBytes) break;
+      remove(oldest);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {{value: *, stale: boolean}|undefined} The entry, stale once past its TTL;
+   *   undefined when missing or past its stale window
+   */
+  function lookup(key) {
+    let entry = entries.get(key);
+    if (!entry && store && ![...deleting].some(matches => matches(key))) {
+      const saved = store.get(key);
+      if (saved) entry = { ...saved, bytes: sizeOf(saved.value) };
+    }
+    if (!entry || expired(entry)) {
+      remove(key);
+      counts.misses++;
       return undefined;
     }
-    return entry.value;
+    insert(key, entry);
+    const stale = age(entry) > entry.ttlMs;
+    counts[stale ? 'stale' : 'hits']++;
+    return { value: entry.value, stale };
   }
 
-  function set(key, value) {
-    store.set(key, { value, ts: Date.now() });
+  /**
+   * @param {string} key
+   * @returns {*} The value while fresh, else undefined
+   */
+  function get(key) {
+    const hit = lookup(key);
+    return hit && !hit.stale ? hit.value : undefined;
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value
+   * @param {object} [policy] - { ttlMs, staleMs } for this entry
+   */
+  function set(key, value, policy = {}) {
+    const entry = {
+      value,
+      ts: Date.now(),
+      ttlMs: policy.ttlMs ?? ttlMs,
+      staleMs: policy.staleMs ?? staleMs,
+    };
+    insert(key, { ...entry, bytes: sizeOf(value) });
+    persist(() => store.set(key, entry));
   }
 
-  function invalidate(key) {
-    store.delete(key);
+  /**
+   * @param {string|Function} match - A key, or (key) => boolean
+   */
+  function invalidate(match) {
+    const matches = typeof match === 'function' ? match : (key) => key === match;
+    for (const key of [...entries.keys()]) {
+      if (matches(key)) remove(key);
+    }
+    if (!store) return;
+    deleting.add(matches);
+    persist(() => Promise.resolve(store.delete(matches)).finally(() => deleting.delete(matches)));
   }
 
   function clear() {
-    store.clear();
+    entries.clear();
+    bytes = 0;
+    persist(() => store.clear());
+  }
+
+  /** @returns {object} { entries, bytes, hits, stale, misses } */
+  function stats() {
+    return { entries: entries.size, bytes, ...counts };
   }
 
-  return { get, set, invalidate, clear };
+  /** @returns {Promise<void>} Resolves once pending store writes are done */
+  async function flush() {
+    while (pending.size > 0) await Promise.all(pending);
+  }
+
+  return { get, lookup, set, invalidate, clear, stats, flush };
 }
 
 /**
@@ -112,19 +291,23 @@ function createToolCache(ttlMs = 3_600_000) {
  * @param {object} opts
  * @param {number} [opts.maxRetries=3]
  * @param {number} [opts.baseDelayMs=1000]
- * @param {Function} [opts.shouldRetry] - Predicate, receives error, returns boolean
+ * @param {Function} [opts.shouldRetry] - Predicate, receives error, returns boolean.
+ *   Defaults to retrying network errors, timeouts, 429 and 5xx (see ghl-errors.js).
+ * @param {AbortSignal} [opts.signal] - Stop retrying once aborted; an abort during
+ *   the backoff wait rejects with McpCancelledError
+ * @param {number} [opts.maxRetryAfterMs=60000] - When the server's Retry-After asks for a
+ *   longer wait than this, give up instead of retrying
+ * @param {Function} [opts.onRetry] - (err, attempt, delayMs) => void, before each wait
  * @returns {Promise<*>}
  */
 async function withRetry(fn, opts = {}) {
   const {
     maxRetries = 3,
     baseDelayMs = 1000,
-    shouldRetry = (err) => {
-      // Retry on network errors and 429/5xx
-      if (err.message?.includes('fetch failed')) return true;
-      const status = parseInt(err.message?.match(/HTTP (\d+)/)?.[1]);
-      return status === 429 || (status >= 500 && status < 600);
-    },
+    shouldRetry = isRetryableError,
+    signal,
+    maxRetryAfterMs = 60_000,
+    onRetry,
   } = opts;
 
   let lastError;
@@ -133,18 +316,222 @@ async function withRetry(fn, opts = {}) {
       return await fn();
     } catch (err) {
       lastError = err;
-      if (attempt === maxRetries || !shouldRetry(err)) throw err;
+      if (attempt === maxRetries || !shouldRetry(err) || signal?.aborted) throw err;
+      if (err.retryAfterMs > maxRetryAfterMs) throw err;
 
-      const delay = baseDelayMs * Math.pow(2, attempt) + Math.random() * baseDelayMs;
+      // Wait as long as the server asked, else back off exponentially with jitter
+      const delay = err.retryAfterMs ?? baseDelayMs * Math.pow(2, attempt) + Math.random() * baseDelayMs;
       log('warn', `Retry ${attempt + 1}/${maxRetries} after ${Math.round(delay)}ms`, {
         error: err.message,
+        category: err.category,
+      });
+      onRetry?.(err, attempt + 1, delay);
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(new McpCancelledError('retry', signal.reason));
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, delay);
+        signal?.addEventListener('abort', onAbort, { once: true });
       });
-      await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
   throw lastError;
 }
 
+/**
+ * Errors that mean GHL itself is failing (outage, timeouts), as opposed to a bad
+ * request, a spent budget or a cancelled call.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isOutageError(err) {
+  return err?.category === 'unavailable' || err?.category === 'timeout';
+}
+
+/**
+ * Circuit breaker: closed (requests pass) → open once the failure rate over the
+ * recent window reaches failureRate (requests fail fast with McpCircuitOpenError)
+ * → half-open after cooldownMs, when one probe request is let through; the probe
+ * closes the circuit on success and reopens it on failure.
+ * @param {object} [opts]
+ * @param {string} [opts.name='ghl'] - Shown in errors and logs (location alias)
+ * @param {number} [opts.failureRate=0.5] - Share of failed requests (0..1) that trips the breaker
+ * @param {number} [opts.minRequests=5] - Requests the window needs before the rate counts
+ * @param {number} [opts.windowMs=60000] - How far back outcomes are counted
+ * @param {number} [opts.cooldownMs=30000] - Time open before the probe request
+ * @param {Function} [opts.isFailure=isOutageError] - Which errors count as failures
+ * @param {Function} [opts.onStateChange] - (state) => void on every transition
+ * @returns {object} { exec, stats, reset }
+ */
+function createCircuitBreaker(opts = {}) {
+  const {
+    name = 'ghl',
+    failureRate = 0.5,
+    minRequests = 5,
+    windowMs = 60_000,
+    cooldownMs = 30_000,
+    isFailure = isOutageError,
+    onStateChange,
+  } = opts;
+
+  let state = 'closed';
+  let outcomes = [];
+  let openedAt = 0;
+  let probing = false;
+
+  function transition(next) {
+    if (next === state) return;
+    state = next;
+    onStateChange?.(state);
+  }
+
+  function open(now, failures) {
+    transition('open');
+    openedAt = now;
+    log('warn', 'Circuit breaker opened', { location: name, failures, cooldownMs });
+  }
+
+  function close() {
+    transition('closed');
+    outcomes = [];
+    log('info', 'Circuit breaker closed', { location: name });
+  }
+
+  function record(failed) {
+    const now = Date.now();
+    outcomes = outcomes.filter(o => now - o.ts < windowMs);
+    outcomes.push({ ts: now, failed });
+    const failures = outcomes.filter(o => o.failed).length;
+    if (outcomes.length >= minRequests && failures / outcomes.length >= failureRate) open(now, failures);
+  }
+
+  /**
+   * Run fn unless the circuit is open.
+   * @param {Function} fn - () => Promise
+   * @returns {Promise<*>} fn's result
+   */
+  async function exec(fn) {
+    const now = Date.now();
+    let probe = false;
+    if (state === 'open') {
+      const retryInMs = openedAt + cooldownMs - now;
+      if (retryInMs > 0) throw new McpCircuitOpenError(name, retryInMs);
+      transition('half-open');
+    }
+    if (state === 'half-open') {
+      if (probing) throw new McpCircuitOpenError(name, 0);
+      probing = probe = true;
+    }
+
+    try {
+      const result = await fn();
+      if (probe) close();
+      else record(false);
+      return result;
+    } catch (err) {
+      if (err instanceof McpCancelledError) {
+        // Neither outcome: a cancelled probe leaves the next request to probe
+      } else if (probe) {
+        if (isFailure(err)) open(Date.now(), 1);
+        else close();
+      } else {
+        record(isFailure(err));
+      }
+      throw err;
+    } finally {
+      if (probe) probing = false;
+    }
+  }
+
+  /**
+   * @returns {object} { state, requests, failures, retryInMs } for the current window
+   */
+  function stats() {
+    const now = Date.now();
+    const recent = outcomes.filter(o => now - o.ts < windowMs);
+    return {
+      state,
+      requests: recent.length,
+      failures: recent.filter(o => o.failed).length,
+      retryInMs: state === 'open' ? Math.max(0, openedAt + cooldownMs - now) : 0,
+    };
+  }
+
+  function reset() {
+    transition('closed');
+    outcomes = [];
+    probing = false;
+  }
+
+  return { exec, stats, reset };
+}
+
+// One breaker per location and config in this process, so every actions
+// instance sees the same outage
+const locationBreakers = new Map();
+
+/** Circuit states as the ghl_circuit_state gauge reports them. */
+const CIRCUIT_STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+
+/**
+ * The process-wide circuit breaker for a location.
+ * @param {string} alias
+ * @param {object} [config] - The location's `circuit_breaker` config
+ *   ({ failure_rate, min_requests, window_ms, cooldown_ms })
+ * @returns {object} Circuit breaker
+ */
+function getLocationBreaker(alias, config = {}) {
+  const key = `${alias}\n${JSON.stringify(config)}`;
+  if (!locationBreakers.has(key)) {
+    locationBreakers.set(key, createCircuitBreaker({
+      name: alias,
+      failureRate: config.failure_rate,
+      minRequests: config.min_requests,
+      windowMs: config.window_ms,
+      cooldownMs: config.cooldown_ms,
+      onStateChange: (state) => circuitState.set({ location: alias }, CIRCUIT_STATE_VALUES[state]),
+    }));
+    circuitState.set({ location: alias }, CIRCUIT_STATE_VALUES.closed);
+  }
+  return locationBreakers.get(key);
+}
+
+/** Log levels by severity; entries below the configured level are dropped. */
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+const logSettings = {
+  level: null,
+  runId: process.env.GHL_RUN_ID || randomUUID().slice(0, 8),
+  redact: true,
+  fields: [],
+  patterns: [],
+};
+
+/**
+ * Configure the structured logger for this process.
+ * Every entry carries the run's correlation id (`runId`), and has tokens, bearer
+ * headers, emails, phone numbers and contact names masked (see ghl-redact.js)
+ * before it is written.
+ * @param {object} [options]
+ * @param {'debug'|'info'|'warn'|'error'|'silent'} [options.level] - Minimum level written
+ *   (default $GHL_LOG_LEVEL, else 'info')
+ * @param {string} [options.runId] - Correlation id (default $GHL_RUN_ID, else random per process)
+ * @param {boolean} [options.redact=true] - Mask secrets and PII
+ * @param {string[]} [options.fields] - Extra fields to mask: data keys or GHL custom field ids/keys
+ * @param {Array<[RegExp, string|Function]>} [options.patterns] - Extra text replacements
+ * @returns {object} The settings now in effect
+ */
+function configureLogger(options = {}) {
+  for (const [key, value] of Object.entries(options)) {
+    if (key in logSettings && value !== undefined) logSettings[key] = value;
+  }
+  return { ...logSettings };
+}
+
 /**
  * Structured JSON logger to stderr.
  * @param {'debug'|'info'|'warn'|'error'} level
@@ -152,55 +539,64 @@ async function withRetry(fn, opts = {}) {
  * @param {object} [data]
  */
 function log(level, msg, data = {}) {
+  const threshold = LOG_LEVELS[logSettings.level || process.env.GHL_LOG_LEVEL] ?? LOG_LEVELS.info;
+  if ((LOG_LEVELS[level] ?? LOG_LEVELS.info) < threshold) return;
+
   const entry = {
     ts: new Date().toISOString(),
     level,
+    runId: logSettings.runId,
     msg,
     ...data,
   };
-  process.stderr.write(JSON.stringify(entry) + '\n');
+  const { fields, patterns } = logSettings;
+  process.stderr.write(JSON.stringify(logSettings.redact ? redact(entry, { fields, patterns }) : entry) + '\n');
 }
 
 /**
- * Resolve a config value that may reference an env var.
- * Format: "ENV:VAR_NAME" → process.env.VAR_NAME
+ * Resolve a config value that may reference a secret: ENV:, FILE:, STORE: or CMD:
+ * (see resolveSecret in ghl-secrets.js, which new code should use).
  * @param {string} value
  * @returns {string}
  */
 function resolveEnvValue(value) {
-  if (typeof value === 'string' && value.startsWith('ENV:')) {
-    const envKey = value.slice(4);
-    const envVal = process.env[envKey];
-    if (!envVal) throw new Error(`Environment variable ${envKey} not set`);
-    return envVal;
-  }
-  return value;
+  return resolveSecret(value);
 }
 
 /**
  * Format a date as relative time (e.g., "2 hours ago", "3 days ago").
+ * With a business calendar (shared/ghl-business-time.js) only open hours count,
+ * shown in hours since a business day is not 24h (e.g., "11h ago (business)").
  * @param {string|Date} date
+ * @param {object} [calendar] - From getBusinessCalendar
  * @returns {string}
  */
-function timeAgo(date) {
+function timeAgo(date, calendar) {
   const now = Date.now();
   const then = new Date(date).getTime();
-  const diffMs = now - then;
+  const diffMs = calendar ? calendar.between(then, now) : now - then;
+  const suffix = calendar ? ' (business)' : '';
 
   const minutes = Math.floor(diffMs / 60_000);
-  if (minutes < 1) return 'just now';
-  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 1) return `just now${suffix}`;
+  if (minutes < 60) return `${minutes}m ago${suffix}`;
   const hours = Math.floor(minutes / 60);
-  if (hours < 24) return `${hours}h ago`;
+  if (hours < 24 || calendar) return `${hours}h ago${suffix}`;
   const days = Math.floor(hours / 24);
   return `${days}d ago`;
 }
 
 export {
   createRateLimiter,
+  createMemoryLimiterStore,
   createToolCache,
   withRetry,
+  createCircuitBreaker,
+  getLocationBreaker,
+  isOutageError,
   log,
+  configureLogger,
+  LOG_LEVELS,
   resolveEnvValue,
   timeAgo,
 };
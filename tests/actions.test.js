@@ -1,20 +1,22 @@
 /**
  * Tests for openclaw-skill/ghl_actions.js
- * Uses node:test + mock fetch.
+ * Uses node:test + an in-memory mock MCP server.
  */
 
-import { describe, it, before, after } from 'node:test';
+import { describe, it, before } from 'node:test';
 import assert from 'node:assert/strict';
-import { createMockFetch, MOCK_CONTACTS } from './helpers/mock-fetch.js';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createMockTransport, MOCK_CONTACTS, MOCK_TOOLS } from './helpers/mock-server.js';
+import { createMockFetch } from './helpers/mock-fetch.js';
+import { McpCancelledError, McpBudgetError, McpValidationError } from '../shared/ghl-errors.js';
+import { createCreditLedger } from '../shared/ghl-credits.js';
 
 let createActions;
 
 describe('ghl_actions', () => {
   before(async () => {
-    const m = createMockFetch();
-    globalThis._originalFetch = globalThis.fetch;
-    globalThis.fetch = m.fetch;
-
     // Suppress stderr logging during tests
     const origWrite = process.stderr.write;
     process.stderr.write = () => true;
@@ -25,10 +27,6 @@ describe('ghl_actions', () => {
     process.stderr.write = origWrite;
   });
 
-  after(() => {
-    globalThis.fetch = globalThis._originalFetch;
-  });
-
   describe('createActions', () => {
     it('should create actions from location config', () => {
       const actions = createActions({
@@ -52,38 +50,89 @@ describe('ghl_actions', () => {
     });
   });
 
+  describe('initialization', () => {
+    it('should open one session for concurrent calls', async () => {
+      const m = createMockTransport();
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'concurrent-init' }, { transport: m.transport });
+
+      await Promise.all([
+        actions.searchContacts('a'),
+        actions.getPipelines(),
+        actions.searchContacts('b'),
+        actions.searchOpportunities({}),
+      ]);
+
+      const methods = m.calls.map(c => c.body.method);
+      assert.equal(methods.filter(method => method === 'initialize').length, 1);
+      assert.equal(methods.filter(method => method === 'notifications/initialized').length, 1);
+      await actions.close();
+    });
+  });
+
   describe('searchContacts', () => {
     it('should return contacts', async () => {
-      const m = createMockFetch();
-      globalThis.fetch = m.fetch;
+      const m = createMockTransport();
 
       const actions = createActions({
         token: 'test-token',
         locationId: 'test-loc',
         alias: 'test',
-      });
+      }, { transport: m.transport });
+
+      const result = await actions.searchContacts('test');
+
+      assert.ok(result.contacts);
+      assert.equal(result.contacts.length, 2);
+      assert.equal(result.contacts[0].email, MOCK_CONTACTS.contacts[0].email);
+
+      await actions.close();
+    });
+  });
 
+  describe('result decoding', () => {
+    it('should prefer structuredContent over text content', async () => {
+      const m = createMockFetch();
+      const fetch = async (url, options) => {
+        const response = await m.fetch(url, options);
+        const body = JSON.parse(options.body || '{}');
+        if (body.method !== 'tools/call') return response;
+        const payload = await response.json();
+        payload.result.structuredContent = { contacts: [{ id: 'structured' }] };
+        return { ...response, json: async () => payload };
+      };
+
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test' }, { fetch });
       const result = await actions.searchContacts('test');
 
-      assert.ok(result.content);
-      const parsed = JSON.parse(result.content[0].text);
-      assert.ok(parsed.contacts);
-      assert.equal(parsed.contacts.length, 2);
+      assert.deepEqual(result.contacts, [{ id: 'structured' }]);
+      await actions.close();
+    });
+
+    it('should decode conversation history through the search result', async () => {
+      const m = createMockTransport({
+        'conversations_search-conversation': { conversations: [{ id: 'conv1' }] },
+        'conversations_get-messages': { messages: { messages: [{ id: 'm1' }], nextPage: false } },
+      });
+
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test' }, { transport: m.transport });
+      const history = await actions.getConversationHistory('c1');
 
+      assert.deepEqual(history.messages.messages, [{ id: 'm1' }]);
+      const getMessages = m.calls.find(c => c.body.params?.name === 'conversations_get-messages');
+      assert.equal(getMessages.body.params.arguments.conversationId, 'conv1');
       await actions.close();
     });
   });
 
   describe('tagContacts', () => {
     it('should tag a single contact', async () => {
-      const m = createMockFetch();
-      globalThis.fetch = m.fetch;
+      const m = createMockTransport();
 
       const actions = createActions({
         token: 'test-token',
         locationId: 'test-loc',
         alias: 'test',
-      });
+      }, { transport: m.transport });
 
       const results = await actions.tagContacts('c1', ['AI-Audit-Lead']);
 
@@ -94,14 +143,13 @@ describe('ghl_actions', () => {
     });
 
     it('should tag multiple contacts', async () => {
-      const m = createMockFetch();
-      globalThis.fetch = m.fetch;
+      const m = createMockTransport();
 
       const actions = createActions({
         token: 'test-token',
         locationId: 'test-loc',
         alias: 'test',
-      });
+      }, { transport: m.transport });
 
       const results = await actions.tagContacts(['c1', 'c2'], 'High-Value-Lead');
 
@@ -113,14 +161,13 @@ describe('ghl_actions', () => {
 
   describe('getPipelineOverview', () => {
     it('should return pipeline overview with stage counts', async () => {
-      const m = createMockFetch();
-      globalThis.fetch = m.fetch;
+      const m = createMockTransport();
 
       const actions = createActions({
         token: 'test-token',
         locationId: 'test-loc',
         alias: 'test',
-      });
+      }, { transport: m.transport });
 
       const overview = await actions.getPipelineOverview('pipe1');
 
@@ -133,16 +180,168 @@ describe('ghl_actions', () => {
     });
   });
 
+  describe('response cache', () => {
+    const toolCalls = (m, name) => m.calls.filter(c => c.body.method === 'tools/call' && c.body.params.name === name);
+
+    it('should fetch the pipelines once and refetch opportunities after a move', async () => {
+      const m = createMockTransport();
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test' }, { transport: m.transport });
+
+      await actions.getPipelineOverview('pipe1');
+      await actions.getPipelineOverview('pipe1');
+      assert.equal(toolCalls(m, 'opportunities_get-pipelines').length, 1);
+
+      await actions.moveOpportunity('opp1', 'stage2');
+      await actions.getPipelineOverview('pipe1');
+      assert.equal(toolCalls(m, 'opportunities_get-pipelines').length, 1);
+      assert.ok(actions.cacheStats.hits >= 2);
+      await actions.close();
+    });
+
+    it('should share persisted results with the next run', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'ghl-actions-cache-'));
+      process.env.GHL_CACHE_DIR = dir;
+      try {
+        const config = { token: 'test-token', locationId: 'test-loc', alias: 'cached', cache: { persist: true } };
+        const first = createMockTransport();
+        const run1 = createActions(config, { transport: first.transport });
+        await run1.getPipelines();
+        await run1.close();
+
+        const second = createMockTransport();
+        const run2 = createActions(config, { transport: second.transport });
+        await run2.getPipelines();
+        await run2.close();
+
+        assert.equal(toolCalls(first, 'opportunities_get-pipelines').length, 1);
+        assert.equal(toolCalls(second, 'opportunities_get-pipelines').length, 0);
+      } finally {
+        delete process.env.GHL_CACHE_DIR;
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should reload a changed tool list instead of the cached one', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'ghl-actions-cache-'));
+      process.env.GHL_CACHE_DIR = dir;
+      try {
+        const overrides = { tools: MOCK_TOOLS.filter(t => t.name !== 'opportunities_get-pipelines') };
+        const m = createMockTransport(overrides);
+        const config = { token: 'test-token', locationId: 'test-loc', alias: 'tools-changed', validate_arguments: true, cache: { persist: true } };
+        const actions = createActions(config, { transport: m.transport });
+
+        await assert.rejects(actions.getPipelines(), McpValidationError);
+        overrides.tools = MOCK_TOOLS;
+        m.transport.receive({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+
+        assert.ok((await actions.getPipelines()).pipelines);
+        assert.equal(m.calls.filter(c => c.body.method === 'tools/list').length, 2);
+        await actions.close();
+      } finally {
+        delete process.env.GHL_CACHE_DIR;
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should not cache when cache is false', async () => {
+      const m = createMockTransport();
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test', cache: false }, {
+        transport: m.transport,
+      });
+
+      await actions.getPipelines();
+      await actions.getPipelines();
+      assert.equal(toolCalls(m, 'opportunities_get-pipelines').length, 2);
+      assert.equal(actions.cacheStats, null);
+      await actions.close();
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should cancel calls with the actions signal', async () => {
+      const m = createMockTransport();
+      const controller = new AbortController();
+      controller.abort('stopping');
+
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test' }, {
+        transport: m.transport,
+        signal: controller.signal,
+      });
+
+      await assert.rejects(actions.searchContacts('test'), McpCancelledError);
+      assert.equal(m.calls.filter(c => c.body.method === 'tools/call').length, 0);
+      await actions.close();
+    });
+  });
+
+  describe('middleware', () => {
+    it('should run extra middleware around every tool call', async () => {
+      const m = createMockTransport();
+      const audited = [];
+
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test' }, {
+        transport: m.transport,
+        middleware: [async (ctx, next) => {
+          if (ctx.toolName) audited.push(ctx.toolName);
+          return next();
+        }],
+      });
+
+      await actions.searchContacts('test');
+      await actions.tagContacts('c1', 'VIP');
+
+      assert.deepEqual(audited, ['contacts_get-contacts', 'contacts_add-tags']);
+      await actions.close();
+    });
+
+    it('should not send write tools when dry_run is set', async () => {
+      const m = createMockTransport();
+
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test', dry_run: true }, {
+        transport: m.transport,
+      });
+
+      const contacts = await actions.searchContacts('test');
+      await actions.tagContacts('c1', 'VIP');
+
+      assert.deepEqual(contacts, MOCK_CONTACTS);
+      const sent = m.calls.filter(c => c.body.method === 'tools/call').map(c => c.body.params.name);
+      assert.deepEqual(sent, ['contacts_get-contacts']);
+      await actions.close();
+    });
+  });
+
+  describe('credit ledger', () => {
+    it('should record tool calls with the caller and stop at the budget', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'ghl-actions-'));
+      const ledger = createCreditLedger({ file: join(dir, 'credits.jsonl') });
+      const m = createMockTransport();
+
+      const actions = createActions({
+        token: 'test-token',
+        locationId: 'test-loc',
+        alias: 'test',
+        credit_budget: { daily: 1 },
+      }, { transport: m.transport, ledger, caller: 'monitor' });
+
+      await actions.searchContacts('test');
+      await assert.rejects(actions.searchContacts('again'), McpBudgetError);
+
+      assert.deepEqual(ledger.entries().map(e => [e.location, e.tool, e.caller]), [['test', 'contacts_get-contacts', 'monitor']]);
+      await actions.close();
+      rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
   describe('rate limiter', () => {
     it('should track rate limiter stats', async () => {
-      const m = createMockFetch();
-      globalThis.fetch = m.fetch;
+      const m = createMockTransport();
 
       const actions = createActions({
         token: 'test-token',
         locationId: 'test-loc',
         alias: 'test',
-      });
+      }, { transport: m.transport });
 
       await actions.searchContacts('test');
       const stats = actions.rateLimiterStats;
@@ -0,0 +1,104 @@
+/**
+ * Tests for shared/ghl-business-time.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBusinessCalendar, getBusinessCalendar, isValidTimezone } from '../shared/ghl-business-time.js';
+import { timeAgo } from '../shared/ghl-utils.js';
+
+const HOUR = 3600_000;
+
+describe('ghl-business-time', () => {
+  // Monday to Friday 09:00-17:00 New York; 2026-10-16 is a Friday (EDT, UTC-4)
+  const calendar = createBusinessCalendar({ timezone: 'America/New_York', holidays: ['12-25', '2026-11-26'] });
+
+  describe('isOpen', () => {
+    it('should follow local hours, weekends and holidays', () => {
+      assert.equal(calendar.isOpen('2026-10-16T13:00:00Z'), true); // Fri 09:00
+      assert.equal(calendar.isOpen('2026-10-16T21:00:00Z'), false); // Fri 17:00
+      assert.equal(calendar.isOpen('2026-10-17T15:00:00Z'), false); // Saturday
+      assert.equal(calendar.isOpen('2026-12-25T15:00:00Z'), false); // every Christmas
+      assert.equal(calendar.isOpen('2026-11-26T15:00:00Z'), false); // Thanksgiving 2026
+      assert.equal(calendar.isOpen('2027-11-26T15:00:00Z'), true);
+    });
+  });
+
+  describe('between', () => {
+    it('should count no time outside business hours', () => {
+      // Friday 6 PM to Sunday 9 AM
+      assert.equal(calendar.between('2026-10-16T22:00:00Z', '2026-10-18T13:00:00Z'), 0);
+    });
+
+    it('should count open hours across a weekend', () => {
+      // Friday 4 PM to Monday 10 AM
+      assert.equal(calendar.between('2026-10-16T20:00:00Z', '2026-10-19T14:00:00Z'), 2 * HOUR);
+      assert.equal(calendar.between('2026-10-19T14:00:00Z', '2026-10-16T20:00:00Z'), -2 * HOUR);
+    });
+
+    it('should follow DST changes in the time zone', () => {
+      // Friday 5 PM EDT to Monday 10 AM EST, over the 2026-11-01 fall back
+      assert.equal(calendar.between('2026-10-30T21:00:00Z', '2026-11-02T15:00:00Z'), HOUR);
+
+      const sundays = createBusinessCalendar({ timezone: 'America/New_York', hours: { sun: '01:00-04:00' } });
+      assert.equal(sundays.between('2026-03-08T00:00:00Z', '2026-03-09T00:00:00Z'), 2 * HOUR); // spring forward
+      assert.equal(sundays.between('2026-11-01T00:00:00Z', '2026-11-02T00:00:00Z'), 4 * HOUR); // fall back
+    });
+    it('should count long spans the same as day by day', () => {
+      // Two years over DST changes, yearly and one-off holidays
+      const start = Date.parse('2025-03-01T15:30:00Z');
+      const end = Date.parse('2027-03-20T18:45:00Z');
+      let dayByDay = 0;
+      for (let t = start; t < end; t += 24 * HOUR) dayByDay += calendar.between(t, Math.min(t + 24 * HOUR, end));
+      assert.equal(calendar.between(start, end), dayByDay);
+    });
+  });
+
+  describe('subtract', () => {
+    it('should step back over closed time', () => {
+      // 2 business hours before Monday 10 AM is Friday 4 PM
+      assert.equal(calendar.subtract('2026-10-19T14:00:00Z', 2 * HOUR).toISOString(), '2026-10-16T20:00:00.000Z');
+      // From Saturday, time counts back from Friday's close
+      assert.equal(calendar.subtract('2026-10-17T15:00:00Z', HOUR).toISOString(), '2026-10-16T20:00:00.000Z');
+    });
+  });
+
+  describe('subtractDays', () => {
+    it('should count open days only', () => {
+      // 2 business days before Monday 10 AM is Thursday 10 AM
+      assert.equal(calendar.subtractDays('2026-10-19T14:00:00Z', 2).toISOString(), '2026-10-15T14:00:00.000Z');
+      // Thanksgiving is skipped
+      assert.equal(calendar.subtractDays('2026-11-27T15:00:00Z', 1).toISOString(), '2026-11-25T15:00:00.000Z');
+    });
+  });
+
+  describe('createBusinessCalendar', () => {
+    it('should reject bad time zones and hours', () => {
+      assert.equal(isValidTimezone('Europe/Berlin'), true);
+      assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+      assert.throws(() => createBusinessCalendar({ timezone: 'Mars/Olympus_Mons' }), /Unknown time zone/);
+      assert.throws(() => createBusinessCalendar({ hours: { monday: '09:00-17:00' } }), /Unknown weekday in business hours: monday/);
+      assert.throws(() => createBusinessCalendar({ hours: { mon: '17:00-09:00' } }), /closes before it opens/);
+      assert.throws(() => createBusinessCalendar({ hours: { mon: '9-5' } }), /expected HH:MM-HH:MM/);
+      assert.throws(() => createBusinessCalendar({ hours: { mon: null } }), /at least one weekday/);
+    });
+
+    it('should share calendars per config', () => {
+      const config = { timezone: 'Europe/Berlin' };
+      assert.equal(getBusinessCalendar(config), getBusinessCalendar({ ...config }));
+      assert.notEqual(getBusinessCalendar(config), getBusinessCalendar());
+    });
+  });
+
+  describe('timeAgo', () => {
+    it('should report business hours with a calendar', () => {
+      const always = createBusinessCalendar({
+        hours: { sun: '00:00-24:00', mon: '00:00-24:00', tue: '00:00-24:00', wed: '00:00-24:00', thu: '00:00-24:00', fri: '00:00-24:00', sat: '00:00-24:00' },
+      });
+      const twoDays = new Date(Date.now() - 48 * HOUR);
+
+      assert.equal(timeAgo(twoDays), '2d ago');
+      assert.equal(timeAgo(twoDays, always), '48h ago (business)');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for shared/ghl-cache-store.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, statSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createFileCacheStore, createLocationCacheStore } from '../shared/ghl-cache-store.js';
+import { createToolCache } from '../shared/ghl-utils.js';
+
+const entry = (value, ageMs = 0, ttlMs = 60_000, staleMs = 0) => ({ value, ts: Date.now() - ageMs, ttlMs, staleMs });
+
+describe('ghl-cache-store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ghl-cache-'));
+    file = join(dir, 'cache', 'main.json');
+  });
+
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  describe('createFileCacheStore', () => {
+    it('should persist entries readable by the owner only', async () => {
+      await createFileCacheStore(file).set('k', entry({ a: 1 }));
+
+      assert.deepEqual(createFileCacheStore(file).get('k').value, { a: 1 });
+      assert.equal(statSync(file).mode & 0o777, 0o600);
+    });
+
+    it('should see writes made by another store', async () => {
+      const reader = createFileCacheStore(file);
+      const writer = createFileCacheStore(file);
+      assert.equal(reader.get('k'), undefined);
+
+      await writer.set('k', entry(1));
+      assert.equal(reader.get('k').value, 1);
+      await writer.delete(key => key === 'k');
+      assert.equal(reader.get('k'), undefined);
+    });
+
+    it('should drop expired entries and keep the newest maxEntries', async () => {
+      const store = createFileCacheStore(file, { maxEntries: 2 });
+      await store.set('expired', entry(0, 10_000, 1000, 1000));
+      await store.set('old', entry(1, 30));
+      await store.set('mid', entry(2, 20));
+      await store.set('new', entry(3, 10));
+
+      assert.equal(store.get('expired'), undefined);
+      assert.equal(store.get('old'), undefined);
+      assert.equal(store.get('mid').value, 2);
+      assert.equal(store.get('new').value, 3);
+    });
+
+    it('should clear every entry', async () => {
+      const store = createFileCacheStore(file);
+      await store.set('a', entry(1));
+      await store.clear();
+      assert.equal(store.get('a'), undefined);
+    });
+  });
+
+  describe('createToolCache with a store', () => {
+    it('should share entries and invalidations between caches', async () => {
+      const first = createToolCache({ store: createFileCacheStore(file) });
+      const second = createToolCache({ store: createFileCacheStore(file) });
+
+      first.set('tools/call opportunities_get-pipelines {}', { pipelines: [] });
+      await first.flush();
+      assert.deepEqual(second.get('tools/call opportunities_get-pipelines {}'), { pipelines: [] });
+
+      second.invalidate(key => key.startsWith('tools/call opportunities_'));
+      await second.flush();
+      const third = createToolCache({ store: createFileCacheStore(file) });
+      assert.equal(third.get('tools/call opportunities_get-pipelines {}'), undefined);
+    });
+
+    it('should not read invalidated keys back from the store while it deletes them', async () => {
+      const store = createFileCacheStore(file);
+      const cache = createToolCache({ store });
+      cache.set('tools/list {}', { tools: [] });
+      await cache.flush();
+
+      cache.invalidate(key => key.startsWith('tools/list'));
+      assert.deepEqual(store.get('tools/list {}').value, { tools: [] });
+      assert.equal(cache.get('tools/list {}'), undefined);
+      await cache.flush();
+      assert.equal(store.get('tools/list {}'), undefined);
+    });
+
+    it('should keep each entry\'s TTL on disk', async () => {
+      const writer = createToolCache({ store: createFileCacheStore(file) });
+      writer.set('short', 1, { ttlMs: 5 });
+      await writer.flush();
+      await new Promise(resolve => setTimeout(resolve, 15));
+
+      const reader = createToolCache({ ttlMs: 60_000, store: createFileCacheStore(file) });
+      assert.equal(reader.get('short'), undefined);
+    });
+  });
+
+  describe('createLocationCacheStore', () => {
+    it('should keep one file per location under GHL_CACHE_DIR', async () => {
+      process.env.GHL_CACHE_DIR = dir;
+      try {
+        await createLocationCacheStore('west/2').set('k', entry(1));
+        assert.equal(existsSync(join(dir, 'west_2.json')), true);
+      } finally {
+        delete process.env.GHL_CACHE_DIR;
+      }
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for shared/ghl-cassette.js
+ * Records traffic against the mock MCP server, then replays it without one.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { execFileSync } from 'node:child_process';
+import { createRecordingTransport, createReplayTransport, loadCassette } from '../shared/ghl-cassette.js';
+import { createMcpClient } from '../shared/ghl-mcp-client.js';
+import { McpHttpError, McpReplayError } from '../shared/ghl-errors.js';
+import { runAllChecks } from '../openclaw-skill/ghl_monitor.js';
+import { createMockTransport, MOCK_CONTACTS } from './helpers/mock-server.js';
+import { createMockFetch } from './helpers/mock-fetch.js';
+import { replayCassette } from './helpers/cassettes.js';
+
+const CASSETTE_MODULE = new URL('../shared/ghl-cassette.js', import.meta.url).href;
+
+/** Record a short session; returns the cassette. */
+async function recordSession(calls, overrides) {
+  const m = createMockTransport(overrides);
+  const transport = createRecordingTransport(m.transport);
+  const client = createMcpClient({ token: 't', locationId: 'l', transport });
+  for (const [name, args] of calls) await client.callTool(name, args);
+  await client.close();
+  return transport.cassette;
+}
+
+function tempDir() {
+  return mkdtempSync(join(tmpdir(), 'ghl-cassette-'));
+}
+
+describe('ghl-cassette', () => {
+  describe('createRecordingTransport', () => {
+    it('should record request/response pairs with PII redacted', async () => {
+      const cassette = await recordSession([['contacts_get-contacts', { query: 'john@example.com' }]]);
+
+      assert.equal(cassette.redacted, true);
+      assert.deepEqual(cassette.entries.map(e => e.request.method), ['initialize', 'notifications/initialized', 'tools/call']);
+      assert.equal(cassette.entries[1].response, undefined);
+
+      const call = cassette.entries[2];
+      assert.match(call.request.params.arguments.query, /^redacted-[0-9a-f]{8}@example\.invalid$/);
+      const text = call.response.result.content[0].text;
+      assert.doesNotMatch(text, /john@example\.com|John/);
+      assert.equal(JSON.parse(text).contacts.length, MOCK_CONTACTS.contacts.length);
+    });
+
+    it('should write the cassette file on close, readable only by its owner', async () => {
+      const dir = tempDir();
+      const file = join(dir, 'trace.json');
+      try {
+        const m = createMockTransport();
+        const client = createMcpClient({ token: 't', locationId: 'l', transport: m.transport, record: file });
+        await client.callTool('opportunities_get-pipelines', {});
+        assert.equal(existsSync(file), false);
+
+        await client.close();
+        const cassette = loadCassette(file);
+        assert.equal(cassette.entries.at(-1).request.params.name, 'opportunities_get-pipelines');
+        assert.equal(statSync(file).mode & 0o777, 0o600);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should write the cassette file at exit when the transport was never closed', () => {
+      const dir = tempDir();
+      const file = join(dir, 'trace.json');
+      const script = `
+        import { createRecordingTransport } from ${JSON.stringify(CASSETTE_MODULE)};
+        const inner = { send: async (message) => ({ jsonrpc: '2.0', id: message.id, result: {} }) };
+        const transport = createRecordingTransport(inner, { file: ${JSON.stringify(file)} });
+        await transport.send({ jsonrpc: '2.0', id: 1, method: 'ping' });
+      `;
+      try {
+        execFileSync(process.execPath, ['--input-type=module', '-e', script], { timeout: 10_000 });
+        assert.deepEqual(loadCassette(file).entries.map(e => e.request.method), ['ping']);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should record transport errors', async () => {
+      const { fetch } = createMockFetch({ httpError: 503 });
+      const client = createMcpClient({ token: 't', locationId: 'l', fetch });
+      const transport = createRecordingTransport(client.transport);
+      const recorded = createMcpClient({ token: 't', locationId: 'l', transport });
+
+      await assert.rejects(recorded.initialize(), McpHttpError);
+      assert.equal(transport.cassette.entries[0].error.status, 503);
+    });
+  });
+
+  describe('createReplayTransport', () => {
+    it('should replay responses in order without a server', async () => {
+      const cassette = await recordSession([
+        ['contacts_get-contacts', {}],
+        ['opportunities_get-pipelines', {}],
+      ]);
+      const transport = createReplayTransport(cassette);
+      const client = createMcpClient({ transport });
+
+      await client.initialize();
+      const contacts = await client.callTool('contacts_get-contacts', {});
+      assert.equal(JSON.parse(contacts.content[0].text).contacts.length, 2);
+      await client.callTool('opportunities_get-pipelines', {});
+      assert.equal(transport.remaining, 0);
+
+      await assert.rejects(client.callTool('contacts_get-contacts', {}), McpReplayError);
+    });
+
+    it('should check the method in sequence mode', async () => {
+      const cassette = await recordSession([]);
+      const transport = createReplayTransport({ ...cassette, entries: cassette.entries.slice(1) });
+      const client = createMcpClient({ transport });
+
+      await assert.rejects(client.initialize(), (err) => err instanceof McpReplayError && err.category === 'replay');
+    });
+
+    it('should match by method and redacted arguments in request mode', async () => {
+      const cassette = await recordSession([
+        ['contacts_get-contacts', { query: 'john@example.com' }],
+        ['contacts_get-contact', { contactId: 'c2' }],
+      ], {
+        'contacts_get-contact': ({ contactId }) => ({ contact: { id: contactId } }),
+      });
+      const client = createMcpClient({ transport: createReplayTransport(cassette, { match: 'request' }) });
+
+      const contact = await client.callTool('contacts_get-contact', { contactId: 'c2' });
+      assert.deepEqual(JSON.parse(contact.content[0].text), { contact: { id: 'c2' } });
+      await client.callTool('contacts_get-contacts', { query: 'john@example.com' });
+
+      await assert.rejects(client.callTool('contacts_get-contact', { contactId: 'c9' }), McpReplayError);
+    });
+
+    it('should re-throw recorded errors', async () => {
+      const cassette = {
+        version: 1,
+        redacted: true,
+        entries: [{ request: { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }, error: { name: 'McpHttpError', status: 429, headers: {}, body: 'slow down' } }],
+      };
+      const client = createMcpClient({ transport: createReplayTransport(cassette) });
+
+      await assert.rejects(client.initialize(), (err) => err instanceof McpHttpError && err.category === 'rate_limit');
+    });
+
+    it('should replay a recorded monitor run', async () => {
+      const config = { locations: { main: { name: 'Recorded', alias: 'main', token: 't', locationId: 'l' } } };
+      const { transport } = replayCassette('monitor-run', { match: 'request' });
+
+      const { checks } = await runAllChecks(config, 'main', { transport });
+
+      assert.equal(checks.pipelineBottlenecks.count, 2);
+      assert.equal(checks.missedFollowups.count, 0);
+      assert.ok(checks.staleLeads.count >= 1);
+      assert.equal(transport.remaining, 0);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for shared/ghl-config.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { validateConfig, loadConfigFile, ConfigError } from '../shared/ghl-config.js';
+
+const EXAMPLE = join(dirname(fileURLToPath(import.meta.url)), '..', 'openclaw-skill', 'config.example.json');
+
+const minimal = (location = {}) => ({ locations: { main: { token: 'ENV:GHL_PIT_MAIN', locationId: 'loc', ...location } } });
+
+describe('ghl-config', () => {
+  describe('validateConfig', () => {
+    it('should accept config.example.json', () => {
+      const { errors, warnings, config } = validateConfig(JSON.parse(readFileSync(EXAMPLE, 'utf8')), { location: 'main' });
+
+      assert.deepEqual(errors, []);
+      assert.deepEqual(warnings, []);
+      assert.equal(config.locations.main.thresholds.stale_lead_hours, 48);
+    });
+
+    it('should fill in defaults, alias and name', () => {
+      const { config } = validateConfig(minimal({ thresholds: { stale_lead_hours: 24 } }));
+
+      assert.deepEqual(config.locations.main.thresholds, {
+        stale_lead_hours: 24,
+        stuck_opportunity_days: 7,
+        slow_response_minutes: 30,
+        max_contacts_scanned: 5000,
+      });
+      assert.equal(config.locations.main.alias, 'main');
+      assert.equal(config.locations.main.name, 'main');
+      assert.equal(config.locations.main.dry_run, false);
+    });
+
+    it('should report every problem by path', () => {
+      const config = minimal({
+        thresholds: { stale_lead_hour: 24, slow_response_minutes: '30' },
+        circuit_breaker: { failure_rate: 5 },
+        pipelines: { sales: { stages: { new: 'New' } } },
+      });
+      config.monitoring = { digest_times: ['10:00', '25:00'], weekly_report_day: 'mon' };
+      delete config.locations.main.locationId;
+
+      const { errors, config: normalized } = validateConfig(config);
+
+      assert.equal(normalized, null);
+      assert.deepEqual(errors.map(e => e.path).sort(), [
+        'locations.main.circuit_breaker.failure_rate',
+        'locations.main.locationId',
+        'locations.main.pipelines.sales.name',
+        'locations.main.thresholds.slow_response_minutes',
+        'locations.main.thresholds.stale_lead_hour',
+        'monitoring.digest_times[1]',
+        'monitoring.weekly_report_day',
+      ]);
+      assert.match(errors.find(e => e.path.endsWith('stale_lead_hour')).message, /did you mean 'stale_lead_hours'/);
+    });
+
+    it('should require the requested location and a matching alias', () => {
+      const { errors } = validateConfig(minimal({ alias: 'other' }), { location: 'backup' });
+
+      assert.deepEqual(errors, [
+        { path: 'locations.backup', message: 'is required (configured: main)' },
+        { path: 'locations.main.alias', message: `must match its key 'main', got "other"` },
+      ]);
+      assert.deepEqual(validateConfig({}).errors, [{ path: 'locations', message: 'is required' }]);
+    });
+
+    it('should warn about deprecated keys', () => {
+      const { errors, warnings } = validateConfig(minimal({ daily_credit_budget: 500 }));
+
+      assert.deepEqual(errors, []);
+      assert.deepEqual(warnings.map(w => w.path), ['locations.main.daily_credit_budget']);
+      assert.match(warnings[0].message, /credit_budget\.daily/);
+    });
+
+    it('should check business hours and threshold clocks', () => {
+      const { errors } = validateConfig(minimal({
+        thresholds: { clock: { stale_lead_hours: 'business', slow_response_minutes: 'office' } },
+        business_hours: { timezone: 'UTC', hours: { mon: '9-5', funday: '10:00-12:00' }, holidays: ['Dec 25'] },
+      }));
+
+      assert.deepEqual(errors.map(e => e.path).sort(), [
+        'locations.main.business_hours.holidays[0]',
+        'locations.main.business_hours.hours.funday',
+        'locations.main.business_hours.hours.mon',
+        'locations.main.thresholds.clock.slow_response_minutes',
+      ]);
+    });
+
+    it('should require a business_hours timezone for business clocks', () => {
+      const clock = { stale_lead_hours: 'business', slow_response_minutes: 'wall' };
+
+      assert.deepEqual(validateConfig(minimal({ thresholds: { clock } })).errors, [{
+        path: 'locations.main.thresholds.clock',
+        message: 'uses business time for stale_lead_hours but business_hours.timezone is not set',
+      }]);
+      assert.equal(validateConfig(minimal({ thresholds: { clock }, business_hours: { hours: { mon: '09:00-17:00' } } })).errors.length, 1);
+      assert.deepEqual(validateConfig(minimal({ thresholds: { clock }, business_hours: { timezone: 'America/Chicago' } })).errors, []);
+    });
+
+    it('should reject unknown time zones and hours that close before they open', () => {
+      assert.deepEqual(validateConfig(minimal({ business_hours: { timezone: 'America/Gotham' } })).errors, [
+        { path: 'locations.main.business_hours', message: "Unknown time zone 'America/Gotham'" },
+      ]);
+      assert.match(
+        validateConfig(minimal({ business_hours: { hours: { mon: '17:00-09:00' } } })).errors[0].message,
+        /closes before it opens/,
+      );
+    });
+
+    it('should accept cache: false', () => {
+      assert.deepEqual(validateConfig(minimal({ cache: false })).errors, []);
+    });
+  });
+
+  describe('loadConfigFile', () => {
+    let dir;
+    beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'ghl-config-')); });
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('should return the normalized config', () => {
+      const file = join(dir, 'config.json');
+      writeFileSync(file, JSON.stringify(minimal()));
+
+      assert.equal(loadConfigFile(file).locations.main.thresholds.stuck_opportunity_days, 7);
+    });
+
+    it('should throw ConfigError listing the problems', () => {
+      const file = join(dir, 'config.json');
+      writeFileSync(file, JSON.stringify(minimal({ thresholds: { stale_lead_hours: 0 } })));
+
+      assert.throws(() => loadConfigFile(file, { location: 'main' }), (err) => {
+        assert.ok(err instanceof ConfigError);
+        assert.equal(err.message, `Invalid ${file}:\n  locations.main.thresholds.stale_lead_hours must be >= 1, got 0`);
+        return true;
+      });
+    });
+
+    it('should report unreadable and malformed files', () => {
+      const file = join(dir, 'config.json');
+      assert.throws(() => loadConfigFile(file), /\(root\) not found/);
+
+      writeFileSync(file, '{ "locations": ');
+      assert.throws(() => loadConfigFile(file), ConfigError);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for shared/ghl-content.js
+ * Uses node:test (zero test dependencies).
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeContent, decodeToolResult } from '../shared/ghl-content.js';
+import { McpToolError } from '../shared/ghl-errors.js';
+
+const text = (value) => ({ type: 'text', text: typeof value === 'string' ? value : JSON.stringify(value) });
+
+describe('decodeToolResult', () => {
+  it('should parse a single JSON text part', () => {
+    const data = decodeToolResult({ content: [text({ contacts: [{ id: 'c1' }] })] });
+    assert.deepEqual(data, { contacts: [{ id: 'c1' }] });
+  });
+
+  it('should prefer structuredContent', () => {
+    const data = decodeToolResult({
+      content: [text({ legacy: true })],
+      structuredContent: { contacts: [] },
+    });
+    assert.deepEqual(data, { contacts: [] });
+  });
+
+  it('should fall back to text content when preferStructured is off', () => {
+    const data = decodeToolResult({
+      content: [text({ legacy: true })],
+      structuredContent: { contacts: [] },
+    }, { preferStructured: false });
+    assert.deepEqual(data, { legacy: true });
+  });
+
+  it('should join a JSON document split across text parts', () => {
+    const data = decodeToolResult({ content: [text('{"contacts":'), text('[{"id":"c1"}]}')] });
+    assert.deepEqual(data, { contacts: [{ id: 'c1' }] });
+  });
+
+  it('should merge separate JSON parts, concatenating arrays', () => {
+    const data = decodeToolResult({
+      content: [text({ contacts: [{ id: 'c1' }], total: 2 }), text({ contacts: [{ id: 'c2' }], total: 2 })],
+    });
+    assert.deepEqual(data, { contacts: [{ id: 'c1' }, { id: 'c2' }], total: 2 });
+  });
+
+  it('should return plain text as { text } instead of swallowing it', () => {
+    const data = decodeToolResult({ content: [text('Message sent'), text('to +1555')] });
+    assert.deepEqual(data, { text: 'Message sent\nto +1555' });
+  });
+
+  it('should pass through results that are not MCP-shaped', () => {
+    assert.deepEqual(decodeToolResult({ contacts: [] }), { contacts: [] });
+    assert.deepEqual(decodeToolResult(null), {});
+  });
+
+  it('should throw McpToolError for isError results', () => {
+    assert.throws(
+      () => decodeToolResult({ isError: true, content: [text('Contact not found')] }, { toolName: 'contacts_get-contact' }),
+      (err) => err instanceof McpToolError && err.toolName === 'contacts_get-contact' && /Contact not found/.test(err.message),
+    );
+  });
+});
+
+describe('decodeContent', () => {
+  it('should collect media and resource parts alongside data', () => {
+    const decoded = decodeContent({
+      content: [
+        text({ ok: true }),
+        { type: 'image', mimeType: 'image/png', data: 'iVBOR' },
+        { type: 'resource', resource: { uri: 'ghl://contacts/c1', mimeType: 'application/json', text: '{}' } },
+        { type: 'resource_link', uri: 'ghl://files/f1', name: 'invoice.pdf', mimeType: 'application/pdf' },
+      ],
+    });
+
+    assert.deepEqual(decoded.data, { ok: true });
+    assert.deepEqual(decoded.media, [{ type: 'image', mimeType: 'image/png', data: 'iVBOR' }]);
+    assert.equal(decoded.resources.length, 2);
+    assert.equal(decoded.resources[0].uri, 'ghl://contacts/c1');
+    assert.equal(decoded.resources[1].name, 'invoice.pdf');
+  });
+});
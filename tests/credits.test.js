@@ -0,0 +1,341 @@
+/**
+ * Tests for shared/ghl-credits.js and the credits middleware.
+ * Ledgers live in temp files.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, existsSync, mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createCreditLedger, parseBudget, locationBudget } from '../shared/ghl-credits.js';
+import { credits, defaultMiddleware } from '../shared/ghl-middleware.js';
+import { createMcpClient } from '../shared/ghl-mcp-client.js';
+import { McpBudgetError, McpConnectionError, McpToolError } from '../shared/ghl-errors.js';
+import { createMockTransport } from './helpers/mock-server.js';
+
+const quiet = () => {};
+
+describe('ghl-credits', () => {
+  let dir;
+  let file;
+  let clock;
+  const now = () => clock;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ghl-credits-'));
+    file = join(dir, 'nested', 'credits.jsonl');
+    clock = new Date('2026-03-15T12:00:00Z');
+  });
+
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  describe('createCreditLedger', () => {
+    it('should append one JSON line per call', () => {
+      const ledger = createCreditLedger({ file, now });
+      ledger.record({ location: 'main', tool: 'contacts_get-contacts', caller: 'monitor' });
+      ledger.record({ location: 'main', tool: 'contacts_add-tags' });
+
+      assert.equal(ledger.fileFor('2026-03'), join(dir, 'nested', 'credits-2026-03.jsonl'));
+      const lines = readFileSync(ledger.fileFor('2026-03'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(lines[0], {
+        ts: '2026-03-15T12:00:00.000Z',
+        location: 'main',
+        tool: 'contacts_get-contacts',
+        caller: 'monitor',
+        credits: 1,
+      });
+      assert.equal(lines[1].caller, 'unknown');
+    });
+
+    it('should count credits per UTC day and month', () => {
+      const ledger = createCreditLedger({ file, now });
+      clock = new Date('2026-02-28T23:00:00Z');
+      ledger.record({ location: 'main', tool: 't' });
+      clock = new Date('2026-03-01T00:30:00Z');
+      ledger.record({ location: 'main', tool: 't' });
+      clock = new Date('2026-03-02T10:00:00Z');
+      ledger.record({ location: 'main', tool: 't' });
+      ledger.record({ location: 'main', tool: 't' });
+      ledger.record({ location: 'west', tool: 't' });
+
+      assert.equal(ledger.used('main', 'day'), 2);
+      assert.equal(ledger.used('main', 'month'), 3);
+      assert.equal(ledger.used('west'), 1);
+      assert.equal(ledger.used('east'), 0);
+    });
+
+    it('should see calls recorded by other processes', () => {
+      const ours = createCreditLedger({ file, now });
+      const theirs = createCreditLedger({ file, now });
+
+      ours.record({ location: 'main', tool: 't' });
+      assert.equal(theirs.used('main'), 1);
+
+      theirs.record({ location: 'main', tool: 't' });
+      assert.equal(ours.used('main'), 2);
+    });
+
+    it('should skip unreadable lines and start over when the file is replaced', () => {
+      const ledger = createCreditLedger({ file, now });
+      ledger.record({ location: 'main', tool: 't' });
+      appendFileSync(ledger.fileFor('2026-03'), 'not json\n');
+      ledger.record({ location: 'main', tool: 't' });
+      assert.equal(ledger.used('main'), 2);
+
+      writeFileSync(ledger.fileFor('2026-03'), '');
+      assert.equal(ledger.used('main'), 0);
+    });
+
+    it('should keep one file per month and read only the months asked for', () => {
+      const ledger = createCreditLedger({ file, now });
+      clock = new Date('2026-01-31T12:00:00Z');
+      ledger.record({ location: 'main', tool: 't' });
+      clock = new Date('2026-03-15T12:00:00Z');
+      ledger.record({ location: 'main', tool: 't' });
+
+      assert.equal(readFileSync(ledger.fileFor('2026-01'), 'utf8').split('\n').length, 2);
+      // An unreadable older month is not touched by a recent report or the budget
+      rmSync(ledger.fileFor('2026-01'));
+      mkdirSync(ledger.fileFor('2026-01'));
+      assert.equal(ledger.usage({ since: '2026-03-01' }).total, 1);
+      assert.equal(ledger.used('main', 'month'), 1);
+      assert.throws(() => ledger.entries());
+    });
+
+    it('should move a single-file ledger into monthly files', () => {
+      mkdirSync(join(dir, 'nested'));
+      writeFileSync(file, [
+        { ts: '2026-02-10T12:00:00.000Z', location: 'main', tool: 't', caller: 'monitor', credits: 1 },
+        { ts: '2026-03-14T12:00:00.000Z', location: 'main', tool: 't', caller: 'monitor', credits: 1 },
+        { ts: '2026-03-15T09:00:00.000Z', location: 'main', tool: 't', caller: 'monitor', credits: 1 },
+      ].map(e => JSON.stringify(e)).join('\n') + '\n');
+
+      const ledger = createCreditLedger({ file, now });
+      assert.equal(ledger.used('main', 'day'), 1);
+      assert.equal(ledger.used('main', 'month'), 2);
+      assert.equal(ledger.usage().total, 3);
+      assert.equal(existsSync(file), false);
+      assert.deepEqual(readdirSync(join(dir, 'nested')).sort(), ['credits-2026-02.jsonl', 'credits-2026-03.jsonl']);
+    });
+  });
+
+  describe('charge', () => {
+    it('should check and record in one step', async () => {
+      const ledger = createCreditLedger({ file, now });
+      assert.deepEqual(await ledger.charge({ location: 'main', tool: 't' }, { daily: 1 }), { status: 'warn', period: 'day', used: 0, limit: 1 });
+      assert.equal((await ledger.charge({ location: 'main', tool: 't' }, { daily: 1 })).status, 'stop');
+      assert.equal(ledger.used('main'), 1);
+      assert.equal(existsSync(`${file}.lock`), false);
+    });
+
+    it('should let only one of many concurrent ledgers spend the last credit', async () => {
+      const budget = { daily: 5 };
+      const ledgers = Array.from({ length: 4 }, () => createCreditLedger({ file, now }));
+      const results = await Promise.all(Array.from({ length: 12 }, (_, i) => ledgers[i % 4].charge({ location: 'main', tool: 't' }, budget)));
+
+      assert.equal(results.filter(r => r.status !== 'stop').length, 5);
+      assert.equal(ledgers[0].used('main'), 5);
+    });
+  });
+
+  describe('check', () => {
+    it('should allow calls with no budget', () => {
+      const ledger = createCreditLedger({ file, now });
+      assert.deepEqual(ledger.check('main'), { status: 'ok' });
+      assert.deepEqual(ledger.check('main', { daily: 0 }), { status: 'ok' });
+    });
+
+    it('should warn at warn_at and stop past the limit', () => {
+      const ledger = createCreditLedger({ file, now });
+      const budget = { daily: 5, warn_at: 0.6 };
+      const statuses = [];
+      for (let i = 0; i < 6; i++) {
+        statuses.push(ledger.check('main', budget).status);
+        ledger.record({ location: 'main', tool: 't' });
+      }
+
+      assert.deepEqual(statuses, ['ok', 'ok', 'warn', 'warn', 'warn', 'stop']);
+      assert.deepEqual(ledger.check('main', budget), { status: 'stop', period: 'day', used: 6, limit: 5 });
+    });
+
+    it('should report the most severe period', () => {
+      const ledger = createCreditLedger({ file, now });
+      clock = new Date('2026-03-01T12:00:00Z');
+      for (let i = 0; i < 9; i++) ledger.record({ location: 'main', tool: 't' });
+      clock = new Date('2026-03-15T12:00:00Z');
+
+      const result = ledger.check('main', { daily: 100, monthly: 9 });
+      assert.deepEqual(result, { status: 'stop', period: 'month', used: 9, limit: 9 });
+    });
+
+    it('should honour stop_at', () => {
+      const ledger = createCreditLedger({ file, now });
+      ledger.record({ location: 'main', tool: 't' });
+      assert.equal(ledger.check('main', { daily: 4, stop_at: 0.5 }).status, 'ok');
+      ledger.record({ location: 'main', tool: 't' });
+      assert.equal(ledger.check('main', { daily: 4, stop_at: 0.5 }).status, 'stop');
+    });
+  });
+
+  describe('usage', () => {
+    it('should rank locations, tools, callers and days', () => {
+      const ledger = createCreditLedger({ file, now });
+      clock = new Date('2026-03-14T12:00:00Z');
+      ledger.record({ location: 'west', tool: 'contacts_get-contacts', caller: 'actions' });
+      clock = new Date('2026-03-15T12:00:00Z');
+      for (let i = 0; i < 3; i++) ledger.record({ location: 'main', tool: 'contacts_get-contacts', caller: 'monitor' });
+      ledger.record({ location: 'main', tool: 'contacts_add-tags', caller: 'actions' });
+
+      const usage = ledger.usage();
+      assert.equal(usage.total, 5);
+      assert.deepEqual(usage.byLocation, [['main', 4], ['west', 1]]);
+      assert.deepEqual(usage.byTool[0], ['main contacts_get-contacts', 3]);
+      assert.deepEqual(usage.byCaller, [['main monitor', 3], ['main actions', 1], ['west actions', 1]]);
+      assert.deepEqual(usage.byDay, [['2026-03-14', 1], ['2026-03-15', 4]]);
+
+      assert.equal(ledger.usage({ since: '2026-03-15' }).total, 4);
+      assert.equal(ledger.usage({ location: 'west' }).total, 1);
+    });
+
+    it('should be empty without a ledger file', () => {
+      const ledger = createCreditLedger({ file, now });
+      assert.equal(ledger.usage().total, 0);
+      assert.deepEqual(ledger.entries(), []);
+    });
+  });
+
+  describe('parseBudget', () => {
+    it('should default thresholds and treat missing limits as unlimited', () => {
+      assert.deepEqual(parseBudget(), { daily: null, monthly: null, warnAt: 0.8, stopAt: 1 });
+      assert.deepEqual(parseBudget({ daily: '500', monthly: 10_000, warn_at: 0.9 }), {
+        daily: 500,
+        monthly: 10_000,
+        warnAt: 0.9,
+        stopAt: 1,
+      });
+    });
+  });
+
+  describe('locationBudget', () => {
+    it('should read the deprecated daily_credit_budget as credit_budget.daily', () => {
+      assert.deepEqual(locationBudget({ daily_credit_budget: 200, credit_budget: { monthly: 4000 } }), { monthly: 4000, daily: 200 });
+      assert.deepEqual(locationBudget({ daily_credit_budget: 200, credit_budget: { daily: 50 } }), { daily: 50 });
+      assert.equal(locationBudget({}), undefined);
+    });
+  });
+
+  describe('credits middleware', () => {
+    function createClient(ledger, options = {}) {
+      const m = createMockTransport();
+      const client = createMcpClient({
+        token: 't',
+        locationId: 'l',
+        transport: m.transport,
+        middleware: [credits({ ledger, location: 'main', caller: 'test', logger: quiet, ...options })],
+      });
+      return { client, transport: m.transport, calls: m.calls };
+    }
+
+    it('should record tool calls only', async () => {
+      const ledger = createCreditLedger({ file, now });
+      const { client } = createClient(ledger);
+
+      await client.listTools();
+      await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      assert.deepEqual(ledger.entries().map(e => [e.location, e.tool, e.caller]), [['main', 'contacts_get-contacts', 'test']]);
+    });
+
+    it('should record tool error results', async () => {
+      const ledger = createCreditLedger({ file, now });
+      const { client, transport } = createClient(ledger);
+      const send = transport.send.bind(transport);
+      transport.send = async (message, options) => {
+        const response = await send(message, options);
+        if (message.method !== 'tools/call') return response;
+        return { ...response, result: { isError: true, content: [{ type: 'text', text: 'Request failed with status code 400' }] } };
+      };
+
+      await assert.rejects(client.callTool('contacts_get-contact', {}), McpToolError);
+      await client.close();
+
+      assert.equal(ledger.used('main'), 1);
+    });
+
+    it('should refund calls GHL never answered', async () => {
+      const ledger = createCreditLedger({ file, now });
+      const { client, transport } = createClient(ledger, { budget: { daily: 1 } });
+      const send = transport.send.bind(transport);
+      let down = true;
+      transport.send = async (message, options) => {
+        if (down && message.method === 'tools/call') throw new McpConnectionError('tools/call', new Error('ECONNRESET'));
+        return send(message, options);
+      };
+
+      await assert.rejects(client.callTool('contacts_get-contacts', {}), McpConnectionError);
+      assert.equal(ledger.used('main'), 0);
+      down = false;
+      await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      assert.equal(ledger.used('main'), 1);
+    });
+
+    it('should surface the call\'s error when the refund fails', async () => {
+      const ledger = createCreditLedger({ file, now });
+      ledger.record = () => { throw new Error('ENOSPC: no space left on device'); };
+      const warnings = [];
+      const logger = (level, message, data) => warnings.push([level, message, data.error]);
+      const { client, transport } = createClient(ledger, { logger });
+      const send = transport.send.bind(transport);
+      transport.send = async (message, options) => {
+        if (message.method === 'tools/call') throw new McpConnectionError('tools/call', new Error('ECONNRESET'));
+        return send(message, options);
+      };
+
+      await assert.rejects(client.callTool('contacts_get-contacts', {}), McpConnectionError);
+      await client.close();
+      assert.deepEqual(warnings, [['warn', 'Credit refund failed', 'ENOSPC: no space left on device']]);
+    });
+
+    it('should refuse calls past the budget without sending them', async () => {
+      const ledger = createCreditLedger({ file, now });
+      const { client, calls } = createClient(ledger, { budget: { daily: 2 } });
+
+      await client.callTool('contacts_get-contacts', {});
+      await client.callTool('contacts_get-contacts', {});
+      const err = await client.callTool('contacts_get-contacts', {}).catch(e => e);
+      await client.close();
+
+      assert.ok(err instanceof McpBudgetError);
+      assert.equal(err.category, 'budget');
+      assert.equal(err.retryable, false);
+      assert.match(err.message, /'main' is spent: 2\/2 this day/);
+      assert.equal(calls.filter(c => c.body.method === 'tools/call').length, 2);
+    });
+
+    it('should log one warning per period', async () => {
+      const ledger = createCreditLedger({ file, now });
+      const warnings = [];
+      const { client } = createClient(ledger, {
+        budget: { daily: 10, warn_at: 0.1 },
+        logger: (level, msg, data) => warnings.push({ level, msg, ...data }),
+      });
+
+      for (let i = 0; i < 3; i++) await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      assert.equal(warnings.length, 1);
+      assert.equal(warnings[0].level, 'warn');
+      assert.equal(warnings[0].period, 'day');
+    });
+
+    it('should be added by defaultMiddleware when given a ledger', () => {
+      const ledger = createCreditLedger({ file, now });
+      assert.equal(defaultMiddleware().length, 3);
+      assert.equal(defaultMiddleware({ ledger, context: { location: 'main' } }).length, 4);
+    });
+  });
+});
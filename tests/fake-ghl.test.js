@@ -0,0 +1,198 @@
+/**
+ * Tests for dev/fake-ghl-server.js and dev/fake-ghl-store.js
+ * Runs the fake GHL server on an ephemeral port and talks to it over real HTTP/SSE.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { createFakeGhlServer, TOOL_DESCRIPTIONS } from '../dev/fake-ghl-server.js';
+import { createFakeStore, loadSeed, resolveSeedDates } from '../dev/fake-ghl-store.js';
+import { createMcpClient } from '../shared/ghl-mcp-client.js';
+import { decodeToolResult } from '../shared/ghl-content.js';
+import { McpHttpError, McpToolError } from '../shared/ghl-errors.js';
+import { runAllChecks } from '../openclaw-skill/ghl_monitor.js';
+import { MOCK_TOOLS } from './helpers/mock-server.js';
+
+const SEED = loadSeed(fileURLToPath(new URL('../dev/fixtures/ghl-seed.json', import.meta.url)));
+
+/** Start a fake server; returns its URL, the fake and a stop function. */
+async function startFake(options = {}) {
+  const fake = createFakeGhlServer({ store: createFakeStore({ seed: SEED }), ...options });
+  const http = createServer(fake.handler);
+  await new Promise(resolve => http.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${http.address().port}/mcp`;
+  const stop = async () => {
+    http.closeAllConnections();
+    await new Promise(resolve => http.close(resolve));
+  };
+  return { url, fake, stop };
+}
+
+describe('fake GHL server', () => {
+  let server;
+  let client;
+
+  const call = async (name, args) => decodeToolResult(await client.callTool(name, args), { toolName: name });
+
+  before(async () => {
+    server = await startFake();
+    client = createMcpClient({ token: 'pit-fake', locationId: 'fake-location', url: server.url });
+    await client.initialize();
+  });
+
+  after(async () => {
+    await client.close();
+    await server.stop();
+  });
+
+  it('should list the same tools as GHL', async () => {
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map(t => t.name).sort(), MOCK_TOOLS.map(t => t.name).sort());
+    assert.equal(Object.keys(TOOL_DESCRIPTIONS).length, MOCK_TOOLS.length);
+  });
+
+  it('should answer over SSE when the client accepts it', async () => {
+    const res = await fetch(server.url, {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer x', 'Accept': 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }),
+    });
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+    assert.match(await res.text(), /^id: \d+\nevent: message\ndata: \{/);
+  });
+
+  it('should round-trip an upserted contact', async () => {
+    const { contact, new: created } = await call('contacts_upsert-contact', { email: 'new@example.com', firstName: 'Newt' });
+    assert.equal(created, true);
+
+    const again = await call('contacts_upsert-contact', { email: 'new@example.com', lastName: 'Scamander' });
+    assert.equal(again.new, false);
+    assert.equal(again.contact.id, contact.id);
+
+    const fetched = await call('contacts_get-contact', { contactId: contact.id });
+    assert.equal(fetched.contact.firstName, 'Newt');
+    assert.equal(fetched.contact.lastName, 'Scamander');
+  });
+
+  it('should show added and removed tags', async () => {
+    await call('contacts_add-tags', { contactId: 'contact_raj', tags: ['Hot', 'Referral'] });
+    await call('contacts_remove-tags', { contactId: 'contact_raj', tags: ['Referral'] });
+
+    const { contacts } = await call('contacts_get-contacts', { query: 'hot' });
+    assert.deepEqual(contacts.map(c => c.id), ['contact_raj']);
+    assert.deepEqual(contacts[0].tags, ['Hot']);
+  });
+
+  it('should page contacts with startAfterId', async () => {
+    const ids = [];
+    for await (const c of client.paginate('contacts_get-contacts', {}, { pageSize: 2 })) ids.push(c.id);
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(ids.length >= SEED.contacts.length);
+  });
+
+  it('should move opportunities between stages', async () => {
+    await call('opportunities_update-opportunity', { id: 'opp_john', stageId: 'stage_completed' });
+    const { opportunities } = await call('opportunities_search-opportunity', { pipelineId: 'pipe_audit', pipelineStageId: 'stage_completed' });
+    assert.deepEqual(opportunities.map(o => o.id), ['opp_john']);
+
+    await assert.rejects(
+      client.callTool('opportunities_update-opportunity', { id: 'opp_john', stageId: 'nope' }),
+      (err) => err instanceof McpToolError && err.status === 422,
+    );
+  });
+
+  it('should report missing records as tool errors with a status', async () => {
+    await assert.rejects(
+      client.callTool('contacts_get-contact', { contactId: 'missing' }),
+      (err) => err instanceof McpToolError && err.status === 404 && err.category === 'tool',
+    );
+  });
+
+  it('should add sent messages to the contact\'s conversation', async () => {
+    const { conversationId } = await call('conversations_send-a-new-message', { contactId: 'contact_maria', message: 'Plans attached' });
+    const { messages } = await call('conversations_get-messages', { conversationId });
+    assert.equal(messages.messages.at(-1).body, 'Plans attached');
+  });
+
+  it('should reject requests without a token', async () => {
+    const res = await fetch(server.url, { method: 'POST', body: '{}' });
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('fake GHL fault injection', () => {
+  it('should inject 429s with Retry-After', async () => {
+    const server = await startFake({ rateLimitRate: 1, retryAfterSeconds: 7 });
+    const client = createMcpClient({ token: 't', locationId: 'l', url: server.url });
+    try {
+      await client.initialize();
+      await assert.rejects(client.callTool('locations_get-location', {}), (err) => {
+        assert.ok(err instanceof McpHttpError);
+        assert.equal(err.category, 'rate_limit');
+        assert.equal(err.retryable, true);
+        assert.equal(err.headers['retry-after'], '7');
+        return true;
+      });
+      assert.ok(server.fake.stats().rateLimited >= 1);
+    } finally {
+      await client.close();
+      await server.stop();
+    }
+  });
+
+  it('should inject 5xx errors', async () => {
+    const server = await startFake({ errorRate: 1 });
+    const client = createMcpClient({ token: 't', locationId: 'l', url: server.url });
+    try {
+      await client.initialize();
+      await assert.rejects(client.listTools(), (err) => err instanceof McpHttpError && err.status === 503);
+    } finally {
+      await client.close();
+      await server.stop();
+    }
+  });
+});
+
+describe('fake GHL store', () => {
+  it('should resolve relative seed dates', () => {
+    const now = Date.parse('2025-01-10T00:00:00Z');
+    const resolved = resolveSeedDates({ a: '@now-2d', b: ['@now+30m'], c: '@nowhere' }, now);
+    assert.deepEqual(resolved, { a: '2025-01-08T00:00:00.000Z', b: ['2025-01-10T00:30:00.000Z'], c: '@nowhere' });
+  });
+
+  it('should persist changes to its data file', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'fake-ghl-'));
+    const file = join(dir, 'store.json');
+    try {
+      const store = createFakeStore({ seed: SEED, file });
+      store.callTool('contacts_get-contacts', {});
+      assert.equal(existsSync(file), false);
+
+      store.callTool('contacts_add-tags', { contactId: 'contact_lee', tags: ['Persisted'] });
+      const reloaded = createFakeStore({ seed: {}, file });
+      assert.ok(reloaded.data.contacts.find(c => c.id === 'contact_lee').tags.includes('Persisted'));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should run the monitor end to end against the seed data', async () => {
+    const server = await startFake();
+    try {
+      const config = { locations: { main: { name: 'Fake', alias: 'main', token: 't', locationId: 'l', url: server.url } } };
+      const { checks } = await runAllChecks(config, 'main');
+
+      assert.equal(checks.staleLeads.count, 3);
+      assert.equal(checks.missedFollowups.count, 2);
+      assert.equal(checks.pipelineBottlenecks.count, 2);
+      assert.equal(checks.slowResponses.count, 1);
+    } finally {
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for gateway/ghl-gateway.js
+ * Each location is backed by the mock MCP server over an in-memory transport.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createGateway, TOOL_SEPARATOR } from '../gateway/ghl-gateway.js';
+import { createMcpClient } from '../shared/ghl-mcp-client.js';
+import { createInMemoryTransportPair } from '../shared/ghl-transports.js';
+import { RPC_ERRORS } from '../shared/ghl-mcp-server.js';
+import { createCreditLedger } from '../shared/ghl-credits.js';
+import { createMockTransport, MOCK_TOOLS, MOCK_CONTACTS } from './helpers/mock-server.js';
+
+const LOCATIONS = {
+  main: { name: 'Main Office', alias: 'main', token: 'pit-main', locationId: 'loc-main' },
+  west: { name: 'West Branch', alias: 'west', token: 'pit-west', locationId: 'loc-west', daily_credit_budget: 2 },
+};
+
+/** Gateway whose locations talk to mock servers; returns the per-alias call logs too. */
+function createTestGateway(locations = LOCATIONS, options = {}) {
+  const calls = {};
+  const gateway = createGateway(locations, {
+    ...options,
+    createClient: (loc, clientConfig) => {
+      const m = createMockTransport(options.mock?.[loc.alias]);
+      calls[loc.alias] = m.calls;
+      return createMcpClient({ ...clientConfig, transport: m.transport });
+    },
+  });
+  return { gateway, calls };
+}
+
+const methods = (calls, method) => calls.filter(c => c.body.method === method);
+
+describe('ghl-gateway', () => {
+  it('should expose every location\'s tools under alias-prefixed names', async () => {
+    const { gateway } = createTestGateway();
+    const { tools } = await gateway.listTools();
+
+    assert.equal(tools.length, MOCK_TOOLS.length * 2);
+    const names = tools.map(t => t.name);
+    assert.ok(names.includes(`main${TOOL_SEPARATOR}contacts_get-contacts`));
+    assert.ok(names.includes('west__opportunities_get-pipelines'));
+    assert.match(tools.find(t => t.name === 'west__contacts_get-contact').description, /^\[West Branch\]/);
+    await gateway.close();
+  });
+
+  it('should serve tools/list from cache', async () => {
+    const { gateway, calls } = createTestGateway();
+    await gateway.listTools();
+    await gateway.listTools();
+    await gateway.callTool({ name: 'main__contacts_get-contacts', arguments: {} });
+
+    assert.equal(methods(calls.main, 'tools/list').length, 1);
+    await gateway.close();
+  });
+
+  it('should route calls to the right location', async () => {
+    const { gateway, calls } = createTestGateway();
+    const result = await gateway.callTool({ name: 'main__contacts_get-contacts', arguments: { query: 'john' } });
+
+    assert.deepEqual(JSON.parse(result.content[0].text), MOCK_CONTACTS);
+    const [call] = methods(calls.main, 'tools/call');
+    assert.equal(call.body.params.name, 'contacts_get-contacts');
+    assert.deepEqual(call.body.params.arguments, { query: 'john' });
+    assert.equal(methods(calls.west, 'tools/call').length, 0);
+    await gateway.close();
+  });
+
+  it('should reject unknown aliases and tools', async () => {
+    const { gateway } = createTestGateway();
+    for (const name of ['nowhere__contacts_get-contacts', 'contacts_get-contacts', 'main__no-such-tool']) {
+      await assert.rejects(gateway.callTool({ name }), (err) => err.code === RPC_ERRORS.INVALID_PARAMS);
+    }
+    await gateway.close();
+  });
+
+  it('should hold each location to its ledger budget', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ghl-gateway-'));
+    const ledger = createCreditLedger({ file: join(dir, 'credits.jsonl') });
+    const { gateway, calls } = createTestGateway(LOCATIONS, { ledger });
+    const call = (name) => gateway.callTool({ name, arguments: {} });
+
+    await call('west__contacts_get-contacts');
+    await call('west__contacts_get-contacts');
+    const refused = await call('west__contacts_get-contacts');
+    const unaffected = await call('main__contacts_get-contacts');
+
+    assert.equal(refused.isError, true);
+    assert.match(refused.content[0].text, /^budget: AI credit budget for location 'west' is spent: 2\/2 this day/);
+    assert.equal(unaffected.isError, undefined);
+    assert.equal(methods(calls.west, 'tools/call').length, 2);
+    // The deprecated daily_credit_budget is the ledger's daily limit
+    assert.deepEqual(gateway.stats().west.credits, { day: 2, month: 2, daily: 2, monthly: null });
+    assert.deepEqual(gateway.stats().main.credits, { day: 1, month: 1, daily: null, monthly: null });
+    await gateway.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should not charge a budget for calls that fail before GHL answers', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ghl-gateway-'));
+    const ledger = createCreditLedger({ file: join(dir, 'credits.jsonl') });
+    const locations = { west: { ...LOCATIONS.west, dry_run: true } };
+    const { gateway } = createTestGateway(locations, { ledger });
+
+    await gateway.callTool({ name: 'west__contacts_add-tags', arguments: { contactId: 'c1', tags: ['x'] } });
+
+    assert.equal(gateway.stats().west.credits.day, 0);
+    await gateway.close();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should skip a location that cannot list tools', async () => {
+    const { gateway } = createTestGateway(LOCATIONS, {
+      mock: { west: { supportedVersions: ['1999-01-01'] } },
+    });
+    const { tools } = await gateway.listTools();
+
+    assert.equal(tools.length, MOCK_TOOLS.length);
+    assert.ok(tools.every(t => t.name.startsWith('main__')));
+    await gateway.close();
+  });
+
+  it('should reject aliases containing the separator', () => {
+    assert.throws(() => createGateway({ 'a__b': { token: 't', locationId: 'l' } }), /must not contain/);
+  });
+
+  it('should serve MCP clients through its server', async () => {
+    const { gateway } = createTestGateway();
+    const [clientSide, serverSide] = createInMemoryTransportPair();
+    serverSide.onmessage = async (message) => {
+      const response = await gateway.server.handle(message);
+      if (response) serverSide.send(response);
+    };
+
+    const client = createMcpClient({ token: 'local', locationId: 'gateway', transport: clientSide });
+    const { serverInfo } = await client.initialize();
+    assert.equal(serverInfo.name, 'ghl-mcp-gateway');
+
+    const result = await client.callTool('main__contacts_get-contacts', {});
+    assert.deepEqual(JSON.parse(result.content[0].text), MOCK_CONTACTS);
+    await client.close();
+    await gateway.close();
+  });
+});
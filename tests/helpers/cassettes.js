@@ -0,0 +1,28 @@
+/**
+ * Load recorded MCP cassettes (tests/cassettes/*.json) as replay transports.
+ * Record one with GHL_MCP_RECORD=path (see shared/ghl-cassette.js), e.g. from a
+ * misbehaving monitor run on the VPS, and drop it in tests/cassettes/.
+ */
+
+import { fileURLToPath } from 'node:url';
+import { createReplayTransport, loadCassette } from '../../shared/ghl-cassette.js';
+
+/**
+ * @param {string} name - Cassette file name without .json
+ * @returns {string} Absolute path
+ */
+function cassettePath(name) {
+  return fileURLToPath(new URL(`../cassettes/${name}.json`, import.meta.url));
+}
+
+/**
+ * @param {string} name - Cassette file name without .json
+ * @param {object} [options] - See createReplayTransport (match)
+ * @returns {{ transport: object, cassette: object }}
+ */
+function replayCassette(name, options = {}) {
+  const cassette = loadCassette(cassettePath(name));
+  return { transport: createReplayTransport(cassette, options), cassette };
+}
+
+export { replayCassette, cassettePath };
@@ -0,0 +1,9 @@
+/**
+ * Stdio "server" that closes its stdin but stays alive, so writes to it fail with EPIPE.
+ * Run with `node tests/helpers/closed-stdin-server.js`.
+ */
+
+import { closeSync } from 'node:fs';
+
+closeSync(0);
+setTimeout(() => {}, 3000);
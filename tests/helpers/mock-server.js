@@ -0,0 +1,229 @@
+/**
+ * Transport-agnostic mock MCP server for testing.
+ * Answers JSON-RPC messages with canned GHL data; serve it over the in-memory
+ * transport (createMockTransport) or wrap it in HTTP (mock-fetch.js).
+ */
+
+import { createInMemoryTransportPair } from '../../shared/ghl-transports.js';
+
+const MOCK_TOOLS = [
+  { name: 'contacts_get-contacts', description: 'Get contacts', inputSchema: { type: 'object', properties: {} } },
+  { name: 'contacts_get-contact', description: 'Get contact by ID', inputSchema: { type: 'object', properties: { contactId: { type: 'string' } } } },
+  { name: 'contacts_upsert-contact', description: 'Create or update contact', inputSchema: { type: 'object', properties: {} } },
+  { name: 'contacts_add-tags', description: 'Add tags to contact', inputSchema: { type: 'object', properties: {} } },
+  { name: 'contacts_remove-tags', description: 'Remove tags from contact', inputSchema: { type: 'object', properties: {} } },
+  { name: 'contacts_get-all-tasks', description: 'Get all tasks for contact', inputSchema: { type: 'object', properties: {} } },
+  { name: 'contacts_create-contact', description: 'Create contact', inputSchema: { type: 'object', properties: {} } },
+  { name: 'contacts_update-contact', description: 'Update contact', inputSchema: { type: 'object', properties: {} } },
+  { name: 'conversations_search-conversation', description: 'Search conversations', inputSchema: { type: 'object', properties: {} } },
+  { name: 'conversations_get-messages', description: 'Get messages', inputSchema: { type: 'object', properties: {} } },
+  { name: 'conversations_send-a-new-message', description: 'Send message', inputSchema: { type: 'object', properties: {} } },
+  { name: 'opportunities_search-opportunity', description: 'Search opportunities', inputSchema: { type: 'object', properties: {} } },
+  { name: 'opportunities_update-opportunity', description: 'Update opportunity', inputSchema: { type: 'object', properties: {} } },
+  { name: 'opportunities_get-pipelines', description: 'Get pipelines', inputSchema: { type: 'object', properties: {} } },
+  { name: 'opportunities_get-opportunity', description: 'Get opportunity', inputSchema: { type: 'object', properties: {} } },
+  { name: 'locations_get-location', description: 'Get location', inputSchema: { type: 'object', properties: {} } },
+  { name: 'locations_get-custom-fields', description: 'Get custom fields', inputSchema: { type: 'object', properties: {} } },
+  { name: 'calendars_get-calendar-events', description: 'Get calendar events', inputSchema: { type: 'object', properties: {} } },
+  { name: 'calendars_get-appointment-notes', description: 'Get appointment notes', inputSchema: { type: 'object', properties: {} } },
+  { name: 'payments_list-transactions', description: 'List transactions', inputSchema: { type: 'object', properties: {} } },
+  { name: 'payments_get-order-by-id', description: 'Get order by ID', inputSchema: { type: 'object', properties: {} } },
+  { name: 'emails_fetch-template', description: 'Fetch email template', inputSchema: { type: 'object', properties: {} } },
+  { name: 'emails_create-template', description: 'Create email template', inputSchema: { type: 'object', properties: {} } },
+  { name: 'social-media-posting_create-post', description: 'Create social post', inputSchema: { type: 'object', properties: {} } },
+  { name: 'social-media-posting_get-post', description: 'Get social post', inputSchema: { type: 'object', properties: {} } },
+  { name: 'social-media-posting_get-posts', description: 'Get social posts', inputSchema: { type: 'object', properties: {} } },
+  { name: 'social-media-posting_edit-post', description: 'Edit social post', inputSchema: { type: 'object', properties: {} } },
+  { name: 'social-media-posting_get-account', description: 'Get social account', inputSchema: { type: 'object', properties: {} } },
+  { name: 'social-media-posting_get-social-media-statistics', description: 'Get social stats', inputSchema: { type: 'object', properties: {} } },
+  { name: 'blogs_get-blogs', description: 'Get blogs', inputSchema: { type: 'object', properties: {} } },
+  { name: 'blogs_get-blog-post', description: 'Get blog post', inputSchema: { type: 'object', properties: {} } },
+  { name: 'blogs_create-blog-post', description: 'Create blog post', inputSchema: { type: 'object', properties: {} } },
+  { name: 'blogs_update-blog-post', description: 'Update blog post', inputSchema: { type: 'object', properties: {} } },
+  { name: 'blogs_check-url-slug-exists', description: 'Check blog URL slug', inputSchema: { type: 'object', properties: {} } },
+  { name: 'blogs_get-all-categories-by-location', description: 'Get blog categories', inputSchema: { type: 'object', properties: {} } },
+  { name: 'blogs_get-all-blog-authors-by-location', description: 'Get blog authors', inputSchema: { type: 'object', properties: {} } },
+];
+
+const MOCK_CONTACTS = {
+  contacts: [
+    { id: 'c1', firstName: 'John', lastName: 'Doe', email: 'john@example.com', phone: '+15551234567', tags: ['AI-Audit-Lead'], dateAdded: '2025-01-15T10:00:00Z', lastActivity: '2025-01-15T10:00:00Z' },
+    { id: 'c2', firstName: 'Jane', lastName: 'Smith', email: 'jane@example.com', phone: '+15559876543', tags: ['High-Value-Lead'], dateAdded: '2025-01-16T14:00:00Z', lastActivity: new Date().toISOString() },
+  ],
+};
+
+const MOCK_PIPELINES = {
+  pipelines: [
+    {
+      id: 'pipe1',
+      name: 'Strategic AI Audit Pipeline',
+      stages: [
+        { id: 'stage1', name: 'Audit Requested' },
+        { id: 'stage2', name: 'Audit In Progress' },
+        { id: 'stage3', name: 'Audit Completed' },
+        { id: 'stage4', name: 'Proposal Sent' },
+        { id: 'stage5', name: 'Contract Signed' },
+      ],
+    },
+  ],
+};
+
+const MOCK_OPPORTUNITIES = {
+  opportunities: [
+    { id: 'opp1', name: 'John Doe - AI Audit', pipelineId: 'pipe1', pipelineStageId: 'stage2', monetaryValue: 2500, createdAt: '2025-01-10T00:00:00Z', updatedAt: '2025-01-10T00:00:00Z' },
+    { id: 'opp2', name: 'Jane Smith - Implementation', pipelineId: 'pipe1', pipelineStageId: 'stage4', monetaryValue: 15000, createdAt: '2025-01-12T00:00:00Z', updatedAt: '2025-01-14T00:00:00Z' },
+  ],
+};
+
+const MOCK_RESOURCES = [
+  { uri: 'ghl://location/profile', name: 'Location profile', mimeType: 'application/json' },
+  { uri: 'ghl://location/custom-fields', name: 'Custom fields', mimeType: 'application/json' },
+];
+
+const MOCK_RESOURCE_TEMPLATES = [
+  { uriTemplate: 'ghl://contacts/{contactId}', name: 'Contact', mimeType: 'application/json' },
+];
+
+const MOCK_PROMPTS = [
+  { name: 'follow-up-sms', description: 'Draft a follow-up SMS', arguments: [{ name: 'contactName', required: true }] },
+];
+
+/**
+ * Create a mock MCP server.
+ * @param {object} [overrides] - Override specific responses. A tool override may be
+ *   a function of the call arguments; `toolsPageSize` splits tools/list into cursor pages;
+ *   `capabilities` replaces the advertised server capabilities; `unanswered` lists tools
+ *   whose calls never get a response (for cancellation and timeout tests);
+ *   `protocolVersion` is the version answered to initialize (defaults to the offered one)
+ *   and `supportedVersions` makes initialize reject other versions with that list.
+ * @returns {{ handle: Function, calls: Array }} handle(message) returns the response, or
+ *   undefined for notifications and unanswered calls
+ */
+function createMockServer(overrides = {}) {
+  const calls = [];
+
+  function handle(body) {
+    calls.push({ body });
+
+    const method = body.method;
+    let responseBody;
+
+    const requested = body.params?.protocolVersion;
+    if (method === 'initialize' && overrides.supportedVersions && !overrides.supportedVersions.includes(requested)) {
+      responseBody = {
+        jsonrpc: '2.0',
+        id: body.id,
+        error: {
+          code: -32602,
+          message: 'Unsupported protocol version',
+          data: { supported: overrides.supportedVersions, requested },
+        },
+      };
+    } else if (method === 'initialize') {
+      responseBody = {
+        jsonrpc: '2.0',
+        id: body.id,
+        result: {
+          protocolVersion: overrides.protocolVersion || requested || '2025-06-18',
+          capabilities: overrides.capabilities || { tools: {} },
+          serverInfo: { name: 'ghl-mcp-mock', version: '1.0.0' },
+        },
+      };
+    } else if (body.id === undefined) {
+      // Notifications get no response
+      return undefined;
+    } else if (method === 'tools/list') {
+      const tools = overrides.tools || MOCK_TOOLS;
+      const pageSize = overrides.toolsPageSize || tools.length;
+      const start = parseInt(body.params?.cursor || '0');
+      const result = { tools: tools.slice(start, start + pageSize) };
+      if (start + pageSize < tools.length) result.nextCursor = String(start + pageSize);
+      responseBody = { jsonrpc: '2.0', id: body.id, result };
+    } else if (method === 'tools/call') {
+      const toolName = body.params?.name;
+      if (overrides.unanswered?.includes(toolName)) return undefined;
+      let content;
+
+      if (typeof overrides[toolName] === 'function') {
+        content = overrides[toolName](body.params?.arguments || {});
+      } else if (overrides[toolName]) {
+        content = overrides[toolName];
+      } else if (toolName === 'contacts_get-contacts') {
+        content = MOCK_CONTACTS;
+      } else if (toolName === 'opportunities_get-pipelines') {
+        content = MOCK_PIPELINES;
+      } else if (toolName === 'opportunities_search-opportunity') {
+        content = MOCK_OPPORTUNITIES;
+      } else {
+        content = { success: true };
+      }
+
+      responseBody = {
+        jsonrpc: '2.0',
+        id: body.id,
+        result: {
+          content: [{ type: 'text', text: JSON.stringify(content) }],
+        },
+      };
+    } else if (method === 'resources/list') {
+      responseBody = { jsonrpc: '2.0', id: body.id, result: { resources: MOCK_RESOURCES } };
+    } else if (method === 'resources/templates/list') {
+      responseBody = { jsonrpc: '2.0', id: body.id, result: { resourceTemplates: MOCK_RESOURCE_TEMPLATES } };
+    } else if (method === 'resources/read') {
+      const uri = body.params?.uri;
+      responseBody = {
+        jsonrpc: '2.0',
+        id: body.id,
+        result: { contents: [{ uri, mimeType: 'application/json', text: JSON.stringify({ uri }) }] },
+      };
+    } else if (method === 'prompts/list') {
+      responseBody = { jsonrpc: '2.0', id: body.id, result: { prompts: MOCK_PROMPTS } };
+    } else if (method === 'prompts/get') {
+      const { name, arguments: args = {} } = body.params || {};
+      responseBody = {
+        jsonrpc: '2.0',
+        id: body.id,
+        result: {
+          description: name,
+          messages: [{ role: 'user', content: { type: 'text', text: `Follow up with ${args.contactName}` } }],
+        },
+      };
+    } else {
+      responseBody = { jsonrpc: '2.0', id: body.id, result: {} };
+    }
+
+
+    return responseBody;
+  }
+
+  return { handle, calls };
+}
+
+/**
+ * Create a client transport connected in memory to a mock server.
+ * @param {object} [overrides] - See createMockServer
+ * @returns {{ transport: object, calls: Array }}
+ */
+function createMockTransport(overrides = {}) {
+  const server = createMockServer(overrides);
+  const [transport, serverTransport] = createInMemoryTransportPair();
+
+  serverTransport.onmessage = (message) => {
+    const response = server.handle(message);
+    if (response) serverTransport.send(response);
+  };
+
+  return { transport, calls: server.calls };
+}
+
+export {
+  createMockServer,
+  createMockTransport,
+  MOCK_TOOLS,
+  MOCK_CONTACTS,
+  MOCK_PIPELINES,
+  MOCK_OPPORTUNITIES,
+  MOCK_RESOURCES,
+  MOCK_RESOURCE_TEMPLATES,
+  MOCK_PROMPTS,
+};
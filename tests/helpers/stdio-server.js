@@ -0,0 +1,16 @@
+/**
+ * Mock MCP server over stdio (newline-delimited JSON-RPC), for stdio transport tests.
+ * Run with `node tests/helpers/stdio-server.js`.
+ */
+
+import { createInterface } from 'node:readline';
+import { createMockServer } from './mock-server.js';
+
+const server = createMockServer();
+const lines = createInterface({ input: process.stdin });
+
+lines.on('line', (line) => {
+  if (!line.trim()) return;
+  const response = server.handle(JSON.parse(line));
+  if (response) process.stdout.write(JSON.stringify(response) + '\n');
+});
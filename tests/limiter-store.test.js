@@ -0,0 +1,182 @@
+/**
+ * Tests for shared/ghl-limiter-store.js
+ * Includes a run across real child processes sharing one state file.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync, utimesSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { promisify } from 'node:util';
+import { createFileLimiterStore, createFileLock, createLocationLimiter } from '../shared/ghl-limiter-store.js';
+import { createRateLimiter } from '../shared/ghl-utils.js';
+
+const run = promisify(execFile);
+const STORE_MODULE = new URL('../shared/ghl-limiter-store.js', import.meta.url).href;
+const UTILS_MODULE = new URL('../shared/ghl-utils.js', import.meta.url).href;
+
+/** Acquire `count` slots in a separate node process. */
+function acquireInChild(file, count) {
+  const script = `
+    const { createFileLimiterStore } = await import(${JSON.stringify(STORE_MODULE)});
+    const { createRateLimiter } = await import(${JSON.stringify(UTILS_MODULE)});
+    const limiter = createRateLimiter({ store: createFileLimiterStore(${JSON.stringify(file)}) });
+    await Promise.all(Array.from({ length: ${count} }, () => limiter.acquire()));
+  `;
+  return run(process.execPath, ['--input-type=module', '-e', script], { timeout: 20_000 });
+}
+
+describe('ghl-limiter-store', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ghl-limits-'));
+    file = join(dir, 'state', 'main.json');
+  });
+
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  describe('createFileLimiterStore', () => {
+    it('should persist updates and release the lock', async () => {
+      const store = createFileLimiterStore(file);
+      assert.deepEqual(store.read(), {});
+
+      const result = await store.update((state) => {
+        state.dayCount = 3;
+        return 'done';
+      });
+
+      assert.equal(result, 'done');
+      assert.deepEqual(createFileLimiterStore(file).read(), { dayCount: 3 });
+      assert.equal(existsSync(`${file}.lock`), false);
+    });
+
+    it('should serialize concurrent updates', async () => {
+      const a = createFileLimiterStore(file);
+      const b = createFileLimiterStore(file);
+      const bump = (store) => store.update((state) => {
+        state.n = (state.n || 0) + 1;
+      });
+
+      await Promise.all(Array.from({ length: 20 }, (_, i) => bump(i % 2 ? a : b)));
+      assert.equal(a.read().n, 20);
+    });
+
+    it('should release the lock when the update throws', async () => {
+      const store = createFileLimiterStore(file);
+      await assert.rejects(store.update(() => { throw new Error('boom'); }), /boom/);
+      assert.equal(existsSync(`${file}.lock`), false);
+    });
+
+    it('should break a stale lock', async () => {
+      const store = createFileLimiterStore(file, { staleLockMs: 1000 });
+      await store.update(() => {});
+      writeFileSync(`${file}.lock`, '');
+      const old = (Date.now() - 5000) / 1000;
+      utimesSync(`${file}.lock`, old, old);
+
+      await store.update((state) => { state.ok = true; });
+      assert.equal(store.read().ok, true);
+    });
+
+    it('should start over from an unreadable state file', async () => {
+      const store = createFileLimiterStore(file);
+      await store.update(() => {});
+      writeFileSync(file, '{not json');
+      assert.deepEqual(store.read(), {});
+    });
+  });
+
+  describe('createFileLock', () => {
+    it('should not release a lock another process took after breaking ours', async () => {
+      const lockFile = `${file}.lock`;
+      const ours = createFileLock(lockFile, { staleLockMs: 1000 });
+      const theirs = createFileLock(lockFile, { staleLockMs: 1000 });
+
+      const ourToken = await ours.acquire();
+      const old = (Date.now() - 5000) / 1000;
+      utimesSync(lockFile, old, old);
+      const theirToken = await theirs.acquire();
+
+      ours.release(ourToken);
+      assert.equal(readFileSync(lockFile, 'utf8'), theirToken);
+      theirs.release(theirToken);
+      assert.equal(existsSync(lockFile), false);
+    });
+
+    it('should leave a fresh lock alone', async () => {
+      const lock = createFileLock(`${file}.lock`, { staleLockMs: 60_000, retryMs: 1 });
+      const token = await lock.acquire();
+      let taken = false;
+      const waiting = lock.withLock(() => { taken = true; });
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+      assert.equal(taken, false);
+      lock.release(token);
+      await waiting;
+      assert.equal(taken, true);
+    });
+  });
+
+  describe('shared limiter', () => {
+    it('should share one window and daily count between limiters', async () => {
+      const first = createRateLimiter({ maxPerWindow: 3, store: createFileLimiterStore(file) });
+      const second = createRateLimiter({ maxPerWindow: 3, store: createFileLimiterStore(file) });
+
+      await first.acquire();
+      await second.acquire();
+      await first.acquire();
+
+      assert.equal(second.stats().windowRemaining, 0);
+      assert.equal(second.stats().dayCount, 3);
+    });
+
+    it('should keep the daily count across restarts', async () => {
+      const before = createRateLimiter({ store: createFileLimiterStore(file) });
+      await before.acquire();
+      await before.acquire();
+
+      const after = createRateLimiter({ store: createFileLimiterStore(file) });
+      assert.equal(after.stats().dayCount, 2);
+    });
+
+    it('should enforce the daily quota across limiters', async () => {
+      const first = createRateLimiter({ maxPerDay: 2, store: createFileLimiterStore(file) });
+      const second = createRateLimiter({ maxPerDay: 2, store: createFileLimiterStore(file) });
+
+      await first.acquire();
+      await first.acquire();
+      await assert.rejects(second.acquire(), /Daily rate limit reached \(2\)/);
+    });
+
+    it('should count every acquire made by separate processes', async () => {
+      await Promise.all([acquireInChild(file, 10), acquireInChild(file, 10)]);
+
+      const limiter = createRateLimiter({ store: createFileLimiterStore(file) });
+      assert.equal(limiter.stats().dayCount, 20);
+      assert.equal(limiter.stats().windowRemaining, 80);
+    });
+  });
+
+  describe('createLocationLimiter', () => {
+    it('should keep state in memory unless shared', async () => {
+      process.env.GHL_RATE_LIMIT_DIR = dir;
+      try {
+        const local = createLocationLimiter('main', { max_per_window: 5 });
+        await local.acquire();
+        assert.equal(local.stats().windowRemaining, 4);
+        assert.equal(existsSync(join(dir, 'main.json')), false);
+
+        const shared = createLocationLimiter('main', { max_per_window: 5, shared: true });
+        await shared.acquire();
+        assert.equal(existsSync(join(dir, 'main.json')), true);
+        assert.equal(createLocationLimiter('main', { shared: true }).stats().dayCount, 1);
+      } finally {
+        delete process.env.GHL_RATE_LIMIT_DIR;
+      }
+    });
+  });
+});
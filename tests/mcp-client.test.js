@@ -1,34 +1,39 @@
 /**
  * Tests for shared/ghl-mcp-client.js
- * Uses node:test + mock fetch (zero test dependencies).
+ * Uses node:test + an injected mock fetch (zero test dependencies).
  */
 
-import { describe, it, before, after, mock } from 'node:test';
+import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { createMockFetch, MOCK_TOOLS, MOCK_SESSION_ID } from './helpers/mock-fetch.js';
-
-// We need to mock global fetch before importing the client
-let createMcpClient, parseSSEResponse;
+import {
+  createMockFetch,
+  sseResponse,
+  MOCK_TOOLS,
+  MOCK_RESOURCES,
+  MOCK_PROMPTS,
+  MOCK_SESSION_ID,
+} from './helpers/mock-fetch.js';
+import {
+  McpHttpError,
+  McpRpcError,
+  McpTimeoutError,
+  McpCancelledError,
+  McpConnectionError,
+  McpToolError,
+  McpValidationError,
+  McpCapabilityError,
+  McpProtocolVersionError,
+} from '../shared/ghl-errors.js';
+import {
+  createMcpClient,
+  parseSSEResponse,
+  MCP_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+} from '../shared/ghl-mcp-client.js';
+import { createInMemoryTransportPair } from '../shared/ghl-transports.js';
+import { createMockServer, createMockTransport } from './helpers/mock-server.js';
 
 describe('ghl-mcp-client', () => {
-  let mockFetchHelper;
-
-  before(async () => {
-    mockFetchHelper = createMockFetch();
-    // Replace global fetch
-    globalThis._originalFetch = globalThis.fetch;
-    globalThis.fetch = mockFetchHelper.fetch;
-
-    // Now import the module (it will use our mocked fetch)
-    const mod = await import('../shared/ghl-mcp-client.js');
-    createMcpClient = mod.createMcpClient;
-    parseSSEResponse = mod.parseSSEResponse;
-  });
-
-  after(() => {
-    globalThis.fetch = globalThis._originalFetch;
-  });
-
   describe('createMcpClient', () => {
     it('should throw if token is missing', () => {
       assert.throws(() => createMcpClient({ locationId: 'loc1' }), /token is required/);
@@ -49,9 +54,8 @@ describe('ghl-mcp-client', () => {
     it('should initialize and set session ID', async () => {
       // Fresh mock for this test
       const m = createMockFetch();
-      globalThis.fetch = m.fetch;
 
-      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc' });
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
       const result = await client.initialize();
 
       assert.ok(result.capabilities);
@@ -69,9 +73,8 @@ describe('ghl-mcp-client', () => {
   describe('listTools', () => {
     it('should return tools list', async () => {
       const m = createMockFetch();
-      globalThis.fetch = m.fetch;
 
-      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc' });
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
       const result = await client.listTools();
 
       assert.ok(result.tools);
@@ -81,9 +84,8 @@ describe('ghl-mcp-client', () => {
 
     it('should auto-initialize if not initialized', async () => {
       const m = createMockFetch();
-      globalThis.fetch = m.fetch;
 
-      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc' });
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
       assert.equal(client.initialized, false);
 
       await client.listTools();
@@ -94,9 +96,8 @@ describe('ghl-mcp-client', () => {
   describe('callTool', () => {
     it('should call a tool and return result', async () => {
       const m = createMockFetch();
-      globalThis.fetch = m.fetch;
 
-      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc' });
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
       const result = await client.callTool('contacts_get-contacts', {});
 
       assert.ok(result.content);
@@ -109,9 +110,8 @@ describe('ghl-mcp-client', () => {
 
     it('should include authorization and locationId headers', async () => {
       const m = createMockFetch();
-      globalThis.fetch = m.fetch;
 
-      const client = createMcpClient({ token: 'my-token', locationId: 'my-loc' });
+      const client = createMcpClient({ token: 'my-token', locationId: 'my-loc', fetch: m.fetch });
       await client.callTool('contacts_get-contacts', {});
 
       // Find the tools/call request (skip initialize + notification)
@@ -122,12 +122,532 @@ describe('ghl-mcp-client', () => {
     });
   });
 
+  describe('iterateTools', () => {
+    it('should follow nextCursor across tools/list pages', async () => {
+      const m = createMockFetch({ toolsPageSize: 10 });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const names = [];
+      for await (const tool of client.iterateTools()) names.push(tool.name);
+
+      assert.equal(names.length, MOCK_TOOLS.length);
+      const listCalls = m.calls.filter(c => c.body.method === 'tools/list');
+      assert.equal(listCalls.length, Math.ceil(MOCK_TOOLS.length / 10));
+      assert.equal(listCalls[1].body.params.cursor, '10');
+    });
+
+    it('should stop at maxItems', async () => {
+      const m = createMockFetch({ toolsPageSize: 10 });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const tools = [];
+      for await (const tool of client.iterateTools({ maxItems: 12 })) tools.push(tool);
+
+      assert.equal(tools.length, 12);
+      assert.equal(m.calls.filter(c => c.body.method === 'tools/list').length, 2);
+    });
+  });
+
+  describe('paginate', () => {
+    const pagedContacts = (total) => (args) => {
+      const all = Array.from({ length: total }, (_, i) => ({ id: `c${i + 1}` }));
+      const start = args.startAfterId ? all.findIndex(c => c.id === args.startAfterId) + 1 : 0;
+      const contacts = all.slice(start, start + args.limit);
+      return { contacts, meta: { total, startAfterId: contacts[contacts.length - 1]?.id } };
+    };
+
+    it('should follow startAfterId for contacts_get-contacts', async () => {
+      const m = createMockFetch({ 'contacts_get-contacts': pagedContacts(250) });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const ids = [];
+      for await (const c of client.paginate('contacts_get-contacts', { query: '' })) ids.push(c.id);
+
+      assert.equal(ids.length, 250);
+      assert.equal(new Set(ids).size, 250);
+      const pageCalls = m.calls.filter(c => c.body.method === 'tools/call');
+      assert.equal(pageCalls.length, 3);
+      assert.equal(pageCalls[1].body.params.arguments.startAfterId, 'c100');
+    });
+
+    it('should follow page numbers for opportunities_search-opportunity', async () => {
+      const m = createMockFetch({
+        'opportunities_search-opportunity': (args) => {
+          const page = args.page || 1;
+          const count = page < 3 ? args.limit : 5;
+          return {
+            opportunities: Array.from({ length: count }, (_, i) => ({ id: `o${page}-${i}` })),
+            meta: { currentPage: page, nextPage: page < 3 ? page + 1 : null },
+          };
+        },
+      });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const opps = [];
+      for await (const o of client.paginate('opportunities_search-opportunity', { pipelineId: 'p1' }, { pageSize: 20 })) {
+        opps.push(o);
+      }
+
+      assert.equal(opps.length, 45);
+      const pages = m.calls.filter(c => c.body.method === 'tools/call').map(c => c.body.params.arguments.page);
+      assert.deepEqual(pages, [undefined, 2, 3]);
+    });
+
+    it('should stop at maxItems without fetching further pages', async () => {
+      const m = createMockFetch({ 'contacts_get-contacts': pagedContacts(1000) });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const ids = [];
+      for await (const c of client.paginate('contacts_get-contacts', {}, { maxItems: 150 })) ids.push(c.id);
+
+      assert.equal(ids.length, 150);
+      assert.equal(m.calls.filter(c => c.body.method === 'tools/call').length, 2);
+    });
+
+    it('should acquire the rate limiter for every page', async () => {
+      const m = createMockFetch({ 'contacts_get-contacts': pagedContacts(250) });
+
+      let acquired = 0;
+      const rateLimiter = { acquire: async () => { acquired++; } };
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch, rateLimiter });
+      for await (const _ of client.paginate('contacts_get-contacts')) { /* drain */ }
+
+      assert.equal(acquired, 3);
+    });
+
+    it('should reject tools without a known convention', async () => {
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc' });
+      await assert.rejects(client.paginate('locations_get-location').next(), /No pagination convention/);
+    });
+  });
+
+  describe('argument validation', () => {
+    it('should reject invalid arguments before any tools/call', async () => {
+      const m = createMockFetch();
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch, validateArguments: true });
+      await assert.rejects(client.callTool('contacts_get-contact', { contactID: 'c1' }), (err) => {
+        assert.ok(err instanceof McpValidationError);
+        assert.equal(err.category, 'invalid_arguments');
+        assert.match(err.message, /did you mean 'contactId'/);
+        return true;
+      });
+      assert.equal(m.calls.filter(c => c.body.method === 'tools/call').length, 0);
+    });
+
+    it('should reject unknown tools', async () => {
+      const m = createMockFetch();
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch, validateArguments: true });
+      await assert.rejects(client.callTool('contacts_get-contactz', {}), /not a tool on this server/);
+    });
+
+    it('should cache the tool catalog across calls', async () => {
+      const m = createMockFetch({ toolsPageSize: 20 });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch, validateArguments: true });
+      await client.callTool('contacts_get-contact', { contactId: 'c1' });
+      await client.callTool('contacts_get-contact', { contactId: 'c2' });
+
+      assert.equal(m.calls.filter(c => c.body.method === 'tools/list').length, 2);
+      assert.equal(m.calls.filter(c => c.body.method === 'tools/call').length, 2);
+    });
+
+    it('should not validate when the option is off', async () => {
+      const m = createMockFetch();
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      await client.callTool('contacts_get-contact', { contactID: 'c1' });
+      assert.equal(m.calls.filter(c => c.body.method === 'tools/list').length, 0);
+    });
+  });
+
+  describe('resources and prompts', () => {
+    const capabilities = { tools: {}, resources: {}, prompts: {} };
+
+    it('should list and read resources', async () => {
+      const m = createMockFetch({ capabilities });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const { resources } = await client.listResources();
+      assert.equal(resources.length, MOCK_RESOURCES.length);
+
+      const { contents } = await client.readResource('ghl://location/profile');
+      assert.equal(contents[0].uri, 'ghl://location/profile');
+      assert.equal(m.calls.find(c => c.body.method === 'resources/read').body.params.uri, 'ghl://location/profile');
+    });
+
+    it('should iterate resource templates and prompts', async () => {
+      const m = createMockFetch({ capabilities });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const templates = [];
+      for await (const t of client.iterateResourceTemplates()) templates.push(t);
+      const prompts = [];
+      for await (const p of client.iteratePrompts()) prompts.push(p);
+
+      assert.equal(templates[0].uriTemplate, 'ghl://contacts/{contactId}');
+      assert.equal(prompts.length, MOCK_PROMPTS.length);
+    });
+
+    it('should get a prompt with arguments', async () => {
+      const m = createMockFetch({ capabilities });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const prompt = await client.getPrompt('follow-up-sms', { contactName: 'John' });
+      assert.equal(prompt.messages[0].content.text, 'Follow up with John');
+    });
+
+    it('should refuse methods the server did not advertise', async () => {
+      const m = createMockFetch();
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      await assert.rejects(client.listResources(), (err) => {
+        assert.ok(err instanceof McpCapabilityError);
+        assert.equal(err.category, 'unsupported');
+        return true;
+      });
+      await assert.rejects(client.getPrompt('x'), McpCapabilityError);
+      assert.equal(m.calls.filter(c => c.body.method?.startsWith('resources/')).length, 0);
+    });
+  });
+
+  describe('server messages', () => {
+    /**
+     * Mock fetch whose tools/call answers with an SSE stream built from
+     * events(body); everything else goes to the standard mock.
+     */
+    function sseFetch(events, onGet) {
+      const m = createMockFetch();
+      const fetch = async (url, options) => {
+        if (options.method === 'GET') return onGet(options);
+        const body = JSON.parse(options.body || '{}');
+        if (body.method !== 'tools/call') return m.fetch(url, options);
+        m.calls.push({ url, method: options.method, body, headers: options.headers });
+        return sseResponse(events(body));
+      };
+      return { fetch, calls: m.calls };
+    }
+
+    it('should deliver progress and log notifications from the response stream', async () => {
+      const { fetch, calls } = sseFetch((body) => [
+        { data: { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: body.params._meta.progressToken, progress: 50, total: 100 } } },
+        { data: { jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'halfway' } } },
+        { data: { jsonrpc: '2.0', id: body.id, result: { content: [{ type: 'text', text: '{}' }] } } },
+      ]);
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch });
+      const progress = [];
+      const logs = [];
+      const result = await client.callTool('contacts_get-contacts', {}, {
+        onProgress: (p) => progress.push(p),
+        onLog: (l) => logs.push(l),
+      });
+
+      assert.deepEqual(result.content, [{ type: 'text', text: '{}' }]);
+      assert.equal(progress[0].progress, 50);
+      assert.equal(progress[0].total, 100);
+      assert.equal(logs[0].data, 'halfway');
+      const call = calls.find(c => c.body.method === 'tools/call');
+      assert.match(call.body.params._meta.progressToken, /^progress-/);
+      assert.deepEqual(call.body.params.arguments, {});
+    });
+
+    it('should resume a dropped stream with Last-Event-ID', async () => {
+      let resumedWith;
+      let requestId;
+      const { fetch } = sseFetch((body) => {
+        requestId = body.id;
+        return [{ id: 'evt-1', retry: 0, data: { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 'x', progress: 1 } } }];
+      }, (options) => {
+        resumedWith = options.headers['Last-Event-ID'];
+        return sseResponse([{ id: 'evt-2', data: { jsonrpc: '2.0', id: requestId, result: { content: [{ type: 'text', text: '{"ok":true}' }] } } }]);
+      });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch });
+      const result = await client.callTool('contacts_get-contacts', {});
+
+      assert.equal(resumedWith, 'evt-1');
+      assert.equal(result.content[0].text, '{"ok":true}');
+    });
+
+    it('should fail a request whose stream ends without its response', async () => {
+      let resumes = 0;
+      const { fetch } = sseFetch(() => [
+        { id: 'evt-1', retry: 0, data: { jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 'x', progress: 1 } } },
+      ], () => {
+        resumes++;
+        return sseResponse([]);
+      });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch });
+      const err = await client.callTool('contacts_get-contacts', {}).catch(e => e);
+
+      assert.ok(err instanceof McpConnectionError, err.message);
+      assert.equal(err.retryable, true);
+      assert.match(err.message, /SSE stream ended without a response/);
+      assert.equal(resumes, 3);
+    });
+
+    it('should answer ping and roots/list server requests', async () => {
+      const replies = [];
+      const { fetch } = sseFetch((body) => [
+        { data: { jsonrpc: '2.0', id: 's1', method: 'ping' } },
+        { data: { jsonrpc: '2.0', id: 's2', method: 'roots/list' } },
+        { data: { jsonrpc: '2.0', id: 's3', method: 'sampling/createMessage' } },
+        { data: { jsonrpc: '2.0', id: body.id, result: { content: [] } } },
+      ]);
+      const recordingFetch = async (url, options) => {
+        const body = JSON.parse(options.body || '{}');
+        if (body.method === undefined && body.id !== undefined) replies.push(body);
+        return fetch(url, options);
+      };
+
+      const roots = [{ uri: 'file:///data', name: 'data' }];
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: recordingFetch, roots });
+      await client.callTool('contacts_get-contacts', {});
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.deepEqual(replies.find(r => r.id === 's1').result, {});
+      assert.deepEqual(replies.find(r => r.id === 's2').result, { roots });
+      assert.equal(replies.find(r => r.id === 's3').error.code, -32601);
+    });
+
+    it('should advertise and call registered request handlers', async () => {
+      const [transport, server] = createInMemoryTransportPair();
+      const mock = createMockServer();
+      let elicitation;
+      server.onmessage = async (message) => {
+        if (message.method === 'tools/call') {
+          elicitation = await server.send({
+            jsonrpc: '2.0', id: 'e1', method: 'elicitation/create',
+            params: { message: 'Confirm bulk tag?', requestedSchema: { type: 'object', properties: {} } },
+          });
+        }
+        const response = mock.handle(message);
+        if (response) server.send(response);
+      };
+
+      const client = createMcpClient({
+        transport,
+        requestHandlers: { 'elicitation/create': (params) => ({ action: 'accept', content: { confirmed: params.message.length > 0 } }) },
+      });
+      await client.callTool('contacts_add-tags', { contactId: 'c1', tags: ['x'] });
+
+      const init = mock.calls.find(c => c.body.method === 'initialize');
+      assert.deepEqual(init.body.params.capabilities.elicitation, {});
+      assert.deepEqual(elicitation.result, { action: 'accept', content: { confirmed: true } });
+      await client.close();
+    });
+
+    it('should receive server notifications on the GET stream when listening', async () => {
+      const m = createMockFetch();
+      const notifications = [];
+      let received;
+      const done = new Promise(resolve => { received = resolve; });
+      const fetch = async (url, options) => {
+        if (options.method !== 'GET') return m.fetch(url, options);
+        m.calls.push({ url, method: 'GET', headers: options.headers });
+        return sseResponse([{ id: 'g1', data: { jsonrpc: '2.0', method: 'notifications/tools/list_changed' } }]);
+      };
+
+      const client = createMcpClient({
+        token: 'test-token',
+        locationId: 'test-loc',
+        fetch,
+        listen: true,
+        onNotification: (n) => { notifications.push(n); received(); },
+      });
+      await client.initialize();
+      await done;
+
+      assert.equal(notifications[0].method, 'notifications/tools/list_changed');
+      const get = m.calls.find(c => c.method === 'GET');
+      assert.equal(get.headers['Mcp-Session-Id'], MOCK_SESSION_ID);
+      await client.close();
+    });
+  });
+
+  describe('cancellation', () => {
+    const waitForCall = (calls, method) => new Promise((resolve) => {
+      const poll = () => {
+        const call = calls.find(c => c.body.method === method);
+        if (call) resolve(call);
+        else setTimeout(poll, 1);
+      };
+      poll();
+    });
+
+    it('should abort an in-flight call and send notifications/cancelled', async () => {
+      const m = createMockTransport({ unanswered: ['contacts_get-contacts'] });
+      const client = createMcpClient({ transport: m.transport });
+      const controller = new AbortController();
+
+      const pending = client.callTool('contacts_get-contacts', {}, { signal: controller.signal });
+      const call = await waitForCall(m.calls, 'tools/call');
+      controller.abort('user closed the panel');
+
+      await assert.rejects(pending, (err) => {
+        assert.ok(err instanceof McpCancelledError);
+        assert.equal(err.category, 'cancelled');
+        assert.equal(err.retryable, false);
+        assert.equal(err.reason, 'user closed the panel');
+        return true;
+      });
+      const cancelled = await waitForCall(m.calls, 'notifications/cancelled');
+      assert.equal(cancelled.body.params.requestId, call.body.id);
+      assert.equal(cancelled.body.params.reason, 'user closed the panel');
+      await client.close();
+    });
+
+    it('should send notifications/cancelled when a per-call timeout fires', async () => {
+      const m = createMockTransport({ unanswered: ['contacts_get-contacts'] });
+      const client = createMcpClient({ transport: m.transport });
+
+      await assert.rejects(client.callTool('contacts_get-contacts', {}, { timeoutMs: 20 }), McpTimeoutError);
+      const cancelled = await waitForCall(m.calls, 'notifications/cancelled');
+      const call = m.calls.find(c => c.body.method === 'tools/call');
+      assert.equal(cancelled.body.params.requestId, call.body.id);
+      await client.close();
+    });
+
+    it('should not send a call when the signal is already aborted', async () => {
+      const m = createMockTransport();
+      const client = createMcpClient({ transport: m.transport });
+
+      await assert.rejects(client.callTool('contacts_get-contacts', {}, { signal: AbortSignal.abort() }), McpCancelledError);
+      assert.equal(m.calls.filter(c => c.body.method === 'tools/call').length, 0);
+      await client.close();
+    });
+
+    it('should abort the HTTP request', async () => {
+      const m = createMockFetch();
+      const fetch = (url, options) => {
+        if (!options.body?.includes('tools/call')) return m.fetch(url, options);
+        return new Promise((resolve, reject) => {
+          options.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+        });
+      };
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch });
+      const controller = new AbortController();
+
+      const pending = client.callTool('contacts_get-contacts', {}, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 10);
+
+      await assert.rejects(pending, McpCancelledError);
+      await client.close();
+    });
+  });
+
+  describe('protocol negotiation', () => {
+    it('should store the negotiated version and send it in later headers', async () => {
+      const m = createMockFetch();
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const { protocolVersion } = await client.initialize();
+      await client.listTools();
+
+      assert.equal(protocolVersion, MCP_PROTOCOL_VERSION);
+      assert.equal(client.protocolVersion, MCP_PROTOCOL_VERSION);
+      const list = m.calls.find(c => c.body.method === 'tools/list');
+      assert.equal(list.headers['MCP-Protocol-Version'], MCP_PROTOCOL_VERSION);
+    });
+
+    it('should accept an older supported version and adapt to it', async () => {
+      const m = createMockFetch({ protocolVersion: '2025-03-26' });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      await client.initialize();
+      await client.listTools();
+
+      assert.equal(client.protocolVersion, '2025-03-26');
+      assert.equal(client.features.batching, true);
+      assert.equal(client.features.structuredOutput, false);
+      const list = m.calls.find(c => c.body.method === 'tools/list');
+      assert.equal(list.headers['MCP-Protocol-Version'], undefined);
+    });
+
+    it('should retry initialize with a version from the server supported list', async () => {
+      const m = createMockTransport({ supportedVersions: ['2024-11-05'] });
+
+      const client = createMcpClient({ transport: m.transport });
+      await client.initialize();
+
+      const offered = m.calls.filter(c => c.body.method === 'initialize').map(c => c.body.params.protocolVersion);
+      assert.deepEqual(offered, [MCP_PROTOCOL_VERSION, '2024-11-05']);
+      assert.equal(client.protocolVersion, '2024-11-05');
+      await client.close();
+    });
+
+    it('should reject and disconnect from a server speaking an unsupported version', async () => {
+      const m = createMockFetch({ protocolVersion: '2099-01-01' });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      await assert.rejects(client.initialize(), (err) => {
+        assert.ok(err instanceof McpProtocolVersionError);
+        assert.equal(err.category, 'unsupported');
+        assert.deepEqual(err.received, ['2099-01-01']);
+        assert.deepEqual(err.supported, SUPPORTED_PROTOCOL_VERSIONS);
+        return true;
+      });
+      assert.equal(client.initialized, false);
+      assert.deepEqual(m.sessions.terminated, [MOCK_SESSION_ID]);
+    });
+
+    it('should refuse to offer a version it does not support', () => {
+      assert.throws(() => createMcpClient({ transport: createMockTransport().transport, protocolVersion: '2099-01-01' }), /Unsupported MCP protocol version/);
+    });
+
+    it('should not advertise elicitation before 2025-06-18', async () => {
+      const m = createMockTransport();
+      const client = createMcpClient({
+        transport: m.transport,
+        protocolVersion: '2025-03-26',
+        requestHandlers: { 'elicitation/create': () => ({ action: 'decline' }) },
+      });
+      await client.initialize();
+
+      const init = m.calls.find(c => c.body.method === 'initialize');
+      assert.equal(init.body.params.protocolVersion, '2025-03-26');
+      assert.equal(init.body.params.capabilities.elicitation, undefined);
+      await client.close();
+    });
+
+    it('should batch callTools under 2025-03-26', async () => {
+      const m = createMockFetch({ protocolVersion: '2025-03-26', 'contacts_add-tags': { ok: true } });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const outcomes = await client.callTools([
+        { name: 'contacts_add-tags', arguments: { contactId: 'c1', tags: ['a'] } },
+        { name: 'contacts_add-tags', arguments: { contactId: 'c2', tags: ['a'] } },
+      ]);
+
+      assert.deepEqual(outcomes.map(o => o.status), ['fulfilled', 'fulfilled']);
+      const batches = m.calls.filter(c => Array.isArray(c.body));
+      assert.equal(batches.length, 1);
+      assert.equal(batches[0].body.length, 2);
+    });
+
+    it('should send callTools individually under 2025-06-18', async () => {
+      const m = createMockFetch({ 'contacts_get-contact': (args) => ({ id: args.contactId }) });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      const outcomes = await client.callTools([
+        { name: 'contacts_get-contact', arguments: { contactId: 'c1' } },
+        { name: 'contacts_get-contact', arguments: { contactId: 'c2' } },
+      ]);
+
+      assert.deepEqual(outcomes.map(o => JSON.parse(o.value.content[0].text).id), ['c1', 'c2']);
+      assert.equal(m.calls.filter(c => Array.isArray(c.body)).length, 0);
+      assert.equal(m.calls.filter(c => c.body.method === 'tools/call').length, 2);
+    });
+  });
+
   describe('close', () => {
     it('should reset client state', async () => {
       const m = createMockFetch();
-      globalThis.fetch = m.fetch;
 
-      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc' });
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
       await client.initialize();
       assert.equal(client.initialized, true);
 
@@ -135,16 +655,177 @@ describe('ghl-mcp-client', () => {
       assert.equal(client.initialized, false);
       assert.equal(client.sessionId, null);
     });
+
+    it('should send DELETE with the session id', async () => {
+      const m = createMockFetch();
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      await client.initialize();
+      await client.close();
+
+      const del = m.calls.find(c => c.method === 'DELETE');
+      assert.ok(del);
+      assert.equal(del.headers['Mcp-Session-Id'], MOCK_SESSION_ID);
+      assert.equal(del.headers.Authorization, 'Bearer test-token');
+      assert.deepEqual(m.sessions.terminated, [MOCK_SESSION_ID]);
+    });
+
+    it('should not send DELETE without a session', async () => {
+      const m = createMockFetch();
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      await client.close();
+      assert.equal(m.calls.length, 0);
+    });
+  });
+
+  describe('session expiry', () => {
+    it('should re-initialize and replay the request once on HTTP 404', async () => {
+      const m = createMockFetch({ expireSessionAfter: 1 });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      await client.callTool('contacts_get-contacts', {});
+      const result = await client.callTool('contacts_get-contacts', {});
+
+      assert.ok(result.content);
+      assert.equal(m.sessions.issued.length, 2);
+      assert.equal(client.sessionId, m.sessions.issued[1]);
+
+      const methods = m.calls.map(c => c.body.method);
+      assert.deepEqual(methods, [
+        'initialize', 'notifications/initialized', 'tools/call',
+        'tools/call', 'initialize', 'notifications/initialized', 'tools/call',
+      ]);
+    });
+
+    it('should share one re-initialize between concurrent requests', async () => {
+      const m = createMockFetch({ expireSessionAfter: 1 });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      await client.callTool('contacts_get-contacts', {});
+      await Promise.all([
+        client.callTool('contacts_get-contacts', {}),
+        client.callTool('opportunities_get-pipelines', {}),
+      ]);
+
+      assert.equal(m.sessions.issued.length, 2);
+    });
+
+    it('should not retry 404 without a session', async () => {
+      const m = createMockFetch({ httpError: 404 });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch: m.fetch });
+      await assert.rejects(client.initialize(), /MCP HTTP 404/);
+      assert.equal(m.calls.length, 1);
+    });
   });
 
   describe('error handling', () => {
     it('should throw on HTTP error', async () => {
       const m = createMockFetch({ httpError: 401 });
-      globalThis.fetch = m.fetch;
 
-      const client = createMcpClient({ token: 'bad-token', locationId: 'test-loc' });
+      const client = createMcpClient({ token: 'bad-token', locationId: 'test-loc', fetch: m.fetch });
       await assert.rejects(client.initialize(), /MCP HTTP 401/);
     });
+
+    it('should throw McpHttpError with status, headers and body', async () => {
+      const m = createMockFetch({ httpError: 401 });
+
+      const client = createMcpClient({ token: 'bad-token', locationId: 'test-loc', fetch: m.fetch });
+      await assert.rejects(client.initialize(), (err) => {
+        assert.ok(err instanceof McpHttpError);
+        assert.equal(err.status, 401);
+        assert.equal(err.body, 'Mock error');
+        assert.deepEqual(err.headers, {});
+        assert.equal(err.category, 'auth');
+        assert.equal(err.retryable, false);
+        return true;
+      });
+    });
+
+    it('should classify 5xx as retryable unavailability', () => {
+      const err = new McpHttpError(503, { body: 'down' });
+      assert.equal(err.category, 'unavailable');
+      assert.equal(err.retryable, true);
+      assert.equal(new McpHttpError(429).category, 'rate_limit');
+      assert.equal(new McpHttpError(404, { sessionId: 's1' }).category, 'session_expired');
+    });
+
+    it('should throw McpRpcError with JSON-RPC code and data', async () => {
+      const m = createMockFetch();
+      const fetch = async (url, options) => {
+        const body = JSON.parse(options.body);
+        if (body.method !== 'tools/call') return m.fetch(url, options);
+        const error = { code: -32602, message: 'Invalid params', data: { field: 'contactId' } };
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map([['content-type', 'application/json']]),
+          json: async () => ({ jsonrpc: '2.0', id: body.id, error }),
+        };
+      };
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch });
+      await assert.rejects(client.callTool('contacts_get-contact', {}), (err) => {
+        assert.ok(err instanceof McpRpcError);
+        assert.equal(err.code, -32602);
+        assert.deepEqual(err.data, { field: 'contactId' });
+        assert.equal(err.toolName, 'contacts_get-contact');
+        assert.equal(err.category, 'invalid_arguments');
+        assert.match(err.message, /tools\/call error \(contacts_get-contact\)/);
+        return true;
+      });
+    });
+
+    it('should throw McpToolError when the result has isError', async () => {
+      const m = createMockFetch();
+      const fetch = async (url, options) => {
+        const body = JSON.parse(options.body);
+        if (body.method !== 'tools/call') return m.fetch(url, options);
+        const result = { isError: true, content: [{ type: 'text', text: 'Request failed with status code 401' }] };
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map([['content-type', 'application/json']]),
+          json: async () => ({ jsonrpc: '2.0', id: body.id, result }),
+        };
+      };
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch });
+      await assert.rejects(client.callTool('contacts_get-contacts', {}), (err) => {
+        assert.ok(err instanceof McpToolError);
+        assert.equal(err.toolName, 'contacts_get-contacts');
+        assert.equal(err.status, 401);
+        assert.equal(err.category, 'auth');
+        return true;
+      });
+    });
+
+    it('should throw McpTimeoutError when the request times out', async () => {
+      const fetch = (url, options) => new Promise((_, reject) => {
+        options.signal.addEventListener('abort', () => reject(new DOMException('aborted', 'AbortError')));
+      });
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch, timeoutMs: 20 });
+      await assert.rejects(client.initialize(), (err) => {
+        assert.ok(err instanceof McpTimeoutError);
+        assert.equal(err.timeoutMs, 20);
+        assert.equal(err.retryable, true);
+        return true;
+      });
+    });
+
+    it('should throw McpConnectionError on network failure', async () => {
+      const fetch = async () => { throw new TypeError('fetch failed'); };
+
+      const client = createMcpClient({ token: 'test-token', locationId: 'test-loc', fetch });
+      await assert.rejects(client.initialize(), (err) => {
+        assert.ok(err instanceof McpConnectionError);
+        assert.equal(err.category, 'unavailable');
+        assert.ok(err.cause instanceof TypeError);
+        return true;
+      });
+    });
   });
 });
 
@@ -0,0 +1,213 @@
+/**
+ * Tests for shared/ghl-mcp-server.js
+ * Serves a small MCP server over node:http (ephemeral port) and PassThrough streams.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { PassThrough } from 'node:stream';
+import { createMcpServer, createHttpHandler, serveStdio, RpcError, RPC_ERRORS } from '../shared/ghl-mcp-server.js';
+import { createMcpClient } from '../shared/ghl-mcp-client.js';
+import { McpValidationError } from '../shared/ghl-errors.js';
+import { MCP_PROTOCOL_VERSION } from '../shared/ghl-protocol.js';
+
+function createEchoServer() {
+  return createMcpServer({
+    serverInfo: { name: 'echo', version: '0.0.1' },
+    handlers: {
+      'tools/list': () => ({ tools: [{ name: 'echo', inputSchema: { type: 'object' } }] }),
+      'tools/call': (params) => {
+        if (params.name === 'invalid') throw new McpValidationError('invalid', [{ path: 'a', message: 'is required' }]);
+        if (params.name === 'rpc') throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'nope', { hint: 1 });
+        if (params.name === 'boom') throw new Error('exploded');
+        return { content: [{ type: 'text', text: JSON.stringify(params.arguments) }] };
+      },
+    },
+  });
+}
+
+describe('ghl-mcp-server', () => {
+  describe('createMcpServer', () => {
+    const server = createEchoServer();
+
+    it('should answer initialize with the requested version when supported', async () => {
+      const res = await server.handle({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } });
+      assert.equal(res.result.protocolVersion, '2025-03-26');
+      assert.equal(res.result.serverInfo.name, 'echo');
+
+      const fallback = await server.handle({ jsonrpc: '2.0', id: 2, method: 'initialize', params: { protocolVersion: '1999-01-01' } });
+      assert.equal(fallback.result.protocolVersion, MCP_PROTOCOL_VERSION);
+    });
+
+    it('should not answer notifications', async () => {
+      assert.equal(await server.handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), undefined);
+    });
+
+    it('should map unknown methods and handler failures to JSON-RPC errors', async () => {
+      const unknown = await server.handle({ jsonrpc: '2.0', id: 1, method: 'nope/nope' });
+      assert.equal(unknown.error.code, RPC_ERRORS.METHOD_NOT_FOUND);
+
+      const call = (name) => server.handle({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name } });
+      assert.equal((await call('invalid')).error.code, RPC_ERRORS.INVALID_PARAMS);
+      assert.deepEqual((await call('rpc')).error, { code: RPC_ERRORS.INVALID_PARAMS, message: 'nope', data: { hint: 1 } });
+      assert.equal((await call('boom')).error.code, RPC_ERRORS.INTERNAL_ERROR);
+    });
+
+    it('should answer batches in order', async () => {
+      const res = await server.handle([
+        { jsonrpc: '2.0', id: 'a', method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: 'b', method: 'tools/list' },
+      ]);
+      assert.deepEqual(res.map(r => r.id), ['a', 'b']);
+    });
+  });
+
+  describe('createHttpHandler', () => {
+    let http;
+    let url;
+
+    before(async () => {
+      http = createServer(createHttpHandler(createEchoServer()));
+      await new Promise(resolve => http.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${http.address().port}/mcp`;
+    });
+
+    after(async () => {
+      http.closeAllConnections();
+      await new Promise(resolve => http.close(resolve));
+    });
+
+    it('should serve the MCP client end to end', async () => {
+      const client = createMcpClient({ token: 't', locationId: 'l', url });
+      const { serverInfo } = await client.initialize();
+      assert.equal(serverInfo.name, 'echo');
+      assert.ok(client.sessionId);
+
+      const result = await client.callTool('echo', { a: 1 });
+      assert.equal(result.content[0].text, '{"a":1}');
+      await client.close();
+    });
+
+    it('should require a known session after initialize', async () => {
+      const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' });
+      const headers = { 'Content-Type': 'application/json' };
+
+      const missing = await fetch(url, { method: 'POST', headers, body });
+      assert.equal(missing.status, 400);
+
+      const unknown = await fetch(url, { method: 'POST', headers: { ...headers, 'Mcp-Session-Id': 'gone' }, body });
+      assert.equal(unknown.status, 404);
+    });
+
+    it('should acknowledge notifications with 202 and end sessions on DELETE', async () => {
+      const headers = { 'Content-Type': 'application/json' };
+      const init = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }),
+      });
+      const sessionId = init.headers.get('mcp-session-id');
+      await init.json();
+
+      const note = await fetch(url, {
+        method: 'POST',
+        headers: { ...headers, 'Mcp-Session-Id': sessionId },
+        body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+      });
+      assert.equal(note.status, 202);
+
+      assert.equal((await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } })).status, 200);
+      assert.equal((await fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } })).status, 404);
+    });
+
+    it('should reject parse errors, GET streams, foreign origins and other paths', async () => {
+      const bad = await fetch(url, { method: 'POST', body: '{not json' });
+      assert.equal(bad.status, 400);
+      assert.equal((await bad.json()).error.code, RPC_ERRORS.PARSE_ERROR);
+
+      assert.equal((await fetch(url)).status, 405);
+      assert.equal((await fetch(url, { method: 'POST', headers: { Origin: 'https://evil.example' }, body: '{}' })).status, 403);
+      assert.equal((await fetch(url.replace('/mcp', '/other'))).status, 404);
+    });
+  });
+
+  describe('createHttpHandler sessions', () => {
+    let http;
+    let handler;
+    let url;
+    const headers = { 'Content-Type': 'application/json' };
+
+    before(async () => {
+      handler = createHttpHandler(createEchoServer(), { sessionIdleMs: 200, maxSessions: 2 });
+      http = createServer(handler);
+      await new Promise(resolve => http.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${http.address().port}/mcp`;
+    });
+
+    after(async () => {
+      http.closeAllConnections();
+      await new Promise(resolve => http.close(resolve));
+    });
+
+    async function initialize() {
+      const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }) });
+      await res.json();
+      return res.headers.get('mcp-session-id');
+    }
+
+    async function ping(sessionId) {
+      const res = await fetch(url, { method: 'POST', headers: { ...headers, 'Mcp-Session-Id': sessionId }, body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'ping' }) });
+      await res.text();
+      return res.status;
+    }
+
+    it('should end the least recently used session beyond maxSessions', async () => {
+      const first = await initialize();
+      const second = await initialize();
+      assert.equal(await ping(first), 200);
+
+      const third = await initialize();
+      assert.equal(handler.sessionCount(), 2);
+      assert.equal(await ping(second), 404);
+      assert.equal(await ping(first), 200);
+      assert.equal(await ping(third), 200);
+    });
+
+    it('should end sessions idle past sessionIdleMs while active ones stay', async () => {
+      const idle = await initialize();
+      const active = await initialize();
+      for (let i = 0; i < 5; i++) {
+        await new Promise(resolve => setTimeout(resolve, 60));
+        assert.equal(await ping(active), 200);
+      }
+
+      assert.equal(await ping(idle), 404);
+      assert.equal(handler.sessionCount(), 1);
+    });
+  });
+
+  describe('serveStdio', () => {
+    it('should answer newline-delimited JSON-RPC', async () => {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      const stdio = serveStdio(createEchoServer(), { input, output });
+
+      const lines = [];
+      output.on('data', chunk => lines.push(...chunk.toString().trim().split('\n')));
+
+      input.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+      input.write('not json\n');
+      input.write('{"jsonrpc":"2.0","id":7,"method":"ping"}\n');
+      input.end();
+      await stdio.closed;
+      await new Promise(resolve => setImmediate(resolve));
+
+      const messages = lines.map(l => JSON.parse(l));
+      assert.equal(messages.length, 2);
+      assert.equal(messages[0].error.code, RPC_ERRORS.PARSE_ERROR);
+      assert.deepEqual(messages[1], { jsonrpc: '2.0', id: 7, result: {} });
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for shared/ghl-metrics.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createMetricsRegistry, startMetricsServer, writeMetricsFile } from '../shared/ghl-metrics.js';
+import { McpHttpError } from '../shared/ghl-errors.js';
+
+describe('ghl-metrics', () => {
+  describe('createMetricsRegistry', () => {
+    it('should keep one series per label set', () => {
+      const registry = createMetricsRegistry();
+      const calls = registry.counter('calls_total', 'Calls');
+      calls.inc({ tool: 'a', location: 'main' });
+      calls.inc({ location: 'main', tool: 'a' }, 2);
+      calls.inc({ tool: 'b', location: 'main' });
+      registry.gauge('state', 'State').set({ location: 'main' }, 2);
+
+      const { counters, gauges } = registry.snapshot();
+      assert.deepEqual(counters.calls_total, [
+        { labels: { tool: 'a', location: 'main' }, value: 3 },
+        { labels: { tool: 'b', location: 'main' }, value: 1 },
+      ]);
+      assert.deepEqual(gauges.state, [{ labels: { location: 'main' }, value: 2 }]);
+    });
+
+    it('should count histogram observations into cumulative buckets', () => {
+      const registry = createMetricsRegistry();
+      const latency = registry.histogram('latency_seconds', 'Latency', { buckets: [0.1, 1] });
+      latency.observe({}, 0.05);
+      latency.observe({}, 0.5);
+      latency.observe({}, 3);
+
+      const [series] = registry.snapshot().histograms.latency_seconds;
+      assert.equal(series.count, 3);
+      assert.equal(series.sum, 3.55);
+      assert.deepEqual(series.buckets, { 0.1: 1, 1: 2 });
+    });
+
+    it('should return the existing metric when registered twice', () => {
+      const registry = createMetricsRegistry();
+      registry.counter('calls_total', 'Calls').inc();
+      registry.counter('calls_total', 'Calls').inc();
+
+      assert.equal(registry.snapshot().counters.calls_total[0].value, 2);
+      assert.throws(() => registry.gauge('calls_total', 'Calls'), /already a counter/);
+    });
+
+    it('should render the Prometheus text format', () => {
+      const registry = createMetricsRegistry();
+      registry.counter('calls_total', 'Calls').inc({ tool: 'say "hi"\n' });
+      registry.histogram('latency_seconds', 'Latency', { buckets: [1] }).observe({ tool: 'a' }, 0.5);
+      registry.gauge('unused', 'Never set');
+
+      assert.equal(registry.toPrometheus(), [
+        '# HELP calls_total Calls',
+        '# TYPE calls_total counter',
+        'calls_total{tool="say \\"hi\\"\\n"} 1',
+        '# HELP latency_seconds Latency',
+        '# TYPE latency_seconds histogram',
+        'latency_seconds_bucket{tool="a",le="1"} 1',
+        'latency_seconds_bucket{tool="a",le="+Inf"} 1',
+        'latency_seconds_sum{tool="a"} 0.5',
+        'latency_seconds_count{tool="a"} 1',
+        '',
+      ].join('\n'));
+    });
+
+    it('should clear series on reset', () => {
+      const registry = createMetricsRegistry();
+      registry.counter('calls_total', 'Calls').inc();
+      registry.reset();
+
+      assert.equal(registry.toPrometheus(), '');
+      registry.counter('calls_total', 'Calls').inc();
+      assert.equal(registry.snapshot().counters.calls_total[0].value, 1);
+    });
+  });
+
+  describe('spans', () => {
+    it('should record span durations and outcomes', async () => {
+      const registry = createMetricsRegistry();
+      assert.equal(await registry.withSpan('monitor.stale_leads', { location: 'main' }, async () => 'ok'), 'ok');
+      await assert.rejects(registry.withSpan('monitor.slow_responses', { location: 'main' }, async () => {
+        throw new McpHttpError(503);
+      }));
+
+      const { spans, histograms } = registry.snapshot();
+      assert.deepEqual(spans.map(s => [s.name, s.status]), [['monitor.stale_leads', 'ok'], ['monitor.slow_responses', 'error']]);
+      assert.equal(spans[1].category, 'unavailable');
+      assert.ok(spans[0].durationMs >= 0);
+      assert.deepEqual(histograms.ghl_span_duration_seconds.map(s => s.labels), [
+        { span: 'monitor.stale_leads', location: 'main', status: 'ok' },
+        { span: 'monitor.slow_responses', location: 'main', status: 'error' },
+      ]);
+    });
+
+    it('should keep only the most recent spans', () => {
+      const registry = createMetricsRegistry({ maxSpans: 2 });
+      for (const name of ['a', 'b', 'c']) registry.startSpan(name).end();
+
+      assert.deepEqual(registry.snapshot().spans.map(s => s.name), ['b', 'c']);
+    });
+  });
+
+  describe('startMetricsServer', () => {
+    it('should serve Prometheus text and the JSON snapshot', async () => {
+      const registry = createMetricsRegistry();
+      registry.counter('calls_total', 'Calls').inc({ location: 'main' });
+      const metrics = await startMetricsServer({ port: 0, registry });
+      try {
+        const text = await fetch(metrics.url);
+        assert.match(text.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+        assert.match(await text.text(), /^calls_total\{location="main"\} 1$/m);
+
+        const json = await (await fetch(`${metrics.url}.json`)).json();
+        assert.equal(json.counters.calls_total[0].value, 1);
+
+        assert.equal((await fetch(metrics.url.replace('/metrics', '/other'))).status, 404);
+        assert.equal((await fetch(metrics.url, { method: 'POST' })).status, 405);
+      } finally {
+        await metrics.close();
+      }
+    });
+  });
+
+  describe('writeMetricsFile', () => {
+    let dir;
+    beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'ghl-metrics-')); });
+    afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('should write the registry without leaving temp files', () => {
+      const registry = createMetricsRegistry();
+      registry.gauge('last_run', 'Last run').set({}, 42);
+      const file = join(dir, 'textfile', 'ghl.prom');
+
+      writeMetricsFile(file, registry);
+
+      assert.match(readFileSync(file, 'utf8'), /^last_run 42$/m);
+      assert.deepEqual(readdirSync(join(dir, 'textfile')), ['ghl.prom']);
+    });
+  });
+});
@@ -0,0 +1,544 @@
+/**
+ * Tests for shared/ghl-middleware.js
+ * Runs each built-in middleware inside a real client against the mock MCP server.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMcpClient } from '../shared/ghl-mcp-client.js';
+import {
+  composeMiddleware,
+  defaultMiddleware,
+  rateLimit,
+  retry,
+  circuitBreaker,
+  cache,
+  credits,
+  logging,
+  metrics,
+  redaction,
+  dryRun,
+  isReadOnlyTool,
+} from '../shared/ghl-middleware.js';
+import { createRateLimiter, createCircuitBreaker } from '../shared/ghl-utils.js';
+import { McpHttpError, McpToolError, McpCancelledError, McpCircuitOpenError } from '../shared/ghl-errors.js';
+import { createMetricsRegistry } from '../shared/ghl-metrics.js';
+import { createMockTransport } from './helpers/mock-server.js';
+
+function createClient(middleware, overrides) {
+  const m = createMockTransport(overrides);
+  const client = createMcpClient({ token: 't', locationId: 'l', transport: m.transport, middleware });
+  const sent = (method) => m.calls.filter(c => c.body.method === method);
+  return { client, transport: m.transport, sent };
+}
+
+/** Make the mock answer the named tool with an isError result. */
+function failTool(transport, toolName, text) {
+  const send = transport.send.bind(transport);
+  transport.send = async (message, options) => {
+    const response = await send(message, options);
+    if (message.params?.name !== toolName) return response;
+    return { ...response, result: { isError: true, content: [{ type: 'text', text }] } };
+  };
+}
+
+/** Fails the first `times` attempts with an HTTP error, then passes through. */
+function flaky(times, status = 503) {
+  let failures = 0;
+  return async (ctx, next) => {
+    if (failures < times) {
+      failures++;
+      throw new McpHttpError(status);
+    }
+    return next();
+  };
+}
+
+function captureLogs() {
+  const entries = [];
+  const logger = (level, msg, data) => entries.push({ level, msg, ...data });
+  return { entries, logger };
+}
+
+describe('ghl-middleware', () => {
+  describe('composeMiddleware', () => {
+    it('should run middleware in order around the exchange', async () => {
+      const order = [];
+      const mw = (name) => async (ctx, next) => {
+        order.push(`${name} in`);
+        const result = await next();
+        order.push(`${name} out`);
+        return result;
+      };
+      const run = composeMiddleware([mw('a'), mw('b')], async () => {
+        order.push('exchange');
+        return 'done';
+      });
+
+      assert.equal(await run({ state: {} }), 'done');
+      assert.deepEqual(order, ['a in', 'b in', 'exchange', 'b out', 'a out']);
+    });
+
+    it('should let middleware rewrite params and share state', async () => {
+      const run = composeMiddleware([
+        async (ctx, next) => {
+          ctx.params = { ...ctx.params, limit: 5 };
+          ctx.state.tagged = true;
+          return next();
+        },
+      ], async (ctx) => ({ params: ctx.params, tagged: ctx.state.tagged }));
+
+      assert.deepEqual(await run({ params: { query: 'x' }, state: {} }), { params: { query: 'x', limit: 5 }, tagged: true });
+    });
+  });
+
+  describe('client integration', () => {
+    it('should pass every request after initialize through the chain', async () => {
+      const seen = [];
+      const { client } = createClient([async (ctx, next) => {
+        seen.push(ctx.toolName ? `${ctx.method}:${ctx.toolName}` : ctx.method);
+        return next();
+      }]);
+
+      await client.listTools();
+      await client.callTool('contacts_get-contacts', { query: 'john' });
+      await client.close();
+
+      assert.deepEqual(seen, ['tools/list', 'tools/call:contacts_get-contacts']);
+    });
+
+    it('should surface isError tool results to middleware as McpToolError', async () => {
+      let caught;
+      const { client, transport } = createClient([async (ctx, next) => {
+        try {
+          return await next();
+        } catch (err) {
+          caught = err;
+          throw err;
+        }
+      }]);
+      failTool(transport, 'contacts_get-contact', 'Request failed with status code 404');
+
+      await assert.rejects(client.callTool('contacts_get-contact', { contactId: 'x' }), McpToolError);
+      assert.ok(caught instanceof McpToolError);
+      assert.equal(caught.status, 404);
+      await client.close();
+    });
+
+    it('should send calls one by one instead of batching when middleware is set', async () => {
+      const seen = [];
+      const { client } = createClient([async (ctx, next) => {
+        seen.push(ctx.toolName);
+        return next();
+      }], { protocolVersion: '2025-03-26' });
+
+      const outcomes = await client.callTools([
+        { name: 'contacts_get-contacts', arguments: {} },
+        { name: 'opportunities_get-pipelines', arguments: {} },
+      ]);
+
+      assert.deepEqual(outcomes.map(o => o.status), ['fulfilled', 'fulfilled']);
+      assert.deepEqual(seen.sort(), ['contacts_get-contacts', 'opportunities_get-pipelines']);
+      await client.close();
+    });
+  });
+
+  describe('rateLimit', () => {
+    it('should acquire a slot for every request', async () => {
+      const limiter = createRateLimiter();
+      const { client } = createClient([rateLimit(limiter)]);
+
+      await client.listTools();
+      await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      assert.equal(limiter.stats().dayCount, 2);
+    });
+  });
+
+  describe('retry', () => {
+    it('should retry retryable failures and rate limit each attempt', async () => {
+      const limiter = createRateLimiter();
+      const { client, sent } = createClient([retry({ baseDelayMs: 1 }), rateLimit(limiter), flaky(2)]);
+
+      const result = await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      assert.ok(result.content);
+      assert.equal(limiter.stats().dayCount, 3);
+      assert.equal(sent('tools/call').length, 1);
+    });
+
+    it('should retry tool results that carry a retryable status', async () => {
+      let attempts = 0;
+      const { client, transport } = createClient([retry({ baseDelayMs: 1 }), async (ctx, next) => {
+        attempts++;
+        return next();
+      }]);
+      failTool(transport, 'contacts_get-contacts', 'Request failed with status code 503');
+
+      await assert.rejects(client.callTool('contacts_get-contacts', {}), McpToolError);
+      assert.equal(attempts, 4);
+      await client.close();
+    });
+
+    it('should not retry non-retryable failures', async () => {
+      let attempts = 0;
+      const { client } = createClient([retry({ baseDelayMs: 1 }), async (ctx, next) => {
+        attempts++;
+        return next();
+      }, flaky(1, 401)]);
+
+      await assert.rejects(client.callTool('contacts_get-contacts', {}), McpHttpError);
+      assert.equal(attempts, 1);
+      await client.close();
+    });
+
+    it('should stop retrying when the call is cancelled', async () => {
+      const controller = new AbortController();
+      const { client } = createClient([retry({ baseDelayMs: 1000 }), flaky(5)]);
+      await client.initialize();
+
+      const pending = client.callTool('contacts_get-contacts', {}, { signal: controller.signal });
+      setTimeout(() => controller.abort(), 10);
+
+      await assert.rejects(pending, McpCancelledError);
+      await client.close();
+    });
+  });
+
+  describe('circuitBreaker', () => {
+    it('should stop retrying once the circuit opens', async () => {
+      let attempts = 0;
+      const breaker = createCircuitBreaker({ minRequests: 2, failureRate: 1 });
+      const { client, sent } = createClient([retry({ baseDelayMs: 1 }), circuitBreaker(breaker), async (ctx, next) => {
+        attempts++;
+        return next();
+      }, flaky(10)]);
+
+      await assert.rejects(client.callTool('contacts_get-contacts', {}), McpCircuitOpenError);
+      assert.equal(attempts, 2);
+      assert.equal(breaker.stats().state, 'open');
+      assert.equal(sent('tools/call').length, 0);
+      await client.close();
+    });
+  });
+
+  describe('cache', () => {
+    it('should cache list methods', async () => {
+      const cached = cache();
+      const { client, sent } = createClient([cached]);
+
+      const first = await client.listTools();
+      const second = await client.listTools();
+      assert.deepEqual(second, first);
+      assert.equal(sent('tools/list').length, 1);
+
+      cached.clear();
+      await client.listTools();
+      assert.equal(sent('tools/list').length, 2);
+      await client.close();
+    });
+
+    it('should drop one method\'s results on invalidateMethod', async () => {
+      const cached = cache({ tools: ['opportunities_get-pipelines'] });
+      const { client, sent } = createClient([cached]);
+
+      await client.listTools();
+      await client.callTool('opportunities_get-pipelines', {});
+      cached.invalidateMethod('tools/list');
+      await client.listTools();
+      await client.callTool('opportunities_get-pipelines', {});
+
+      assert.equal(sent('tools/list').length, 2);
+      assert.equal(sent('tools/call').length, 1);
+      await client.close();
+    });
+
+    it('should cache only the tools it is given, keyed by arguments', async () => {
+      const { client, sent } = createClient([cache({ tools: ['opportunities_get-pipelines'] })]);
+
+      await client.callTool('opportunities_get-pipelines', {});
+      await client.callTool('opportunities_get-pipelines', {});
+      await client.callTool('opportunities_get-pipelines', { locationId: 'other' });
+      await client.callTool('contacts_get-contacts', {});
+      await client.callTool('contacts_get-contacts', {});
+
+      const names = sent('tools/call').map(c => c.body.params.name);
+      assert.deepEqual(names, [
+        'opportunities_get-pipelines',
+        'opportunities_get-pipelines',
+        'contacts_get-contacts',
+        'contacts_get-contacts',
+      ]);
+      await client.close();
+    });
+
+    it('should apply per-tool TTLs', async () => {
+      const { client, sent } = createClient([cache({
+        tools: { 'opportunities_get-pipelines': { ttlMs: 60_000 }, 'contacts_get-contact': { ttlMs: 5 } },
+      })]);
+
+      await client.callTool('opportunities_get-pipelines', {});
+      await client.callTool('contacts_get-contact', { contactId: 'c1' });
+      await new Promise(resolve => setTimeout(resolve, 15));
+      await client.callTool('opportunities_get-pipelines', {});
+      await client.callTool('contacts_get-contact', { contactId: 'c1' });
+
+      const names = sent('tools/call').map(c => c.body.params.name);
+      assert.deepEqual(names, ['opportunities_get-pipelines', 'contacts_get-contact', 'contacts_get-contact']);
+      await client.close();
+    });
+
+    it('should serve stale results while refreshing them in the background', async () => {
+      let version = 0;
+      const cached = cache({ tools: { 'opportunities_get-pipelines': { ttlMs: 5, staleMs: 60_000 } } });
+      const { client, sent } = createClient([cached], {
+        'opportunities_get-pipelines': () => ({ version: ++version }),
+      });
+      const pipelines = async () => JSON.parse((await client.callTool('opportunities_get-pipelines', {})).content[0].text);
+
+      assert.deepEqual(await pipelines(), { version: 1 });
+      await new Promise(resolve => setTimeout(resolve, 15));
+      assert.deepEqual(await pipelines(), { version: 1 });
+      await cached.settle();
+      assert.deepEqual(await pipelines(), { version: 2 });
+
+      assert.equal(sent('tools/call').length, 2);
+      assert.equal(cached.stats().stale, 1);
+      await client.close();
+    });
+
+    it('should drop cached results of the domain a write tool changes', async () => {
+      const { client, sent } = createClient([cache({ tools: ['contacts_get-contact', 'opportunities_get-pipelines'] })]);
+      const reads = () => Promise.all([
+        client.callTool('contacts_get-contact', { contactId: 'c1' }),
+        client.callTool('opportunities_get-pipelines', {}),
+      ]);
+
+      await reads();
+      await client.callTool('contacts_add-tags', { contactId: 'c1', tags: ['VIP'] });
+      await reads();
+
+      const names = sent('tools/call').map(c => c.body.params.name).filter(n => n !== 'contacts_add-tags');
+      assert.deepEqual(names.sort(), ['contacts_get-contact', 'contacts_get-contact', 'opportunities_get-pipelines']);
+      await client.close();
+    });
+
+    it('should keep the pipelines when an opportunity moves', async () => {
+      const { client, sent } = createClient([cache({ tools: ['opportunities_get-pipelines', 'opportunities_search-opportunity'] })]);
+
+      await client.callTool('opportunities_get-pipelines', {});
+      await client.callTool('opportunities_search-opportunity', {});
+      await client.callTool('opportunities_update-opportunity', { id: 'o1', stageId: 's2' });
+      await client.callTool('opportunities_get-pipelines', {});
+      await client.callTool('opportunities_search-opportunity', {});
+
+      const names = sent('tools/call').map(c => c.body.params.name);
+      assert.deepEqual(names, [
+        'opportunities_get-pipelines',
+        'opportunities_search-opportunity',
+        'opportunities_update-opportunity',
+        'opportunities_search-opportunity',
+      ]);
+      await client.close();
+    });
+
+    it('should expire entries after ttlMs', async () => {
+      const { client, sent } = createClient([cache({ ttlMs: 5 })]);
+
+      await client.listTools();
+      await new Promise(resolve => setTimeout(resolve, 15));
+      await client.listTools();
+
+      assert.equal(sent('tools/list').length, 2);
+      await client.close();
+    });
+  });
+
+  describe('logging', () => {
+    it('should log failures with method, tool, category and status', async () => {
+      const { entries, logger } = captureLogs();
+      const { client, transport } = createClient([logging({ logger, context: { location: 'main' } })]);
+      failTool(transport, 'contacts_get-contact', 'Request failed with status code 401');
+
+      await assert.rejects(client.callTool('contacts_get-contact', { contactId: 'x' }));
+      await client.close();
+
+      assert.equal(entries.length, 1);
+      assert.equal(entries[0].level, 'error');
+      assert.equal(entries[0].msg, 'Tool call failed');
+      assert.equal(entries[0].location, 'main');
+      assert.equal(entries[0].tool, 'contacts_get-contact');
+      assert.equal(entries[0].category, 'auth');
+      assert.equal(entries[0].status, 401);
+      assert.equal(typeof entries[0].ms, 'number');
+    });
+
+    it('should skip successes unless successLevel is set', async () => {
+      const quiet = captureLogs();
+      const verbose = captureLogs();
+      const { client } = createClient([
+        logging({ logger: quiet.logger }),
+        logging({ logger: verbose.logger, successLevel: 'debug' }),
+      ]);
+
+      await client.listTools();
+      await client.close();
+
+      assert.equal(quiet.entries.length, 0);
+      assert.deepEqual(verbose.entries.map(e => [e.level, e.msg, e.method]), [['debug', 'MCP request', 'tools/list']]);
+    });
+
+    it('should not log cancellations', async () => {
+      const { entries, logger } = captureLogs();
+      const { client } = createClient([logging({ logger })]);
+      await client.initialize();
+
+      const controller = new AbortController();
+      controller.abort();
+      await assert.rejects(client.callTool('contacts_get-contacts', {}, { signal: controller.signal }), McpCancelledError);
+      await client.close();
+
+      assert.equal(entries.length, 0);
+    });
+  });
+
+  describe('metrics', () => {
+    it('should count calls, errors and durations per method and tool', async () => {
+      const counter = metrics();
+      const { client, transport } = createClient([counter]);
+      failTool(transport, 'contacts_get-contact', 'Request failed with status code 404');
+
+      await client.listTools();
+      await client.callTool('contacts_get-contacts', {});
+      await assert.rejects(client.callTool('contacts_get-contact', { contactId: 'x' }));
+      await client.close();
+
+      const { methods, tools } = counter.snapshot();
+      assert.equal(methods['tools/list'].calls, 1);
+      assert.equal(methods['tools/call'].calls, 2);
+      assert.equal(methods['tools/call'].errors, 1);
+      assert.equal(tools['contacts_get-contact'].errorsByCategory.tool, 1);
+      assert.equal(tools['contacts_get-contacts'].errors, 0);
+      assert.ok(methods['tools/call'].maxMs >= 0);
+
+      counter.reset();
+      assert.deepEqual(counter.snapshot(), { methods: {}, tools: {} });
+    });
+
+    it('should record requests, retries, waits, cache hits and credits in a registry', async () => {
+      const registry = createMetricsRegistry();
+      const ledger = { charge: async () => ({ status: 'ok' }), record: () => {} };
+      const { client } = createClient([
+        metrics({ registry, context: { location: 'main' } }),
+        cache({ tools: ['opportunities_get-pipelines'] }),
+        retry({ baseDelayMs: 1 }),
+        rateLimit(createRateLimiter({ maxPerWindow: 10, windowMs: 1000 })),
+        flaky(1),
+        credits({ ledger, location: 'main', logger: () => {} }),
+      ]);
+
+      await client.callTool('opportunities_get-pipelines', {});
+      await client.callTool('opportunities_get-pipelines', {});
+      await client.close();
+
+      const labels = { location: 'main', method: 'tools/call', tool: 'opportunities_get-pipelines' };
+      const { counters, histograms } = registry.snapshot();
+      assert.deepEqual(counters.ghl_mcp_requests_total, [{ labels: { ...labels, status: 'ok', category: '' }, value: 2 }]);
+      assert.deepEqual(counters.ghl_mcp_retries_total, [{ labels, value: 1 }]);
+      assert.deepEqual(counters.ghl_mcp_cache_hits_total, [{ labels, value: 1 }]);
+      assert.deepEqual(counters.ghl_ai_credits_total, [{ labels, value: 1 }]);
+      assert.equal(histograms.ghl_mcp_request_duration_seconds[0].count, 2);
+      assert.equal(histograms.ghl_rate_limit_wait_seconds[0].count, 1);
+    });
+
+    it('should label failures with their category', async () => {
+      const registry = createMetricsRegistry();
+      const { client, transport } = createClient([metrics({ registry })]);
+      failTool(transport, 'contacts_get-contact', 'Request failed with status code 401');
+
+      await assert.rejects(client.callTool('contacts_get-contact', { contactId: 'x' }));
+      await client.close();
+
+      const [series] = registry.snapshot().counters.ghl_mcp_requests_total;
+      assert.equal(series.labels.status, 'error');
+      assert.equal(series.labels.category, 'auth');
+    });
+  });
+
+  describe('redaction', () => {
+    it('should redact PII in tool results', async () => {
+      const { client } = createClient([redaction()]);
+
+      const result = await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      const text = result.content[0].text;
+      assert.ok(!text.includes('john@example.com'));
+      assert.match(text, /redacted-[0-9a-f]{8}@example\.invalid/);
+    });
+
+    it('should leave other methods alone', async () => {
+      const { client } = createClient([redaction()]);
+      const plain = createClient([]);
+
+      assert.deepEqual(await client.listTools(), await plain.client.listTools());
+      await client.close();
+      await plain.client.close();
+    });
+  });
+
+  describe('dryRun', () => {
+    it('should skip write tools and describe the call instead', async () => {
+      const { entries, logger } = captureLogs();
+      const { client, sent } = createClient([dryRun({ logger })]);
+
+      const result = await client.callTool('contacts_add-tags', { contactId: 'c1', tags: ['vip'] });
+      await client.close();
+
+      assert.deepEqual(JSON.parse(result.content[0].text), {
+        dryRun: true,
+        tool: 'contacts_add-tags',
+        arguments: { contactId: 'c1', tags: ['vip'] },
+      });
+      assert.equal(sent('tools/call').length, 0);
+      assert.equal(entries[0].tool, 'contacts_add-tags');
+    });
+
+    it('should still send reads', async () => {
+      const { client, sent } = createClient([dryRun({ logger: () => {} })]);
+
+      await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      assert.equal(sent('tools/call').length, 1);
+    });
+
+    it('should classify GHL tool names', () => {
+      assert.equal(isReadOnlyTool('contacts_get-contacts'), true);
+      assert.equal(isReadOnlyTool('conversations_search-conversation'), true);
+      assert.equal(isReadOnlyTool('payments_list-transactions'), true);
+      assert.equal(isReadOnlyTool('emails_fetch-template'), true);
+      assert.equal(isReadOnlyTool('blogs_check-url-slug-exists'), true);
+      assert.equal(isReadOnlyTool('contacts_upsert-contact'), false);
+      assert.equal(isReadOnlyTool('conversations_send-a-new-message'), false);
+      assert.equal(isReadOnlyTool('opportunities_update-opportunity'), false);
+    });
+  });
+
+  describe('defaultMiddleware', () => {
+    it('should log, retry and rate limit in that order', async () => {
+      const limiter = createRateLimiter();
+      const chain = defaultMiddleware({ limiter, retry: { baseDelayMs: 1 } });
+      const { client } = createClient([...chain, flaky(1)]);
+
+      await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      assert.equal(chain.length, 3);
+      assert.equal(chain[2].limiter, limiter);
+      assert.equal(limiter.stats().dayCount, 2);
+    });
+  });
+});
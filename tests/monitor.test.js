@@ -1,20 +1,23 @@
 /**
  * Tests for openclaw-skill/ghl_monitor.js
- * Uses node:test + mock fetch.
+ * Uses node:test + an in-memory mock MCP server.
  */
 
-import { describe, it, before, after } from 'node:test';
+import { describe, it, before } from 'node:test';
 import assert from 'node:assert/strict';
-import { createMockFetch, MOCK_CONTACTS, MOCK_PIPELINES, MOCK_OPPORTUNITIES } from './helpers/mock-fetch.js';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createMockTransport, MOCK_CONTACTS, MOCK_PIPELINES, MOCK_OPPORTUNITIES } from './helpers/mock-server.js';
+import { McpCancelledError, McpConnectionError, McpHttpError } from '../shared/ghl-errors.js';
+import { getLocationBreaker } from '../shared/ghl-utils.js';
+import { createMetricsRegistry } from '../shared/ghl-metrics.js';
+import { createCreditLedger } from '../shared/ghl-credits.js';
 
-let checkStaleLeads, checkPipelineBottlenecks, formatSummary;
+let checkStaleLeads, checkPipelineBottlenecks, checkSlowResponses, runAllChecks, formatSummary;
 
 describe('ghl_monitor', () => {
   before(async () => {
-    const m = createMockFetch();
-    globalThis._originalFetch = globalThis.fetch;
-    globalThis.fetch = m.fetch;
-
     // Suppress stderr logging during tests
     const origWrite = process.stderr.write;
     process.stderr.write = () => true;
@@ -22,27 +25,23 @@ describe('ghl_monitor', () => {
     const mod = await import('../openclaw-skill/ghl_monitor.js');
     checkStaleLeads = mod.checkStaleLeads;
     checkPipelineBottlenecks = mod.checkPipelineBottlenecks;
+    checkSlowResponses = mod.checkSlowResponses;
+    runAllChecks = mod.runAllChecks;
     formatSummary = mod.formatSummary;
 
     process.stderr.write = origWrite;
   });
 
-  after(() => {
-    globalThis.fetch = globalThis._originalFetch;
-  });
-
   describe('checkStaleLeads', () => {
     it('should identify stale contacts', async () => {
-      const m = createMockFetch();
-      globalThis.fetch = m.fetch;
+      const m = createMockTransport();
 
-      // Import actions fresh with mocked fetch
       const { createActions } = await import('../openclaw-skill/ghl_actions.js');
       const actions = createActions({
         token: 'test-token',
         locationId: 'test-loc',
         alias: 'test',
-      });
+      }, { transport: m.transport });
 
       const result = await checkStaleLeads(actions, { thresholds: { stale_lead_hours: 48 } });
 
@@ -60,17 +59,128 @@ describe('ghl_monitor', () => {
     });
   });
 
+  describe('checkStaleLeads pagination', () => {
+    it('should scan contacts beyond the first page', async () => {
+      const old = '2020-01-01T00:00:00Z';
+      const m = createMockTransport({
+        'contacts_get-contacts': (args) => {
+          const start = args.startAfterId ? parseInt(args.startAfterId.slice(1)) : 0;
+          const count = Math.min(args.limit, 230 - start);
+          const contacts = Array.from({ length: count }, (_, i) => ({ id: `c${start + i + 1}`, lastActivity: old }));
+          return { contacts, meta: { total: 230 } };
+        },
+      });
+
+      const { createActions } = await import('../openclaw-skill/ghl_actions.js');
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test' }, { transport: m.transport });
+
+      const result = await checkStaleLeads(actions, { thresholds: { stale_lead_hours: 48 } });
+
+      assert.equal(result.count, 230);
+      assert.equal(result.hasMore, true);
+
+      await actions.close();
+    });
+  });
+
+  describe('business time', () => {
+    it('should measure stale leads in business hours when the clock says so', async () => {
+      const lastActivity = new Date(Date.now() - 30 * 3600_000).toISOString();
+      const m = createMockTransport({
+        'contacts_get-contacts': () => ({ contacts: [{ id: 'c1', firstName: 'Weekend', lastActivity }], meta: { total: 1 } }),
+      });
+
+      const { createActions } = await import('../openclaw-skill/ghl_actions.js');
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test' }, { transport: m.transport });
+
+      const wall = await checkStaleLeads(actions, { thresholds: { stale_lead_hours: 24 } });
+      // Open one hour a week, so 30 wall-clock hours hold at most one business hour
+      const business = await checkStaleLeads(actions, {
+        thresholds: { stale_lead_hours: 24, clock: { stale_lead_hours: 'business' } },
+        business_hours: { timezone: 'UTC', hours: { mon: '09:00-10:00' } },
+      });
+
+      assert.equal(wall.count, 1);
+      assert.equal(wall.threshold, '24h');
+      assert.equal(business.count, 0);
+      assert.equal(business.threshold, '24h (business)');
+
+      await actions.close();
+    });
+
+    it('should show stuck opportunities\' age in business time too', async () => {
+      const m = createMockTransport();
+      const { createActions } = await import('../openclaw-skill/ghl_actions.js');
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test' }, { transport: m.transport });
+
+      const result = await checkPipelineBottlenecks(actions, {
+        thresholds: { stuck_opportunity_days: 7, clock: { stuck_opportunity_days: 'business' } },
+        business_hours: { timezone: 'America/Denver' },
+      });
+
+      assert.equal(result.threshold, '7d (business)');
+      const items = result.bottlenecks.flatMap(b => b.items);
+      assert.ok(items.length > 0);
+      assert.ok(items.every(item => item.stuckSince.endsWith(' (business)')));
+
+      await actions.close();
+    });
+
+    it('should refuse business time without a time zone', async () => {
+      const m = createMockTransport();
+      const { createActions } = await import('../openclaw-skill/ghl_actions.js');
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test' }, { transport: m.transport });
+
+      await assert.rejects(
+        checkStaleLeads(actions, { thresholds: { clock: { stale_lead_hours: 'business' } } }),
+        /business_hours\.timezone is not set/,
+      );
+
+      await actions.close();
+    });
+
+    it('should not count a weekend against a first response', async () => {
+      const m = createMockTransport({
+        'contacts_get-contacts': () => ({ contacts: [{ id: 'c1', firstName: 'Friday' }], meta: { total: 1 } }),
+        'conversations_search-conversation': () => ({ conversations: [{ id: 'conv1' }] }),
+        // Friday 6 PM to Monday 9:10 AM in New York
+        'conversations_get-messages': () => ({
+          messages: {
+            messages: [
+              { direction: 'inbound', dateAdded: '2026-10-16T22:00:00Z' },
+              { direction: 'outbound', dateAdded: '2026-10-19T13:10:00Z' },
+            ],
+          },
+        }),
+      });
+
+      const { createActions } = await import('../openclaw-skill/ghl_actions.js');
+      const actions = createActions({ token: 'test-token', locationId: 'test-loc', alias: 'test' }, { transport: m.transport });
+
+      const wall = await checkSlowResponses(actions, { thresholds: { slow_response_minutes: 30 } });
+      const business = await checkSlowResponses(actions, {
+        thresholds: { slow_response_minutes: 30, clock: { slow_response_minutes: 'business' } },
+        business_hours: { timezone: 'America/New_York' },
+      });
+
+      assert.equal(wall.count, 1);
+      assert.equal(business.count, 0);
+      assert.equal(business.threshold, '30m (business)');
+
+      await actions.close();
+    });
+  });
+
   describe('checkPipelineBottlenecks', () => {
     it('should detect stuck opportunities', async () => {
-      const m = createMockFetch();
-      globalThis.fetch = m.fetch;
+      const m = createMockTransport();
 
       const { createActions } = await import('../openclaw-skill/ghl_actions.js');
       const actions = createActions({
         token: 'test-token',
         locationId: 'test-loc',
         alias: 'test',
-      });
+      }, { transport: m.transport });
 
       const result = await checkPipelineBottlenecks(actions, { thresholds: { stuck_opportunity_days: 7 } });
 
@@ -82,6 +192,98 @@ describe('ghl_monitor', () => {
     });
   });
 
+  describe('runAllChecks cancellation', () => {
+    it('should cancel in-flight checks and close the session', async () => {
+      const m = createMockTransport({ unanswered: ['contacts_get-contacts', 'opportunities_search-opportunity'] });
+      const controller = new AbortController();
+      const config = { locations: { test: { token: 'test-token', locationId: 'test-loc', alias: 'test', name: 'Test' } } };
+
+      const origWrite = process.stderr.write;
+      process.stderr.write = () => true;
+      try {
+        const run = runAllChecks(config, 'test', { transport: m.transport, signal: controller.signal });
+        setTimeout(() => controller.abort('received SIGTERM'), 20);
+        await assert.rejects(run, (err) => err instanceof McpCancelledError && err.reason === 'received SIGTERM');
+      } finally {
+        process.stderr.write = origWrite;
+      }
+
+      assert.ok(m.calls.some(c => c.body.method === 'notifications/cancelled'));
+      await assert.rejects(m.transport.send({ jsonrpc: '2.0', id: 'after', method: 'ping' }), McpConnectionError);
+    });
+  });
+
+  describe('runAllChecks spans', () => {
+    it('should trace each check', async () => {
+      const m = createMockTransport();
+      const metrics = createMetricsRegistry();
+      const config = { locations: { test: { token: 't', locationId: 'l', alias: 'test', name: 'Test' } } };
+
+      await runAllChecks(config, 'test', { transport: m.transport, metrics });
+
+      const { spans, counters } = metrics.snapshot();
+      assert.deepEqual(spans.map(s => s.name).sort(), [
+        'monitor.missed_followups',
+        'monitor.pipeline_bottlenecks',
+        'monitor.slow_responses',
+        'monitor.stale_leads',
+      ]);
+      assert.ok(spans.every(s => s.status === 'ok' && s.attributes.location === 'test'));
+      assert.ok(counters.ghl_mcp_requests_total.every(c => c.labels.location === 'test'));
+    });
+  });
+
+  describe('runAllChecks credits', () => {
+    it('should record each check\'s calls under its own caller', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'ghl-monitor-credits-'));
+      try {
+        const m = createMockTransport();
+        const ledger = createCreditLedger({ file: join(dir, 'credits.jsonl') });
+        const config = { locations: { test: { token: 't', locationId: 'l', alias: 'test', name: 'Test' } } };
+
+        await runAllChecks(config, 'test', { transport: m.transport, ledger, caller: 'monitor' });
+
+        const callers = new Set(ledger.entries().map(e => `${e.caller} ${e.tool}`));
+        assert.ok(callers.has('monitor.stale_leads contacts_get-contacts'), [...callers].join(', '));
+        assert.ok(callers.has('monitor.pipeline_bottlenecks opportunities_get-pipelines'));
+        assert.ok([...callers].every(c => /^monitor\.(stale_leads|missed_followups|pipeline_bottlenecks|slow_responses) /.test(c)));
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('runAllChecks circuit breaker', () => {
+    it('should fail fast and report one line while GHL is unavailable', async () => {
+      const m = createMockTransport();
+      const circuit = { min_requests: 1, failure_rate: 1, cooldown_ms: 60_000 };
+      const config = {
+        locations: { outage: { token: 't', locationId: 'l', alias: 'outage', name: 'Outage', circuit_breaker: circuit } },
+      };
+
+      const origWrite = process.stderr.write;
+      process.stderr.write = () => true;
+      let results;
+      try {
+        const breaker = getLocationBreaker('outage', circuit);
+        await assert.rejects(breaker.exec(async () => { throw new McpHttpError(503); }));
+        results = await runAllChecks(config, 'outage', { transport: m.transport });
+      } finally {
+        process.stderr.write = origWrite;
+      }
+
+      assert.equal(m.calls.filter(c => c.body.method === 'tools/call').length, 0);
+      assert.match(results.unavailable.error, /GHL unavailable for 'outage'/);
+      assert.ok(results.unavailable.retryInMs > 0);
+
+      const lines = results.summary.split('\n');
+      assert.equal(lines.filter(l => l.includes('GHL unavailable')).length, 1);
+      assert.ok(lines.some(l => l.includes('4 checks skipped')));
+      assert.ok(!results.summary.includes('Error —'));
+      assert.ok(!results.summary.includes('All clear'));
+    });
+  });
+
   describe('formatSummary', () => {
     it('should format results into readable text', () => {
       const results = {
@@ -0,0 +1,37 @@
+/**
+ * Tests for shared/ghl-protocol.js
+ * Uses node:test.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  MCP_PROTOCOL_VERSION,
+  isSupportedProtocolVersion,
+  protocolFeatures,
+  pickProtocolVersion,
+} from '../shared/ghl-protocol.js';
+
+describe('ghl-protocol', () => {
+  it('should offer the newest supported version by default', () => {
+    assert.equal(MCP_PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS[0]);
+    assert.ok(isSupportedProtocolVersion('2025-03-26'));
+    assert.equal(isSupportedProtocolVersion('2099-01-01'), false);
+    assert.equal(isSupportedProtocolVersion(undefined), false);
+  });
+
+  it('should pick the newest version both sides support', () => {
+    assert.equal(pickProtocolVersion(['2024-11-05', '2025-03-26']), '2025-03-26');
+    assert.equal(pickProtocolVersion(['2099-01-01']), null);
+    assert.equal(pickProtocolVersion(), null);
+  });
+
+  it('should gate features per version', () => {
+    assert.equal(protocolFeatures('2025-06-18').structuredOutput, true);
+    assert.equal(protocolFeatures('2025-06-18').batching, false);
+    assert.equal(protocolFeatures('2025-03-26').batching, true);
+    assert.equal(protocolFeatures('2025-03-26').protocolHeader, false);
+    assert.deepEqual(Object.values(protocolFeatures('1999-01-01')), [false, false, false, false]);
+  });
+});
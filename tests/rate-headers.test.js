@@ -0,0 +1,212 @@
+/**
+ * Tests for shared/ghl-rate-headers.js and the limiter throttling it drives.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRetryAfter, parseRateLimitHeaders } from '../shared/ghl-rate-headers.js';
+import { createRateLimiter, withRetry } from '../shared/ghl-utils.js';
+import { rateLimit, retry } from '../shared/ghl-middleware.js';
+import { createMcpClient } from '../shared/ghl-mcp-client.js';
+import { McpHttpError } from '../shared/ghl-errors.js';
+import { createMockFetch } from './helpers/mock-fetch.js';
+
+/** Mock fetch whose tools/call responses carry `headers`; the first `failures` calls get a 429. */
+function fetchWithHeaders(headers, { failures = 0 } = {}) {
+  const mock = createMockFetch();
+  let failed = 0;
+  const fetch = async (url, options) => {
+    const response = await mock.fetch(url, options);
+    if (JSON.parse(options.body || '{}').method !== 'tools/call') return response;
+    if (failed < failures) {
+      failed++;
+      return { ok: false, status: 429, headers: new Map(Object.entries(headers)), text: async () => 'Too many requests' };
+    }
+    return { ...response, headers: new Map([...response.headers, ...Object.entries(headers)]) };
+  };
+  return { fetch, calls: mock.calls };
+}
+
+describe('ghl-rate-headers', () => {
+  let origWrite;
+
+  before(() => {
+    // Suppress retry warnings
+    origWrite = process.stderr.write;
+    process.stderr.write = () => true;
+  });
+
+  after(() => {
+    process.stderr.write = origWrite;
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should read seconds and HTTP dates', () => {
+      const now = Date.parse('2026-01-01T00:00:00Z');
+      assert.equal(parseRetryAfter('7'), 7000);
+      assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30_000);
+      assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now), 0);
+    });
+
+    it('should ignore missing and malformed values', () => {
+      assert.equal(parseRetryAfter(undefined), undefined);
+      assert.equal(parseRetryAfter(''), undefined);
+      assert.equal(parseRetryAfter('soon'), undefined);
+    });
+  });
+
+  describe('parseRateLimitHeaders', () => {
+    it('should read GHL\'s interval and daily quota', () => {
+      assert.deepEqual(parseRateLimitHeaders({
+        'x-ratelimit-max': '100',
+        'x-ratelimit-remaining': '42',
+        'x-ratelimit-interval-milliseconds': '10000',
+        'x-ratelimit-limit-daily': '200000',
+        'x-ratelimit-daily-remaining': '150000',
+      }), { limit: 100, remaining: 42, resetMs: 10_000, dailyLimit: 200_000, dailyRemaining: 150_000 });
+    });
+
+    it('should read reset as seconds or as a Unix timestamp', () => {
+      const now = 1_700_000_000_000;
+      assert.equal(parseRateLimitHeaders({ 'ratelimit-reset': '5' }, now).resetMs, 5000);
+      assert.equal(parseRateLimitHeaders({ 'x-ratelimit-reset': '1700000003' }, now).resetMs, 3000);
+    });
+
+    it('should return null without rate-limit headers', () => {
+      assert.equal(parseRateLimitHeaders({ 'content-type': 'application/json' }), null);
+      assert.equal(parseRateLimitHeaders(), null);
+    });
+  });
+
+  describe('limiter.observe', () => {
+    it('should adopt the server\'s remaining quota', async () => {
+      const limiter = createRateLimiter({ maxPerWindow: 100, maxPerDay: 1000 });
+      await limiter.observe({ 'x-ratelimit-remaining': '10', 'x-ratelimit-daily-remaining': '400' });
+
+      const stats = limiter.stats();
+      assert.equal(stats.windowRemaining, 10);
+      assert.equal(stats.dayRemaining, 400);
+      assert.equal(stats.server.remaining, 10);
+      assert.equal(typeof stats.server.observedAt, 'number');
+    });
+
+    it('should never raise the quota above the local count', async () => {
+      const limiter = createRateLimiter({ maxPerWindow: 5 });
+      await limiter.acquire();
+      await limiter.acquire();
+      await limiter.observe({ 'x-ratelimit-remaining': '5' });
+      assert.equal(limiter.stats().windowRemaining, 3);
+    });
+
+    it('should pause for Retry-After', async () => {
+      const limiter = createRateLimiter();
+      await limiter.observe({ 'retry-after': '0.06' });
+      assert.ok(limiter.stats().pausedMs > 0);
+
+      const started = Date.now();
+      await limiter.acquire();
+      assert.ok(Date.now() - started >= 50);
+      assert.equal(limiter.stats().pausedMs, 0);
+    });
+
+    it('should pause until the window resets when none remain', async () => {
+      const limiter = createRateLimiter();
+      await limiter.observe({ 'x-ratelimit-remaining': '0', 'x-ratelimit-interval-milliseconds': '60' });
+
+      const started = Date.now();
+      await limiter.acquire();
+      assert.ok(Date.now() - started >= 50);
+      assert.equal(limiter.stats().windowRemaining, 99);
+    });
+
+    it('should spread the remaining requests across the window instead of pausing', async () => {
+      const limiter = createRateLimiter({ maxPerWindow: 5 });
+      await limiter.observe({ 'x-ratelimit-remaining': '4', 'x-ratelimit-interval-milliseconds': '200' });
+      assert.equal(limiter.stats().pausedMs, 0);
+
+      const started = Date.now();
+      await limiter.acquire();
+      assert.ok(Date.now() - started < 40, 'the first request goes straight out');
+      for (let i = 0; i < 3; i++) await limiter.acquire();
+
+      // Four requests 50ms apart, and the local window (5 per 10s) is not used up by the server's figure
+      const elapsed = Date.now() - started;
+      assert.ok(elapsed >= 140 && elapsed < 1000, `took ${elapsed}ms`);
+      assert.equal(limiter.stats().windowRemaining, 1);
+    });
+
+    it('should stop spreading once the server\'s window has passed', async () => {
+      const limiter = createRateLimiter();
+      await limiter.observe({ 'x-ratelimit-remaining': '1', 'x-ratelimit-interval-milliseconds': '30' });
+      await limiter.acquire();
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      const started = Date.now();
+      for (let i = 0; i < 5; i++) await limiter.acquire();
+      assert.ok(Date.now() - started < 25);
+    });
+
+    it('should ignore responses without rate-limit headers', async () => {
+      const limiter = createRateLimiter();
+      await limiter.observe({});
+      await limiter.observe(undefined);
+      assert.equal(limiter.stats().server, null);
+    });
+  });
+
+  describe('withRetry', () => {
+    it('should wait as long as Retry-After asks', async () => {
+      let attempts = 0;
+      const started = Date.now();
+      await withRetry(async () => {
+        if (++attempts < 2) throw new McpHttpError(429, { headers: { 'retry-after': '0.05' } });
+      }, { baseDelayMs: 5000 });
+
+      const elapsed = Date.now() - started;
+      assert.ok(elapsed >= 45 && elapsed < 1000, `waited ${elapsed}ms`);
+    });
+
+    it('should give up when Retry-After exceeds maxRetryAfterMs', async () => {
+      let attempts = 0;
+      await assert.rejects(withRetry(async () => {
+        attempts++;
+        throw new McpHttpError(429, { headers: { 'retry-after': '3600' } });
+      }, { baseDelayMs: 1 }), (err) => err.retryAfterMs === 3_600_000);
+      assert.equal(attempts, 1);
+    });
+  });
+
+  describe('rateLimit middleware', () => {
+    it('should feed response headers to the limiter', async () => {
+      const limiter = createRateLimiter({ maxPerWindow: 100 });
+      const { fetch } = fetchWithHeaders({ 'x-ratelimit-max': '100', 'x-ratelimit-remaining': '17' });
+      const client = createMcpClient({ token: 't', locationId: 'l', fetch, middleware: [rateLimit(limiter)] });
+
+      await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      assert.equal(limiter.stats().windowRemaining, 17);
+      assert.equal(limiter.stats().server.limit, 100);
+    });
+
+    it('should pause the limiter on a 429 with Retry-After and retry after it', async () => {
+      const limiter = createRateLimiter();
+      const { fetch, calls } = fetchWithHeaders({ 'retry-after': '0.05' }, { failures: 1 });
+      const client = createMcpClient({
+        token: 't',
+        locationId: 'l',
+        fetch,
+        middleware: [retry({ baseDelayMs: 5000 }), rateLimit(limiter)],
+      });
+
+      const started = Date.now();
+      const result = await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      assert.ok(result.content);
+      assert.ok(Date.now() - started >= 45);
+      assert.equal(calls.filter(c => c.body.method === 'tools/call').length, 2);
+      assert.equal(limiter.stats().server.retryAfterMs, 50);
+    });
+  });
+});
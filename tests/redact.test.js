@@ -0,0 +1,65 @@
+/**
+ * Tests for shared/ghl-redact.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact, redactText } from '../shared/ghl-redact.js';
+
+describe('ghl-redact', () => {
+  it('should replace PII fields with stable, well-formed placeholders', () => {
+    const contact = { id: 'c1', firstName: 'John', email: 'john@example.com', phone: '+15551234567', tags: ['VIP'] };
+    const out = redact(contact);
+
+    assert.equal(out.id, 'c1');
+    assert.deepEqual(out.tags, ['VIP']);
+    assert.match(out.firstName, /^Name-[0-9a-f]{8}$/);
+    assert.match(out.email, /^redacted-[0-9a-f]{8}@example\.invalid$/);
+    assert.match(out.phone, /^\+1555\d{7}$/);
+    assert.deepEqual(redact(contact), out);
+    assert.notEqual(redact({ email: 'jane@example.com' }).email, out.email);
+  });
+
+  it('should drop secrets but keep progress tokens', () => {
+    const out = redact({ token: 'pit-123', headers: { Authorization: 'Bearer abc' }, _meta: { progressToken: 'progress-1' } });
+    assert.equal(out.token, '[redacted]');
+    assert.equal(out.headers.Authorization, '[redacted]');
+    assert.equal(out._meta.progressToken, 'progress-1');
+  });
+
+  it('should redact inside JSON text and free text', () => {
+    const result = { content: [{ type: 'text', text: JSON.stringify({ contact: { lastName: 'Doe', city: 'Austin' } }) }] };
+    const inner = JSON.parse(redact(result).content[0].text);
+    assert.match(inner.contact.lastName, /^Name-/);
+    assert.match(inner.contact.city, /^\[redacted:/);
+
+    const text = redactText('Call +1 555 123 4567 or (555) 123-4567, mail a@b.co, Bearer xyz.123, pit-abcdef1234');
+    assert.doesNotMatch(text, /123 4567|123-4567|a@b\.co|xyz\.123|pit-abcdef/);
+  });
+
+  it('should leave dates, ids and JSON-RPC error messages alone', () => {
+    const out = redact({
+      dateAdded: '2025-01-15T10:00:00Z',
+      protocolVersion: '2025-06-18',
+      error: { code: -32602, message: 'Invalid params' },
+      name: 'contacts_get-contacts',
+    });
+    assert.equal(out.dateAdded, '2025-01-15T10:00:00Z');
+    assert.equal(out.protocolVersion, '2025-06-18');
+    assert.equal(out.error.message, 'Invalid params');
+    assert.equal(out.name, 'contacts_get-contacts');
+  });
+
+  it('should redact chosen fields, custom field entries and extra patterns', () => {
+    const out = redact({
+      ssn: '123-45-6789',
+      customFields: [{ id: 'cf_medicare', value: '1EG4-TE5-MK72' }, { id: 'cf_source', value: 'web' }],
+      note: 'Policy POL-99812 renewed',
+    }, { fields: ['ssn', 'cf_medicare'], patterns: [[/POL-\d+/g, '[policy]']] });
+
+    assert.match(out.ssn, /^\[redacted:/);
+    assert.match(out.customFields[0].value, /^\[redacted:/);
+    assert.equal(out.customFields[1].value, 'web');
+    assert.equal(out.note, 'Policy [policy] renewed');
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for shared/ghl-scheduler.js
+ * Small windows (tens of ms) keep the queueing observable but fast.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, getLocationScheduler } from '../shared/ghl-scheduler.js';
+import { createRateLimiter } from '../shared/ghl-utils.js';
+import { schedule, defaultMiddleware } from '../shared/ghl-middleware.js';
+import { createMcpClient } from '../shared/ghl-mcp-client.js';
+import { McpCancelledError } from '../shared/ghl-errors.js';
+import { createMockTransport } from './helpers/mock-server.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+describe('ghl-scheduler', () => {
+  describe('createScheduler', () => {
+    it('should never let concurrent requests exceed the window', async () => {
+      const limiter = createRateLimiter({ maxPerWindow: 3, windowMs: 100 });
+      const scheduler = createScheduler(limiter);
+      const started = [];
+
+      const all = Array.from({ length: 5 }, (_, i) => scheduler.schedule(async () => started.push(i)));
+      await delay(20);
+
+      assert.deepEqual(started, [0, 1, 2]);
+      assert.equal(limiter.stats().windowRemaining, 0);
+      assert.equal(scheduler.stats().queueDepth, 2);
+
+      await Promise.all(all);
+      assert.deepEqual(started, [0, 1, 2, 3, 4]);
+    });
+
+    it('should serve one priority class first come first served', async () => {
+      const scheduler = createScheduler(createRateLimiter({ maxPerWindow: 1, windowMs: 20 }));
+      const order = [];
+
+      await Promise.all([1, 2, 3, 4].map(n => scheduler.schedule(async () => order.push(n))));
+
+      assert.deepEqual(order, [1, 2, 3, 4]);
+    });
+
+    it('should put interactive requests ahead of queued bulk ones', async () => {
+      const scheduler = createScheduler(createRateLimiter({ maxPerWindow: 1, windowMs: 30 }));
+      const order = [];
+      const run = (name, priority) => scheduler.schedule(async () => order.push(name), { priority });
+
+      const pending = [run('bulk-1', 'bulk'), run('bulk-2', 'bulk'), run('bulk-3', 'bulk')];
+      await delay(5);
+      pending.push(run('normal', 'normal'), run('interactive', 'interactive'));
+      await Promise.all(pending);
+
+      assert.deepEqual(order, ['bulk-1', 'interactive', 'normal', 'bulk-2', 'bulk-3']);
+    });
+
+    it('should cap requests in flight per caller without blocking others', async () => {
+      const scheduler = createScheduler(createRateLimiter(), { concurrency: { monitor: 1 } });
+      const first = deferred();
+      const order = [];
+
+      const scans = [
+        scheduler.schedule(async () => { order.push('scan-1'); await first.promise; }, { caller: 'monitor' }),
+        scheduler.schedule(async () => order.push('scan-2'), { caller: 'monitor' }),
+      ];
+      const agent = scheduler.schedule(async () => order.push('agent'), { caller: 'actions' });
+
+      await agent;
+      assert.deepEqual(order, ['scan-1', 'agent']);
+      assert.deepEqual(scheduler.stats().inFlight, { monitor: 1 });
+      assert.equal(scheduler.stats().queued.normal, 1);
+
+      first.resolve();
+      await Promise.all(scans);
+      assert.deepEqual(order, ['scan-1', 'agent', 'scan-2']);
+      assert.deepEqual(scheduler.stats().inFlight, {});
+    });
+
+    it('should release the slot when the request fails', async () => {
+      const scheduler = createScheduler(createRateLimiter(), { concurrency: { monitor: 1 } });
+
+      await assert.rejects(scheduler.schedule(async () => { throw new Error('boom'); }, { caller: 'monitor' }), /boom/);
+      assert.equal(await scheduler.schedule(async () => 'next', { caller: 'monitor' }), 'next');
+    });
+
+    it('should drop cancelled requests from the queue', async () => {
+      const scheduler = createScheduler(createRateLimiter({ maxPerWindow: 1, windowMs: 50 }));
+      const controller = new AbortController();
+      let ran = false;
+
+      await scheduler.schedule(async () => {});
+      const pending = scheduler.schedule(async () => { ran = true; }, { signal: controller.signal });
+      await delay(5);
+      controller.abort('user left');
+
+      await assert.rejects(pending, McpCancelledError);
+      assert.equal(ran, false);
+      assert.equal(scheduler.stats().queueDepth, 0);
+    });
+
+    it('should reject waiters once the daily quota is spent', async () => {
+      const scheduler = createScheduler(createRateLimiter({ maxPerDay: 1 }));
+
+      await scheduler.schedule(async () => {});
+      await assert.rejects(scheduler.schedule(async () => {}), /Daily rate limit reached \(1\)/);
+    });
+
+    it('should reject unknown priorities', async () => {
+      const scheduler = createScheduler(createRateLimiter());
+      await assert.rejects(scheduler.schedule(async () => {}, { priority: 'urgent' }), /Unknown priority 'urgent'/);
+    });
+
+    it('should report waits and queue depth per priority', async () => {
+      const scheduler = createScheduler(createRateLimiter({ maxPerWindow: 1, windowMs: 20 }));
+
+      await Promise.all([
+        scheduler.schedule(async () => {}),
+        scheduler.schedule(async () => {}, { priority: 'bulk' }),
+      ]);
+      const stats = scheduler.stats();
+
+      assert.equal(stats.queueDepth, 0);
+      assert.deepEqual(stats.queued, { interactive: 0, normal: 0, bulk: 0 });
+      assert.equal(stats.waits.count, 2);
+      assert.ok(stats.waits.maxMs >= 15);
+      assert.equal(typeof stats.limiter.dayCount, 'number');
+    });
+  });
+
+  describe('getLocationScheduler', () => {
+    it('should return one scheduler per location and config', () => {
+      const a = getLocationScheduler('sched-a', { max_per_window: 5 });
+      assert.equal(getLocationScheduler('sched-a', { max_per_window: 5 }), a);
+      assert.notEqual(getLocationScheduler('sched-b', { max_per_window: 5 }), a);
+      assert.notEqual(getLocationScheduler('sched-a', { max_per_window: 6 }), a);
+    });
+  });
+
+  describe('schedule middleware', () => {
+    it('should queue every client request through the scheduler', async () => {
+      const scheduler = createScheduler(createRateLimiter());
+      const m = createMockTransport();
+      const client = createMcpClient({
+        token: 't',
+        locationId: 'l',
+        transport: m.transport,
+        middleware: [schedule(scheduler, { priority: 'interactive', caller: 'test' })],
+      });
+
+      await client.listTools();
+      await client.callTool('contacts_get-contacts', {});
+      await client.close();
+
+      assert.equal(scheduler.stats().waits.count, 2);
+      assert.equal(scheduler.limiter.stats().dayCount, 2);
+    });
+
+    it('should replace rateLimit in defaultMiddleware when given a scheduler', () => {
+      const scheduler = createScheduler(createRateLimiter());
+      const chain = defaultMiddleware({ scheduler });
+      assert.equal(chain[2].scheduler, scheduler);
+    });
+  });
+});
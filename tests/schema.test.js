@@ -0,0 +1,120 @@
+/**
+ * Tests for shared/ghl-schema.js
+ * Uses node:test (zero test dependencies).
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, applyDefaults } from '../shared/ghl-schema.js';
+
+const CONTACT_SCHEMA = {
+  type: 'object',
+  required: ['contactId'],
+  properties: {
+    contactId: { type: 'string' },
+    limit: { type: 'integer' },
+    status: { type: 'string', enum: ['open', 'won', 'lost'] },
+    email: { type: 'string', format: 'email' },
+    dueDate: { type: 'string', format: 'date-time' },
+    tags: { type: 'array', items: { type: 'string' } },
+    address: {
+      type: 'object',
+      properties: { city: { type: 'string' }, postalCode: { type: ['string', 'null'] } },
+    },
+  },
+};
+
+describe('validateSchema', () => {
+  it('should accept valid arguments', () => {
+    const errors = validateSchema(CONTACT_SCHEMA, {
+      contactId: 'c1',
+      limit: 10,
+      status: 'open',
+      email: 'john@example.com',
+      dueDate: '2025-01-15T10:00:00Z',
+      tags: ['a', 'b'],
+      address: { city: 'Austin', postalCode: null },
+    });
+    assert.deepEqual(errors, []);
+  });
+
+  it('should report missing required properties', () => {
+    const errors = validateSchema(CONTACT_SCHEMA, {});
+    assert.deepEqual(errors, [{ path: 'contactId', message: 'is required' }]);
+  });
+
+  it('should suggest the intended property for a typo', () => {
+    const errors = validateSchema(CONTACT_SCHEMA, { contactID: 'c1' });
+    assert.equal(errors.length, 2);
+    assert.equal(errors[1].path, 'contactID');
+    assert.match(errors[1].message, /did you mean 'contactId'/);
+  });
+
+  it('should check types, integers and enums', () => {
+    const errors = validateSchema(CONTACT_SCHEMA, { contactId: 42, limit: 1.5, status: 'closed' });
+    assert.deepEqual(errors.map(e => e.path), ['contactId', 'limit', 'status']);
+    assert.match(errors[0].message, /expected string, got integer/);
+    assert.match(errors[2].message, /must be one of "open", "won", "lost"/);
+  });
+
+  it('should check email and date-time formats', () => {
+    const errors = validateSchema(CONTACT_SCHEMA, { contactId: 'c1', email: 'not-an-email', dueDate: 'tomorrow' });
+    assert.deepEqual(errors.map(e => e.path), ['email', 'dueDate']);
+  });
+
+  it('should validate array items and nested objects with paths', () => {
+    const errors = validateSchema(CONTACT_SCHEMA, { contactId: 'c1', tags: ['ok', 7], address: { city: 1 } });
+    assert.deepEqual(errors.map(e => e.path), ['tags[1]', 'address.city']);
+  });
+
+  it('should allow unknown properties when the schema declares none', () => {
+    assert.deepEqual(validateSchema({ type: 'object', properties: {} }, { anything: 1 }), []);
+  });
+
+  it('should honor additionalProperties', () => {
+    const schema = { type: 'object', properties: { a: { type: 'string' } }, additionalProperties: { type: 'number' } };
+    assert.deepEqual(validateSchema(schema, { a: 'x', b: 2 }), []);
+    assert.equal(validateSchema(schema, { b: 'y' }).length, 1);
+    assert.equal(validateSchema({ type: 'object', additionalProperties: false }, { b: 1 }).length, 1);
+  });
+});
+
+describe('validateSchema bounds and patterns', () => {
+  it('should check minimum, maximum and pattern', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        rate: { type: 'number', minimum: 0, maximum: 1 },
+        time: { type: 'string', pattern: '^\\d{2}:\\d{2}$' },
+      },
+    };
+
+    assert.deepEqual(validateSchema(schema, { rate: 0.5, time: '08:00' }), []);
+    assert.deepEqual(validateSchema(schema, { rate: 2, time: '8am' }), [
+      { path: 'rate', message: 'must be <= 1, got 2' },
+      { path: 'time', message: 'must match ^\\d{2}:\\d{2}$, got "8am"' },
+    ]);
+    assert.deepEqual(validateSchema(schema, { rate: -1 }), [{ path: 'rate', message: 'must be >= 0, got -1' }]);
+  });
+
+  it('should not enforce patterns JavaScript cannot compile', () => {
+    assert.deepEqual(validateSchema({ type: 'string', pattern: '(?<' }, 'x'), []);
+  });
+});
+
+describe('applyDefaults', () => {
+  it('should fill missing properties, nested ones included, without touching the input', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        thresholds: { type: 'object', default: {}, properties: { hours: { type: 'number', default: 48 } } },
+        items: { type: 'object', additionalProperties: { type: 'object', properties: { on: { type: 'boolean', default: true } } } },
+      },
+    };
+    const value = { items: { a: {}, b: { on: false } } };
+
+    assert.deepEqual(applyDefaults(schema, value), { items: { a: { on: true }, b: { on: false } }, thresholds: { hours: 48 } });
+    assert.deepEqual(value, { items: { a: {}, b: { on: false } } });
+    assert.deepEqual(applyDefaults(schema, { thresholds: { hours: 12 } }).thresholds, { hours: 12 });
+  });
+});
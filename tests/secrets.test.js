@@ -0,0 +1,144 @@
+/**
+ * Tests for shared/ghl-secrets.js
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createSecretResolver, parseDotEnv, secretOptions } from '../shared/ghl-secrets.js';
+import { saveLocationStore } from '../shared/ghl-location-store.js';
+import { redactText } from '../shared/ghl-redact.js';
+
+describe('ghl-secrets', () => {
+  let dir;
+
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'ghl-secrets-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  describe('parseDotEnv', () => {
+    it('should parse assignments, quotes, comments and export', () => {
+      const vars = parseDotEnv([
+        '# PIT tokens',
+        'GHL_PIT_MAIN=pit-abc123',
+        'export GHL_LOCATION_MAIN = loc_1  # main account',
+        'QUOTED="two\\nlines"',
+        "SINGLE='kept \\n as is'",
+        'EMPTY=',
+        'not a variable',
+      ].join('\n'));
+
+      assert.deepEqual(vars, {
+        GHL_PIT_MAIN: 'pit-abc123',
+        GHL_LOCATION_MAIN: 'loc_1',
+        QUOTED: 'two\nlines',
+        SINGLE: 'kept \\n as is',
+        EMPTY: '',
+      });
+    });
+  });
+
+  describe('createSecretResolver', () => {
+    it('should pass through literals and non-strings', () => {
+      const secrets = createSecretResolver({ env: {} });
+      assert.equal(secrets.resolve('pit-literal'), 'pit-literal');
+      assert.equal(secrets.resolve('https://example.com'), 'https://example.com');
+      assert.equal(secrets.resolve('UNKNOWN:thing'), 'UNKNOWN:thing');
+      assert.equal(secrets.resolve(undefined), undefined);
+    });
+
+    it('should read ENV: from the environment, then the .env file', () => {
+      const envFile = join(dir, '.env');
+      writeFileSync(envFile, 'GHL_PIT_MAIN=from-file\nGHL_PIT_OTHER=other-file\n');
+      const secrets = createSecretResolver({ env: { GHL_PIT_MAIN: 'from-env' }, envFile });
+
+      assert.equal(secrets.resolve('ENV:GHL_PIT_MAIN'), 'from-env');
+      assert.equal(secrets.resolve('ENV:GHL_PIT_OTHER'), 'other-file');
+      assert.throws(() => secrets.resolve('ENV:MISSING'), /Environment variable MISSING not set/);
+    });
+
+    it('should read FILE: paths, relative ones from CREDENTIALS_DIRECTORY', () => {
+      writeFileSync(join(dir, 'ghl-token'), 'pit-from-file\n');
+      const secrets = createSecretResolver({ env: { CREDENTIALS_DIRECTORY: dir } });
+
+      assert.equal(secrets.resolve(`FILE:${join(dir, 'ghl-token')}`), 'pit-from-file');
+      assert.equal(secrets.resolve('FILE:ghl-token'), 'pit-from-file');
+      assert.throws(() => secrets.resolve('FILE:missing'), /Cannot read secret file .*missing: ENOENT/);
+    });
+
+    it('should read STORE: fields from the encrypted location store', () => {
+      const storeFile = join(dir, 'locations.enc');
+      saveLocationStore({ main: { token: 'pit-stored', locationId: 'loc_main' } }, 'pw', storeFile);
+      const secrets = createSecretResolver({ env: { GHL_ENCRYPTION_PASSWORD: 'pw' }, storeFile });
+
+      assert.equal(secrets.resolve('STORE:main.token'), 'pit-stored');
+      assert.equal(secrets.resolve('STORE:main.locationId'), 'loc_main');
+      assert.throws(() => secrets.resolve('STORE:other.token'), /Location 'other' not found/);
+      assert.throws(() => secrets.resolve('STORE:main'), /must be <alias>\.<field>/);
+
+      const wrong = createSecretResolver({ env: {}, password: 'nope', storeFile });
+      assert.throws(() => wrong.resolve('STORE:main.token'), /Cannot decrypt/);
+      const missing = createSecretResolver({ env: {}, storeFile });
+      assert.throws(() => missing.resolve('STORE:main.token'), /GHL_ENCRYPTION_PASSWORD is not set/);
+    });
+
+    it('should run CMD: helpers and report failures without their output', () => {
+      const secrets = createSecretResolver({ env: { PATH: process.env.PATH } });
+
+      assert.equal(secrets.resolve('CMD:echo pit-from-helper'), 'pit-from-helper');
+      assert.throws(() => secrets.resolve('CMD:echo oops >&2; exit 3'), /Secret command failed \(exit 3: oops\)/);
+      assert.throws(() => secrets.resolve('CMD:true'), /resolved to an empty value/);
+    });
+
+    it('should cache secrets until cleared', () => {
+      const file = join(dir, 'token');
+      writeFileSync(file, 'first');
+      const secrets = createSecretResolver({ env: {} });
+
+      assert.equal(secrets.resolve(`FILE:${file}`), 'first');
+      writeFileSync(file, 'second');
+      assert.equal(secrets.resolve(`FILE:${file}`), 'first');
+
+      secrets.clear();
+      assert.equal(secrets.resolve(`FILE:${file}`), 'second');
+    });
+
+    it('should re-resolve once the cache entry expires', async () => {
+      const file = join(dir, 'token');
+      writeFileSync(file, 'first');
+      const secrets = createSecretResolver({ env: {}, cacheTtlMs: 10 });
+
+      assert.equal(secrets.resolve(`FILE:${file}`), 'first');
+      writeFileSync(file, 'second');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert.equal(secrets.resolve(`FILE:${file}`), 'second');
+    });
+
+    it('should accept custom sources', () => {
+      const secrets = createSecretResolver({ env: {} });
+      secrets.register('VAULT', (path) => `vault-secret-for-${path}`);
+
+      assert.equal(secrets.resolve('VAULT:ghl/main'), 'vault-secret-for-ghl/main');
+      assert.throws(() => secrets.register('vault', () => ''), /Invalid secret prefix/);
+    });
+
+    it('should mask resolved secrets in redacted text', () => {
+      const secrets = createSecretResolver({ env: { ODD_SECRET: 'plain-looking-value-42' } });
+      secrets.resolve('ENV:ODD_SECRET');
+
+      assert.equal(redactText('sent plain-looking-value-42 upstream'), 'sent [redacted] upstream');
+    });
+  });
+
+  describe('secretOptions', () => {
+    it('should map config.json secrets to resolver options', () => {
+      assert.deepEqual(secretOptions({ env_file: '/root/.openclaw/.env', cache_ttl_ms: 1000 }), {
+        envFile: '/root/.openclaw/.env',
+        storeFile: undefined,
+        cacheTtlMs: 1000,
+        commandTimeoutMs: undefined,
+      });
+    });
+  });
+});
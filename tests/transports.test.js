@@ -0,0 +1,216 @@
+/**
+ * Tests for shared/ghl-transports.js
+ * Uses node:test + the mock MCP server over in-memory, stdio and mock-fetch HTTP transports.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import {
+  createHttpTransport,
+  createStdioTransport,
+  createInMemoryTransportPair,
+  createSSEParser,
+} from '../shared/ghl-transports.js';
+import { createMcpClient } from '../shared/ghl-mcp-client.js';
+import { McpConnectionError, McpTimeoutError } from '../shared/ghl-errors.js';
+import { createMockTransport, MOCK_CONTACTS } from './helpers/mock-server.js';
+import { createMockFetch, MOCK_SESSION_ID } from './helpers/mock-fetch.js';
+
+const STDIO_SERVER = fileURLToPath(new URL('./helpers/stdio-server.js', import.meta.url));
+const CLOSED_STDIN_SERVER = fileURLToPath(new URL('./helpers/closed-stdin-server.js', import.meta.url));
+
+describe('ghl-transports', () => {
+  describe('createSSEParser', () => {
+    it('should emit events as they complete across chunk boundaries', () => {
+      const events = [];
+      const parser = createSSEParser(e => events.push(e));
+
+      parser.push('id: 1\ndata: {"a"');
+      assert.equal(events.length, 0);
+      parser.push(':1}\n\nid: 2\r');
+      assert.deepEqual(events, [{ id: '1', event: 'message', data: '{"a":1}' }]);
+      parser.push('\ndata: x\r\n\r\n');
+
+      assert.equal(events.length, 2);
+      assert.equal(events[1].id, '2');
+      assert.equal(parser.lastEventId, '2');
+    });
+
+    it('should join multi-line data and read event, retry and comments', () => {
+      const events = [];
+      const parser = createSSEParser(e => events.push(e));
+
+      parser.push(': keep-alive\nevent: note\nretry: 250\ndata: line1\ndata: line2\n\n');
+
+      assert.deepEqual(events, [{ id: null, event: 'note', data: 'line1\nline2' }]);
+      assert.equal(parser.retry, 250);
+    });
+
+    it('should flush a final event without a trailing blank line', () => {
+      const events = [];
+      const parser = createSSEParser(e => events.push(e), { lastEventId: 'prev' });
+
+      parser.push('data: tail');
+      parser.end();
+
+      assert.deepEqual(events, [{ id: 'prev', event: 'message', data: 'tail' }]);
+    });
+  });
+
+  describe('createInMemoryTransportPair', () => {
+    it('should correlate responses to requests by id', async () => {
+      const [client, server] = createInMemoryTransportPair();
+      server.onmessage = (message) => server.send({ jsonrpc: '2.0', id: message.id, result: { echo: message.params } });
+
+      const [a, b] = await Promise.all([
+        client.send({ jsonrpc: '2.0', id: 1, method: 'echo', params: { n: 1 } }),
+        client.send({ jsonrpc: '2.0', id: 2, method: 'echo', params: { n: 2 } }),
+      ]);
+
+      assert.deepEqual(a.result.echo, { n: 1 });
+      assert.deepEqual(b.result.echo, { n: 2 });
+    });
+
+    it('should deliver notifications to onmessage without waiting for a response', async () => {
+      const [client, server] = createInMemoryTransportPair();
+      const received = [];
+      server.onmessage = (message) => received.push(message);
+
+      const result = await client.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+      await new Promise(resolve => setImmediate(resolve));
+
+      assert.equal(result, undefined);
+      assert.equal(received[0].method, 'notifications/initialized');
+    });
+
+    it('should time out requests that get no response', async () => {
+      const [client] = createInMemoryTransportPair({ timeoutMs: 20 });
+      await assert.rejects(
+        client.send({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+        (err) => err instanceof McpTimeoutError && err.category === 'timeout',
+      );
+    });
+
+    it('should reject pending and later requests after close', async () => {
+      const [client] = createInMemoryTransportPair();
+      const pending = client.send({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+      await client.close();
+
+      await assert.rejects(pending, McpConnectionError);
+      await assert.rejects(client.send({ jsonrpc: '2.0', id: 2, method: 'tools/list' }), McpConnectionError);
+    });
+
+    it('should drive the MCP client end to end', async () => {
+      const m = createMockTransport();
+      const client = createMcpClient({ transport: m.transport });
+
+      const { tools } = await client.listTools();
+      assert.ok(tools.length > 0);
+      assert.equal(client.sessionId, null);
+
+      const result = await client.callTool('contacts_get-contacts', { query: 'test' });
+      assert.deepEqual(JSON.parse(result.content[0].text), MOCK_CONTACTS);
+
+      await client.close();
+    });
+  });
+
+  describe('createHttpTransport', () => {
+    it('should track the session id and terminate it on close', async () => {
+      const m = createMockFetch();
+      const transport = createHttpTransport({ url: 'http://mock/mcp', headers: { Authorization: 'Bearer t' }, fetch: m.fetch });
+
+      const response = await transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+      assert.ok(response.result);
+      assert.equal(transport.sessionId, MOCK_SESSION_ID);
+
+      await transport.close();
+      assert.deepEqual(m.sessions.terminated, [MOCK_SESSION_ID]);
+      assert.equal(transport.sessionId, null);
+    });
+  });
+
+  describe('createStdioTransport', () => {
+    it('should require a command', () => {
+      assert.throws(() => createStdioTransport({}), /requires a command/);
+    });
+
+    it('should talk to a local MCP server process', async () => {
+      const transport = createStdioTransport({ command: process.execPath, args: [STDIO_SERVER], timeoutMs: 10_000 });
+      const client = createMcpClient({ transport });
+
+      try {
+        const { tools } = await client.listTools();
+        assert.ok(tools.some(t => t.name === 'contacts_get-contacts'));
+
+        const result = await client.callTool('contacts_get-contacts', { query: 'test' });
+        const { contacts } = JSON.parse(result.content[0].text);
+        assert.deepEqual(contacts.map(c => c.id), MOCK_CONTACTS.contacts.map(c => c.id));
+      } finally {
+        await client.close();
+      }
+    });
+
+    it('should start a fresh process on the first request after close', async () => {
+      const transport = createStdioTransport({ command: process.execPath, args: [STDIO_SERVER], timeoutMs: 10_000 });
+      const client = createMcpClient({ transport });
+
+      try {
+        await client.listTools();
+        await client.close();
+
+        const { tools } = await client.listTools();
+        assert.ok(tools.some(t => t.name === 'contacts_get-contacts'));
+      } finally {
+        await client.close();
+      }
+    });
+
+    it('should kill a process that ignores its stdin closing and SIGTERM', async () => {
+      // Answers the first request with its pid once SIGTERM is ignored
+      const script = `
+        process.on('SIGTERM', () => {});
+        process.stdin.once('data', (line) => {
+          const { id } = JSON.parse(line);
+          process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id, result: { pid: process.pid } }) + '\\n');
+        });
+        setInterval(() => {}, 1000);
+      `;
+      const transport = createStdioTransport({
+        command: process.execPath,
+        args: ['-e', script],
+        timeoutMs: 10_000,
+        killTimeoutMs: 100,
+      });
+      const { result } = await transport.send({ jsonrpc: '2.0', id: 1, method: 'ping' });
+
+      const started = Date.now();
+      await transport.close();
+      assert.ok(Date.now() - started >= 190, 'waited out SIGTERM first');
+      assert.throws(() => process.kill(result.pid, 0), { code: 'ESRCH' });
+    });
+
+    it('should fail requests when the server has closed its stdin', async () => {
+      const transport = createStdioTransport({ command: process.execPath, args: [CLOSED_STDIN_SERVER], timeoutMs: 10_000, killTimeoutMs: 100 });
+      const request = (id) => transport.send({ jsonrpc: '2.0', id, method: 'ping' });
+
+      // The first write may land before the server closes fd 0; one soon fails with EPIPE
+      await assert.rejects(async () => {
+        for (let id = 1; id <= 50; id++) {
+          await Promise.race([request(id), new Promise(resolve => setTimeout(resolve, 20))]);
+        }
+      }, McpConnectionError);
+      await transport.close();
+    });
+
+    it('should fail requests when the process cannot be started', async () => {
+      const transport = createStdioTransport({ command: '/nonexistent/mcp-server', timeoutMs: 10_000 });
+      await assert.rejects(
+        transport.send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }),
+        McpConnectionError,
+      );
+      await transport.close();
+    });
+  });
+});
@@ -0,0 +1,336 @@
+/**
+ * Tests for shared/ghl-utils.js
+ * Uses node:test (zero test dependencies).
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  withRetry,
+  createRateLimiter,
+  createCircuitBreaker,
+  getLocationBreaker,
+  createToolCache,
+  log,
+  configureLogger,
+} from '../shared/ghl-utils.js';
+import {
+  McpHttpError,
+  McpToolError,
+  McpCancelledError,
+  McpCircuitOpenError,
+  McpTimeoutError,
+} from '../shared/ghl-errors.js';
+import { metricsRegistry } from '../shared/ghl-metrics.js';
+
+describe('ghl-utils', () => {
+  let origWrite;
+
+  before(() => {
+    // Suppress retry warnings
+    origWrite = process.stderr.write;
+    process.stderr.write = () => true;
+  });
+
+  after(() => {
+    process.stderr.write = origWrite;
+  });
+
+  describe('createRateLimiter', () => {
+    it('should not let concurrent waiters overrun the next window', async () => {
+      const limiter = createRateLimiter({ maxPerWindow: 2, windowMs: 40 });
+      let granted = 0;
+      const all = Array.from({ length: 5 }, () => limiter.acquire().then(() => granted++));
+
+      // Windows open at ~0ms and ~90ms (wait + 50ms margin), the third at ~180ms
+      await new Promise(resolve => setTimeout(resolve, 135));
+      assert.equal(granted, 4);
+      await Promise.all(all);
+      assert.equal(limiter.stats().dayCount, 5);
+    });
+  });
+
+  describe('log', () => {
+    /** Run fn with stderr captured; returns the parsed entries. */
+    function captureStderr(fn) {
+      const lines = [];
+      const write = process.stderr.write;
+      process.stderr.write = (line) => lines.push(line);
+      try {
+        fn();
+      } finally {
+        process.stderr.write = write;
+      }
+      return lines.map(line => JSON.parse(line));
+    }
+
+    it('should mask tokens, bearer headers, emails and phones', () => {
+      const [entry] = captureStderr(() => log('info', 'Upserting contact', {
+        email: 'jane@example.com',
+        phone: '+15551234567',
+        error: 'MCP HTTP 401: Bearer pit-abcdef123456 rejected for jane@example.com',
+      }));
+
+      assert.equal(entry.msg, 'Upserting contact');
+      assert.match(entry.email, /^redacted-[0-9a-f]{8}@example\.invalid$/);
+      assert.doesNotMatch(JSON.stringify(entry), /jane@example\.com|5551234567|abcdef123456/);
+    });
+
+    it('should attach the run\'s correlation id to every entry', () => {
+      const entries = captureStderr(() => {
+        log('info', 'first');
+        log('warn', 'second');
+      });
+      assert.ok(entries[0].runId);
+      assert.equal(entries[1].runId, entries[0].runId);
+    });
+
+    it('should drop entries below GHL_LOG_LEVEL', () => {
+      process.env.GHL_LOG_LEVEL = 'warn';
+      try {
+        const entries = captureStderr(() => {
+          log('debug', 'noise');
+          log('info', 'progress');
+          log('warn', 'slow');
+          log('error', 'failed');
+        });
+        assert.deepEqual(entries.map(e => e.msg), ['slow', 'failed']);
+      } finally {
+        delete process.env.GHL_LOG_LEVEL;
+      }
+      assert.deepEqual(captureStderr(() => log('debug', 'noise')), []);
+    });
+
+    it('should apply configured level, run id and fields', () => {
+      const before = configureLogger({ level: 'error', runId: 'run-42', fields: ['cf_medicare'] });
+      try {
+        const entries = captureStderr(() => {
+          log('warn', 'skipped');
+          log('error', 'Upsert failed', { customFields: [{ id: 'cf_medicare', value: '1EG4-TE5-MK72' }] });
+        });
+        assert.equal(entries.length, 1);
+        assert.equal(entries[0].runId, 'run-42');
+        assert.match(entries[0].customFields[0].value, /^\[redacted:/);
+      } finally {
+        configureLogger(before);
+      }
+    });
+  });
+
+  describe('createToolCache', () => {
+    it('should evict the least recently used entry beyond maxEntries', () => {
+      const cache = createToolCache({ maxEntries: 2 });
+      cache.set('a', 1);
+      cache.set('b', 2);
+      cache.get('a');
+      cache.set('c', 3);
+
+      assert.equal(cache.get('a'), 1);
+      assert.equal(cache.get('b'), undefined);
+      assert.equal(cache.get('c'), 3);
+    });
+
+    it('should stay under maxBytes and skip values larger than it', () => {
+      const cache = createToolCache({ maxBytes: 15 });
+      cache.set('a', 'x'.repeat(8));
+      cache.set('b', 'y'.repeat(8));
+      cache.set('huge', 'z'.repeat(50));
+
+      assert.equal(cache.get('a'), undefined);
+      assert.equal(cache.get('b'), 'y'.repeat(8));
+      assert.equal(cache.get('huge'), undefined);
+      assert.ok(cache.stats().bytes <= 15);
+    });
+
+    it('should report entries as stale after their TTL until the stale window ends', async () => {
+      const cache = createToolCache({ ttlMs: 20, staleMs: 300 });
+      cache.set('k', 'v');
+      assert.deepEqual(cache.lookup('k'), { value: 'v', stale: false });
+
+      await new Promise(resolve => setTimeout(resolve, 40));
+      assert.deepEqual(cache.lookup('k'), { value: 'v', stale: true });
+      assert.equal(cache.get('k'), undefined);
+
+      await new Promise(resolve => setTimeout(resolve, 320));
+      assert.equal(cache.lookup('k'), undefined);
+    });
+
+    it('should invalidate by key or predicate and accept a bare TTL', () => {
+      const cache = createToolCache(60_000);
+      cache.set('tools/call contacts_get-contact {}', 1);
+      cache.set('tools/call contacts_get-contacts {}', 2);
+      cache.set('tools/list {}', 3);
+
+      cache.invalidate('tools/list {}');
+      cache.invalidate(key => key.startsWith('tools/call contacts_get-contact '));
+
+      assert.equal(cache.get('tools/list {}'), undefined);
+      assert.equal(cache.get('tools/call contacts_get-contact {}'), undefined);
+      assert.equal(cache.get('tools/call contacts_get-contacts {}'), 2);
+    });
+  });
+
+  describe('withRetry', () => {
+    it('should retry retryable errors until success', async () => {
+      let attempts = 0;
+      const result = await withRetry(async () => {
+        if (++attempts < 3) throw new McpHttpError(503, { body: 'unavailable' });
+        return 'ok';
+      }, { baseDelayMs: 1 });
+
+      assert.equal(result, 'ok');
+      assert.equal(attempts, 3);
+    });
+
+    it('should not retry auth errors', async () => {
+      let attempts = 0;
+      await assert.rejects(withRetry(async () => {
+        attempts++;
+        throw new McpHttpError(401, { body: 'revoked' });
+      }, { baseDelayMs: 1 }), McpHttpError);
+
+      assert.equal(attempts, 1);
+    });
+
+    it('should not retry tool errors about bad arguments', async () => {
+      let attempts = 0;
+      await assert.rejects(withRetry(async () => {
+        attempts++;
+        throw new McpToolError('contacts_get-contact', { isError: true, content: [{ type: 'text', text: 'Contact not found' }] });
+      }, { baseDelayMs: 1 }), McpToolError);
+
+      assert.equal(attempts, 1);
+    });
+
+    it('should give up after maxRetries', async () => {
+      let attempts = 0;
+      await assert.rejects(withRetry(async () => {
+        attempts++;
+        throw new McpHttpError(429);
+      }, { maxRetries: 2, baseDelayMs: 1 }), /MCP HTTP 429/);
+
+      assert.equal(attempts, 3);
+    });
+
+    it('should not retry plain errors', async () => {
+      let attempts = 0;
+      await assert.rejects(withRetry(async () => {
+        attempts++;
+        throw new Error('boom');
+      }, { baseDelayMs: 1 }), /boom/);
+
+      assert.equal(attempts, 1);
+    });
+
+    it('should stop waiting to retry when the signal aborts', async () => {
+      const controller = new AbortController();
+      let attempts = 0;
+      const started = Date.now();
+      setTimeout(() => controller.abort('shutting down'), 10);
+
+      await assert.rejects(withRetry(async () => {
+        attempts++;
+        throw new McpHttpError(503);
+      }, { baseDelayMs: 5000, signal: controller.signal }), (err) => {
+        assert.ok(err instanceof McpCancelledError);
+        assert.equal(err.reason, 'shutting down');
+        return true;
+      });
+
+      assert.equal(attempts, 1);
+      assert.ok(Date.now() - started < 1000);
+    });
+  });
+
+  describe('createCircuitBreaker', () => {
+    const outage = async () => { throw new McpHttpError(503); };
+    const ok = async () => 'ok';
+
+    it('should open once the failure rate is reached and then fail fast', async () => {
+      const breaker = createCircuitBreaker({ name: 'main', failureRate: 0.5, minRequests: 4 });
+      await breaker.exec(ok);
+      await breaker.exec(ok);
+      await assert.rejects(breaker.exec(outage), McpHttpError);
+      assert.equal(breaker.stats().state, 'closed');
+      await assert.rejects(breaker.exec(outage), McpHttpError);
+      assert.equal(breaker.stats().state, 'open');
+
+      let called = false;
+      await assert.rejects(breaker.exec(async () => { called = true; }), (err) => {
+        assert.ok(err instanceof McpCircuitOpenError);
+        assert.equal(err.category, 'unavailable');
+        assert.equal(err.retryable, false);
+        assert.match(err.message, /GHL unavailable for 'main'/);
+        return true;
+      });
+      assert.equal(called, false);
+    });
+
+    it('should count timeouts but not bad requests or tool errors', async () => {
+      const breaker = createCircuitBreaker({ minRequests: 2, failureRate: 0.5 });
+      await assert.rejects(breaker.exec(async () => { throw new McpHttpError(400); }));
+      await assert.rejects(breaker.exec(async () => { throw new McpToolError('contacts_get-contact', {}); }));
+      assert.equal(breaker.stats().state, 'closed');
+
+      await assert.rejects(breaker.exec(async () => { throw new McpTimeoutError('tools/call', 10); }));
+      await assert.rejects(breaker.exec(async () => { throw new McpTimeoutError('tools/call', 10); }));
+      assert.equal(breaker.stats().state, 'open');
+    });
+
+    it('should let one probe through after the cooldown and close on success', async () => {
+      const breaker = createCircuitBreaker({ minRequests: 1, failureRate: 1, cooldownMs: 20 });
+      await assert.rejects(breaker.exec(outage));
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      let release;
+      const probe = breaker.exec(() => new Promise((resolve) => { release = resolve; }));
+      assert.equal(breaker.stats().state, 'half-open');
+      await assert.rejects(breaker.exec(ok), McpCircuitOpenError);
+
+      release('probed');
+      assert.equal(await probe, 'probed');
+      assert.deepEqual(breaker.stats(), { state: 'closed', requests: 0, failures: 0, retryInMs: 0 });
+      assert.equal(await breaker.exec(ok), 'ok');
+    });
+
+    it('should reopen when the probe fails', async () => {
+      const breaker = createCircuitBreaker({ minRequests: 1, failureRate: 1, cooldownMs: 20 });
+      await assert.rejects(breaker.exec(outage));
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      await assert.rejects(breaker.exec(outage), McpHttpError);
+      assert.equal(breaker.stats().state, 'open');
+      assert.ok(breaker.stats().retryInMs > 0);
+      await assert.rejects(breaker.exec(ok), McpCircuitOpenError);
+    });
+
+    it('should forget failures outside the window', async () => {
+      const breaker = createCircuitBreaker({ minRequests: 2, failureRate: 1, windowMs: 20 });
+      await assert.rejects(breaker.exec(outage));
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await assert.rejects(breaker.exec(outage));
+
+      assert.equal(breaker.stats().state, 'closed');
+      assert.equal(breaker.stats().failures, 1);
+    });
+
+    it('should report each state change', async () => {
+      const states = [];
+      const breaker = createCircuitBreaker({ minRequests: 1, failureRate: 1, cooldownMs: 20, onStateChange: s => states.push(s) });
+      await assert.rejects(breaker.exec(outage));
+      await new Promise(resolve => setTimeout(resolve, 30));
+      await breaker.exec(ok);
+
+      assert.deepEqual(states, ['open', 'half-open', 'closed']);
+    });
+
+    it('should publish location breaker states as a gauge', async () => {
+      const breaker = getLocationBreaker('gauge-test', { min_requests: 1, failure_rate: 1 });
+      const gauge = () => metricsRegistry.snapshot().gauges.ghl_circuit_state.find(g => g.labels.location === 'gauge-test');
+      assert.equal(gauge().value, 0);
+
+      await assert.rejects(breaker.exec(outage));
+      assert.equal(gauge().value, 2);
+    });
+  });
+});